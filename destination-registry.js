@@ -0,0 +1,167 @@
+/**
+ * Named OSC Destinations Registry
+ * Persists named targets (e.g. "max-main", "td-visuals") with host, port,
+ * transport and framing so tools and operators can refer to them by name
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TCP_FRAMINGS } from './osc-tcp-transport.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_DESTINATIONS_FILE = path.join(__dirname, 'osc-destinations.json');
+
+const NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+
+export class DestinationRegistry {
+  constructor(filePath = DEFAULT_DESTINATIONS_FILE, defaults = {}) {
+    this.filePath = filePath;
+    // Built-in "default" destination, configured from the environment
+    this.defaultDestination = {
+      name: 'default',
+      host: defaults.host || process.env.OSC_HOST || '127.0.0.1',
+      port: defaults.port || parseInt(process.env.OSC_SEND_PORT || '9500'),
+      transport: 'UDP',
+      framing: 'slip',
+      notes: 'Built-in destination from OSC_HOST / OSC_SEND_PORT',
+      builtIn: true
+    };
+    this.cache = null;
+    this.cacheMtime = 0;
+  }
+
+  // Reload from disk only when another process has modified the file
+  async load() {
+    try {
+      const stats = await fs.stat(this.filePath);
+      if (this.cache && stats.mtimeMs === this.cacheMtime) {
+        return this.cache;
+      }
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(content);
+      this.cache = Array.isArray(data.destinations) ? data.destinations : [];
+      this.cacheMtime = stats.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading destinations: ${error.message}`);
+      }
+      this.cache = this.cache || [];
+    }
+    return this.cache;
+  }
+
+  async save(destinations) {
+    const data = {
+      destinations,
+      metadata: {
+        totalDestinations: destinations.length,
+        lastUpdate: new Date().toISOString()
+      }
+    };
+
+    // Atomic write: temp file + rename
+    const tempFile = this.filePath + '.tmp';
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+    await fs.rename(tempFile, this.filePath);
+
+    this.cache = destinations;
+    this.cacheMtime = (await fs.stat(this.filePath)).mtimeMs;
+  }
+
+  async list() {
+    const destinations = await this.load();
+    const hasDefaultOverride = destinations.some(d => d.name === 'default');
+    return hasDefaultOverride ? [...destinations] : [this.defaultDestination, ...destinations];
+  }
+
+  async get(name) {
+    const destinations = await this.load();
+    const destination = destinations.find(d => d.name === name);
+    if (destination) return destination;
+    return name === 'default' ? this.defaultDestination : null;
+  }
+
+  validate(destination) {
+    const { name, host, port, transport = 'UDP', framing = 'slip' } = destination;
+
+    if (!name || !NAME_PATTERN.test(name)) {
+      throw new Error('Destination name is required and may only contain letters, digits, "_", "-" and "."');
+    }
+    if (!host || typeof host !== 'string') {
+      throw new Error('Destination host is required');
+    }
+    const portNumber = parseInt(port);
+    if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+      throw new Error('Port must be between 1 and 65535');
+    }
+    if (!['UDP', 'TCP'].includes(String(transport).toUpperCase())) {
+      throw new Error('Transport must be UDP or TCP');
+    }
+    if (!TCP_FRAMINGS.includes(String(framing).toLowerCase())) {
+      throw new Error(`Framing must be one of: ${TCP_FRAMINGS.join(', ')}`);
+    }
+  }
+
+  // Add a destination, replacing any existing one with the same name
+  async add(destination) {
+    this.validate(destination);
+
+    const destinations = [...await this.load()];
+    const existingIndex = destinations.findIndex(d => d.name === destination.name);
+    const now = new Date().toISOString();
+
+    const record = {
+      name: destination.name,
+      host: destination.host.trim(),
+      port: parseInt(destination.port),
+      transport: String(destination.transport || 'UDP').toUpperCase(),
+      framing: String(destination.framing || 'slip').toLowerCase(),
+      notes: destination.notes || '',
+      createdAt: existingIndex >= 0 ? destinations[existingIndex].createdAt : now,
+      updatedAt: now
+    };
+
+    if (existingIndex >= 0) {
+      destinations[existingIndex] = record;
+    } else {
+      destinations.push(record);
+    }
+
+    await this.save(destinations);
+    return { destination: record, updated: existingIndex >= 0 };
+  }
+
+  async remove(name) {
+    const destinations = await this.load();
+    const remaining = destinations.filter(d => d.name !== name);
+    if (remaining.length === destinations.length) {
+      return false;
+    }
+    await this.save(remaining);
+    return true;
+  }
+
+  // Resolve a destination name or a literal "host:port" string
+  async resolve(nameOrAddress = 'default') {
+    const destination = await this.get(nameOrAddress);
+    if (destination) {
+      return destination;
+    }
+
+    const match = /^(.+):(\d+)$/.exec(nameOrAddress);
+    if (match) {
+      return {
+        name: nameOrAddress,
+        host: match[1],
+        port: parseInt(match[2]),
+        transport: 'UDP',
+        framing: 'slip'
+      };
+    }
+
+    throw new Error(`Unknown OSC destination '${nameOrAddress}'. Use list_osc_destinations to see registered names.`);
+  }
+}
@@ -11,7 +11,14 @@ import fs from 'fs';
 import { fileURLToPath, pathToFileURL } from 'url';
 import { createSocket } from 'dgram';
 import { createServer } from 'http';
-import { addOSCMessage, getOSCMessages } from './shared-storage.js';
+import { addOSCMessage, getOSCLogStats, getOSCMessages } from './shared-storage.js';
+import { decodePacket, encodeBundle, encodeMessage, formatArgs } from './osc-codec.js';
+import { EnhancedOSCManager } from './enhanced-osc-manager.js';
+import { DestinationRegistry } from './destination-registry.js';
+import { SceneController } from './osc-scenes.js';
+import { StreamScheduler } from './osc-stream-scheduler.js';
+import { RuleStore, RulesEngine } from './osc-rules-engine.js';
+import { createAddressFilter, isOSCPattern, matchOSCAddress } from './osc-address-pattern.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -42,6 +49,25 @@ class EnhancedDashboardServer {
     constructor() {
         this.app = express();
         this.app.use(express.json());
+        this.oscManager = new EnhancedOSCManager();
+        this.destinations = new DestinationRegistry();
+        // Crossfades run on a stream scheduler: one packet per destination per tick
+        this.streamScheduler = new StreamScheduler({ send: (destination, messages) => this.sendStreamMessages(destination, messages) });
+        // Scenes and cue list shared with the MCP server via osc-scenes.json
+        this.scenes = new SceneController({
+            destinations: this.destinations,
+            readState: async () => ({
+                patterns: this.loadExtractedPatterns(),
+                messages: await getOSCMessages(this.logConfig.maxMessages, msg => msg.direction === 'outbound')
+            }),
+            send: async ({ address, args, typeTags, target }) => {
+                await this.oscManager.sendPacket(encodeMessage(address, args, typeTags), target.host, target.port, { transport: target.transport, framing: target.framing });
+                addOSCMessage(address, args, target.host, target.port, 'outbound');
+            },
+            scheduler: this.streamScheduler
+        });
+        // Mapping rules shared with the MCP server via osc-rules.json; the MCP receiver applies them
+        this.rules = new RulesEngine({ store: new RuleStore(), destinations: this.destinations });
         this.app.use(express.static(path.join(__dirname, 'public')));
         
         // Configuration
@@ -59,18 +85,6 @@ class EnhancedDashboardServer {
         this.setupLogWatcher();
     }
 
-    // Get current OSC log file name
-    getOSCLogFileName() {
-        if (this.logConfig.logRotation) {
-            const today = new Date();
-            const dateStr = today.getFullYear() + '-' + 
-                            String(today.getMonth() + 1).padStart(2, '0') + '-' + 
-                            String(today.getDate()).padStart(2, '0');
-            return path.join(__dirname, 'logs', `osc-messages-${dateStr}.json`);
-        }
-        return path.join(__dirname, 'logs', 'osc-messages.json');
-    }
-
     initializePatternsFileIfNeeded() {
         try {
             const patternsFile = path.join(__dirname, 'extracted-osc-patterns.json');
@@ -181,47 +195,199 @@ class EnhancedDashboardServer {
                     oscSendPort: CONFIG.OSC_SEND_PORT,
                     oscReceivePort: CONFIG.OSC_RECEIVE_PORT
                 },
+                destinations: this.oscManager.getStats(),
                 databaseConnected: false
             });
         });
 
+        // Named OSC destinations (shared with the MCP server via osc-destinations.json)
+        this.app.get('/api/destinations', async (req, res) => {
+            try {
+                const destinations = await this.destinations.list();
+                res.json({ success: true, destinations, total: destinations.length });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/destinations', async (req, res) => {
+            try {
+                const { destination, updated } = await this.destinations.add(req.body || {});
+                res.status(updated ? 200 : 201).json({ success: true, destination, updated });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.delete('/api/destinations/:name', async (req, res) => {
+            try {
+                const removed = await this.destinations.remove(req.params.name);
+                if (!removed) {
+                    return res.status(404).json({ success: false, error: `Destination not found: ${req.params.name}` });
+                }
+                res.json({ success: true, removed: req.params.name });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Scenes and cue list (same operations as the MCP scene tools and /cue/* OSC control)
+        this.app.get('/api/scenes', async (req, res) => {
+            try {
+                res.json({ success: true, ...await this.scenes.status() });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.get('/api/scenes/:name', async (req, res) => {
+            const scene = await this.scenes.store.getScene(req.params.name);
+            if (!scene) {
+                return res.status(404).json({ success: false, error: `Scene not found: ${req.params.name}` });
+            }
+            res.json({ success: true, scene });
+        });
+
+        this.app.post('/api/scenes', async (req, res) => {
+            try {
+                const { name, addresses, notes } = req.body || {};
+                const { scene, updated } = await this.scenes.capture(name, { addresses, notes });
+                res.status(updated ? 200 : 201).json({ success: true, scene, updated });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/scenes/:name/recall', async (req, res) => {
+            try {
+                const result = await this.scenes.recall(req.params.name, { fadeMs: Number(req.body?.fadeMs ?? 0) });
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.delete('/api/scenes/:name', async (req, res) => {
+            try {
+                const removed = await this.scenes.store.removeScene(req.params.name);
+                if (!removed) {
+                    return res.status(404).json({ success: false, error: `Scene not found: ${req.params.name}` });
+                }
+                res.json({ success: true, removed: req.params.name });
+            } catch (error) {
+                res.status(409).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.put('/api/cues', async (req, res) => {
+            try {
+                const { cues } = await this.scenes.store.setCues(req.body?.cues || []);
+                res.json({ success: true, cues });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // POST /api/cues/go, /api/cues/back, /api/cues/goto { cue }, /api/cues/stop
+        this.app.post('/api/cues/:action', async (req, res) => {
+            try {
+                let result = null;
+                switch (req.params.action) {
+                    case 'go':
+                        result = await this.scenes.go();
+                        break;
+                    case 'back':
+                        result = await this.scenes.back();
+                        break;
+                    case 'goto':
+                        result = await this.scenes.goto(req.body?.cue);
+                        break;
+                    case 'stop':
+                        this.scenes.stopFade();
+                        break;
+                    default:
+                        return res.status(404).json({ success: false, error: `Unknown cue action: ${req.params.action}` });
+                }
+                res.json({ success: true, result, ...await this.scenes.status() });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Inbound-to-outbound mapping rules (same operations as the MCP rule tools)
+        this.app.get('/api/rules', async (req, res) => {
+            try {
+                const rules = await this.rules.store.load();
+                res.json({ success: true, rules, total: rules.length, enabled: rules.filter(rule => rule.enabled).length });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.post('/api/rules', async (req, res) => {
+            try {
+                const { rule, updated } = await this.rules.store.put(req.body || {});
+                res.status(updated ? 200 : 201).json({ success: true, rule, updated });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // POST /api/rules/test { address, args, source, name }: what the rules would send, without sending
+        this.app.post('/api/rules/test', async (req, res) => {
+            try {
+                res.json({ success: true, ...await this.rules.test(req.body || {}) });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // PATCH /api/rules/:name { enabled }
+        this.app.patch('/api/rules/:name', async (req, res) => {
+            try {
+                if (typeof req.body?.enabled !== 'boolean') {
+                    return res.status(400).json({ success: false, error: 'Body must be { "enabled": true | false }' });
+                }
+                if (!await this.rules.store.get(req.params.name)) {
+                    return res.status(404).json({ success: false, error: `Rule not found: ${req.params.name}` });
+                }
+                const rule = await this.rules.store.setEnabled(req.params.name, req.body.enabled);
+                res.json({ success: true, rule });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.delete('/api/rules/:name', async (req, res) => {
+            try {
+                const removed = await this.rules.store.remove(req.params.name);
+                if (!removed) {
+                    return res.status(404).json({ success: false, error: `Rule not found: ${req.params.name}` });
+                }
+                res.json({ success: true, removed: req.params.name });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
         this.app.get('/api/logs', (req, res) => {
             res.json(STATE.logs.slice(-100));
         });
 
-        this.app.get('/api/osc-messages', (req, res) => {
+        this.app.get('/api/osc-messages', async (req, res) => {
             try {
-                const oscLogFile = path.join(__dirname, 'logs', 'osc-messages.json');
-                if (fs.existsSync(oscLogFile)) {
-                    const content = fs.readFileSync(oscLogFile, 'utf8').trim();
-                    if (content) {
-                        const messages = JSON.parse(content);
-                        const limit = parseInt(req.query.limit) || 50;
-                        
-                        res.json({
-                            success: true,
-                            messages: messages.slice(-limit),
-                            total: messages.length,
-                            timestamp: new Date().toISOString()
-                        });
-                    } else {
-                        res.json({
-                            success: false,
-                            messages: [],
-                            total: 0,
-                            error: 'OSC messages file is empty',
-                            timestamp: new Date().toISOString()
-                        });
-                    }
-                } else {
-                    res.json({
-                        success: false,
-                        messages: [],
-                        total: 0,
-                        error: 'OSC messages file not found - start MCP server to generate messages',
-                        timestamp: new Date().toISOString()
-                    });
-                }
+                // Tail the append-only log rather than parsing every segment
+                const matchesAddress = createAddressFilter(req.query.addressPattern);
+                const limit = parseInt(req.query.limit) || 50;
+                const messages = await getOSCMessages(limit, msg => matchesAddress(msg.address));
+                
+                res.json({
+                    success: true,
+                    messages,
+                    total: messages.length,
+                    log: await getOSCLogStats(),
+                    timestamp: new Date().toISOString()
+                });
             } catch (error) {
                 console.error('Error reading OSC messages:', error);
                 res.json({
@@ -265,7 +431,7 @@ class EnhancedDashboardServer {
 
         this.app.post('/api/test-osc', async (req, res) => {
             try {
-                const { address, args = [] } = req.body;
+                const { address, args = [], destination } = req.body;
                 
                 if (!address || !address.startsWith('/')) {
                     return res.status(400).json({
@@ -274,7 +440,7 @@ class EnhancedDashboardServer {
                     });
                 }
                 
-                const result = await this.sendTestOSC(address, args);
+                const result = await this.sendTestOSC(address, args, destination);
                 res.json({ 
                     success: true, 
                     message: `OSC sent: ${address} [${args.join(', ')}]`,
@@ -315,14 +481,12 @@ class EnhancedDashboardServer {
 
         this.app.get('/api/logs/osc-messages', async (req, res) => {
             try {
-                const messagesFile = path.join(__dirname, 'logs', 'osc-messages.json');
-                const content = await fs.promises.readFile(messagesFile, 'utf8');
-                const messages = JSON.parse(content);
                 const limit = parseInt(req.query.limit) || 50;
+                const messages = await getOSCMessages(limit);
                 
                 res.json({
                     success: true,
-                    messages: messages.slice(-limit),
+                    messages,
                     total: messages.length,
                     timestamp: new Date().toISOString()
                 });
@@ -339,8 +503,6 @@ class EnhancedDashboardServer {
         this.app.get('/api/logs/activity-feed', async (req, res) => {
             try {
                 const systemLogFile = path.join(__dirname, 'logs', 'mcp2osc.log');
-                const oscLogFile = path.join(__dirname, 'logs', 'osc-messages.json');
-                
                 let activities = [];
                 
                 // Add system logs
@@ -363,9 +525,8 @@ class EnhancedDashboardServer {
                 
                 // Add OSC messages
                 try {
-                    const oscContent = await fs.readFile(oscLogFile, 'utf8');
-                    const oscMessages = JSON.parse(oscContent);
-                    const oscActivities = oscMessages.slice(-50).map(msg => ({
+                    const oscMessages = await getOSCMessages(50);
+                    const oscActivities = oscMessages.map(msg => ({
                         timestamp: msg.timestamp,
                         type: 'osc',
                         message: `${msg.address} [${(msg.args || []).join(', ')}]`,
@@ -642,6 +803,16 @@ class EnhancedDashboardServer {
             patterns = patterns.filter(p => p.category === category);
         }
 
+        // OSC address queries use spec pattern matching in both directions:
+        // the query may contain wildcards, or a stored pattern may match a concrete query address
+        if (query.startsWith('/')) {
+            const searchResults = patterns.filter(pattern =>
+                matchOSCAddress(query, pattern.address) ||
+                (isOSCPattern(pattern.address) && matchOSCAddress(pattern.address, query))
+            );
+            return searchResults.slice(0, limit);
+        }
+
         // Search in address and description
         const queryLower = query.toLowerCase();
         const searchResults = patterns.filter(pattern => 
@@ -1169,17 +1340,16 @@ class EnhancedDashboardServer {
             
             oscReceiveSocket.on('message', (buffer, rinfo) => {
                 try {
-                    const message = this.parseOSCMessage(buffer);
-                    if (message) {
+                    for (const message of this.parseOSCMessages(buffer)) {
                         // Store the OSC message in shared storage for MCP server access
                         const storedMessage = addOSCMessage(message.address, message.args, rinfo.address, rinfo.port);
-                        console.log(`📥 OSC received: ${message.address} [${message.args.join(', ')}] from ${rinfo.address}:${rinfo.port}`);
+                        console.log(`📥 OSC received: ${message.address} [${formatArgs(message.args)}] from ${rinfo.address}:${rinfo.port}`);
                         
                         // Also store in local STATE for dashboard display
                         this.storeOscMessage(message.address, message.args, rinfo.address, rinfo.port);
                         
                         // Log to file (consistent with MCP server logging)
-                        this.logActivity(`OSC received: ${message.address} [${message.args.join(', ')}] from ${rinfo.address}:${rinfo.port}`, {
+                        this.logActivity(`OSC received: ${message.address} [${formatArgs(message.args)}] from ${rinfo.address}:${rinfo.port}`, {
                             address: message.address,
                             args: message.args,
                             source: rinfo.address,
@@ -1212,84 +1382,16 @@ class EnhancedDashboardServer {
         }
     }
 
-    parseOSCMessage(buffer) {
-        try {
-            // Simple OSC message parser
-            let offset = 0;
-            
-            // Read address (null-terminated string)
-            let address = '';
-            while (offset < buffer.length && buffer[offset] !== 0) {
-                address += String.fromCharCode(buffer[offset]);
-                offset++;
-            }
-            
-            // Skip null terminator and padding
-            offset++;
-            while (offset % 4 !== 0 && offset < buffer.length) offset++;
-            
-            if (offset >= buffer.length) {
-                return { address, args: [] };
-            }
-            
-            // Read type tag string
-            let typeTag = '';
-            if (buffer[offset] === 44) { // ',' character
-                offset++;
-                while (offset < buffer.length && buffer[offset] !== 0) {
-                    typeTag += String.fromCharCode(buffer[offset]);
-                    offset++;
-                }
-            }
-            
-            // Skip null terminator and padding
-            offset++;
-            while (offset % 4 !== 0 && offset < buffer.length) offset++;
-            
-            // Parse arguments based on type tags
-            const args = [];
-            for (let i = 0; i < typeTag.length; i++) {
-                const type = typeTag[i];
-                
-                switch (type) {
-                    case 'i': // 32-bit integer
-                        if (offset + 4 <= buffer.length) {
-                            args.push(buffer.readInt32BE(offset));
-                            offset += 4;
-                        }
-                        break;
-                    case 'f': // 32-bit float
-                        if (offset + 4 <= buffer.length) {
-                            args.push(buffer.readFloatBE(offset));
-                            offset += 4;
-                        }
-                        break;
-                    case 's': // string
-                        let str = '';
-                        while (offset < buffer.length && buffer[offset] !== 0) {
-                            str += String.fromCharCode(buffer[offset]);
-                            offset++;
-                        }
-                        args.push(str);
-                        offset++;
-                        while (offset % 4 !== 0 && offset < buffer.length) offset++;
-                        break;
-                    case 'T': // true
-                        args.push(true);
-                        break;
-                    case 'F': // false
-                        args.push(false);
-                        break;
-                    case 'N': // null
-                        args.push(null);
-                        break;
-                }
-            }
-            
-            return { address, args };
-        } catch (error) {
-            throw new Error(`OSC parsing failed: ${error.message}`);
-        }
+    parseOSCMessages(buffer) {
+        // Flatten bundles so every contained message is stored individually
+        const packet = decodePacket(buffer);
+        return packet.type === 'bundle' ? this.flattenBundle(packet) : [packet];
+    }
+
+    flattenBundle(bundle) {
+        return bundle.elements.flatMap(element => element.type === 'bundle'
+            ? this.flattenBundle(element)
+            : [element]);
     }
 
     storeOscMessage(address, args, source, port) {
@@ -1313,78 +1415,41 @@ class EnhancedDashboardServer {
         }
     }
 
-    async sendTestOSC(address, args) {
+    async sendTestOSC(address, args, destination = 'default') {
         if (!address.startsWith('/')) {
             throw new Error('OSC address must start with "/"');
         }
 
-        const socket = createSocket('udp4');
+        const { host, port, transport, framing } = await this.destinations.resolve(destination);
+        const message = encodeMessage(address, args || []);
         
-        try {
-            const message = this.createOSCMessage(address, args || []);
-            
-            await new Promise((resolve, reject) => {
-                socket.send(message, CONFIG.OSC_SEND_PORT, CONFIG.OSC_HOST, (error) => {
-                    if (error) reject(error);
-                    else resolve();
-                });
-            });
-
-            // Log the test message
-            this.logActivity(`Test OSC message sent: ${address} [${(args || []).join(', ')}] → ${CONFIG.OSC_HOST}:${CONFIG.OSC_SEND_PORT}`, {
-                address,
-                args: args || [],
-                host: CONFIG.OSC_HOST,
-                port: CONFIG.OSC_SEND_PORT
-            });
-
-            // Also store as outbound message in shared storage
-            addOSCMessage(address, args || [], CONFIG.OSC_HOST, CONFIG.OSC_SEND_PORT, 'outbound');
-            
-            STATE.stats.oscMessages++;
-            
-        } finally {
-            socket.close();
-        }
-    }
+        await this.oscManager.sendPacket(message, host, port, { transport, framing });
 
-    createOSCMessage(address, args) {
-        // Simple OSC message creation
-        const addressBuffer = Buffer.from(address + '\0');
-        const addressPadded = this.padTo4Bytes(addressBuffer);
-        
-        const typeTagString = ',' + args.map(arg => {
-            if (typeof arg === 'number') {
-                return Number.isInteger(arg) ? 'i' : 'f';
-            } else {
-                return 's';
-            }
-        }).join('');
-        
-        const typeTagBuffer = this.padTo4Bytes(Buffer.from(typeTagString + '\0'));
-        
-        const argBuffers = args.map(arg => {
-            if (typeof arg === 'number') {
-                if (Number.isInteger(arg)) {
-                    const buffer = Buffer.alloc(4);
-                    buffer.writeInt32BE(arg, 0);
-                    return buffer;
-                } else {
-                    const buffer = Buffer.alloc(4);
-                    buffer.writeFloatBE(arg, 0);
-                    return buffer;
-                }
-            } else {
-                return this.padTo4Bytes(Buffer.from(String(arg) + '\0'));
-            }
+        // Log the test message
+        this.logActivity(`Test OSC message sent: ${address} [${formatArgs(args || [])}] → ${host}:${port}`, {
+            address,
+            args: args || [],
+            host,
+            port
         });
 
-        return Buffer.concat([addressPadded, typeTagBuffer, ...argBuffers]);
+        // Also store as outbound message in shared storage
+        addOSCMessage(address, args || [], host, port, 'outbound');
+        
+        STATE.stats.oscMessages++;
     }
 
-    padTo4Bytes(buffer) {
-        const padding = (4 - (buffer.length % 4)) % 4;
-        return Buffer.concat([buffer, Buffer.alloc(padding)]);
+    // One crossfade tick for a destination; only the final frame is logged, so later scene captures see it
+    async sendStreamMessages(destination, messages) {
+        const { host, port, transport, framing } = await this.destinations.resolve(destination);
+        const packet = messages.length === 1
+            ? encodeMessage(messages[0].address, messages[0].args, messages[0].typeTags)
+            : encodeBundle(messages);
+        await this.oscManager.sendPacket(packet, host, port, { transport, framing });
+
+        messages.filter(message => message.final).forEach(({ address, args }) => {
+            addOSCMessage(address, args, host, port, 'outbound');
+        });
     }
 
     start(port = CONFIG.WEB_PORT) {
@@ -1398,6 +1463,20 @@ class EnhancedDashboardServer {
             console.error(`Dashboard HTTP error on port ${port}:`, err.message);
             process.exit(1);
         });
+        this.httpServer = server;
+    }
+
+    // Stop the crossfade loop, then flush and close the pooled OSC sockets
+    async stop() {
+        this.scenes.stopFade();
+        this.streamScheduler.close();
+        if (this.oscReceiveSocket) {
+            this.oscReceiveSocket.close();
+        }
+        if (this.httpServer) {
+            this.httpServer.close();
+        }
+        await this.oscManager.close();
     }
 }
 
@@ -1405,4 +1484,12 @@ class EnhancedDashboardServer {
 if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
     const server = new EnhancedDashboardServer();
     server.start(CONFIG.WEB_PORT);
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, async () => {
+            console.log('🛑 Shutting down dashboard server...');
+            await server.stop();
+            process.exit(0);
+        });
+    }
 }
\ No newline at end of file
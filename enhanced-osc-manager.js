@@ -1,28 +1,112 @@
 /**
  * Enhanced OSC Manager - Plan 1: Persistent Socket Pool
+ * The single outbound path for OSC: long-lived UDP sockets and TCP connections
+ * keyed by destination, with error recovery and per-destination statistics
  */
 
+import { createSocket } from 'dgram';
+import net from 'net';
+import os from 'os';
+import { encodeMessage } from './osc-codec.js';
+import { OSCTCPClient, normalizeFraming } from './osc-tcp-transport.js';
+
+// True when host names this machine: loopback, the wildcard, its hostname or one of its interfaces
+function isLocalAddress(host) {
+  const address = String(host).replace(/^::ffff:/, '').toLowerCase();
+  if (['localhost', '0.0.0.0', '::', '::1', os.hostname().toLowerCase()].includes(address) || address.startsWith('127.')) {
+    return true;
+  }
+  return Object.values(os.networkInterfaces()).flat().some(info => info.address.toLowerCase() === address);
+}
+
 class EnhancedOSCManager {
-  constructor() {
-    this.connections = new Map(); // connectionId -> socket
-    this.socketPool = new Map();  // host:port -> socket
+  constructor(options = {}) {
+    this.connections = new Map(); // connectionId -> { host, port, options }
+    this.socketPool = new Map();  // host:port -> UDP socket
+    this.tcpClients = new Map();  // host:port:framing -> OSCTCPClient
+    this.stats = new Map();       // host:port -> destination statistics
     this.messageQueue = [];
     this.batchSize = 10;
     this.flushInterval = 16; // ~60fps for real-time
+    this.reuseAddr = options.reuseAddr !== false;
+    this.defaultFraming = options.framing || 'slip';
+    this.onPacket = options.onPacket || null; // Handler for packets received back over TCP
+    this.isClosed = false;
   }
 
   // Create persistent connection
   async setupConnection(connectionId, host, port, options = {}) {
+    this.getSocket(host, port);
+    this.connections.set(connectionId, { host, port, options });
+    return { success: true, connectionId };
+  }
+
+  // Get (or lazily create) the pooled UDP socket for a destination
+  getSocket(host, port) {
     const key = `${host}:${port}`;
-    
+
     if (!this.socketPool.has(key)) {
-      const socket = createSocket('udp4');
-      socket.on('error', (error) => this.handleSocketError(key, error));
+      // A udp4 socket cannot send to an IPv6 literal such as ::1 (EINVAL)
+      const socket = createSocket({ type: net.isIPv6(host) ? 'udp6' : 'udp4', reuseAddr: this.reuseAddr });
+      socket.on('error', (error) => this.handleSocketError(key, socket, error));
       this.socketPool.set(key, socket);
     }
-    
-    this.connections.set(connectionId, { host, port, options });
-    return { success: true, connectionId };
+
+    return this.socketPool.get(key);
+  }
+
+  getTCPClient(host, port, framing) {
+    const key = `${host}:${port}:${framing}`;
+
+    if (!this.tcpClients.has(key)) {
+      this.tcpClients.set(key, new OSCTCPClient(host, port, framing, this.onPacket));
+    }
+
+    return this.tcpClients.get(key);
+  }
+
+  // Send an encoded packet; a failed send drops the socket and retries once on a fresh one
+  async sendPacket(packet, host, port, { transport = 'UDP', framing = this.defaultFraming } = {}) {
+    if (this.isClosed) {
+      throw new Error('OSC manager has been shut down');
+    }
+
+    const isTCP = String(transport).toUpperCase() === 'TCP';
+    const normalizedFraming = isTCP ? normalizeFraming(framing) : null;
+    const destinationStats = this.getDestinationStats(host, port, isTCP ? 'TCP' : 'UDP');
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      try {
+        if (isTCP) {
+          await this.getTCPClient(host, port, normalizedFraming).send(packet);
+        } else {
+          await this.sendUDP(this.getSocket(host, port), packet, port, host);
+        }
+
+        destinationStats.packetsSent++;
+        destinationStats.bytesSent += packet.length;
+        destinationStats.lastSentAt = new Date().toISOString();
+        return;
+      } catch (error) {
+        destinationStats.errors++;
+        destinationStats.lastError = error.message;
+        this.discardConnection(host, port, normalizedFraming);
+
+        if (attempt === 2) {
+          throw error;
+        }
+        destinationStats.reconnects++;
+      }
+    }
+  }
+
+  sendUDP(socket, buffer, port, host) {
+    return new Promise((resolve, reject) => {
+      socket.send(buffer, port, host, (error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
   }
 
   // Send batch of OSC messages
@@ -33,25 +117,24 @@ class EnhancedOSCManager {
     }
 
     const results = [];
-    const socket = this.socketPool.get(`${connection.host}:${connection.port}`);
-    
+
     for (const msg of messages) {
       try {
-        const oscBuffer = this.createOSCMessage(msg.address, msg.args || []);
-        await this.sendUDP(socket, oscBuffer, connection.port, connection.host);
+        const oscBuffer = encodeMessage(msg.address, msg.args || [], msg.typeTags);
+        await this.sendPacket(oscBuffer, connection.host, connection.port, connection.options);
         results.push({ success: true, address: msg.address });
       } catch (error) {
         results.push({ success: false, address: msg.address, error: error.message });
       }
     }
-    
+
     return { success: true, results, count: messages.length };
   }
 
   // Real-time streaming (buffered)
   async streamOSCMessage(address, args, connectionId = 'default') {
     this.messageQueue.push({ address, args, connectionId, timestamp: Date.now() });
-    
+
     if (this.messageQueue.length >= this.batchSize) {
       await this.flushMessageQueue();
     }
@@ -59,21 +142,143 @@ class EnhancedOSCManager {
 
   async flushMessageQueue() {
     if (this.messageQueue.length === 0) return;
-    
+
     const batches = this.groupMessagesByConnection(this.messageQueue);
     this.messageQueue = [];
-    
+
     const promises = Array.from(batches.entries()).map(([connectionId, messages]) =>
       this.sendOSCBatch(messages, connectionId)
     );
-    
+
     await Promise.all(promises);
   }
 
+  groupMessagesByConnection(messages) {
+    const batches = new Map();
+    for (const message of messages) {
+      if (!batches.has(message.connectionId)) {
+        batches.set(message.connectionId, []);
+      }
+      batches.get(message.connectionId).push(message);
+    }
+    return batches;
+  }
+
   // Start real-time flush timer
   startRealTimeMode() {
+    if (this.flushTimer) return;
     this.flushTimer = setInterval(() => {
-      this.flushMessageQueue();
+      this.flushMessageQueue().catch(error => {
+        console.error(`❌ OSC flush failed: ${error.message}`);
+      });
     }, this.flushInterval);
   }
-}
\ No newline at end of file
+
+  getDestinationStats(host, port, transport) {
+    const key = `${host}:${port}`;
+
+    if (!this.stats.has(key)) {
+      this.stats.set(key, {
+        destination: key,
+        transport,
+        packetsSent: 0,
+        bytesSent: 0,
+        errors: 0,
+        reconnects: 0,
+        lastSentAt: null,
+        lastError: null
+      });
+    }
+
+    const destinationStats = this.stats.get(key);
+    destinationStats.transport = transport;
+    return destinationStats;
+  }
+
+  getStats() {
+    return Array.from(this.stats.values()).map(destinationStats => ({ ...destinationStats }));
+  }
+
+  // True when a packet arrived from one of our own pooled sockets, i.e. we sent it to ourselves
+  isOwnSender(address, port) {
+    if (!isLocalAddress(address)) return false;
+    for (const socket of this.socketPool.values()) {
+      try {
+        if (socket.address().port === port) return true;
+      } catch (error) {
+        // Not bound until its first send
+      }
+    }
+    return Array.from(this.tcpClients.values()).some(client => client.socket?.localPort === port);
+  }
+
+  // Drop a broken socket from the pool so the next send recreates it
+  discardConnection(host, port, framing = null) {
+    if (framing) {
+      const key = `${host}:${port}:${framing}`;
+      this.tcpClients.get(key)?.close();
+      this.tcpClients.delete(key);
+      return;
+    }
+
+    const key = `${host}:${port}`;
+    const socket = this.socketPool.get(key);
+    if (socket) {
+      this.socketPool.delete(key);
+      try {
+        socket.close();
+      } catch (error) {
+        // Socket already closed
+      }
+    }
+  }
+
+  handleSocketError(key, socket, error) {
+    console.error(`❌ Socket error for ${key}: ${error.message}`);
+    if (this.stats.has(key)) {
+      this.stats.get(key).errors++;
+      this.stats.get(key).lastError = error.message;
+    }
+    if (this.socketPool.get(key) === socket) {
+      // Split on the last ':' so IPv6 hosts such as ::1 keep their colons
+      const separator = key.lastIndexOf(':');
+      this.discardConnection(key.slice(0, separator), key.slice(separator + 1));
+    }
+  }
+
+  // Graceful shutdown: flush pending stream messages, then close every pooled socket
+  async close() {
+    if (this.isClosed) return;
+
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    try {
+      await this.flushMessageQueue();
+    } catch (error) {
+      console.error(`❌ OSC flush on shutdown failed: ${error.message}`);
+    }
+
+    this.isClosed = true;
+
+    await Promise.all(Array.from(this.socketPool.values()).map(socket =>
+      new Promise(resolve => {
+        try {
+          socket.close(resolve);
+        } catch (error) {
+          resolve();
+        }
+      })
+    ));
+    this.socketPool.clear();
+
+    this.tcpClients.forEach(client => client.close());
+    this.tcpClients.clear();
+
+    console.error(`🛑 OSC socket pool closed (${this.stats.size} destinations)`);
+  }
+}
+
+export { EnhancedOSCManager, isLocalAddress };
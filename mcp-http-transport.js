@@ -0,0 +1,92 @@
+/**
+ * MCP HTTP Transport - Let several MCP clients share one long-lived mcp2osc instance
+ * GET /sse opens a Server-Sent Events session, the client POSTs JSON-RPC messages to
+ * /messages?sessionId=... Each session gets its own MCP Server from the factory.
+ */
+
+import http from 'http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+
+export class MCPHttpTransport {
+  constructor(port, host = '127.0.0.1', options = {}) {
+    this.port = port;
+    this.host = host;
+    this.createServer = options.createServer; // () => MCP Server with handlers registered
+    this.onSessionClosed = options.onSessionClosed || null;
+    this.sessions = new Map(); // sessionId -> { server, transport, openedAt }
+
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error(`❌ MCP HTTP request failed: ${error.message}`);
+        if (!res.headersSent) {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: error.message }));
+        }
+      });
+    });
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'GET' && url.pathname === '/sse') {
+      await this.openSession(res);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/messages') {
+      const session = this.sessions.get(url.searchParams.get('sessionId'));
+      if (!session) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown or closed MCP session' }));
+        return;
+      }
+      await session.transport.handlePostMessage(req, res);
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'ok', sessions: this.sessions.size }));
+      return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Use GET /sse to connect and POST /messages?sessionId=... to send' }));
+  }
+
+  async openSession(res) {
+    const transport = new SSEServerTransport('/messages', res);
+    const server = this.createServer();
+    const { sessionId } = transport;
+
+    // connect() takes over transport.onclose, so session cleanup hangs off the server
+    server.onclose = () => {
+      this.sessions.delete(sessionId);
+      console.error(`🔌 MCP HTTP session closed: ${sessionId} (${this.sessions.size} active)`);
+      if (this.onSessionClosed) {
+        this.onSessionClosed(server);
+      }
+    };
+
+    this.sessions.set(sessionId, { server, transport, openedAt: new Date().toISOString() });
+    await server.connect(transport);
+    console.error(`🔌 MCP HTTP session opened: ${sessionId} (${this.sessions.size} active)`);
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  async close() {
+    await Promise.all(Array.from(this.sessions.values(), ({ server }) => server.close().catch(() => {})));
+    this.sessions.clear();
+    return new Promise(resolve => this.httpServer.close(() => resolve()));
+  }
+}
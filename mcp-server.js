@@ -10,14 +10,41 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createSocket } from 'dgram';
+import { decodePacket, encodeBundle, encodeMessage, formatArgs, formatTimetag, inferTypeTags, parseTypeTags } from './osc-codec.js';
+import { OSCTCPServer } from './osc-tcp-transport.js';
+import { EnhancedOSCManager, isLocalAddress } from './enhanced-osc-manager.js';
+import { DestinationRegistry } from './destination-registry.js';
+import { createAddressFilter } from './osc-address-pattern.js';
+import { OSCMessageLog } from './osc-message-log.js';
+import { OSCQueryClient, flattenNamespace, nodeToPattern } from './oscquery-client.js';
+import { convertToParameterUnit, parseValueWithUnit, rankParameterCandidates } from './osc-parameter-resolver.js';
+import { PARAMETER_TYPES, findMatchingPattern, formatValidationReport, normalizeRangePolicy, validateArgsAgainstPattern } from './osc-pattern-validator.js';
+import { PROMPTS, buildPrompt } from './osc-prompts.js';
+import { MCPHttpTransport } from './mcp-http-transport.js';
+import { OSCAttentionInbox, parseAttentionPatterns } from './osc-attention-inbox.js';
+import { OSCCommandQueue } from './osc-command-queue.js';
+import { TransportClock, parseNoteValue } from './osc-transport-clock.js';
+import { StepSequencer } from './osc-step-sequencer.js';
+import { SceneController, SceneStore } from './osc-scenes.js';
+import { CURVES, EASINGS, RampEngine } from './osc-ramp-engine.js';
+import { MODULATOR_PARAMETERS, SHAPES, ModulationMatrix } from './osc-modulation-matrix.js';
+import { StreamScheduler, monotonicMs } from './osc-stream-scheduler.js';
+import { RuleStore, RulesEngine, TRANSFORM_TYPES } from './osc-rules-engine.js';
 
 // Conditional WebSocket import
 let OSCWebSocketController = null;
@@ -29,6 +56,14 @@ try {
   console.error('💡 Install ws package: npm install ws');
 }
 
+// Conditional OSCQuery server import (its LISTEN WebSocket needs ws too)
+let OSCQueryServer = null;
+try {
+  ({ OSCQueryServer } = await import('./oscquery-server.js'));
+} catch (error) {
+  console.error('⚠️  OSCQuery server not available:', error.message);
+}
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Set process title to avoid MaxMSP conflicts
@@ -39,54 +74,142 @@ const CONFIG = {
   OSC_SEND_PORT: parseInt(process.env.OSC_SEND_PORT || '9500'),
   OSC_RECEIVE_PORT: parseInt(process.env.OSC_RECEIVE_PORT || '9501'),
   OSC_HOST: process.env.OSC_HOST || process.env.DEFAULT_OSC_HOST || '127.0.0.1',
+  // OSC over TCP: receive port 0 disables the TCP listener; framing is 'slip' (OSC 1.1) or 'length-prefix' (OSC 1.0)
+  OSC_TCP_RECEIVE_PORT: parseInt(process.env.OSC_TCP_RECEIVE_PORT || '0'),
+  OSC_TCP_FRAMING: process.env.OSC_TCP_FRAMING || 'slip',
+  // OSCQuery server publishing patterns and live parameters; 0 disables it
+  OSCQUERY_PORT: parseInt(process.env.OSCQUERY_PORT || '0'),
+  // Sends to addresses with a saved pattern: out-of-range values are 'clamp'ed, 'reject'ed or sent with a 'warn'ing
+  OSC_RANGE_POLICY: process.env.OSC_RANGE_POLICY || 'clamp',
+  // MCP over HTTP (SSE) so several clients can share this instance; 0 disables it.
+  // MCP_STDIO=false runs HTTP-only, e.g. when the service manager hosts the server
+  MCP_HTTP_PORT: parseInt(process.env.MCP_HTTP_PORT || '0'),
+  MCP_HTTP_HOST: process.env.MCP_HTTP_HOST || '127.0.0.1',
+  MCP_STDIO: process.env.MCP_STDIO !== 'false',
+  // Inbound addresses queued for Claude (comma-separated substrings or OSC patterns), and whether each new
+  // request is also pushed to clients as a logging notification
+  OSC_ATTENTION_PATTERNS: parseAttentionPatterns(process.env.OSC_ATTENTION_PATTERNS),
+  OSC_ATTENTION_NOTIFY: process.env.OSC_ATTENTION_NOTIFY !== 'false',
+  // Musical transport clock; set TRANSPORT_OSC_PREFIX (e.g. /mcp2osc/transport) to control it with inbound
+  // <prefix>/play, /stop, /locate, /tempo, /swing, /signature. Off by default: /transport belongs to the apps
+  TRANSPORT_BPM: parseFloat(process.env.TRANSPORT_BPM || '120'),
+  TRANSPORT_OSC_PREFIX: process.env.TRANSPORT_OSC_PREFIX || '',
+  // Inbound bundles with future timetags are held until due, dispatched OSC_BUNDLE_LATENCY_MS early to
+  // compensate for downstream latency; timetags further out than OSC_BUNDLE_MAX_HOLD_MS (0 = never hold) run at once
+  OSC_BUNDLE_LATENCY_MS: parseInt(process.env.OSC_BUNDLE_LATENCY_MS || '0'),
+  OSC_BUNDLE_MAX_HOLD_MS: parseInt(process.env.OSC_BUNDLE_MAX_HOLD_MS || '60000'),
+  // Cue list control: set CUE_OSC_PREFIX (e.g. /mcp2osc/cue) to accept inbound <prefix>/go, /back, /goto,
+  // /recall, /stop. Off by default: /cue is QLab's and Eos's namespace
+  CUE_OSC_PREFIX: process.env.CUE_OSC_PREFIX || '',
   PATTERNS_FILE: path.join(__dirname, 'extracted-osc-patterns.json'),
+  DESTINATIONS_FILE: path.join(__dirname, 'osc-destinations.json'),
+  SCENES_FILE: path.join(__dirname, 'osc-scenes.json'),
+  RULES_FILE: path.join(__dirname, 'osc-rules.json'),
   LOG_FILE: path.join(__dirname, 'logs', 'mcp2osc.log'),
-  OSC_MESSAGES_FILE: path.join(__dirname, 'logs', 'osc-messages.json'),
-  // Enhanced logging configuration
+  // Enhanced logging configuration: append-only JSONL segments, MAX_OSC_MESSAGES caps a single read
   MAX_OSC_MESSAGES: parseInt(process.env.MAX_OSC_MESSAGES || '1000'),
   OSC_LOG_ROTATION: process.env.OSC_LOG_ROTATION === 'true' || process.env.OSC_LOG_ROTATION === 'daily',
+  OSC_LOG_SEGMENT_BYTES: parseInt(process.env.OSC_LOG_SEGMENT_BYTES || String(1024 * 1024)),
+  OSC_LOG_MAX_BYTES: parseInt(process.env.OSC_LOG_MAX_BYTES || String(8 * 1024 * 1024)),
   // MaxMSP compatibility settings
   SOCKET_REUSE: true,
   GRACEFUL_MAXMSP: true,
   ATOMIC_WRITES: true
 };
 
+// MCP resources; osc://patterns/{application} is also listed once per application
+const RESOURCE_URIS = {
+  PATTERNS: 'osc://patterns',
+  RECENT_MESSAGES: 'osc://messages/recent',
+  PENDING_REQUESTS: 'osc://requests/pending',
+  DESTINATIONS: 'osc://destinations'
+};
+const RECENT_MESSAGES_RESOURCE_LIMIT = 50;
+// Incoming OSC can arrive at audio rates, so updated notifications are coalesced per URI
+const RESOURCE_UPDATE_DEBOUNCE_MS = 250;
+
 class MaxMSPCompatibleMCPServer {
   constructor() {
-    this.server = new Server(
-      {
-        name: 'mcp2osc-maxmsp-compatible',
-        version: '1.0.0',
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
-    );
+    this.server = this.createMCPServer(); // stdio client
+    this.mcpHttpTransport = null;
+    this.connectedServers = new Set(); // stdio and HTTP session servers, for broadcasts
 
     this.oscSendSocket = null;
     this.oscReceiveSocket = null;
+    this.oscTCPServer = null;
+    this.oscManager = new EnhancedOSCManager({
+      reuseAddr: CONFIG.SOCKET_REUSE,
+      framing: CONFIG.OSC_TCP_FRAMING,
+      // Replies on outbound TCP connections are treated like any other inbound packet
+      onPacket: (packet, rinfo) => this.handleOSCPacket(packet, rinfo)
+    });
+    this.destinations = new DestinationRegistry(CONFIG.DESTINATIONS_FILE, {
+      host: CONFIG.OSC_HOST,
+      port: CONFIG.OSC_SEND_PORT
+    });
+    // One loop for ramps, scene crossfades, modulation and WebSocket parameter streams;
+    // each tick sends one packet per destination
+    this.streamScheduler = new StreamScheduler({ send: (destination, messages) => this.sendStreamMessages(destination, messages) });
+    // Inbound-to-outbound mapping rules, shared with the dashboard via osc-rules.json
+    this.rules = new RulesEngine({ store: new RuleStore(CONFIG.RULES_FILE), destinations: this.destinations });
+    this.scenes = new SceneController({
+      store: new SceneStore(CONFIG.SCENES_FILE),
+      destinations: this.destinations,
+      readState: async () => ({
+        patterns: (await this.loadPatterns()).patterns,
+        messages: await this.messageLog.tail(CONFIG.MAX_OSC_MESSAGES, message => message.direction === 'outbound'),
+        liveParameters: this.webSocketController ? Array.from(this.webSocketController.liveParameters.values()) : []
+      }),
+      send: ({ address, args, typeTags, target }) => this.sendPreparedOSCMessage({ address, ...target, oscArgs: args, typeTags, validation: {} }),
+      scheduler: this.streamScheduler
+    });
+    this.ramps = new RampEngine({
+      resolve: (destination) => this.destinations.resolve(destination),
+      getCurrentValue: (address) => this.currentValues.get(address),
+      scheduler: this.streamScheduler
+    });
     this.isShuttingDown = false;
-    this.fileWriteQueue = new Map(); // Prevent concurrent file writes
+    this.pendingReplies = new Set(); // query_osc waiters for inbound replies
+    this.oscQueryClients = new Map(); // host:port -> OSCQueryClient with active LISTEN subscriptions
+    this.oscQueryServer = null;
+    this.currentValues = new Map(); // address -> last sent or received args
+    this.patternsCache = null; // Parsed patterns file, valid while its mtime is unchanged
+    this.patternsCacheMtime = 0;
+    this.messageLog = new OSCMessageLog({
+      logsDir: path.join(__dirname, 'logs'),
+      rotation: CONFIG.OSC_LOG_ROTATION,
+      segmentBytes: CONFIG.OSC_LOG_SEGMENT_BYTES,
+      maxBytes: CONFIG.OSC_LOG_MAX_BYTES
+    });
+    this.attentionInbox = new OSCAttentionInbox({
+      logsDir: path.join(__dirname, 'logs'),
+      patterns: CONFIG.OSC_ATTENTION_PATTERNS
+    });
+    this.scheduler = new OSCCommandQueue({
+      // Scheduled commands carry a prepared message: validation already happened at schedule time
+      execute: (command) => this.sendPreparedOSCMessage(command.message)
+    });
+    this.bundleQueue = new OSCCommandQueue({
+      // Held elements of inbound timed bundles, dispatched like freshly received messages
+      execute: ({ message, rinfo, bundle }) => this.handleOSCMessage(message, rinfo, encodeMessage(message.address, message.args, message.typeTags), bundle)
+    });
+    this.transport = new TransportClock({ scheduler: this.scheduler, bpm: CONFIG.TRANSPORT_BPM });
+    this.sequencer = new StepSequencer({
+      clock: this.transport,
+      prepare: (message) => this.prepareOSCMessage(message),
+      getPatterns: async () => (await this.loadPatterns()).patterns
+    });
+    // Tempo-synced modulators follow the transport; routed outputs run on the stream scheduler
+    this.modulation = new ModulationMatrix({ getClock: () => this.transport });
+    this.modulationRate = 60; // Hz at which routed modulator values are sent
     this.webSocketController = null; // WebSocket real-time controller
+    this.resourceSubscriptions = new Map(); // MCP Server -> Set of resource URIs its client subscribed to
+    this.resourceUpdateTimers = new Map(); // uri -> pending debounced notification
+    this.patternApplications = null; // Applications listed as resources, to detect list changes
     
-    this.setupToolHandlers();
     console.error('🚀 MaxMSP-Compatible MCP Server initialized');
     console.error(`🔧 OSC Configuration: ${CONFIG.OSC_HOST}:${CONFIG.OSC_SEND_PORT} (send) / ${CONFIG.OSC_HOST}:${CONFIG.OSC_RECEIVE_PORT} (receive)`);
-    console.error(`📊 OSC Logging: Max ${CONFIG.MAX_OSC_MESSAGES} messages, Rotation: ${CONFIG.OSC_LOG_ROTATION ? 'Daily' : 'Single file'}`);
-  }
-
-  // Add utility method for date-based file naming
-  getOSCLogFileName() {
-    if (CONFIG.OSC_LOG_ROTATION) {
-      const today = new Date();
-      const dateStr = today.getFullYear() + '-' + 
-                      String(today.getMonth() + 1).padStart(2, '0') + '-' + 
-                      String(today.getDate()).padStart(2, '0');
-      return path.join(__dirname, 'logs', `osc-messages-${dateStr}.json`);
-    }
-    return CONFIG.OSC_MESSAGES_FILE;
+    console.error(`📊 OSC Logging: JSONL segments of ${CONFIG.OSC_LOG_SEGMENT_BYTES} bytes, compacted at ${CONFIG.OSC_LOG_MAX_BYTES} bytes, Rotation: ${CONFIG.OSC_LOG_ROTATION ? 'Daily' : 'Single file'}`);
   }
 
   async setupOSCReceiver() {
@@ -97,19 +220,7 @@ class MaxMSPCompatibleMCPServer {
         reuseAddr: CONFIG.SOCKET_REUSE 
       });
       
-      this.oscReceiveSocket.on('message', async (msg, rinfo) => {
-        try {
-          // Check if this is an OSC bundle or single message
-          if (this.isOSCBundle(msg)) {
-            await this.handleOSCBundle(msg, rinfo);
-          } else {
-            await this.handleOSCMessage(msg, rinfo);
-          }
-          
-        } catch (error) {
-          console.error('Error processing OSC data:', error.message);
-        }
-      });
+      this.oscReceiveSocket.on('message', (msg, rinfo) => this.handleOSCPacket(msg, rinfo));
       
       this.oscReceiveSocket.on('error', (error) => {
         if (!this.isShuttingDown) {
@@ -135,78 +246,69 @@ class MaxMSPCompatibleMCPServer {
       console.error('❌ Failed to setup OSC receiver:', error.message);
       // Continue without receiver - don't block MCP functionality
     }
+    
+    if (CONFIG.OSC_TCP_RECEIVE_PORT) {
+      await this.setupOSCTCPReceiver();
+    }
   }
 
-  parseOSCAddress(buffer) {
+  async setupOSCTCPReceiver() {
     try {
-      const nullIndex = buffer.indexOf(0);
-      return nullIndex > 0 ? buffer.slice(0, nullIndex).toString('utf8') : '/unknown';
+      this.oscTCPServer = new OSCTCPServer(
+        CONFIG.OSC_TCP_RECEIVE_PORT,
+        CONFIG.OSC_HOST,
+        CONFIG.OSC_TCP_FRAMING,
+        (packet, rinfo) => this.handleOSCPacket(packet, rinfo)
+      );
+      await this.oscTCPServer.listen();
+      console.error(`📡 OSC TCP receiver listening on ${CONFIG.OSC_HOST}:${CONFIG.OSC_TCP_RECEIVE_PORT} (${CONFIG.OSC_TCP_FRAMING})`);
     } catch (error) {
-      return '/parse-error';
+      console.error(`❌ Failed to setup OSC TCP receiver: ${error.message}`);
+      this.oscTCPServer = null;
     }
   }
 
-  // OSC Bundle Detection and Handling
-  isOSCBundle(buffer) {
-    // OSC bundles start with "#bundle" (8 bytes)
-    const bundleHeader = Buffer.from('#bundle\0');
-    return buffer.length >= 8 && buffer.subarray(0, 8).equals(bundleHeader);
+  async handleOSCPacket(msg, rinfo) {
+    try {
+      // Check if this is an OSC bundle or single message
+      const packet = decodePacket(msg);
+      if (packet.type === 'bundle') {
+        await this.handleOSCBundle(packet, rinfo);
+      } else {
+        await this.handleOSCMessage(packet, rinfo, msg);
+      }
+      
+    } catch (error) {
+      console.error('Error processing OSC data:', error.message);
+    }
   }
 
-  async handleOSCBundle(buffer, rinfo) {
+  async handleOSCBundle(bundle, rinfo) {
     try {
       console.error(`📦 OSC Bundle received from ${rinfo.address}:${rinfo.port}`);
+      console.error(`📦 Bundle timetag: ${formatTimetag(bundle)}`);
       
-      // Parse bundle header
-      let offset = 8; // Skip "#bundle" header
-      
-      // Read timetag (8 bytes)
-      if (offset + 8 > buffer.length) {
-        throw new Error('Invalid bundle: insufficient data for timetag');
-      }
-      
-      const timetag = this.parseOSCTimetag(buffer.subarray(offset, offset + 8));
-      offset += 8;
-      
-      console.error(`📦 Bundle timetag: ${timetag.toISOString()}`);
+      const now = Date.now();
+      const elements = bundle.elements.map(element => ({ type: element.type, size: element.size }));
+      let held = 0;
+      let late = 0;
       
-      // Parse bundle elements
-      const elements = [];
-      let elementCount = 0;
-      
-      while (offset < buffer.length && elementCount < 100) { // Safety limit
-        // Read element size (4 bytes)
-        if (offset + 4 > buffer.length) {
-          break; // End of bundle
-        }
-        
-        const elementSize = buffer.readUInt32BE(offset);
-        offset += 4;
-        
-        if (elementSize === 0 || offset + elementSize > buffer.length) {
-          console.warn(`Invalid element size ${elementSize} at offset ${offset}`);
-          break;
-        }
+      // Messages of one bundle share a dispatch time and keep their order in the queue
+      for (const { message, dueAt } of this.timedBundleMessages(bundle)) {
+        const dispatchAt = dueAt === null ? null : dueAt - CONFIG.OSC_BUNDLE_LATENCY_MS;
+        const bundleInfo = { timetag: dueAt === null ? 'immediate' : new Date(dueAt).toISOString() };
         
-        // Extract element data
-        const elementData = buffer.subarray(offset, offset + elementSize);
-        offset += elementSize;
-        
-        // Process element (could be message or nested bundle)
-        if (this.isOSCBundle(elementData)) {
-          // Nested bundle - recursively handle
-          await this.handleOSCBundle(elementData, rinfo);
-        } else {
-          // OSC message
-          await this.handleOSCMessage(elementData, rinfo);
+        if (dispatchAt !== null && dispatchAt > now && CONFIG.OSC_BUNDLE_MAX_HOLD_MS > 0) {
+          if (dispatchAt - now <= CONFIG.OSC_BUNDLE_MAX_HOLD_MS) {
+            this.bundleQueue.scheduleCommand({ message, rinfo, bundle: { ...bundleInfo, heldMs: dispatchAt - now } }, dispatchAt);
+            held++;
+            continue;
+          }
+          console.error(`⚠️ Bundle timetag ${bundleInfo.timetag} is more than ${CONFIG.OSC_BUNDLE_MAX_HOLD_MS}ms ahead (sender clock?); dispatching ${message.address} now`);
+        } else if (dueAt !== null && dueAt < now) {
+          late++;
         }
-        
-        elements.push({
-          type: this.isOSCBundle(elementData) ? 'bundle' : 'message',
-          size: elementSize
-        });
-        
-        elementCount++;
+        await this.handleOSCMessage(message, rinfo, encodeMessage(message.address, message.args, message.typeTags), bundleInfo);
       }
       
       // Log bundle information
@@ -214,18 +316,20 @@ class MaxMSPCompatibleMCPServer {
         timestamp: new Date().toISOString(),
         address: '#bundle',
         args: {
-          bundleTimetag: timetag.toISOString(),
+          bundleTimetag: formatTimetag(bundle),
           elementCount: elements.length,
-          elements: elements
+          elements: elements,
+          held,
+          late
         },
         source: { address: rinfo.address, port: rinfo.port },
         direction: 'inbound',
         type: 'bundle'
       };
       
-      await this.atomicWriteOSCMessage(bundleInfo);
+      await this.appendOSCMessage(bundleInfo);
       
-      console.error(`📦 Processed OSC bundle with ${elements.length} elements`);
+      console.error(`📦 Processed OSC bundle with ${elements.length} elements${held > 0 ? `, ${held} message(s) held until their timetag` : ''}${late > 0 ? `, ${late} late` : ''}`);
       
     } catch (error) {
       console.error('Error processing OSC bundle:', error.message);
@@ -240,178 +344,183 @@ class MaxMSPCompatibleMCPServer {
         type: 'bundle_error'
       };
       
-      await this.atomicWriteOSCMessage(errorInfo);
+      await this.appendOSCMessage(errorInfo);
     }
   }
 
-  async handleOSCMessage(buffer, rinfo) {
+  // Flatten a bundle into messages with their due time (epoch ms, null = immediate).
+  // A nested bundle marked immediate inherits the time of the bundle around it.
+  timedBundleMessages(bundle, parentDueAt = null) {
+    const dueAt = bundle.immediate ? parentDueAt : bundle.timetag.getTime();
+    return bundle.elements.flatMap(element => element.type === 'bundle'
+      ? this.timedBundleMessages(element, dueAt)
+      : [{ message: element, dueAt }]);
+  }
+
+  async handleOSCMessage(message, rinfo, raw, bundle = null) {
     try {
-      const address = this.parseOSCAddress(buffer);
-      const args = this.parseOSCArgs(buffer);
+      const { address, args, typeTags } = message;
+      
+      console.error(`📥 OSC received: ${address} [${formatArgs(args)}] from ${rinfo.address}:${rinfo.port}`);
       
-      console.error(`📥 OSC received: ${address} [${args.join(', ')}] from ${rinfo.address}:${rinfo.port}`);
+      this.resolvePendingReplies(message, rinfo);
       
       // Store inbound message with direction
       const inboundMessage = {
         timestamp: new Date().toISOString(),
         address,
         args,
+        typeTags,
         source: { address: rinfo.address, port: rinfo.port },
         direction: 'inbound',
-        raw: buffer.toString('hex'),
-        type: 'message'
+        raw: raw.toString('hex'),
+        type: 'message',
+        ...(bundle ? { bundle } : {})
       };
       
-      await this.atomicWriteOSCMessage(inboundMessage);
+      await this.appendOSCMessage(inboundMessage);
+      
+      this.handleTransportOSC(address, args);
+      await this.handleCueOSC(address, args);
+      // Rule output sent back to our own receiver is logged but not run through the rules again
+      if (!this.oscManager.isOwnSender(rinfo.address, rinfo.port)) {
+        await this.applyOSCRules(message, rinfo);
+      }
+      
+      if (this.attentionInbox.matches(address)) {
+        await this.queueAttentionRequest(inboundMessage);
+      }
       
     } catch (error) {
       console.error('Error processing OSC message:', error.message);
     }
   }
 
-  parseOSCTimetag(buffer) {
-    // OSC timetag is 8 bytes: 4 bytes seconds since 1900, 4 bytes fractional seconds
-    const seconds = buffer.readUInt32BE(0);
-    const fraction = buffer.readUInt32BE(4);
-    
-    // Convert from NTP epoch (1900) to Unix epoch (1970)
-    const SECONDS_FROM_1900_TO_1970 = 2208988800;
-    const unixSeconds = seconds - SECONDS_FROM_1900_TO_1970;
-    
-    // Convert fraction to milliseconds
-    const milliseconds = Math.round((fraction / 0xFFFFFFFF) * 1000);
+  // A performer asked Claude for something: queue it and tell connected clients
+  async queueAttentionRequest(message) {
+    const request = await this.attentionInbox.add(message);
+    console.error(`🙋 Queued OSC request ${request.id}: ${request.address} (${request.intent})`);
     
-    // Create JavaScript Date
-    return new Date(unixSeconds * 1000 + milliseconds);
+    this.notifyResourceUpdated(RESOURCE_URIS.PENDING_REQUESTS);
+    if (CONFIG.OSC_ATTENTION_NOTIFY) {
+      this.connectedServers.forEach(server => {
+        server.sendLoggingMessage({
+          level: 'notice',
+          logger: 'osc-attention',
+          data: { message: `OSC request ${request.id} from ${request.source.address}:${request.source.port}: ${request.intent}. Use get_pending_osc_requests, then ack_osc_request.`, request }
+        }).catch(error => {
+          console.error(`Failed to send attention notification: ${error.message}`);
+        });
+      });
+    }
+    return request;
   }
 
-  parseOSCArgs(buffer) {
-    try {
-      // Proper OSC argument parsing
-      let offset = 0;
-      
-      // Skip address (null-terminated string)
-      while (offset < buffer.length && buffer[offset] !== 0) {
-        offset++;
-      }
-      offset++; // Skip null terminator
-      while (offset % 4 !== 0 && offset < buffer.length) offset++; // Skip padding
-      
-      if (offset >= buffer.length) return [];
-      
-      // Read type tag string if it exists
-      let typeTag = '';
-      if (buffer[offset] === 44) { // ',' character starts type tag
-        offset++; // Skip comma
-        while (offset < buffer.length && buffer[offset] !== 0) {
-          typeTag += String.fromCharCode(buffer[offset]);
-          offset++;
-        }
-        offset++; // Skip null terminator
-        while (offset % 4 !== 0 && offset < buffer.length) offset++; // Skip padding
-      }
-      
-      // Parse arguments based on type tags
-      const args = [];
-      for (let i = 0; i < typeTag.length; i++) {
-        const type = typeTag[i];
-        
-        if (offset + 4 > buffer.length) break;
-        
-        switch (type) {
-          case 'i': // 32-bit integer
-            args.push(buffer.readInt32BE(offset));
-            offset += 4;
-            break;
-          case 'f': // 32-bit float
-            args.push(buffer.readFloatBE(offset));
-            offset += 4;
-            break;
-          case 's': // String
-            let str = '';
-            while (offset < buffer.length && buffer[offset] !== 0) {
-              str += String.fromCharCode(buffer[offset]);
-              offset++;
-            }
-            args.push(str);
-            offset++; // Skip null terminator
-            while (offset % 4 !== 0 && offset < buffer.length) offset++; // Skip padding
-            break;
-          case 'T': // True
-            args.push(true);
-            break;
-          case 'F': // False
-            args.push(false);
-            break;
-          case 'N': // Null
-            args.push(null);
-            break;
-          default:
-            // Skip unknown type
-            offset += 4;
+  // Register a waiter for the first inbound message matching the reply address pattern and/or source
+  waitForOSCReply({ replyAddress, replySource, timeoutMs }) {
+    const matchesAddress = createAddressFilter(replyAddress);
+    const [sourceHost, sourcePort] = replySource ? replySource.split(':') : [];
+    let waiter;
+
+    const promise = new Promise((resolve) => {
+      waiter = {
+        matches: (message, rinfo) =>
+          matchesAddress(message.address) &&
+          (!sourceHost || rinfo.address.replace(/^::ffff:/, '') === sourceHost) &&
+          (!sourcePort || rinfo.port === parseInt(sourcePort)),
+        resolve: (reply) => {
+          clearTimeout(waiter.timer);
+          this.pendingReplies.delete(waiter);
+          resolve(reply);
         }
+      };
+      waiter.timer = setTimeout(() => waiter.resolve(null), timeoutMs);
+      this.pendingReplies.add(waiter);
+    });
+
+    return { promise, cancel: () => waiter.resolve(null) };
+  }
+
+  resolvePendingReplies(message, rinfo) {
+    for (const waiter of this.pendingReplies) {
+      if (waiter.matches(message, rinfo)) {
+        waiter.resolve({ ...message, source: { address: rinfo.address, port: rinfo.port, transport: rinfo.transport || 'UDP' } });
       }
-      
-      return args;
-    } catch (error) {
-      console.error('OSC parsing error:', error.message);
-      return [];
     }
   }
 
-  async atomicWriteOSCMessage(message) {
-    const fileName = this.getOSCLogFileName();
-    
-    // Prevent concurrent writes to same file
-    if (this.fileWriteQueue.has(fileName)) {
-      await this.fileWriteQueue.get(fileName);
+  // O(1) append to the JSONL message log; rotation and compaction happen inside the log
+  async appendOSCMessage(message) {
+    // Every logged message value becomes the current value of its OSCQuery node
+    if (Array.isArray(message.args) && message.address.startsWith('/')) {
+      this.publishOSCValue(message.address, message.args);
     }
     
-    const writePromise = this._performAtomicWrite(fileName, message);
-    this.fileWriteQueue.set(fileName, writePromise);
-    
     try {
-      await writePromise;
-    } finally {
-      this.fileWriteQueue.delete(fileName);
+      await this.messageLog.append(message);
+      this.notifyResourceUpdated(RESOURCE_URIS.RECENT_MESSAGES);
+    } catch (error) {
+      console.error(`Failed to log OSC message: ${error.message}`);
     }
   }
 
-  async _performAtomicWrite(fileName, newMessage) {
+  publishOSCValue(address, args) {
+    this.currentValues.set(address, args);
+    if (this.oscQueryServer) {
+      this.oscQueryServer.notifyValue(address, args);
+    }
+  }
+
+  async setupOSCQueryServer() {
+    if (!OSCQueryServer) {
+      console.error(`⚠️  OSCQuery server disabled on port ${CONFIG.OSCQUERY_PORT}: install ws with npm install ws`);
+      return;
+    }
     try {
-      // Ensure directory exists
-      await fs.mkdir(path.dirname(fileName), { recursive: true });
-      
-      // Read existing messages
-      let messages = [];
-      try {
-        const content = await fs.readFile(fileName, 'utf8');
-        messages = JSON.parse(content);
-      } catch (error) {
-        // File doesn't exist or is empty
-      }
-      
-      // Add new message
-      messages.push(newMessage);
-      
-      // Keep only last N messages (configurable)
-      if (messages.length > CONFIG.MAX_OSC_MESSAGES) {
-        messages = messages.slice(-CONFIG.MAX_OSC_MESSAGES);
-      }
-      
-      // Atomic write: temp file + rename
-      const tempFile = fileName + '.tmp';
-      await fs.writeFile(tempFile, JSON.stringify(messages, null, 2));
-      await fs.rename(tempFile, fileName);
-      
+      this.oscQueryServer = new OSCQueryServer(CONFIG.OSCQUERY_PORT, CONFIG.OSC_HOST, {
+        name: 'MCP2OSC',
+        oscPort: CONFIG.OSC_RECEIVE_PORT,
+        getPatterns: async () => (await this.loadPatterns()).patterns,
+        getLiveParameters: () => this.webSocketController
+          ? Array.from(this.webSocketController.liveParameters, ([id, parameter]) => ({ id, ...parameter }))
+          : [],
+        // Controllers driving the namespace over the WebSocket are handled like any inbound OSC
+        onPacket: (packet, rinfo) => this.handleOSCPacket(packet, rinfo)
+      });
+      await this.oscQueryServer.listen();
+      console.error(`🔎 OSCQuery server on http://${CONFIG.OSC_HOST}:${CONFIG.OSCQUERY_PORT}`);
     } catch (error) {
-      console.error(`Failed atomic write to ${fileName}:`, error.message);
+      console.error(`❌ Failed to setup OSCQuery server: ${error.message}`);
+      this.oscQueryServer = null;
     }
   }
 
-  setupToolHandlers() {
+  // One MCP Server per client connection; all of them share this instance's OSC state
+  createMCPServer() {
+    const server = new Server(
+      {
+        name: 'mcp2osc-maxmsp-compatible',
+        version: '1.0.0',
+      },
+      {
+        capabilities: {
+          tools: {},
+          resources: { subscribe: true, listChanged: true },
+          prompts: {},
+          logging: {},
+        },
+      }
+    );
+    
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+    return server;
+  }
+
+  setupToolHandlers(server) {
     // Register tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       console.error('📋 Claude requesting MaxMSP-compatible tool list...');
       
       return {
@@ -424,19 +533,67 @@ class MaxMSPCompatibleMCPServer {
               properties: {
                 address: { type: 'string', description: 'OSC address (must start with /)' },
                 args: { type: 'array', default: [], description: 'Arguments to send' },
+                type_tags: { type: 'string', description: 'Optional OSC type tag string (e.g., "ifdb"); inferred from args when omitted. Blobs accept base64 strings or byte arrays' },
+                destination: { type: 'string', description: 'Named destination from the registry (e.g. "td-visuals"); overrides host, port and transport' },
+                host: { type: 'string', default: '127.0.0.1', description: 'Target host' },
+                port: { type: 'number', default: 9500, description: 'Target port' },
+                transport_protocol: { type: 'string', enum: ['UDP', 'TCP'], default: 'UDP', description: 'Transport protocol' },
+                tcp_framing: { type: 'string', enum: ['slip', 'length-prefix'], default: 'slip', description: 'TCP stream framing: slip (OSC 1.1) or length-prefix (OSC 1.0)' },
+                validate: { type: 'boolean', default: true, description: 'Check args against the saved pattern for this address (coerce types, fill defaults, apply range policy)' },
+                range_policy: { type: 'string', enum: ['clamp', 'reject', 'warn'], description: 'How to treat out-of-range values; defaults to OSC_RANGE_POLICY (clamp)' }
+              },
+              required: ['address']
+            }
+          },
+          {
+            name: 'query_osc',
+            description: 'Send an OSC message and wait for the first matching reply (e.g. ask MaxMSP for the current cutoff). Returns the decoded reply or reports a timeout.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                address: { type: 'string', description: 'OSC address of the query (must start with /)' },
+                args: { type: 'array', default: [], description: 'Arguments to send' },
+                type_tags: { type: 'string', description: 'Optional OSC type tag string; inferred from args when omitted' },
+                reply_address: { type: 'string', description: 'OSC address pattern the reply must match (e.g. "/filter/cutoff", "/reply/*"); any address when omitted' },
+                reply_source: { type: 'string', description: 'Only accept replies from this "host" or "host:port"' },
+                timeout_ms: { type: 'number', default: 1000, description: 'How long to wait for the reply (max 30000)' },
+                destination: { type: 'string', description: 'Named destination from the registry; overrides host, port and transport' },
                 host: { type: 'string', default: '127.0.0.1', description: 'Target host' },
-                port: { type: 'number', default: 9500, description: 'Target port' }
+                port: { type: 'number', default: 9500, description: 'Target port' },
+                transport_protocol: { type: 'string', enum: ['UDP', 'TCP'], default: 'UDP', description: 'Transport protocol; TCP replies on the same connection are matched too' },
+                tcp_framing: { type: 'string', enum: ['slip', 'length-prefix'], default: 'slip', description: 'TCP stream framing: slip (OSC 1.1) or length-prefix (OSC 1.0)' },
+                validate: { type: 'boolean', default: true, description: 'Check args against the saved pattern for this address (coerce types, fill defaults, apply range policy)' },
+                range_policy: { type: 'string', enum: ['clamp', 'reject', 'warn'], description: 'How to treat out-of-range values; defaults to OSC_RANGE_POLICY (clamp)' }
               },
               required: ['address']
             }
           },
+          {
+            name: 'set_osc_parameter',
+            description: 'Set a parameter by name instead of OSC address, e.g. parameter "MaxMSP oscillator frequency" with value "440 Hz". Resolves through saved patterns (application, parameter names, tags, description, unit), converts units (Hz/kHz, ms/s, dB, %, cents/semitones) and sends a correctly typed message',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                parameter: { type: 'string', description: 'Natural key: application and/or parameter name or tag (e.g. "filter cutoff", "TouchDesigner bloom amount")' },
+                value: { type: ['string', 'number', 'boolean'], description: 'Value with optional unit: 440, "440 Hz", "2 kHz", "-6 dB", "50%", "250 ms", "play"' },
+                application: { type: 'string', description: 'Only consider patterns of this application' },
+                destination: { type: 'string', description: 'Named destination from the registry; overrides host, port and transport' },
+                host: { type: 'string', default: '127.0.0.1', description: 'Target host' },
+                port: { type: 'number', default: 9500, description: 'Target port' },
+                transport_protocol: { type: 'string', enum: ['UDP', 'TCP'], default: 'UDP', description: 'Transport protocol' },
+                tcp_framing: { type: 'string', enum: ['slip', 'length-prefix'], default: 'slip', description: 'TCP stream framing: slip (OSC 1.1) or length-prefix (OSC 1.0)' },
+                range_policy: { type: 'string', enum: ['clamp', 'reject', 'warn'], description: 'How to treat out-of-range values; defaults to OSC_RANGE_POLICY (clamp)' }
+              },
+              required: ['parameter', 'value']
+            }
+          },
           {
             name: 'get_received_osc_messages',
             description: 'Get OSC messages received from MaxMSP and other applications with direction filtering.',
             inputSchema: {
               type: 'object',
               properties: {
-                addressPattern: { type: 'string', description: 'Filter by address pattern' },
+                addressPattern: { type: 'string', description: 'Filter by OSC address pattern (e.g. "/synth/*", "/osc[1-3]/{freq,gain}", "//cutoff"); text without a leading "/" is a substring search' },
                 limit: { type: 'number', default: 50 }
               }
             }
@@ -481,7 +638,7 @@ class MaxMSPCompatibleMCPServer {
                       type: { 
                         type: 'string', 
                         description: 'Parameter data type',
-                        enum: ['integer', 'float', 'string', 'boolean', 'blob']
+                        enum: PARAMETER_TYPES
                       },
                       range: {
                         type: 'object',
@@ -558,7 +715,7 @@ class MaxMSPCompatibleMCPServer {
           },
           {
             name: 'websocket_osc_control',
-            description: 'Real-time OSC parameter control via WebSocket. Enables live parameter streaming and real-time control.',
+            description: 'Real-time OSC parameter control via WebSocket. Enables live parameter streaming and real-time control. get_status reports requested vs achieved update rate per stream.',
             inputSchema: {
               type: 'object',
               properties: {
@@ -580,7 +737,7 @@ class MaxMSPCompatibleMCPServer {
                   description: 'Stream configuration (for start_stream action)',
                   properties: {
                     oscAddress: { type: 'string', description: 'OSC address to stream to' },
-                    destination: { type: 'string', description: 'Destination host:port', default: 'default' },
+                    destination: { type: 'string', description: 'Named destination or host:port', default: 'default' },
                     updateRate: { type: 'number', description: 'Updates per second (Hz)', default: 60 },
                     valueFunction: { 
                       type: 'string', 
@@ -596,6 +753,7 @@ class MaxMSPCompatibleMCPServer {
                       description: 'Value range [min, max]',
                       default: [0, 1]
                     },
+                    frequency: { type: 'number', description: 'Cycles per second of sine and linear when there is no duration', default: 1 },
                     duration: { type: 'number', description: 'Stream duration in milliseconds (null for infinite)' }
                   }
                 }
@@ -609,6 +767,10 @@ class MaxMSPCompatibleMCPServer {
             inputSchema: {
               type: 'object',
               properties: {
+                destination: {
+                  type: 'string',
+                  description: 'Named destination from the registry; replaces target, port and transport'
+                },
                 target: {
                   type: 'string',
                   description: 'IP address or hostname of the OSC receiver',
@@ -637,7 +799,7 @@ class MaxMSPCompatibleMCPServer {
                       type_tags: {
                         type: 'string',
                         description: 'OSC type tag string (e.g., "ifs" for integer, float, string)',
-                        pattern: '^[ifsbtTFNI]*$',
+                        pattern: '^[ifsbhdtScrmTFNI\\[\\]]*$',
                         default: ''
                       },
                       values: {
@@ -656,6 +818,22 @@ class MaxMSPCompatibleMCPServer {
                   description: 'Transport protocol for OSC messages',
                   default: 'UDP'
                 },
+                tcp_framing: {
+                  type: 'string',
+                  enum: ['slip', 'length-prefix'],
+                  description: 'TCP stream framing: slip (OSC 1.1) or length-prefix (OSC 1.0)',
+                  default: 'slip'
+                },
+                validate: {
+                  type: 'boolean',
+                  description: 'Check each message against its saved pattern (coerce types, fill defaults, apply range policy)',
+                  default: true
+                },
+                range_policy: {
+                  type: 'string',
+                  enum: ['clamp', 'reject', 'warn'],
+                  description: 'How to treat out-of-range values; defaults to OSC_RANGE_POLICY (clamp)'
+                },
                 send_mode: {
                   type: 'string',
                   enum: ['atomic', 'queued', 'bundle'],
@@ -668,7 +846,7 @@ class MaxMSPCompatibleMCPServer {
                   minimum: 0
                 }
               },
-              required: ['target', 'port', 'messages'],
+              required: ['messages'],
               additionalProperties: false
             }
           },
@@ -678,6 +856,10 @@ class MaxMSPCompatibleMCPServer {
             inputSchema: {
               type: 'object',
               properties: {
+                destination: {
+                  type: 'string',
+                  description: 'Named destination from the registry; replaces target, port and transport'
+                },
                 target: {
                   type: 'string',
                   description: 'IP address or hostname of the OSC receiver',
@@ -706,6 +888,11 @@ class MaxMSPCompatibleMCPServer {
                         type: 'array',
                         description: 'Arguments for the OSC message',
                         default: []
+                      },
+                      type_tags: {
+                        type: 'string',
+                        description: 'Optional OSC type tag string; inferred from args when omitted',
+                        pattern: '^[ifsbhdtScrmTFNI\\[\\]]*$'
                       }
                     },
                     required: ['address']
@@ -715,149 +902,1051 @@ class MaxMSPCompatibleMCPServer {
                   type: 'number',
                   description: 'Bundle execution time in milliseconds since Unix epoch (0 for immediate)',
                   default: 0
+                },
+                transport_protocol: {
+                  type: 'string',
+                  enum: ['UDP', 'TCP'],
+                  description: 'Transport protocol for the bundle',
+                  default: 'UDP'
+                },
+                tcp_framing: {
+                  type: 'string',
+                  enum: ['slip', 'length-prefix'],
+                  description: 'TCP stream framing: slip (OSC 1.1) or length-prefix (OSC 1.0)',
+                  default: 'slip'
+                },
+                validate: {
+                  type: 'boolean',
+                  description: 'Check each message against its saved pattern (coerce types, fill defaults, apply range policy)',
+                  default: true
+                },
+                range_policy: {
+                  type: 'string',
+                  enum: ['clamp', 'reject', 'warn'],
+                  description: 'How to treat out-of-range values; defaults to OSC_RANGE_POLICY (clamp)'
                 }
               },
-              required: ['target', 'port', 'messages']
+              required: ['messages']
             }
-          }
-        ]
-      };
-    });
-
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      try {
-        const { name, arguments: args } = request.params;
-        console.error(`🔧 Tool called: ${name}`, args);
-
-        switch (name) {
-          case 'send_osc_message':
-            return await this.handleSendOSC(args);
-          case 'get_received_osc_messages':
-            return await this.handleGetReceivedMessages(args);
-          case 'save_osc_pattern':
-            return await this.handleSavePattern(args);
-          case 'get_osc_patterns':
-            return await this.handleGetPatterns(args);
-          case 'get_patterns_summary':
-            return await this.handleGetSummary(args);
-          case 'delete_osc_pattern':
-            return await this.handleDeletePattern(args);
-          case 'websocket_osc_control':
-            return await this.handleWebSocketControl(args);
-          case 'batch_send_osc':
-            return await this.handleBatchSendOSC(args);
-          case 'send_osc_bundle':
-            return await this.handleSendOSCBundle(request.params.arguments);
-          default:
-            throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        console.error(`❌ Tool error: ${error.message}`);
-        throw new McpError(ErrorCode.InternalError, error.message);
-      }
-    });
-  }
-
-  async handleSendOSC(args) {
-    const { address, args: oscArgs = [], host = CONFIG.OSC_HOST, port = CONFIG.OSC_SEND_PORT } = args;
-    
-    if (!address.startsWith('/')) {
-      throw new Error('OSC address must start with "/"');
-    }
-
-    // Create socket with reuse option for MaxMSP compatibility
-    const socket = createSocket({ 
-      type: 'udp4', 
-      reuseAddr: CONFIG.SOCKET_REUSE 
-    });
-    
-    try {
-      const message = this.createOSCMessage(address, oscArgs);
-      
-      await new Promise((resolve, reject) => {
-        socket.send(message, port, host, (error) => {
-          if (error) reject(error);
-          else resolve();
-        });
-      });
-
-      console.error(`📤 OSC sent: ${address} [${oscArgs.join(', ')}] → ${host}:${port}`);
-
-      // Log outbound message with direction
-      const outboundMessage = {
-        timestamp: new Date().toISOString(),
-        address,
-        args: oscArgs,
-        source: { address: host, port },
-        direction: 'outbound',
-        raw: message.toString('hex')
-      };
-      
-      await this.atomicWriteOSCMessage(outboundMessage);
-
-      return {
-        content: [{
-          type: 'text',
-          text: `✅ OSC message sent to MaxMSP!\n\nAddress: ${address}\nArguments: [${oscArgs.join(', ')}]\nDestination: ${host}:${port}\n\n📊 Message logged with direction tracking for dashboard display.`
-        }]
-      };
-
-    } finally {
-      socket.close();
-    }
-  }
-
-  async handleGetReceivedMessages(args) {
-    const { addressPattern, limit = 50 } = args;
-    
-    try {
-      const fileName = this.getOSCLogFileName();
-      const content = await fs.readFile(fileName, 'utf8');
-      let messages = JSON.parse(content);
-      
-      if (addressPattern) {
-        const pattern = new RegExp(addressPattern.replace(/\*/g, '.*'));
-        messages = messages.filter(msg => pattern.test(msg.address));
-      }
-      
-      messages = messages.slice(-limit);
-      
-      const result = messages.map(msg => {
-        const direction = msg.direction ? `[${msg.direction.toUpperCase()}]` : '';
-        const source = msg.source ? 
-          (typeof msg.source === 'object' ? `${msg.source.address}:${msg.source.port}` : msg.source) : 
-          'unknown';
-        return `${msg.timestamp}: ${msg.address} ${direction} [${msg.args.join(', ')}] from ${source}`;
-      }).join('\n');
-      
-      const totalCount = messages.length;
-      const currentFile = path.basename(fileName);
-      
-      return {
-        content: [{
-          type: 'text',
-          text: `📥 OSC Messages (${totalCount}):\nFile: ${currentFile}\nMax messages per file: ${CONFIG.MAX_OSC_MESSAGES}\nRotation: ${CONFIG.OSC_LOG_ROTATION ? 'Daily' : 'Single file'}\n\n${result || 'No messages found matching criteria'}`
-        }]
-      };
-      
-    } catch (error) {
+          },
+          {
+            name: 'add_osc_destination',
+            description: 'Register or update a named OSC destination (e.g. "max-main", "td-visuals") so other tools can send to it by name',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: 'Destination name (letters, digits, "_", "-", ".")' },
+                host: { type: 'string', description: 'Target host' },
+                port: { type: 'integer', minimum: 1, maximum: 65535, description: 'Target port' },
+                transport: { type: 'string', enum: ['UDP', 'TCP'], default: 'UDP', description: 'Transport protocol' },
+                framing: { type: 'string', enum: ['slip', 'length-prefix'], default: 'slip', description: 'TCP stream framing' },
+                notes: { type: 'string', description: 'Free-form notes, e.g. which patch or machine this is' }
+              },
+              required: ['name', 'host', 'port']
+            }
+          },
+          {
+            name: 'list_osc_destinations',
+            description: 'List registered named OSC destinations',
+            inputSchema: {
+              type: 'object',
+              properties: {}
+            }
+          },
+          {
+            name: 'remove_osc_destination',
+            description: 'Remove a named OSC destination from the registry',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: 'Destination name to remove' }
+              },
+              required: ['name']
+            }
+          },
+          {
+            name: 'import_oscquery_namespace',
+            description: 'Discover parameters from an OSCQuery host (TouchDesigner, Max, VDMX...) and save every node as an OSC pattern with its type tags, ranges, units and current values',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                host: { type: 'string', default: '127.0.0.1', description: 'OSCQuery host' },
+                port: { type: 'number', description: 'OSCQuery HTTP port' },
+                root: { type: 'string', default: '/', description: 'Only import the namespace below this path' },
+                application: { type: 'string', description: 'Application name for the imported patterns; defaults to the host\'s advertised NAME' },
+                category: { type: 'string', enum: ['audio', 'video', 'control', 'effects', 'general'], default: 'control', description: 'Pattern category for imported nodes' },
+                overwrite: { type: 'boolean', default: true, description: 'Replace existing patterns with the same address' }
+              },
+              required: ['port']
+            }
+          },
+          {
+            name: 'subscribe_oscquery',
+            description: 'Subscribe to value changes on an OSCQuery host via WebSocket LISTEN. Updates arrive as inbound OSC messages (see get_received_osc_messages)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                host: { type: 'string', default: '127.0.0.1', description: 'OSCQuery host' },
+                port: { type: 'number', description: 'OSCQuery HTTP port' },
+                paths: { type: 'array', items: { type: 'string' }, description: 'Node paths to listen to; every node with a value when omitted' }
+              },
+              required: ['port']
+            }
+          },
+          {
+            name: 'unsubscribe_oscquery',
+            description: 'Stop listening to OSCQuery value changes (IGNORE); closes the connection when no paths remain',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                host: { type: 'string', default: '127.0.0.1', description: 'OSCQuery host' },
+                port: { type: 'number', description: 'OSCQuery HTTP port' },
+                paths: { type: 'array', items: { type: 'string' }, description: 'Paths to stop listening to; all when omitted' }
+              },
+              required: ['port']
+            }
+          },
+          {
+            name: 'get_pending_osc_requests',
+            description: `Inbound OSC messages asking Claude for something (addresses matching ${CONFIG.OSC_ATTENTION_PATTERNS.join(', ')}), e.g. a Max button sending /claude/ask. Handle each one, then acknowledge it with ack_osc_request.`,
+            inputSchema: {
+              type: 'object',
+              properties: {
+                include_acked: { type: 'boolean', default: false, description: 'Also list requests that were already acknowledged' },
+                limit: { type: 'number', default: 20, description: 'Most recent requests to return' }
+              }
+            }
+          },
+          {
+            name: 'ack_osc_request',
+            description: 'Acknowledge handled OSC requests so they leave the pending inbox',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                ids: {
+                  oneOf: [
+                    { type: 'string' },
+                    { type: 'array', items: { type: 'string' } }
+                  ],
+                  description: 'Request id or ids from get_pending_osc_requests'
+                },
+                note: { type: 'string', description: 'What was done, kept with the request' }
+              },
+              required: ['ids']
+            }
+          },
+          {
+            name: 'schedule_osc',
+            description: 'Schedule an OSC message for an absolute time, after a delay, or in musical time on the transport clock (e.g. bar 9 beat 3, every "1/16"). Arguments are validated against saved patterns when scheduling. Musical events follow tempo changes and only play while the transport runs.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                address: { type: 'string', description: 'OSC address (must start with /)' },
+                args: { type: 'array', default: [], description: 'Arguments to send' },
+                type_tags: { type: 'string', description: 'Optional OSC type tag string; inferred from args when omitted' },
+                destination: { type: 'string', description: 'Named destination from the registry; overrides host, port and transport' },
+                host: { type: 'string', default: '127.0.0.1', description: 'Target host' },
+                port: { type: 'number', default: 9500, description: 'Target port' },
+                transport_protocol: { type: 'string', enum: ['UDP', 'TCP'], default: 'UDP', description: 'Transport protocol' },
+                tcp_framing: { type: 'string', enum: ['slip', 'length-prefix'], default: 'slip', description: 'TCP stream framing: slip (OSC 1.1) or length-prefix (OSC 1.0)' },
+                validate: { type: 'boolean', default: true, description: 'Check args against the saved pattern for this address when scheduling' },
+                range_policy: { type: 'string', enum: ['clamp', 'reject', 'warn'], description: 'How to treat out-of-range values; defaults to OSC_RANGE_POLICY (clamp)' },
+                at: {
+                  oneOf: [
+                    { type: 'string' },
+                    { type: 'number' }
+                  ],
+                  description: 'Absolute time: ISO 8601 string or epoch milliseconds'
+                },
+                delay_ms: { type: 'number', description: 'Relative time: milliseconds from now' },
+                bar: { type: 'number', description: 'Musical time: bar number (1-based) on the transport clock' },
+                beat: { type: 'number', default: 1, description: 'Musical time: beat within the bar (1-based, fractions allowed, e.g. 2.5)' },
+                every: { type: 'string', description: 'Repeat interval as a note value: "1/4", "1/16", "1/8T" (triplet), "1/8." (dotted), "1 bar", "2 bars"' },
+                count: { type: 'number', description: 'Number of repeats when every is given; forever when omitted' },
+                label: { type: 'string', description: 'Optional label shown in list_scheduled_osc' }
+              },
+              required: ['address']
+            }
+          },
+          {
+            name: 'transport_control',
+            description: 'Musical transport clock for schedule_osc bar/beat events: start, stop, locate, and set BPM, time signature and swing. Tempo changes re-time pending events.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                action: { type: 'string', enum: ['status', 'start', 'stop', 'locate'], default: 'status', description: 'start continues from the current position; locate moves the playhead to bar/beat' },
+                bar: { type: 'number', description: 'Bar to locate to (1-based)' },
+                beat: { type: 'number', default: 1, description: 'Beat to locate to (1-based)' },
+                bpm: { type: 'number', description: 'Tempo in beats per minute (1-999)' },
+                time_signature: { type: 'string', description: 'Time signature, e.g. "4/4", "3/4", "7/8"' },
+                swing: { type: 'number', description: 'Swing amount: 50 = straight, 66 = triplet feel, 75 = maximum' },
+                swing_unit: { type: 'string', enum: ['1/8', '1/16'], description: 'Note value the swing applies to' }
+              }
+            }
+          },
+          {
+            name: 'list_scheduled_osc',
+            description: 'List pending scheduled OSC messages, recent executions and timing stats (lateness/jitter)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                history_limit: { type: 'number', default: 10, description: 'Recent executions to include' }
+              }
+            }
+          },
+          {
+            name: 'cancel_scheduled_osc',
+            description: 'Cancel pending scheduled OSC messages by id, or all of them',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                ids: {
+                  oneOf: [
+                    { type: 'string' },
+                    { type: 'array', items: { type: 'string' } }
+                  ],
+                  description: 'Scheduled command id or ids from schedule_osc / list_scheduled_osc'
+                },
+                all: { type: 'boolean', default: false, description: 'Cancel every pending scheduled message' }
+              }
+            }
+          },
+          {
+            name: 'step_sequencer',
+            description: 'Step sequences on the transport clock, e.g. a 16-step hi-hat pattern for a Max drum patch. Each sequence has its own length and step value (polymetric), a voice message, and steps with gate, probability, ratchets, parameter locks and extra messages. Messages are validated against saved patterns when written; sequences play while the transport runs.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                action: { type: 'string', enum: ['define', 'set_step', 'start', 'stop', 'mute', 'unmute', 'delete', 'list'], default: 'list', description: 'define creates or replaces a sequence (a playing one keeps playing); start arms it on the next bar, or at bar/beat' },
+                name: { type: 'string', description: 'Sequence name, e.g. "hats"' },
+                length: { type: 'number', description: 'Number of steps (1-128); defaults to the number of steps given' },
+                step_length: { type: 'string', default: '1/16', description: 'Note value of one step: "1/16", "1/8", "1/8T", "1/4"...' },
+                voice: {
+                  type: 'object',
+                  description: 'Message every step sends unless the step overrides it: { address, args, destination | host/port/transport_protocol, validate, range_policy }',
+                  properties: {
+                    address: { type: 'string', description: 'OSC address' },
+                    args: { type: 'array', description: 'Default arguments' },
+                    destination: { type: 'string', description: 'Named destination from the registry' }
+                  }
+                },
+                steps: {
+                  oneOf: [
+                    { type: 'string' },
+                    { type: 'array', items: { type: ['object', 'boolean', 'null'] } }
+                  ],
+                  description: 'Grid string ("x...x..." with x = hit, . = rest, ? = 50% chance, 2-8 = ratchet) or step objects { on, probability (0-1), ratchet (1-8), args, locks: { parameter name or argument index: value }, messages: [{ address, args }] }'
+                },
+                muted: { type: 'boolean', default: false, description: 'Define the sequence muted' },
+                index: { type: 'number', description: 'set_step: step to replace (0-based)' },
+                step: { type: 'object', description: 'set_step: the new step object' },
+                bar: { type: 'number', description: 'start: bar to start on (1-based); next bar line when omitted' },
+                beat: { type: 'number', default: 1, description: 'start: beat within the bar' }
+              }
+            }
+          },
+          {
+            name: 'save_scene',
+            description: 'Capture the last-sent value of every saved pattern address (outbound history and live WebSocket parameters) as a named scene on disk. Saving an existing name replaces it.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: 'Scene name, e.g. "intro" or "act 2 blackout"' },
+                addresses: { type: 'string', description: 'Only capture matching addresses: OSC pattern ("/synth/*") or substring' },
+                notes: { type: 'string', description: 'What the scene is for' }
+              },
+              required: ['name']
+            }
+          },
+          {
+            name: 'recall_scene',
+            description: 'Send a saved scene instantly, or crossfade to it from the current values over fade_ms (numeric args interpolate, other args switch at the end). A new recall stops a running fade.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: 'Scene name' },
+                fade_ms: { type: 'number', default: 0, description: 'Crossfade time in milliseconds; 0 = instant' }
+              },
+              required: ['name']
+            }
+          },
+          {
+            name: 'list_scenes',
+            description: 'List saved scenes, the cue list and the current cue; with name, show the values of one scene',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: 'Scene to show in full' }
+              }
+            }
+          },
+          {
+            name: 'delete_scene',
+            description: 'Delete a saved scene (it must not be used by the cue list)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: 'Scene name' }
+              },
+              required: ['name']
+            }
+          },
+          {
+            name: 'cue_control',
+            description: `Ordered cue list of scenes for shows: set the list, then GO (next cue), back (previous cue, instantly), goto a cue number or label, or stop a running fade. ${CONFIG.CUE_OSC_PREFIX ? `Also controllable by OSC: ${CONFIG.CUE_OSC_PREFIX}/go, /back, /goto, /recall, /stop.` : 'Set CUE_OSC_PREFIX to also control it by OSC (<prefix>/go, /back, /goto, /recall, /stop).'}`,
+            inputSchema: {
+              type: 'object',
+              properties: {
+                action: { type: 'string', enum: ['status', 'set', 'go', 'back', 'goto', 'stop'], default: 'status', description: 'set replaces the cue list and resets to before cue 1' },
+                cues: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      scene: { type: 'string', description: 'Scene to recall' },
+                      fade_ms: { type: 'number', default: 0, description: 'Crossfade time for this cue' },
+                      label: { type: 'string', description: 'Cue label; defaults to the scene name' }
+                    },
+                    required: ['scene']
+                  },
+                  description: 'set: the cues in order'
+                },
+                cue: {
+                  oneOf: [
+                    { type: 'number' },
+                    { type: 'string' }
+                  ],
+                  description: 'goto: cue number (1-based) or label'
+                }
+              }
+            }
+          },
+          {
+            name: 'ramp_osc',
+            description: 'Move an OSC address from its current value (or from) to a target over time with easing, e.g. /filter/cutoff to 8000 over 4 s with ease-in-out-cubic. Use curve exponential for frequencies and db for levels. A new ramp on the same address supersedes the running one.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                address: { type: 'string', description: 'OSC address' },
+                to: { description: 'Target value, or array of values for multi-argument addresses' },
+                from: { description: 'Start value(s); defaults to the last value sent or received on the address' },
+                duration_ms: { type: 'number', description: 'Ramp time in milliseconds' },
+                easing: { type: 'string', enum: Object.keys(EASINGS), default: 'linear', description: 'Shape of the move over time' },
+                curve: { type: 'string', enum: Object.keys(CURVES), default: 'linear', description: 'Value space: linear, exponential (equal ratios, for Hz), logarithmic, db (linear in gain)' },
+                destination: { type: 'string', default: 'default', description: 'Named destination or host:port' },
+                validate: { type: 'boolean', default: true, description: 'Check the target against the saved pattern for this address' },
+                range_policy: { type: 'string', enum: ['clamp', 'reject', 'warn'], description: 'How to treat an out-of-range target; defaults to OSC_RANGE_POLICY (clamp)' }
+              },
+              required: ['address', 'to', 'duration_ms']
+            }
+          },
+          {
+            name: 'morph_osc',
+            description: 'Morph between two sets of parameter values: define a morph from two value lists or two saved scenes, then set its position (0 = first set, 1 = second) instantly or over time. Numeric args interpolate along the curve; other args switch at the midpoint.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                action: { type: 'string', enum: ['define', 'set'], description: 'define creates or replaces the morph; set moves its position' },
+                name: { type: 'string', description: 'Morph name' },
+                a: {
+                  type: 'array',
+                  items: { type: 'object', properties: { address: { type: 'string' }, args: { type: 'array' }, destination: { type: 'string' } }, required: ['address', 'args'] },
+                  description: 'define: first set of { address, args, destination }'
+                },
+                b: {
+                  type: 'array',
+                  items: { type: 'object', properties: { address: { type: 'string' }, args: { type: 'array' }, destination: { type: 'string' } }, required: ['address', 'args'] },
+                  description: 'define: second set, matched to the first by destination + address'
+                },
+                a_scene: { type: 'string', description: 'define: use a saved scene as the first set' },
+                b_scene: { type: 'string', description: 'define: use a saved scene as the second set' },
+                curve: { type: 'string', enum: Object.keys(CURVES), default: 'linear', description: 'define: value space for numeric args' },
+                position: { type: 'number', description: 'set: 0..1' },
+                duration_ms: { type: 'number', default: 0, description: 'set: time to move to the position' },
+                easing: { type: 'string', enum: Object.keys(EASINGS), default: 'linear', description: 'set: shape of the move' }
+              },
+              required: ['action', 'name']
+            }
+          },
+          {
+            name: 'ramp_control',
+            description: 'List running ramps and defined morphs, or stop ramps where they are (by id, by address, or all)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                action: { type: 'string', enum: ['list', 'stop'], default: 'list', description: 'stop without id or address stops every ramp' },
+                id: { type: 'string', description: 'Ramp id from ramp_osc / morph_osc' },
+                address: { type: 'string', description: 'Stop ramps on this address' }
+              }
+            }
+          },
+          {
+            name: 'modulation_matrix',
+            description: 'LFOs and other modulators for live parameters, e.g. a tempo-synced sine on /filter/cutoff whose depth is wobbled by slow perlin noise. Each modulator outputs offset + depth * shape within 0..1; routes scale that onto an OSC address (routes to the same address add up) or onto another modulator\'s rate, depth, phase or offset. Values are sent at 60 Hz on the shared stream scheduler while anything is routed to an address.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                action: { type: 'string', enum: ['define', 'delete', 'route', 'unroute', 'trigger', 'release', 'list'], default: 'list', description: 'define creates or replaces a modulator (keeping its phase and routes); trigger/release gate an envelope' },
+                name: { type: 'string', description: 'Modulator name (define, delete, trigger, release)' },
+                shape: { type: 'string', enum: SHAPES, default: 'sine', description: 'define: sine, triangle, square, sample_hold (new random value each cycle), noise (perlin), envelope (ADSR) or random_walk' },
+                rate: { type: 'number', description: 'define: cycles per second (default 1; envelopes without rate or sync wait for trigger)' },
+                sync: { type: 'string', description: 'define: tempo-synced cycle length instead of rate, e.g. "1/4", "1/8T", "2 bars"; follows the transport BPM' },
+                depth: { type: 'number', default: 1, description: 'define: scale of the shape' },
+                phase: { type: 'number', default: 0, description: 'define: phase offset in cycles (0.25 = a quarter cycle ahead)' },
+                offset: { type: 'number', default: 0, description: 'define: added to depth * shape' },
+                width: { type: 'number', default: 0.5, description: 'define: square pulse width 0..1' },
+                attack_ms: { type: 'number', default: 10, description: 'define envelope: attack time' },
+                decay_ms: { type: 'number', default: 100, description: 'define envelope: decay time' },
+                sustain: { type: 'number', default: 0.7, description: 'define envelope: sustain level 0..1' },
+                release_ms: { type: 'number', default: 300, description: 'define envelope: release time' },
+                hold_ms: { type: 'number', description: 'trigger: release automatically after this long' },
+                source: { type: 'string', description: 'route: modulator whose output is routed' },
+                address: { type: 'string', description: 'route: OSC address to modulate' },
+                destination: { type: 'string', default: 'default', description: 'route: named destination or host:port' },
+                modulator: { type: 'string', description: 'route: modulate this modulator instead of an address' },
+                parameter: { type: 'string', enum: MODULATOR_PARAMETERS, description: 'route: which parameter of modulator; the routed value is added to it' },
+                range: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2, default: [0, 1], description: 'route: value at output 0 and at output 1' },
+                curve: { type: 'string', enum: Object.keys(CURVES), default: 'linear', description: 'route: exponential for Hz, db for levels' },
+                type: { type: 'string', enum: ['f', 'i'], description: 'route: OSC type of the sent value; defaults to the pattern\'s type, else f' },
+                id: { type: 'string', description: 'unroute: route id' },
+                validate: { type: 'boolean', default: true, description: 'route: check the range against the saved pattern for the address' },
+                range_policy: { type: 'string', enum: ['clamp', 'reject', 'warn'], description: 'route: how to treat a range outside the pattern; defaults to OSC_RANGE_POLICY (clamp)' }
+              }
+            }
+          },
+          {
+            name: 'save_osc_rule',
+            description: 'Create or replace a rule that maps inbound OSC to outbound OSC, e.g. when /fader1 arrives from TouchOSC, scale 0-1 to 20-20000 Hz exponentially and send it to /maxmsp/synth/osc1/freq on max-main. Rules apply to every message the receiver gets, run their transforms in order and forward to each target; forwarded messages are validated against saved patterns like any send.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: 'Rule name, e.g. "fader1-to-freq"' },
+                address: { type: 'string', description: 'Inbound address or OSC address pattern to match, e.g. /fader1 or /touchosc/fader*' },
+                source: { type: 'string', description: 'Only from this sender: a registry destination name (matches its host), a host, or host:port' },
+                transforms: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      type: { type: 'string', enum: TRANSFORM_TYPES },
+                      arg: { type: 'number', description: 'Apply to this argument only (0-based); default every numeric argument' }
+                    },
+                    required: ['type']
+                  },
+                  description: 'Applied in order. scale { inMin=0, inMax=1, outMin, outMax, curve: linear|exponential|logarithmic|db }; invert { min=0, max=1 }; curve { exponent | easing, min=0, max=1 }; quantize { step, offset=0 }; threshold { threshold, mode: gate (drop below) | binary (below/above values) }; smooth { factor 0..<1 }; split { addresses } (one message per argument); merge { addresses, into } (latest args of each address in one message)'
+                },
+                forward: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      destination: { type: 'string', description: 'Named destination or host:port' },
+                      address: { type: 'string', description: 'Outbound address; defaults to the address after transforms' },
+                      typeTags: { type: 'string', description: 'Outbound type tags; defaults to the inbound message\'s (floats after scale, curve and smooth), else the saved pattern\'s or inferred' }
+                    },
+                    required: ['destination']
+                  },
+                  description: 'Where the transformed message goes'
+                },
+                enabled: { type: 'boolean', default: true },
+                notes: { type: 'string' }
+              },
+              required: ['name', 'address', 'forward']
+            }
+          },
+          {
+            name: 'list_osc_rules',
+            description: 'List inbound-to-outbound mapping rules; with name, show one rule in full',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: 'Rule to show in full' }
+              }
+            }
+          },
+          {
+            name: 'set_osc_rule_enabled',
+            description: 'Enable or disable a mapping rule without deleting it',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: 'Rule name' },
+                enabled: { type: 'boolean', description: 'true to enable, false to disable' }
+              },
+              required: ['name', 'enabled']
+            }
+          },
+          {
+            name: 'delete_osc_rule',
+            description: 'Delete a mapping rule',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: 'Rule name' }
+              },
+              required: ['name']
+            }
+          },
+          {
+            name: 'test_osc_rule',
+            description: 'Show what the mapping rules would send for an inbound message, without sending anything or disturbing smoothing and merge state. Tests every enabled rule, or one named rule even when disabled.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                address: { type: 'string', description: 'Inbound OSC address' },
+                args: { type: 'array', description: 'Inbound arguments', default: [] },
+                source: { type: 'string', description: 'Sender as host or host:port, for rules with a source filter' },
+                name: { type: 'string', description: 'Test only this rule' }
+              },
+              required: ['address']
+            }
+          }
+        ]
+      };
+    });
+
+    // Handle tool calls
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      try {
+        const { name, arguments: args } = request.params;
+        console.error(`🔧 Tool called: ${name}`, args);
+
+        switch (name) {
+          case 'send_osc_message':
+            return await this.handleSendOSC(args);
+          case 'get_received_osc_messages':
+            return await this.handleGetReceivedMessages(args);
+          case 'query_osc':
+            return await this.handleQueryOSC(args);
+          case 'set_osc_parameter':
+            return await this.handleSetParameter(args);
+          case 'save_osc_pattern':
+            return await this.handleSavePattern(args);
+          case 'get_osc_patterns':
+            return await this.handleGetPatterns(args);
+          case 'get_patterns_summary':
+            return await this.handleGetSummary(args);
+          case 'delete_osc_pattern':
+            return await this.handleDeletePattern(args);
+          case 'websocket_osc_control':
+            return await this.handleWebSocketControl(args);
+          case 'batch_send_osc':
+            return await this.handleBatchSendOSC(args);
+          case 'send_osc_bundle':
+            return await this.handleSendOSCBundle(request.params.arguments);
+          case 'add_osc_destination':
+            return await this.handleAddDestination(args);
+          case 'list_osc_destinations':
+            return await this.handleListDestinations(args);
+          case 'remove_osc_destination':
+            return await this.handleRemoveDestination(args);
+          case 'import_oscquery_namespace':
+            return await this.handleImportOSCQuery(args);
+          case 'subscribe_oscquery':
+            return await this.handleSubscribeOSCQuery(args);
+          case 'unsubscribe_oscquery':
+            return await this.handleUnsubscribeOSCQuery(args);
+          case 'get_pending_osc_requests':
+            return await this.handleGetPendingRequests(args);
+          case 'ack_osc_request':
+            return await this.handleAckRequest(args);
+          case 'schedule_osc':
+            return await this.handleScheduleOSC(args);
+          case 'transport_control':
+            return await this.handleTransportControl(args);
+          case 'list_scheduled_osc':
+            return await this.handleListScheduledOSC(args);
+          case 'cancel_scheduled_osc':
+            return await this.handleCancelScheduledOSC(args);
+          case 'step_sequencer':
+            return await this.handleStepSequencer(args);
+          case 'save_scene':
+            return await this.handleSaveScene(args);
+          case 'recall_scene':
+            return await this.handleRecallScene(args);
+          case 'list_scenes':
+            return await this.handleListScenes(args);
+          case 'delete_scene':
+            return await this.handleDeleteScene(args);
+          case 'cue_control':
+            return await this.handleCueControl(args);
+          case 'ramp_osc':
+            return await this.handleRampOSC(args);
+          case 'morph_osc':
+            return await this.handleMorphOSC(args);
+          case 'ramp_control':
+            return await this.handleRampControl(args);
+          case 'modulation_matrix':
+            return await this.handleModulationMatrix(args);
+          case 'save_osc_rule':
+            return await this.handleSaveOSCRule(args);
+          case 'list_osc_rules':
+            return await this.handleListOSCRules(args);
+          case 'set_osc_rule_enabled':
+            return await this.handleSetOSCRuleEnabled(args);
+          case 'delete_osc_rule':
+            return await this.handleDeleteOSCRule(args);
+          case 'test_osc_rule':
+            return await this.handleTestOSCRule(args);
+          default:
+            throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+        }
+      } catch (error) {
+        console.error(`❌ Tool error: ${error.message}`);
+        throw new McpError(ErrorCode.InternalError, error.message);
+      }
+    });
+  }
+
+  setupResourceHandlers(server) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const data = await this.loadPatterns();
+      const applications = this.getPatternApplications(data.patterns);
+      this.patternApplications = applications;
+
+      return {
+        resources: [
+          {
+            uri: RESOURCE_URIS.PATTERNS,
+            name: 'OSC pattern library',
+            description: `All ${data.patterns.length} saved OSC patterns with parameters, ranges and units`,
+            mimeType: 'application/json'
+          },
+          ...applications.map(application => ({
+            uri: `${RESOURCE_URIS.PATTERNS}/${encodeURIComponent(application)}`,
+            name: `${application} OSC patterns`,
+            description: `Saved OSC patterns for ${application}`,
+            mimeType: 'application/json'
+          })),
+          {
+            uri: RESOURCE_URIS.RECENT_MESSAGES,
+            name: 'Recent OSC messages',
+            description: `The last ${RECENT_MESSAGES_RESOURCE_LIMIT} sent and received OSC messages`,
+            mimeType: 'application/json'
+          },
+          {
+            uri: RESOURCE_URIS.PENDING_REQUESTS,
+            name: 'Pending OSC requests',
+            description: 'Inbound OSC messages waiting for Claude; acknowledge them with ack_osc_request',
+            mimeType: 'application/json'
+          },
+          {
+            uri: RESOURCE_URIS.DESTINATIONS,
+            name: 'OSC destinations',
+            description: 'Named OSC targets usable as the destination of send tools',
+            mimeType: 'application/json'
+          }
+        ]
+      };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [{
+        uriTemplate: `${RESOURCE_URIS.PATTERNS}/{application}`,
+        name: 'OSC patterns for one application',
+        description: 'Saved OSC patterns filtered by application name (case-insensitive)',
+        mimeType: 'application/json'
+      }]
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      console.error(`📚 Reading resource: ${uri}`);
+      const body = await this.readResource(uri);
+
+      return {
+        contents: [{
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(body, null, 2)
+        }]
+      };
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      this.parseResourceUri(uri);
+      if (!this.resourceSubscriptions.has(server)) {
+        this.resourceSubscriptions.set(server, new Set());
+      }
+      this.resourceSubscriptions.get(server).add(uri);
+      console.error(`🔔 Subscribed to resource: ${uri}`);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const subscriptions = this.resourceSubscriptions.get(server);
+      if (subscriptions) {
+        subscriptions.delete(uri);
+      }
+      return {};
+    });
+  }
+
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: PROMPTS }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+      console.error(`💡 Building prompt: ${name}`);
+
+      const context = {
+        patterns: (await this.loadPatterns()).patterns,
+        destinations: await this.destinations.list(),
+        recentInbound: await this.messageLog.tail(20, message => message.direction === 'inbound'),
+        config: {
+          host: CONFIG.OSC_HOST,
+          sendPort: CONFIG.OSC_SEND_PORT,
+          receivePort: CONFIG.OSC_RECEIVE_PORT,
+          tcpReceivePort: CONFIG.OSC_TCP_RECEIVE_PORT
+        }
+      };
+
+      try {
+        return buildPrompt(name, args, context);
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+    });
+  }
+
+  // osc://patterns/Max%2FMSP -> { kind: 'patterns', application: 'Max/MSP' }
+  parseResourceUri(uri) {
+    if (uri === RESOURCE_URIS.PATTERNS) return { kind: 'patterns' };
+    if (uri === RESOURCE_URIS.RECENT_MESSAGES) return { kind: 'messages' };
+    if (uri === RESOURCE_URIS.DESTINATIONS) return { kind: 'destinations' };
+    if (uri === RESOURCE_URIS.PENDING_REQUESTS) return { kind: 'requests' };
+
+    const prefix = `${RESOURCE_URIS.PATTERNS}/`;
+    if (uri.startsWith(prefix) && uri.length > prefix.length) {
+      try {
+        return { kind: 'patterns', application: decodeURIComponent(uri.slice(prefix.length)) };
+      } catch (error) {
+        // Fall through to the unknown resource error
+      }
+    }
+
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+  }
+
+  async readResource(uri) {
+    const { kind, application } = this.parseResourceUri(uri);
+
+    switch (kind) {
+      case 'patterns': {
+        const data = await this.loadPatterns();
+        if (!application) {
+          return data;
+        }
+        const patterns = data.patterns.filter(p => p.application.toLowerCase() === application.toLowerCase());
+        return { application, totalPatterns: patterns.length, patterns };
+      }
+      case 'messages': {
+        const messages = await this.messageLog.tail(RECENT_MESSAGES_RESOURCE_LIMIT);
+        return { total: messages.length, messages };
+      }
+      case 'destinations':
+        return { destinations: await this.destinations.list() };
+      case 'requests': {
+        const requests = await this.attentionInbox.list();
+        return { total: requests.length, requests };
+      }
+    }
+  }
+
+  getPatternApplications(patterns) {
+    return Array.from(new Set(patterns.map(p => p.application))).sort();
+  }
+
+  // Notify subscribers of `uri` and of any resource below it (osc://patterns covers osc://patterns/{application})
+  notifyResourceUpdated(uri) {
+    for (const subscriptions of this.resourceSubscriptions.values()) {
+      for (const subscribed of subscriptions) {
+        if (subscribed !== uri && !subscribed.startsWith(`${uri}/`)) continue;
+        if (this.resourceUpdateTimers.has(subscribed)) continue;
+
+        this.resourceUpdateTimers.set(subscribed, setTimeout(() => {
+          this.resourceUpdateTimers.delete(subscribed);
+          this.resourceSubscriptions.forEach((uris, server) => {
+            if (!uris.has(subscribed)) return;
+            server.sendResourceUpdated({ uri: subscribed }).catch(error => {
+              console.error(`Failed to notify resource update for ${subscribed}: ${error.message}`);
+            });
+          });
+        }, RESOURCE_UPDATE_DEBOUNCE_MS));
+      }
+    }
+  }
+
+  // A new or vanished application adds or removes an osc://patterns/{application} resource
+  notifyPatternResourcesChanged(patterns) {
+    this.notifyResourceUpdated(RESOURCE_URIS.PATTERNS);
+
+    const applications = this.getPatternApplications(patterns);
+    const previous = this.patternApplications;
+    this.patternApplications = applications;
+
+    if (previous && previous.join('\n') !== applications.join('\n')) {
+      this.connectedServers.forEach(server => {
+        server.sendResourceListChanged().catch(error => {
+          console.error(`Failed to notify resource list change: ${error.message}`);
+        });
+      });
+    }
+  }
+
+  async handleSendOSC(args) {
+    const { address, destination } = args;
+    const { host, port, transport, framing, oscArgs, validation } = await this.sendOSCMessage(args);
+    const validationReport = formatValidationReport(address, validation);
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ OSC message sent to MaxMSP!\n\nAddress: ${address}\nArguments: [${formatArgs(oscArgs)}]\nDestination: ${destination ? `${destination} (${host}:${port})` : `${host}:${port}`}\nTransport: ${transport}${transport === 'TCP' ? ` (${framing})` : ''}\n${validationReport ? `\n${validationReport}\n` : ''}\n📊 Message logged with direction tracking for dashboard display.`
+      }]
+    };
+  }
+
+  // Shared by send_osc_message and query_osc: resolve the destination, send, and log the outbound message
+  async sendOSCMessage(args) {
+    return this.sendPreparedOSCMessage(await this.prepareOSCMessage(args));
+  }
+
+  // Resolve the destination and apply pattern rules once, so timed senders only encode and send
+  async prepareOSCMessage(args) {
+    const { address, destination } = args;
+    let {
+      args: oscArgs = [],
+      type_tags: typeTags = '',
+      host = CONFIG.OSC_HOST,
+      port = CONFIG.OSC_SEND_PORT,
+      transport_protocol: transport = 'UDP',
+      tcp_framing: framing = CONFIG.OSC_TCP_FRAMING
+    } = args;
+    
+    if (!address.startsWith('/')) {
+      throw new Error('OSC address must start with "/"');
+    }
+
+    if (destination) {
+      ({ host, port, transport, framing } = await this.destinations.resolve(destination));
+    }
+
+    const validation = await this.applyPatternRules(address, oscArgs, args);
+    if (validation.pattern) {
+      ({ args: oscArgs, typeTags } = validation);
+    }
+
+    return { address, host, port, transport, framing, oscArgs, typeTags, validation };
+  }
+
+  // One stream scheduler tick's messages for a destination: a single message, or an immediate bundle.
+  // Frames are not logged, at stream rates that would flood the log; the final frame of a ramp or
+  // crossfade is, so later scene captures see it. Every frame updates current values so a
+  // superseding ramp starts from it.
+  async sendStreamMessages(destination, messages) {
+    const { host, port, transport, framing } = await this.destinations.resolve(destination);
+    const packet = messages.length === 1
+      ? encodeMessage(messages[0].address, messages[0].args, messages[0].typeTags)
+      : encodeBundle(messages);
+    await this.oscManager.sendPacket(packet, host, port, { transport, framing });
+
+    for (const { address, args, typeTags, final } of messages) {
+      if (final) {
+        await this.logOutboundMessage(address, args, typeTags, host, port, encodeMessage(address, args, typeTags));
+      } else {
+        this.publishOSCValue(address, args);
+      }
+    }
+  }
+
+  async sendPreparedOSCMessage(prepared) {
+    const { address, host, port, transport, framing, oscArgs, typeTags, validation } = prepared;
+    const message = encodeMessage(address, oscArgs, typeTags);
+    
+    await this.oscManager.sendPacket(message, host, port, { transport, framing });
+
+    console.error(`📤 OSC sent: ${address} [${formatArgs(oscArgs)}] → ${host}:${port} (${transport})`);
+
+    await this.logOutboundMessage(address, oscArgs, typeTags, host, port, message);
+
+    return { host, port, transport, framing, oscArgs, validation };
+  }
+
+  // Log outbound message with direction
+  async logOutboundMessage(address, oscArgs, typeTags, host, port, packet) {
+    await this.appendOSCMessage({
+      timestamp: new Date().toISOString(),
+      address,
+      args: oscArgs,
+      typeTags: typeTags || inferTypeTags(oscArgs),
+      source: { address: host, port },
+      direction: 'outbound',
+      raw: packet.toString('hex')
+    });
+  }
+
+  // Validate outgoing arguments against the saved pattern for the address, if any; explicit type_tags win over the pattern's
+  async applyPatternRules(address, oscArgs, { validate = true, range_policy: rangePolicy = CONFIG.OSC_RANGE_POLICY, type_tags: typeTags = '' } = {}, patterns = null) {
+    const policy = normalizeRangePolicy(rangePolicy);
+    if (!validate) {
+      return { pattern: null, policy };
+    }
+
+    const pattern = findMatchingPattern(patterns || (await this.loadPatterns()).patterns, address);
+    if (!pattern) {
+      return { pattern: null, policy };
+    }
+
+    const result = validateArgsAgainstPattern(pattern, oscArgs, policy, typeTags);
+    if (result.errors.length > 0) {
+      throw new Error(`Arguments for ${address} do not match pattern ${pattern.address} (policy: ${policy}):\n- ${result.errors.join('\n- ')}\n\nPass validate: false to send anyway.`);
+    }
+
+    return { ...result, pattern, policy };
+  }
+
+  async handleQueryOSC(args) {
+    const { address, reply_address: replyAddress, reply_source: replySource, timeout_ms: timeoutMs = 1000 } = args;
+
+    if (!Number.isFinite(timeoutMs) || timeoutMs <= 0 || timeoutMs > 30000) {
+      throw new Error('timeout_ms must be between 1 and 30000');
+    }
+    if (replySource && !/^[^:]+(:\d+)?$/.test(replySource)) {
+      throw new Error('reply_source must be "host" or "host:port"');
+    }
+
+    // Listen before sending so a fast reply cannot slip past
+    const reply = this.waitForOSCReply({ replyAddress, replySource, timeoutMs });
+    const startedAt = Date.now();
+    let sent;
+
+    try {
+      sent = await this.sendOSCMessage(args);
+    } catch (error) {
+      reply.cancel();
+      throw error;
+    }
+
+    const response = await reply.promise;
+    const elapsed = Date.now() - startedAt;
+    const criteria = [replyAddress && `address ${replyAddress}`, replySource && `source ${replySource}`].filter(Boolean).join(', ') || 'any inbound message';
+
+    if (!response) {
+      return {
+        content: [{
+          type: 'text',
+          text: `⏱️ No reply within ${timeoutMs}ms\n\nQuery: ${address} [${formatArgs(sent.oscArgs)}] → ${sent.host}:${sent.port} (${sent.transport})\nWaiting for: ${criteria}\n\nCheck that the application replies to port ${CONFIG.OSC_RECEIVE_PORT}.`
+        }]
+      };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ Reply received in ${elapsed}ms\n\nQuery: ${address} [${formatArgs(sent.oscArgs)}] → ${sent.host}:${sent.port} (${sent.transport})${sent.validation.pattern ? `\n${formatValidationReport(address, sent.validation)}` : ''}\nReply: ${response.address} [${formatArgs(response.args)}]\nType tags: ${response.typeTags || '(none)'}\nFrom: ${response.source.address}:${response.source.port} (${response.source.transport})`
+      }]
+    };
+  }
+
+  async handleSetParameter(args) {
+    const { parameter: query, value: rawValue, application } = args;
+
+    const parsed = parseValueWithUnit(rawValue);
+    const { patterns } = await this.loadPatterns();
+    const candidates = rankParameterCandidates(patterns, query, { application, unit: parsed.unit });
+
+    if (candidates.length === 0 || candidates[0].score <= 0) {
+      throw new Error(`No saved pattern parameter matches "${query}"${application ? ` in ${application}` : ''}. Use get_osc_patterns to browse, or save_osc_pattern / import_oscquery_namespace to add one.`);
+    }
+
+    const [best, ...others] = candidates;
+    const tied = others.filter(candidate => candidate.score === best.score);
+    if (tied.length > 0) {
+      const options = [best, ...tied].map(candidate => `${candidate.pattern.address} → ${candidate.parameter.name} (${candidate.pattern.application})`);
+      throw new Error(`"${query}" is ambiguous, be more specific or pass application:\n- ${options.join('\n- ')}`);
+    }
+
+    const { pattern, parameter, index } = best;
+    const { value, note } = convertToParameterUnit(parsed, parameter);
+
+    // Arguments before the target keep their current value, falling back to the pattern default
+    const current = this.currentValues.get(pattern.address) || [];
+    const oscArgs = pattern.parameters.slice(0, index).map((other, i) => {
+      const otherValue = current[i] !== undefined ? current[i] : other.default;
+      if (otherValue === undefined) {
+        throw new Error(`Cannot set '${parameter.name}' alone: '${other.name}' (argument ${i + 1} of ${pattern.address}) has no current value or default`);
+      }
+      return otherValue;
+    });
+    oscArgs.push(value);
+
+    const sent = await this.sendOSCMessage({ ...args, address: pattern.address, args: oscArgs, type_tags: '', validate: true });
+    const alternatives = others.filter(candidate => candidate.score > 0).slice(0, 3).map(candidate => `  ${candidate.pattern.address} → ${candidate.parameter.name} (score ${candidate.score})`).join('\n');
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ Set ${parameter.name} to ${rawValue}${typeof rawValue === 'number' && parameter.unit ? ` ${parameter.unit}` : ''}\n\nPattern: ${pattern.address} [${pattern.application}] - ${pattern.description}\nParameter: ${parameter.name} (argument ${index + 1}, ${parameter.type}${parameter.unit ? `, ${parameter.unit}` : ''})\nWhy (score ${best.score}):\n${best.reasons.map(reason => `  • ${reason}`).join('\n')}${note ? `\nConversion: ${note}` : ''}\n\nSent: ${pattern.address} [${formatArgs(sent.oscArgs)}] → ${sent.host}:${sent.port} (${sent.transport})\n${formatValidationReport(pattern.address, sent.validation)}${alternatives ? `\n\nOther candidates:\n${alternatives}` : ''}`
+      }]
+    };
+  }
+
+  async handleGetReceivedMessages(args) {
+    const { addressPattern, limit = 50 } = args;
+    // Built outside the try so pattern syntax errors reach the caller instead of looking like an empty log
+    const matchesAddress = createAddressFilter(addressPattern);
+    
+    try {
+      // Tail the log from the end instead of loading every segment
+      const messages = await this.messageLog.tail(
+        Math.min(limit, CONFIG.MAX_OSC_MESSAGES),
+        msg => !addressPattern || matchesAddress(msg.address)
+      );
+      
+      const result = messages.map(msg => {
+        const direction = msg.direction ? `[${msg.direction.toUpperCase()}]` : '';
+        const source = msg.source ? 
+          (typeof msg.source === 'object' ? `${msg.source.address}:${msg.source.port}` : msg.source) : 
+          'unknown';
+        return `${msg.timestamp}: ${msg.address} ${direction} [${Array.isArray(msg.args) ? formatArgs(msg.args) : JSON.stringify(msg.args)}] from ${source}`;
+      }).join('\n');
+      
+      const totalCount = messages.length;
+      const logStats = await this.messageLog.getStats();
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `📥 OSC Messages (${totalCount}):\nFile: ${logStats.activeFile} (+${logStats.sealedSegments} sealed segments, ${logStats.totalBytes} bytes)\nMax messages per read: ${CONFIG.MAX_OSC_MESSAGES}\nRotation: ${CONFIG.OSC_LOG_ROTATION ? 'Daily' : 'Single file'}\n\n${result || 'No messages found matching criteria'}`
+        }]
+      };
+      
+    } catch (error) {
       return {
         content: [{
           type: 'text',
-          text: `📥 No OSC messages available yet. Send some messages to see them here!\nConfig: Max ${CONFIG.MAX_OSC_MESSAGES} messages per file, Rotation: ${CONFIG.OSC_LOG_ROTATION ? 'Daily' : 'Single file'}`
+          text: `📥 No OSC messages available yet. Send some messages to see them here!\nConfig: Max ${CONFIG.MAX_OSC_MESSAGES} messages per read, Rotation: ${CONFIG.OSC_LOG_ROTATION ? 'Daily' : 'Single file'}`
         }]
       };
     }
   }
 
   async handleBatchSendOSC(args) {
-    const { target, port, messages, transport_protocol = 'UDP', send_mode = 'atomic' } = args;
+    const { messages, send_mode = 'atomic', destination } = args;
+    let { target, port, transport_protocol = 'UDP', tcp_framing = CONFIG.OSC_TCP_FRAMING } = args;
     
     try {
+      if (destination) {
+        ({ host: target, port, transport: transport_protocol, framing: tcp_framing } = await this.destinations.resolve(destination));
+      }
+      const sendOptions = { transport: transport_protocol, framing: tcp_framing };
+      
       // Validate target and port
       if (!target || !port) {
-        throw new Error('Target and port are required for batch OSC sending');
+        throw new Error('A destination, or target and port, is required for batch OSC sending');
       }
       
       if (port < 1 || port > 65535) {
@@ -874,6 +1963,8 @@ class MaxMSPCompatibleMCPServer {
       
       // Validate and process each message
       const processedMessages = [];
+      const validationReports = [];
+      const { patterns } = await this.loadPatterns();
       
       for (let i = 0; i < messages.length; i++) {
         const msg = messages[i];
@@ -882,33 +1973,39 @@ class MaxMSPCompatibleMCPServer {
           throw new Error(`Message ${i + 1}: OSC address is required and must start with '/'`);
         }
         
+        let validation;
+        try {
+          validation = await this.applyPatternRules(msg.address, msg.values || [], { ...args, type_tags: msg.type_tags }, patterns);
+        } catch (error) {
+          throw new Error(`Message ${i + 1}: ${error.message}`);
+        }
+        if (validation.pattern) {
+          validationReports.push(`${i + 1}. ${formatValidationReport(msg.address, validation)}`);
+        }
+        
         // Validate type tags if provided
-        if (msg.type_tags && !/^[ifsbtTFNI]*$/.test(msg.type_tags)) {
-          throw new Error(`Message ${i + 1}: Invalid type tags '${msg.type_tags}'. Use: i(int), f(float), s(string), b(blob), t(time), T(true), F(false), N(null), I(impulse)`);
+        if (msg.type_tags) {
+          try {
+            parseTypeTags(msg.type_tags);
+          } catch (error) {
+            throw new Error(`Message ${i + 1}: ${error.message}. Use: i(int32), f(float32), s(string), b(blob), h(int64), d(double), t(timetag), S(symbol), c(char), r(RGBA), m(MIDI), T(true), F(false), N(null), I(impulse), [ ](array)`);
+          }
         }
         
-        const values = msg.values || [];
-        const typeTags = msg.type_tags || '';
+        const values = validation.pattern ? validation.args : msg.values || [];
+        const typeTags = validation.pattern ? validation.typeTags : msg.type_tags || '';
         
         // Auto-generate type tags if not provided
         let finalTypeTags = typeTags;
         if (!finalTypeTags && values.length > 0) {
-          finalTypeTags = values.map(value => {
-            if (typeof value === 'number') {
-              return Number.isInteger(value) ? 'i' : 'f';
-            } else if (typeof value === 'string') {
-              return 's';
-            } else if (typeof value === 'boolean') {
-              return value ? 'T' : 'F';
-            } else {
-              return 's'; // Default to string
-            }
-          }).join('');
+          finalTypeTags = inferTypeTags(values);
         }
         
-        // Validate type tags match values
-        if (finalTypeTags.length !== values.length) {
-          throw new Error(`Message ${i + 1}: Type tags length (${finalTypeTags.length}) must match values length (${values.length})`);
+        // Validate values against type tags (arrays consume one value per [ ] group)
+        try {
+          encodeMessage(msg.address, values, finalTypeTags);
+        } catch (error) {
+          throw new Error(`Message ${i + 1}: ${error.message}`);
         }
         
         processedMessages.push({
@@ -929,33 +2026,20 @@ class MaxMSPCompatibleMCPServer {
         try {
           const bundleMessages = processedMessages.map(msg => ({
             address: msg.address,
-            args: msg.values
+            args: msg.values,
+            typeTags: msg.typeTags
           }));
           
-          const bundleBuffer = this.createOSCBundle(bundleMessages, args.timetag || 0);
-          const socket = createSocket({ 
-            type: 'udp4', 
-            reuseAddr: CONFIG.SOCKET_REUSE 
-          });
+          const bundleBuffer = encodeBundle(bundleMessages, args.timetag || 0);
+          await this.oscManager.sendPacket(bundleBuffer, target, port, sendOptions);
+          bundleMessages.forEach(msg => this.publishOSCValue(msg.address, msg.args));
           
-          try {
-            await new Promise((resolve, reject) => {
-              socket.send(bundleBuffer, port, target, (error) => {
-                if (error) reject(error);
-                else resolve();
-              });
-            });
-            
-            successCount = processedMessages.length;
-            results.push({
-              success: true,
-              bundleSize: processedMessages.length,
-              message: 'Bundle sent successfully'
-            });
-            
-          } finally {
-            socket.close();
-          }
+          successCount = processedMessages.length;
+          results.push({
+            success: true,
+            bundleSize: processedMessages.length,
+            message: 'Bundle sent successfully'
+          });
           
         } catch (error) {
           errorCount = processedMessages.length;
@@ -970,27 +2054,12 @@ class MaxMSPCompatibleMCPServer {
         // Send all messages at once
         const sendPromises = processedMessages.map(async (msg, index) => {
           try {
-            const oscMessage = this.createOSCMessage(msg.address, msg.values, msg.typeTags);
-            
-            // Use direct socket approach like other working OSC tools
-            const socket = createSocket({ 
-              type: 'udp4', 
-              reuseAddr: CONFIG.SOCKET_REUSE 
-            });
+            const oscMessage = encodeMessage(msg.address, msg.values, msg.typeTags);
             
-            try {
-              await new Promise((resolve, reject) => {
-                socket.send(oscMessage, port, target, (error) => {
-                  if (error) reject(error);
-                  else resolve();
-                });
-              });
-            } finally {
-              socket.close();
-            }
+            await this.oscManager.sendPacket(oscMessage, target, port, sendOptions);
             
             // Log outbound message
-            await this.atomicWriteOSCMessage({
+            await this.appendOSCMessage({
               timestamp: new Date().toISOString(),
               address: msg.address,
               args: msg.values,
@@ -1037,27 +2106,12 @@ class MaxMSPCompatibleMCPServer {
         // Send messages sequentially with minimal delay
         for (const msg of processedMessages) {
           try {
-            const oscMessage = this.createOSCMessage(msg.address, msg.values, msg.typeTags);
-            
-            // Use direct socket approach like other working OSC tools
-            const socket = createSocket({ 
-              type: 'udp4', 
-              reuseAddr: CONFIG.SOCKET_REUSE 
-            });
+            const oscMessage = encodeMessage(msg.address, msg.values, msg.typeTags);
             
-            try {
-              await new Promise((resolve, reject) => {
-                socket.send(oscMessage, port, target, (error) => {
-                  if (error) reject(error);
-                  else resolve();
-                });
-              });
-            } finally {
-              socket.close();
-            }
+            await this.oscManager.sendPacket(oscMessage, target, port, sendOptions);
             
             // Log outbound message
-            await this.atomicWriteOSCMessage({
+            await this.appendOSCMessage({
               timestamp: new Date().toISOString(),
               address: msg.address,
               args: msg.values,
@@ -1092,7 +2146,7 @@ class MaxMSPCompatibleMCPServer {
       }
       
       // Log the batch operation
-      await this.atomicWriteOSCMessage({
+      await this.appendOSCMessage({
         timestamp: new Date().toISOString(),
         address: 'batch_send',
         args: {
@@ -1121,234 +2175,982 @@ class MaxMSPCompatibleMCPServer {
       return {
         content: [{
           type: 'text',
-          text: `✅ Batch OSC Send Complete\n\n📊 Summary:\n- Target: ${target}:${port}\n- Transport: ${transport_protocol}\n- Mode: ${send_mode}\n- Total Messages: ${messages.length}\n- Successful: ${successCount}\n- Failed: ${errorCount}\n\n${errorCount === 0 ? '🎯 All messages sent successfully!' : `⚠️ ${errorCount} message(s) failed to send`}\n\n📋 Detailed Results:\n${JSON.stringify(results, null, 2)}`
+          text: `✅ Batch OSC Send Complete\n\n📊 Summary:\n- Target: ${target}:${port}\n- Transport: ${transport_protocol}\n- Mode: ${send_mode}\n- Total Messages: ${messages.length}\n- Successful: ${successCount}\n- Failed: ${errorCount}\n\n${errorCount === 0 ? '🎯 All messages sent successfully!' : `⚠️ ${errorCount} message(s) failed to send`}${validationReports.length > 0 ? `\n\n${validationReports.join('\n')}` : ''}\n\n📋 Detailed Results:\n${JSON.stringify(results, null, 2)}`
+        }]
+      };
+      
+    } catch (error) {
+      await this.appendOSCMessage({
+        timestamp: new Date().toISOString(),
+        address: 'batch_send_error',
+        args: {
+          target,
+          port,
+          error: error.message,
+          messageCount: messages?.length || 0
+        },
+        direction: 'error',
+        source: { address: target, port }
+      });
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ Batch OSC Send Failed: ${error.message}\n\nTarget: ${target}:${port}\nMessages: ${messages?.length || 0}\nTransport: ${transport_protocol}\nMode: ${send_mode}\n\nPlease check your target address, port, and message format.`
+        }]
+      };
+    }
+  }
+
+  async handleSendOSCBundle(args) {
+    const { messages, timetag = 0, destination } = args;
+    let {
+      target = CONFIG.OSC_HOST,
+      port = CONFIG.OSC_SEND_PORT,
+      transport_protocol: transport = 'UDP',
+      tcp_framing: framing = CONFIG.OSC_TCP_FRAMING
+    } = args;
+    
+    try {
+      if (destination) {
+        ({ host: target, port, transport, framing } = await this.destinations.resolve(destination));
+      }
+      
+      // Validate target and port
+      if (!target || !port) {
+        throw new Error('Target and port are required');
+      }
+      
+      if (port < 1 || port > 65535) {
+        throw new Error('Port must be between 1 and 65535');
+      }
+      
+      if (!Array.isArray(messages) || messages.length === 0) {
+        throw new Error('Messages array is required and must not be empty');
+      }
+      
+      if (messages.length > 50) {
+        throw new Error('Bundle cannot contain more than 50 messages');
+      }
+      
+      // Validate each message
+      const { patterns } = await this.loadPatterns();
+      const validationReports = [];
+      
+      for (let i = 0; i < messages.length; i++) {
+        const msg = messages[i];
+        if (!msg.address || !msg.address.startsWith('/')) {
+          throw new Error(`Message ${i + 1}: OSC address must start with "/"`);
+        }
+        
+        let validation;
+        try {
+          validation = await this.applyPatternRules(msg.address, msg.args || [], { ...args, type_tags: msg.type_tags }, patterns);
+        } catch (error) {
+          throw new Error(`Message ${i + 1}: ${error.message}`);
+        }
+        if (validation.pattern) {
+          messages[i] = { ...msg, args: validation.args, type_tags: validation.typeTags };
+          validationReports.push(`${i + 1}. ${formatValidationReport(msg.address, validation)}`);
+        }
+      }
+      
+      // Create OSC bundle
+      const bundleBuffer = encodeBundle(messages.map(m => ({
+        address: m.address,
+        args: m.args || [],
+        typeTags: m.type_tags
+      })), timetag);
+      
+      // Send bundle
+      await this.oscManager.sendPacket(bundleBuffer, target, port, { transport, framing });
+      messages.forEach(m => this.publishOSCValue(m.address, m.args || []));
+      
+      console.error(`📦 OSC Bundle sent: ${messages.length} messages → ${target}:${port} (${transport})`);
+      
+      // Log outbound bundle
+      const bundleMessage = {
+        timestamp: new Date().toISOString(),
+        address: '#bundle',
+        args: {
+          messageCount: messages.length,
+          timetag: timetag || 'immediate',
+          messages: messages.map(m => ({ address: m.address, argCount: (m.args || []).length }))
+        },
+        source: { address: target, port },
+        direction: 'outbound',
+        type: 'bundle'
+      };
+      
+      await this.appendOSCMessage(bundleMessage);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ OSC Bundle sent successfully!\n\nTarget: ${target}:${port}\nTransport: ${transport}${transport === 'TCP' ? ` (${framing})` : ''}\nMessages: ${messages.length}\nTimetag: ${timetag || 'immediate'}\n\n📦 Bundle contents:\n${messages.map((m, i) => `${i + 1}. ${m.address} [${formatArgs(m.args)}]`).join('\n')}${validationReports.length > 0 ? `\n\n${validationReports.join('\n')}` : ''}\n\n📊 Bundle logged with direction tracking for dashboard display.`
         }]
       };
       
     } catch (error) {
-      await this.atomicWriteOSCMessage({
+      console.error(`❌ OSC Bundle send failed: ${error.message}`);
+      
+      // Log error
+      await this.appendOSCMessage({
         timestamp: new Date().toISOString(),
-        address: 'batch_send_error',
-        args: {
-          target,
-          port,
-          error: error.message,
-          messageCount: messages?.length || 0
-        },
+        address: '#bundle_error',
+        args: { error: error.message, target, port, messageCount: messages?.length || 0 },
         direction: 'error',
-        source: { address: target, port }
+        type: 'bundle_error'
       });
       
       return {
         content: [{
           type: 'text',
-          text: `❌ Batch OSC Send Failed: ${error.message}\n\nTarget: ${target}:${port}\nMessages: ${messages?.length || 0}\nTransport: ${transport_protocol}\nMode: ${send_mode}\n\nPlease check your target address, port, and message format.`
+          text: `❌ OSC Bundle send failed: ${error.message}\n\nTarget: ${target}:${port}\nMessages: ${messages?.length || 0}\n\nPlease check your target address, port, and message format.`
+        }]
+      };
+    }
+  }
+
+  async handleAddDestination(args) {
+    const { destination, updated } = await this.destinations.add(args);
+    this.notifyResourceUpdated(RESOURCE_URIS.DESTINATIONS);
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ ${updated ? 'Updated' : 'Added'} OSC destination: ${destination.name}\n\nHost: ${destination.host}\nPort: ${destination.port}\nTransport: ${destination.transport}${destination.transport === 'TCP' ? ` (${destination.framing})` : ''}${destination.notes ? `\nNotes: ${destination.notes}` : ''}`
+      }]
+    };
+  }
+
+  async handleListDestinations() {
+    const destinations = await this.destinations.list();
+    
+    const result = destinations.map((d, i) =>
+      `${i + 1}. ${d.name}${d.builtIn ? ' (built-in)' : ''}\n   ${d.host}:${d.port} ${d.transport}${d.transport === 'TCP' ? ` (${d.framing})` : ''}${d.notes ? `\n   Notes: ${d.notes}` : ''}`
+    ).join('\n\n');
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `🎯 OSC Destinations (${destinations.length}):\n\n${result}`
+      }]
+    };
+  }
+
+  async handleRemoveDestination(args) {
+    const { name } = args;
+    const removed = await this.destinations.remove(name);
+    if (removed) {
+      this.notifyResourceUpdated(RESOURCE_URIS.DESTINATIONS);
+    }
+    
+    return {
+      content: [{
+        type: 'text',
+        text: removed
+          ? `✅ Removed OSC destination: ${name}`
+          : `❌ Destination not found: ${name}\n\nNo registered OSC destination is named "${name}".`
+      }]
+    };
+  }
+
+  async handleImportOSCQuery(args) {
+    const { host = '127.0.0.1', port, root = '/', category = 'control', overwrite = true } = args;
+
+    if (!['audio', 'video', 'control', 'effects', 'general'].includes(category)) {
+      throw new Error('Category must be one of: audio, video, control, effects, general');
+    }
+
+    const client = new OSCQueryClient(host, port);
+    const [hostInfo, namespace] = await Promise.all([client.getHostInfo(), client.getNamespace(root)]);
+    const hostName = hostInfo.NAME;
+    const application = (args.application || hostName || 'OSCQuery').trim();
+
+    const nodes = flattenNamespace(namespace, root);
+    const data = await this.loadPatterns();
+    const now = new Date().toISOString();
+    let added = 0;
+    let updated = 0;
+    let skipped = 0;
+
+    for (const node of nodes) {
+      const pattern = nodeToPattern(node, { application, category, hostName, host, port });
+      const existingIndex = data.patterns.findIndex(p => p.address === pattern.address);
+
+      if (existingIndex >= 0) {
+        if (!overwrite) {
+          skipped++;
+          continue;
+        }
+        const existing = data.patterns[existingIndex];
+        data.patterns[existingIndex] = {
+          ...pattern,
+          createdAt: existing.createdAt,
+          updatedAt: now,
+          version: (existing.version || 1) + 1
+        };
+        updated++;
+      } else {
+        data.patterns.push({ ...pattern, createdAt: now, updatedAt: now, version: 1 });
+        added++;
+      }
+    }
+
+    if (added || updated) {
+      data.metadata = {
+        ...data.metadata,
+        totalPatterns: data.patterns.length,
+        lastUpdate: now,
+        lastImport: { source: 'oscquery', host, port, root, importedAt: now }
+      };
+      await this.savePatterns(data);
+    }
+
+    console.error(`🔎 OSCQuery import from ${host}:${port}${root}: ${added} added, ${updated} updated, ${skipped} skipped`);
+
+    const listing = nodes.slice(0, 20).map(node => `  ${node.FULL_PATH} (${node.TYPE})`).join('\n');
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ Imported OSCQuery namespace from ${hostName ? `${hostName} ` : ''}${host}:${port}\n\nRoot: ${root}\nApplication: ${application}\nNodes with values: ${nodes.length}\nAdded: ${added}\nUpdated: ${updated}\nSkipped (existing): ${skipped}\nTotal patterns: ${data.patterns.length}\n\n${listing}${nodes.length > 20 ? `\n  ... and ${nodes.length - 20} more` : ''}`
+      }]
+    };
+  }
+
+  getOSCQueryClient(host, port) {
+    const key = `${host}:${port}`;
+
+    if (!this.oscQueryClients.has(key)) {
+      // Value updates go through the regular receive path: logged, filterable and visible to query_osc
+      this.oscQueryClients.set(key, new OSCQueryClient(host, port, {
+        onPacket: (packet, rinfo) => this.handleOSCPacket(packet, rinfo)
+      }));
+    }
+
+    return this.oscQueryClients.get(key);
+  }
+
+  async handleSubscribeOSCQuery(args) {
+    const { host = '127.0.0.1', port } = args;
+    const client = this.getOSCQueryClient(host, port);
+    let { paths } = args;
+
+    if (!paths || paths.length === 0) {
+      const nodes = flattenNamespace(await client.getNamespace('/'));
+      paths = nodes.filter(node => node.VALUE !== undefined).map(node => node.FULL_PATH);
+    }
+
+    try {
+      await client.listen(paths);
+    } catch (error) {
+      if (client.listening.size === 0) {
+        this.oscQueryClients.delete(`${host}:${port}`);
+      }
+      throw error;
+    }
+
+    console.error(`🔎 OSCQuery LISTEN ${host}:${port}: ${paths.length} paths`);
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ Listening to ${paths.length} OSCQuery paths on ${host}:${port}\n\n${paths.slice(0, 20).join('\n')}${paths.length > 20 ? `\n... and ${paths.length - 20} more` : ''}\n\nTotal subscriptions on this host: ${client.listening.size}\nValue changes are logged as inbound OSC messages.`
+      }]
+    };
+  }
+
+  async handleUnsubscribeOSCQuery(args) {
+    const { host = '127.0.0.1', port, paths } = args;
+    const key = `${host}:${port}`;
+    const client = this.oscQueryClients.get(key);
+
+    if (!client) {
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ No OSCQuery subscriptions for ${key}`
+        }]
+      };
+    }
+
+    const before = client.listening.size;
+    client.ignore(paths && paths.length > 0 ? paths : undefined);
+
+    if (client.listening.size === 0) {
+      client.close();
+      this.oscQueryClients.delete(key);
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ Stopped listening to ${before - client.listening.size} OSCQuery paths on ${key}\nRemaining subscriptions: ${client.listening.size}`
+      }]
+    };
+  }
+
+  async handleGetPendingRequests(args) {
+    const { include_acked = false, limit = 20 } = args;
+    const requests = (await this.attentionInbox.list({ includeAcked: include_acked })).slice(-limit);
+    
+    if (requests.length === 0) {
+      return {
+        content: [{
+          type: 'text',
+          text: `📭 No ${include_acked ? '' : 'pending '}OSC requests\n\nAttention patterns: ${this.attentionInbox.patterns.join(', ')}`
+        }]
+      };
+    }
+    
+    const result = requests.map((r, i) =>
+      `${i + 1}. [${r.id}] ${r.address} [${formatArgs(r.args || [])}]\n   From: ${r.source.address}:${r.source.port} at ${r.receivedAt}\n   Intent: ${r.intent}${r.ackedAt ? `\n   ✅ Acknowledged ${r.ackedAt}${r.note ? `: ${r.note}` : ''}` : ''}`
+    ).join('\n\n');
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `🙋 ${include_acked ? 'OSC requests' : 'Pending OSC requests'} (${requests.length}):\n\n${result}\n\nAcknowledge handled requests with ack_osc_request.`
+      }]
+    };
+  }
+
+  async handleAckRequest(args) {
+    const { ids, note } = args;
+    const idList = Array.isArray(ids) ? ids : [ids];
+    if (idList.length === 0) {
+      throw new Error('ids must name at least one request');
+    }
+    
+    const { acked, unknown } = await this.attentionInbox.ack(idList, note);
+    if (acked.length > 0) {
+      this.notifyResourceUpdated(RESOURCE_URIS.PENDING_REQUESTS);
+    }
+    
+    const remaining = (await this.attentionInbox.list()).length;
+    return {
+      content: [{
+        type: 'text',
+        text: `${acked.length > 0 ? `✅ Acknowledged ${acked.length} OSC request(s): ${acked.join(', ')}` : '⚠️ No requests acknowledged'}${unknown.length > 0 ? `\n❌ Not pending: ${unknown.join(', ')}` : ''}\n\nStill pending: ${remaining}`
+      }]
+    };
+  }
+
+  async handleScheduleOSC(args) {
+    const { address, at, delay_ms: delayMs, bar, label } = args;
+
+    if ([at, delayMs, bar].filter(value => value !== undefined).length !== 1) {
+      throw new Error('Provide exactly one of at (absolute time), delay_ms (relative time) or bar (musical time)');
+    }
+    if (bar !== undefined) {
+      return this.scheduleMusicalOSC(args);
+    }
+
+    let executeAt;
+    if (at !== undefined) {
+      executeAt = typeof at === 'number' ? at : Date.parse(at);
+      if (!Number.isFinite(executeAt)) {
+        throw new Error(`Cannot parse time "${at}"; use ISO 8601 (e.g. "2025-01-01T20:00:00Z") or epoch milliseconds`);
+      }
+      if (executeAt < Date.now() - 1000) {
+        throw new Error(`${new Date(executeAt).toISOString()} is in the past`);
+      }
+    } else {
+      if (!Number.isFinite(delayMs) || delayMs < 0) {
+        throw new Error('delay_ms must be a non-negative number');
+      }
+      executeAt = Date.now() + delayMs;
+    }
+
+    const message = await this.prepareOSCMessage(args);
+    const id = this.scheduler.scheduleCommand({ label, message }, executeAt);
+    const validationReport = formatValidationReport(address, message.validation);
+
+    return {
+      content: [{
+        type: 'text',
+        text: `⏰ Scheduled ${id}${label ? ` (${label})` : ''}\n\nAddress: ${address}\nArguments: [${formatArgs(message.oscArgs)}]\nDestination: ${message.host}:${message.port} (${message.transport})\nAt: ${new Date(executeAt).toISOString()} (in ${Math.max(0, executeAt - Date.now())}ms)${validationReport ? `\n\n${validationReport}` : ''}`
+      }]
+    };
+  }
+
+  async scheduleMusicalOSC(args) {
+    const { address, bar, beat = 1, every, count = null, label } = args;
+    const position = this.transport.barBeatToBeats(bar, beat);
+    const everyBeats = every !== undefined ? parseNoteValue(every, this.transport) : null;
+
+    const message = await this.prepareOSCMessage(args);
+    const event = this.transport.scheduleEvent({ beat: position, everyBeats, count, label, command: { message } });
+    const validationReport = formatValidationReport(address, message.validation);
+    const state = this.transport.getState();
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🎼 Scheduled ${event.id}${label ? ` (${label})` : ''}\n\nAddress: ${address}\nArguments: [${formatArgs(message.oscArgs)}]\nDestination: ${message.host}:${message.port} (${message.transport})\nAt: ${this.transport.formatPosition(position)}${everyBeats ? `, every ${every} (${everyBeats} beats)${count ? ` × ${count}` : ' until cancelled'}` : ''}\nTransport: ${state.playing ? '▶️ playing' : '⏹️ stopped'} at ${state.position.label}, ${state.bpm} BPM ${state.timeSignature}${state.playing ? '' : '\n\nStart the transport with transport_control to play it.'}${validationReport ? `\n\n${validationReport}` : ''}`
+      }]
+    };
+  }
+
+  async handleTransportControl(args) {
+    const { action = 'status', bar, beat = 1, bpm, time_signature: timeSignature, swing, swing_unit: swingUnit } = args;
+    const changes = [];
+
+    if (timeSignature !== undefined) {
+      this.transport.setTimeSignature(timeSignature);
+      changes.push(`time signature ${timeSignature}`);
+    }
+    if (bpm !== undefined) {
+      this.transport.setTempo(bpm);
+      changes.push(`${bpm} BPM`);
+    }
+    if (swing !== undefined || swingUnit !== undefined) {
+      this.transport.setSwing(swing ?? this.transport.swing, swingUnit ?? this.transport.swingUnit);
+      changes.push(`swing ${this.transport.swing}% on ${this.transport.swingUnit}`);
+    }
+
+    switch (action) {
+      case 'start':
+        this.transport.start();
+        break;
+      case 'stop':
+        this.transport.stop();
+        break;
+      case 'locate':
+        if (bar === undefined) {
+          throw new Error('locate needs a bar (and optionally a beat)');
+        }
+        this.transport.locate(this.transport.barBeatToBeats(bar, beat));
+        break;
+      case 'status':
+        break;
+      default:
+        throw new Error(`Unknown transport action: ${action}`);
+    }
+
+    const state = this.transport.getState();
+    const events = this.transport.listEvents();
+    return {
+      content: [{
+        type: 'text',
+        text: `${state.playing ? '▶️ Playing' : '⏹️ Stopped'} at ${state.position.label}\n\nTempo: ${state.bpm} BPM\nTime signature: ${state.timeSignature}\nSwing: ${state.swing}% on ${state.swingUnit}\nMusical events pending: ${events.length}\nSequences playing: ${this.sequencer.list().filter(sequence => sequence.playing).length}${changes.length > 0 ? `\n\nChanged: ${changes.join(', ')}` : ''}${CONFIG.TRANSPORT_OSC_PREFIX ? `\n\nOSC control: ${CONFIG.TRANSPORT_OSC_PREFIX}/{play,stop,locate,tempo,swing,signature} on port ${CONFIG.OSC_RECEIVE_PORT}` : ''}`
+      }]
+    };
+  }
+
+  // Inbound OSC transport control; returns true when the address was a transport command
+  handleTransportOSC(address, args) {
+    const prefix = CONFIG.TRANSPORT_OSC_PREFIX;
+    if (!prefix || !address.startsWith(`${prefix}/`)) {
+      return false;
+    }
+
+    const [first, second] = args.map(arg => (arg && typeof arg === 'object' && 'value' in arg) ? arg.value : arg);
+    try {
+      switch (address.slice(prefix.length + 1)) {
+        case 'play':
+        case 'start':
+          this.transport.start();
+          break;
+        case 'stop':
+          this.transport.stop();
+          break;
+        case 'locate':
+          this.transport.locate(this.transport.barBeatToBeats(Number(first ?? 1), Number(second ?? 1)));
+          break;
+        case 'tempo':
+        case 'bpm':
+          this.transport.setTempo(Number(first));
+          break;
+        case 'swing':
+          this.transport.setSwing(Number(first), second !== undefined ? String(second) : undefined);
+          break;
+        case 'signature':
+          this.transport.setTimeSignature(second !== undefined ? `${first}/${second}` : String(first));
+          break;
+        default:
+          return false; // e.g. /transport/forward is an application's own address
+      }
+    } catch (error) {
+      console.error(`❌ Transport OSC ${address} rejected: ${error.message}`);
+      return true;
+    }
+
+    const state = this.transport.getState();
+    console.error(`🎼 Transport ${address}: ${state.playing ? 'playing' : 'stopped'} at ${state.position.label}, ${state.bpm} BPM`);
+    return true;
+  }
+
+  async handleListScheduledOSC(args) {
+    const { history_limit: historyLimit = 10 } = args;
+    const now = Date.now();
+    const describe = (command) => `${command.id}${command.label ? ` (${command.label})` : ''}: ${command.message.address} [${formatArgs(command.message.oscArgs)}] → ${command.message.host}:${command.message.port}`;
+
+    // Musical events are listed once, by their clock event, not per queued occurrence
+    const pending = this.scheduler.list().filter(command => !command.clockEventId).map(command =>
+      `• ${describe(command)}\n  at ${new Date(command.scheduledFor).toISOString()} (in ${Math.max(0, command.scheduledFor - now)}ms)`
+    );
+    const history = this.scheduler.getHistory(historyLimit).map(command =>
+      `• ${describe(command)}\n  ${command.status === 'executed' ? '✅' : '❌'} ${command.status} ${command.latenessMs}ms late${command.error ? `: ${command.error}` : ''}`
+    );
+    const musical = this.transport.listEvents().map(event =>
+      `• ${describe({ id: event.id, label: event.label, message: event.command.message })}\n  next at ${event.nextPosition}${event.everyBeats ? `, every ${event.everyBeats} beats${event.count ? ` (${event.count - event.fired} left)` : ''}` : ''}`
+    );
+    const stats = this.scheduler.getStats();
+    const bundleStats = this.bundleQueue.getStats();
+    const transport = this.transport.getState();
+
+    return {
+      content: [{
+        type: 'text',
+        text: `⏰ Scheduled OSC (${pending.length} pending)\n\n${pending.join('\n') || 'Nothing scheduled'}\n\n🎼 Musical events (${musical.length}), transport ${transport.playing ? 'playing' : 'stopped'} at ${transport.position.label}, ${transport.bpm} BPM:\n${musical.join('\n') || 'None'}\n\nRecent executions:\n${history.join('\n') || 'None yet'}\n\n📈 Timing: ${stats.executed} executed, ${stats.failed} failed, ${stats.cancelled} cancelled, ${stats.late} later than ${stats.lateThresholdMs}ms\nLateness over last ${stats.jitter.samples}: mean ${stats.jitter.meanMs.toFixed(2)}ms, p50 ${stats.jitter.p50Ms}ms, p95 ${stats.jitter.p95Ms}ms, max ${stats.jitter.maxMs}ms (tick ${stats.tickIntervalMs}ms)\n\n📦 Inbound timed bundles: ${bundleStats.pending} message(s) held, ${bundleStats.executed} dispatched (mean ${bundleStats.jitter.meanMs.toFixed(2)}ms, max ${bundleStats.jitter.maxMs}ms late), latency compensation ${CONFIG.OSC_BUNDLE_LATENCY_MS}ms`
+      }]
+    };
+  }
+
+  async handleCancelScheduledOSC(args) {
+    const { ids, all = false } = args;
+    if (!all && (ids === undefined || ids.length === 0)) {
+      throw new Error('Provide ids to cancel, or all: true');
+    }
+
+    const idList = all
+      ? [...this.transport.listEvents().map(event => event.id), ...this.scheduler.list().filter(command => !command.clockEventId).map(command => command.id)]
+      : Array.isArray(ids) ? ids : [ids];
+    const cancelled = idList.filter(id => this.transport.cancel(id) || this.scheduler.cancel(id));
+    const unknown = idList.filter(id => !cancelled.includes(id));
+
+    return {
+      content: [{
+        type: 'text',
+        text: `${cancelled.length > 0 ? `✅ Cancelled ${cancelled.length} scheduled message(s): ${cancelled.join(', ')}` : '⚠️ Nothing cancelled'}${unknown.length > 0 ? `\n❌ Not pending (already sent or unknown): ${unknown.join(', ')}` : ''}\n\nStill pending: ${this.scheduler.list().filter(command => !command.clockEventId).length + this.transport.listEvents().length}`
+      }]
+    };
+  }
+
+  async handleStepSequencer(args) {
+    const { action = 'list', step_length: stepLength, ...command } = args;
+    const result = await this.runSequencerCommand({ ...command, action, stepLength });
+    const sequences = Array.isArray(result) ? result : [result];
+    const transport = this.transport.getState();
+
+    const describe = (sequence) => {
+      const state = sequence.playing ? `▶️ from ${sequence.startPosition}${sequence.currentStep !== null ? `, on step ${sequence.currentStep + 1}` : ''}` : '⏹️ stopped';
+      const steps = sequence.steps.filter(step => step.on).map(step =>
+        `  ${step.index + 1}. ${step.messages.map(message => `${message.address} [${formatArgs(message.args)}]`).join(' + ')}${step.probability !== undefined ? ` ${Math.round(step.probability * 100)}%` : ''}${step.ratchet ? ` ×${step.ratchet}` : ''}${step.locks ? ` locks ${JSON.stringify(step.locks)}` : ''}`
+      );
+      return `🥁 ${sequence.name}: ${state}${sequence.muted ? ' 🔇 muted' : ''}\nGrid: ${sequence.grid} (${sequence.length} × ${sequence.stepLength})${sequence.voice ? `\nVoice: ${sequence.voice}` : ''}\n${steps.join('\n') || '  (no active steps)'}`;
+    };
+
+    return {
+      content: [{
+        type: 'text',
+        text: `${action === 'list' ? `🎛️ Sequences (${sequences.length})` : `✅ Sequencer ${action}${command.name ? `: ${command.name}` : ''}`}\n\n${sequences.map(describe).join('\n\n') || 'No sequences defined'}\n\nTransport: ${transport.playing ? '▶️ playing' : '⏹️ stopped'} at ${transport.position.label}, ${transport.bpm} BPM ${transport.timeSignature}${transport.playing ? '' : '\nStart the transport with transport_control to hear armed sequences.'}`
+      }]
+    };
+  }
+
+  // Shared by the step_sequencer tool and WebSocket clients; WebSocket clients see every change
+  async runSequencerCommand(command) {
+    const result = await this.sequencer.execute(command);
+    if (command.action !== 'list' && this.webSocketController) {
+      this.webSocketController.broadcastToClients({
+        type: 'sequencer_update',
+        action: command.action,
+        sequences: this.sequencer.list(),
+        timestamp: Date.now()
+      });
+    }
+    return result;
+  }
+
+  async handleSaveScene(args) {
+    const { name, addresses, notes } = args;
+    const { scene, updated } = await this.scenes.capture(name, { addresses, notes });
+    const values = scene.values.map(value => `  ${value.address} [${formatArgs(value.args)}] → ${value.destination}`);
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ ${updated ? 'Updated' : 'Saved'} scene: ${scene.name}${scene.notes ? ` - ${scene.notes}` : ''}\n\nCaptured ${values.length} value(s):\n${values.join('\n')}\n\nRecall with recall_scene (optionally with fade_ms) or add it to the cue list with cue_control.`
+      }]
+    };
+  }
+
+  async handleRecallScene(args) {
+    const { name, fade_ms: fadeMs = 0 } = args;
+    const result = await this.scenes.recall(name, { fadeMs });
+
+    return {
+      content: [{
+        type: 'text',
+        text: `${fadeMs > 0 ? `🎚️ Crossfading to scene ${result.scene} over ${fadeMs}ms` : `✅ Recalled scene ${result.scene}`}\nValues: ${result.values}`
+      }]
+    };
+  }
+
+  async handleListScenes(args) {
+    const { name } = args;
+    if (name) {
+      const scene = await this.scenes.store.getScene(name);
+      if (!scene) {
+        throw new Error(`Unknown scene "${name}"`);
+      }
+      return {
+        content: [{
+          type: 'text',
+          text: `🎬 Scene: ${scene.name}${scene.notes ? ` - ${scene.notes}` : ''}\nSaved: ${scene.updatedAt}\n\n${scene.values.map(value => `• ${value.address} [${formatArgs(value.args)}] → ${value.destination} (sent ${value.sentAt})`).join('\n')}`
         }]
       };
     }
+
+    return {
+      content: [{
+        type: 'text',
+        text: this.formatSceneStatus(await this.scenes.status())
+      }]
+    };
   }
 
-  async handleSendOSCBundle(args) {
-    const { target = CONFIG.OSC_HOST, port = CONFIG.OSC_SEND_PORT, messages, timetag = 0 } = args;
-    
+  formatSceneStatus(status) {
+    const scenes = status.scenes.map(scene => `• ${scene.name}: ${scene.values} value(s)${scene.notes ? ` - ${scene.notes}` : ''}`);
+    const cues = status.cues.map(cue => `${cue.current ? '▶️' : '  '} ${cue.number}. ${cue.label}${cue.label !== cue.scene ? ` (${cue.scene})` : ''}${cue.fadeMs > 0 ? `, fade ${cue.fadeMs}ms` : ''}`);
+    return `🎬 Scenes (${scenes.length}):\n${scenes.join('\n') || 'None saved yet; capture one with save_scene'}\n\n📋 Cue list (${cues.length}), current cue: ${status.currentCue ?? 'none'}\n${cues.join('\n') || 'Empty; set it with cue_control'}${status.fading ? `\n\n🎚️ Fading to ${status.fading.scene}: ${Math.round(status.fading.progress * 100)}%` : ''}`;
+  }
+
+  async handleDeleteScene(args) {
+    const { name } = args;
+    const removed = await this.scenes.store.removeScene(name);
+
+    return {
+      content: [{
+        type: 'text',
+        text: removed ? `✅ Deleted scene: ${name}` : `❌ Scene not found: ${name}`
+      }]
+    };
+  }
+
+  async handleCueControl(args) {
+    const { action = 'status', cues, cue } = args;
+    let result = null;
+
+    switch (action) {
+      case 'set':
+        if (!Array.isArray(cues)) {
+          throw new Error('set needs cues: [{ scene, fade_ms, label }]');
+        }
+        await this.scenes.store.setCues(cues.map(({ fade_ms: fadeMs, ...item }) => ({ ...item, fadeMs })));
+        break;
+      case 'go':
+        result = await this.scenes.go();
+        break;
+      case 'back':
+        result = await this.scenes.back();
+        break;
+      case 'goto':
+        if (cue === undefined) {
+          throw new Error('goto needs a cue number or label');
+        }
+        result = await this.scenes.goto(cue);
+        break;
+      case 'stop':
+        this.scenes.stopFade();
+        break;
+      case 'status':
+        break;
+      default:
+        throw new Error(`Unknown cue action: ${action}`);
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `${result ? `✅ Cue ${result.cue}/${result.total}: ${result.label}${result.fadeMs > 0 ? ` (fading ${result.fadeMs}ms)` : ''}\n\n` : ''}${this.formatSceneStatus(await this.scenes.status())}`
+      }]
+    };
+  }
+
+  // Inbound OSC cue control; returns true when the address was a cue command
+  async handleCueOSC(address, args) {
+    const prefix = CONFIG.CUE_OSC_PREFIX;
+    if (!prefix || !address.startsWith(`${prefix}/`)) {
+      return false;
+    }
+
+    const [first, second] = args.map(arg => (arg && typeof arg === 'object' && 'value' in arg) ? arg.value : arg);
     try {
-      // Validate target and port
-      if (!target || !port) {
-        throw new Error('Target and port are required');
-      }
-      
-      if (port < 1 || port > 65535) {
-        throw new Error('Port must be between 1 and 65535');
-      }
-      
-      if (!Array.isArray(messages) || messages.length === 0) {
-        throw new Error('Messages array is required and must not be empty');
-      }
-      
-      if (messages.length > 50) {
-        throw new Error('Bundle cannot contain more than 50 messages');
+      let result;
+      switch (address.slice(prefix.length + 1)) {
+        case 'go':
+          result = await this.scenes.go();
+          break;
+        case 'back':
+          result = await this.scenes.back();
+          break;
+        case 'goto':
+          result = await this.scenes.goto(first);
+          break;
+        case 'recall':
+          result = await this.scenes.recall(String(first), { fadeMs: Number(second ?? 0) });
+          break;
+        case 'stop':
+          this.scenes.stopFade();
+          break;
+        default:
+          return false;
       }
-      
-      // Validate each message
-      for (let i = 0; i < messages.length; i++) {
-        const msg = messages[i];
-        if (!msg.address || !msg.address.startsWith('/')) {
-          throw new Error(`Message ${i + 1}: OSC address must start with "/"`);
+      console.error(`🎬 Cue ${address}${result ? `: ${result.label || result.scene}${result.fadeMs > 0 ? ` (fade ${result.fadeMs}ms)` : ''}` : ''}`);
+    } catch (error) {
+      console.error(`❌ Cue OSC ${address} rejected: ${error.message}`);
+    }
+    return true;
+  }
+
+  async handleRampOSC(args) {
+    const { address, from, duration_ms: durationMs, easing, curve, destination } = args;
+    let to = Array.isArray(args.to) ? args.to : [args.to];
+    let typeTags = '';
+
+    // The target obeys the pattern like a direct send; clamped values are reported
+    const validation = await this.applyPatternRules(address, to, args);
+    if (validation.pattern) {
+      ({ args: to, typeTags } = validation);
+    }
+
+    const ramp = await this.runRampCommand({ action: 'ramp', address, from, to, durationMs, easing, curve, destination, typeTags });
+    const validationReport = formatValidationReport(address, validation);
+
+    return {
+      content: [{
+        type: 'text',
+        text: `📈 ${ramp.id}: ${address} [${formatArgs(ramp.from)}] → [${formatArgs(ramp.to)}] over ${durationMs}ms\nEasing: ${ramp.easing}, curve: ${ramp.curve}, type tags: ${ramp.typeTags || 'inferred per frame'}${ramp.superseded.length > 0 ? `\nSuperseded: ${ramp.superseded.join(', ')}` : ''}${validationReport ? `\n\n${validationReport}` : ''}`
+      }]
+    };
+  }
+
+  async handleMorphOSC(args) {
+    const { action, name, curve, position, duration_ms: durationMs = 0, easing } = args;
+
+    if (action === 'define') {
+      const sceneValues = async (sceneName) => {
+        const scene = await this.scenes.store.getScene(sceneName);
+        if (!scene) {
+          throw new Error(`Unknown scene "${sceneName}"`);
         }
+        return scene.values;
+      };
+      const a = args.a_scene ? await sceneValues(args.a_scene) : args.a;
+      const b = args.b_scene ? await sceneValues(args.b_scene) : args.b;
+      if (!Array.isArray(a) || !Array.isArray(b)) {
+        throw new Error('define needs two value sets: a and b, or a_scene and b_scene');
       }
-      
-      // Create OSC bundle
-      const bundleBuffer = this.createOSCBundle(messages, timetag);
-      
-      // Send bundle
-      const socket = createSocket({ 
-        type: 'udp4', 
-        reuseAddr: CONFIG.SOCKET_REUSE 
-      });
-      
-      try {
-        await new Promise((resolve, reject) => {
-          socket.send(bundleBuffer, port, target, (error) => {
-            if (error) reject(error);
-            else resolve();
-          });
-        });
-        
-        console.error(`📦 OSC Bundle sent: ${messages.length} messages → ${target}:${port}`);
-        
-        // Log outbound bundle
-        const bundleMessage = {
-          timestamp: new Date().toISOString(),
-          address: '#bundle',
-          args: {
-            messageCount: messages.length,
-            timetag: timetag || 'immediate',
-            messages: messages.map(m => ({ address: m.address, argCount: (m.args || []).length }))
-          },
-          source: { address: target, port },
-          direction: 'outbound',
-          type: 'bundle'
-        };
-        
-        await this.atomicWriteOSCMessage(bundleMessage);
-        
-        return {
-          content: [{
-            type: 'text',
-            text: `✅ OSC Bundle sent successfully!\n\nTarget: ${target}:${port}\nMessages: ${messages.length}\nTimetag: ${timetag || 'immediate'}\n\n📦 Bundle contents:\n${messages.map((m, i) => `${i + 1}. ${m.address} [${(m.args || []).join(', ')}]`).join('\n')}\n\n📊 Bundle logged with direction tracking for dashboard display.`
-          }]
-        };
-        
-      } finally {
-        socket.close();
-      }
-      
-    } catch (error) {
-      console.error(`❌ OSC Bundle send failed: ${error.message}`);
-      
-      // Log error
-      await this.atomicWriteOSCMessage({
-        timestamp: new Date().toISOString(),
-        address: '#bundle_error',
-        args: { error: error.message, target, port, messageCount: messages?.length || 0 },
-        direction: 'error',
-        type: 'bundle_error'
-      });
-      
+
+      const morph = await this.runRampCommand({ action: 'define_morph', name, a, b, curve });
       return {
         content: [{
           type: 'text',
-          text: `❌ OSC Bundle send failed: ${error.message}\n\nTarget: ${target}:${port}\nMessages: ${messages?.length || 0}\n\nPlease check your target address, port, and message format.`
+          text: `✅ Morph ${morph.name} defined over ${morph.pairs.length} address(es), curve ${morph.curve}, at position ${morph.position}\n\n${morph.pairs.map(pair => `• ${pair.address}: [${formatArgs(pair.a)}] ↔ [${formatArgs(pair.b)}]`).join('\n')}${morph.ignored > 0 ? `\n\n⚠️ ${morph.ignored} value(s) in only one set were ignored` : ''}`
         }]
       };
     }
+
+    if (action !== 'set') {
+      throw new Error(`Unknown morph action: ${action}`);
+    }
+    const result = await this.runRampCommand({ action: 'morph', name, position, durationMs, easing });
+    return {
+      content: [{
+        type: 'text',
+        text: `🎚️ Morph ${name}: ${result.from.toFixed(3)} → ${position}${durationMs > 0 ? ` over ${durationMs}ms (${result.easing})` : ''}${result.superseded.length > 0 ? `\nSuperseded: ${result.superseded.join(', ')}` : ''}`
+      }]
+    };
+  }
+
+  async handleRampControl(args) {
+    const { action = 'list', id, address } = args;
+    const stopped = action === 'stop' ? (await this.runRampCommand({ action: 'stop', id, address })).stopped : null;
+    if (action !== 'stop' && action !== 'list') {
+      throw new Error(`Unknown ramp action: ${action}`);
+    }
+
+    const { ramps, morphs } = this.ramps.list();
+    return {
+      content: [{
+        type: 'text',
+        text: `${stopped ? `🛑 Stopped ${stopped.length} ramp(s)${stopped.length > 0 ? `: ${stopped.join(', ')}` : ''}\n\n` : ''}📈 Running ramps (${ramps.length}):\n${ramps.map(ramp => `• ${ramp.id}: ${ramp.label}, ${Math.round(ramp.progress * 100)}% of ${ramp.durationMs}ms (${ramp.easing})`).join('\n') || 'None'}\n\n🎚️ Morphs (${morphs.length}):\n${morphs.map(morph => `• ${morph.name} at ${morph.position.toFixed(3)} (${morph.curve}): ${morph.addresses.join(', ')}`).join('\n') || 'None'}`
+      }]
+    };
   }
 
-  createOSCMessage(address, values = [], typeTags = '') {
-    // Create OSC message with proper padding
-    const addressBuffer = Buffer.from(address + '\0');
-    const addressPadded = this.padTo4Bytes(addressBuffer);
-    
-    // Create type tag string
-    const typeTagString = ',' + (typeTags || values.map(value => {
-      if (typeof value === 'number') {
-        return Number.isInteger(value) ? 'i' : 'f';
-      } else if (typeof value === 'boolean') {
-        return value ? 'T' : 'F';
-      } else {
-        return 's';
-      }
-    }).join(''));
-    
-    const typeTagBuffer = this.padTo4Bytes(Buffer.from(typeTagString + '\0'));
-    
-    // Create argument buffers
-    const argBuffers = values.map((value, index) => {
-      const expectedType = typeTags[index] || (typeof value === 'number' ? (Number.isInteger(value) ? 'i' : 'f') : 's');
-      
-      switch (expectedType) {
-        case 'i':
-          const intBuffer = Buffer.alloc(4);
-          intBuffer.writeInt32BE(parseInt(value), 0);
-          return intBuffer;
-          
-        case 'f':
-          const floatBuffer = Buffer.alloc(4);
-          floatBuffer.writeFloatBE(parseFloat(value), 0);
-          return floatBuffer;
-          
-        case 's':
-          return this.padTo4Bytes(Buffer.from(String(value) + '\0'));
-          
-        case 'T':
-        case 'F':
-        case 'N':
-        case 'I':
-          return Buffer.alloc(0); // No data for these types
-          
-        default:
-          return this.padTo4Bytes(Buffer.from(String(value) + '\0'));
-      }
+  // Shared by the ramp tools and WebSocket clients
+  runRampCommand(command) {
+    return this.ramps.execute(command);
+  }
+
+  // Shared by the modulation_matrix tool and WebSocket clients; the matrix runs while anything is routed to an OSC address
+  runModulationCommand(command) {
+    const result = this.modulation.execute(command);
+    if (this.modulation.hasOutputs() && !this.streamScheduler.has('modulation')) {
+      this.modulationTickAt = monotonicMs();
+      this.streamScheduler.add('modulation', {
+        rate: this.modulationRate,
+        render: (now) => this.tickModulation(now)
+      });
+      console.error(`🌀 Modulation matrix running at ${this.modulationRate}Hz`);
+    } else if (!this.modulation.hasOutputs() && this.streamScheduler.remove('modulation')) {
+      console.error('🛑 Modulation matrix idle');
+    }
+    return result;
+  }
+
+  // Modulated values show up as live parameters for WebSocket clients, when the controller is running
+  tickModulation(now) {
+    const outputs = this.modulation.advance((now - this.modulationTickAt) / 1000);
+    this.modulationTickAt = now;
+
+    return outputs.map(({ address, destination, value, type }) => {
+      this.webSocketController?.setLiveParameter(this.webSocketController.oscAddressToParameterId(address), {
+        address,
+        value,
+        lastUpdate: Date.now(),
+        destination,
+        isStreaming: true,
+        modulated: true
+      });
+      return { address, args: [value], typeTags: type, destination };
     });
+  }
+
+  async handleModulationMatrix(args) {
+    const { action = 'list', attack_ms: attackMs, decay_ms: decayMs, release_ms: releaseMs, hold_ms: holdMs, ...command } = args;
+    // The range ends obey the address's pattern like a direct send; clamped values are reported
+    let validationReport = '';
+    if (action === 'route' && command.address) {
+      const ends = await Promise.all((command.range ?? [0, 1]).map(end => this.applyPatternRules(command.address, [end], args)));
+      if (ends[0].pattern) {
+        command.range = ends.map(end => end.args[0]);
+        command.type = command.type ?? (ends[0].typeTags[0] === 'i' ? 'i' : 'f');
+        validationReport = formatValidationReport(command.address, {
+          ...ends[0],
+          adjustments: ends.flatMap(end => end.adjustments),
+          warnings: ends.flatMap(end => end.warnings)
+        });
+      }
+    }
 
-    return Buffer.concat([addressPadded, typeTagBuffer, ...argBuffers]);
+    const result = this.runModulationCommand({ ...command, action, attackMs, decayMs, releaseMs, holdMs: holdMs ?? null });
+    const { modulators, routes } = this.modulation.list();
+    const formatRate = (rate) => rate === null ? 'on trigger' : typeof rate === 'number' ? `${rate} Hz` : rate;
+    const summary = action === 'route' ? `${result.id}: ${result.source} → ${result.address || `${result.modulator}.${result.parameter}`}`
+      : action === 'unroute' ? `removed ${result.id}`
+      : action === 'delete' ? `${result.name}${result.removedRoutes.length > 0 ? ` and route(s) ${result.removedRoutes.join(', ')}` : ''}`
+      : result.name;
+
+    return {
+      content: [{
+        type: 'text',
+        text: `${action === 'list' ? '🌀 Modulation matrix' : `✅ Modulation ${action}: ${summary}`}${validationReport ? `\n\n${validationReport}` : ''}\n\n🌀 Modulators (${modulators.length}):\n${modulators.map(modulator => `• ${modulator.name}: ${modulator.shape}, ${formatRate(modulator.rate)}, depth ${modulator.depth}, phase ${modulator.phase}, offset ${modulator.offset}${modulator.gate ? `, gate ${modulator.gate}` : ''} → ${modulator.value.toFixed(3)}`).join('\n') || 'None'}\n\n🔀 Routes (${routes.length}):\n${routes.map(route => `• ${route.id}: ${route.source} → ${route.address ? `${route.address} on ${route.destination}` : `${route.modulator}.${route.parameter}`} [${route.range.join(' … ')}]${route.curve !== 'linear' ? ` ${route.curve}` : ''}${route.type === 'i' ? ' (int)' : ''}`).join('\n') || 'None'}`
+      }]
+    };
   }
 
-  padTo4Bytes(buffer) {
-    const padding = (4 - (buffer.length % 4)) % 4;
-    return Buffer.concat([buffer, Buffer.alloc(padding)]);
+  // Rules engine: forward transformed copies of inbound messages; one failing target does not stop the others
+  async applyOSCRules(message, rinfo) {
+    const outputs = await this.rules.process(message, rinfo);
+    for (const output of outputs) {
+      try {
+        const prepared = await this.prepareOSCMessage({ address: output.address, args: output.args, destination: output.destination, type_tags: output.typeTags });
+        await this.sendPreparedOSCMessage(prepared);
+      } catch (error) {
+        console.error(`❌ Rule ${output.rule}: forwarding ${output.address} to ${output.destination} failed: ${error.message}`);
+      }
+    }
   }
 
-  createOSCBundle(messages, timetag = 0) {
-    // Create bundle header: #bundle\0 (8 bytes)
-    const bundleHeader = Buffer.from('#bundle\0');
-    
-    // Create timetag (8 bytes)
-    const timetagBuffer = this.createOSCTimetag(timetag);
-    
-    // Create message elements
-    const messageBuffers = [];
-    
-    for (const message of messages) {
-      // Create OSC message
-      const oscMessage = this.createOSCMessage(message.address, message.args || []);
-      
-      // Create size prefix (4 bytes, big-endian)
-      const sizeBuffer = Buffer.alloc(4);
-      sizeBuffer.writeUInt32BE(oscMessage.length, 0);
-      
-      // Add size + message
-      messageBuffers.push(sizeBuffer);
-      messageBuffers.push(oscMessage);
+  formatRule(rule) {
+    return `${rule.enabled ? '🟢' : '⚪'} ${rule.name}: ${rule.match.address}${rule.match.source ? ` from ${rule.match.source}` : ''} → ${rule.transforms.map(transform => transform.type).join(' → ') || 'unchanged'} → ${rule.forward.map(target => `${target.address || '(same address)'} on ${target.destination}`).join(', ')}${rule.notes ? `\n   ${rule.notes}` : ''}`;
+  }
+
+  async handleSaveOSCRule(args) {
+    const { name, address, source, transforms = [], forward, enabled = true, notes = '' } = args;
+    const { rule, updated } = await this.rules.store.put({ name, match: { address, source }, transforms, forward, enabled, notes });
+
+    // Packets we send to ourselves skip the rules, so a target on this receiver never loops but does nothing either
+    const warnings = [];
+    for (const target of rule.forward) {
+      const resolved = await this.destinations.resolve(target.destination).catch(() => null);
+      if (!resolved) {
+        warnings.push(`Destination "${target.destination}" is not registered; add it with add_osc_destination`);
+      } else if (resolved.port === CONFIG.OSC_RECEIVE_PORT && isLocalAddress(resolved.host)) {
+        warnings.push(`${target.destination} is this server's own receiver; forwarded messages are logged but not run through the rules again`);
+      }
     }
-    
-    // Combine all parts
-    return Buffer.concat([bundleHeader, timetagBuffer, ...messageBuffers]);
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ ${updated ? 'Updated' : 'Saved'} rule\n\n${this.formatRule(rule)}${warnings.length > 0 ? `\n\n${warnings.map(warning => `⚠️ ${warning}`).join('\n')}` : ''}\n\nTry it with test_osc_rule.`
+      }]
+    };
   }
 
-  createOSCTimetag(timestamp) {
-    // Create 8-byte OSC timetag
-    const buffer = Buffer.alloc(8);
-    
-    if (timestamp === 0) {
-      // Immediate execution: special timetag of 1
-      buffer.writeUInt32BE(0, 0);
-      buffer.writeUInt32BE(1, 4);
-    } else {
-      // Convert Unix timestamp (ms) to NTP timestamp
-      const unixSeconds = Math.floor(timestamp / 1000);
-      const unixFraction = (timestamp % 1000) / 1000;
-      
-      // Convert to NTP epoch (1900-based)
-      const SECONDS_FROM_1900_TO_1970 = 2208988800;
-      const ntpSeconds = unixSeconds + SECONDS_FROM_1900_TO_1970;
-      const ntpFraction = Math.round(unixFraction * 0xFFFFFFFF);
-      
-      buffer.writeUInt32BE(ntpSeconds, 0);
-      buffer.writeUInt32BE(ntpFraction, 4);
+  async handleListOSCRules(args) {
+    const { name } = args;
+    if (name) {
+      const rule = await this.rules.store.get(name);
+      if (!rule) {
+        throw new Error(`Unknown rule "${name}"`);
+      }
+      return {
+        content: [{
+          type: 'text',
+          text: `${this.formatRule(rule)}\n\n${JSON.stringify(rule, null, 2)}`
+        }]
+      };
     }
-    
-    return buffer;
+
+    const rules = await this.rules.store.load();
+    return {
+      content: [{
+        type: 'text',
+        text: `🔀 OSC rules (${rules.length}, ${rules.filter(rule => rule.enabled).length} enabled)\n\n${rules.map(rule => this.formatRule(rule)).join('\n') || 'No rules saved'}`
+      }]
+    };
+  }
+
+  async handleSetOSCRuleEnabled(args) {
+    const { name, enabled } = args;
+    const rule = await this.rules.store.setEnabled(name, enabled);
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ Rule ${rule.enabled ? 'enabled' : 'disabled'}\n\n${this.formatRule(rule)}`
+      }]
+    };
+  }
+
+  async handleDeleteOSCRule(args) {
+    const { name } = args;
+    const removed = await this.rules.store.remove(name);
+    return {
+      content: [{
+        type: 'text',
+        text: removed ? `✅ Deleted rule: ${name}` : `❌ Rule not found: ${name}`
+      }]
+    };
+  }
+
+  async handleTestOSCRule(args) {
+    const { matched, outputs, message } = await this.rules.test(args);
+    const matchedText = matched.length > 0 ? matched.join(', ') : 'none';
+    return {
+      content: [{
+        type: 'text',
+        text: `🧪 Test: ${message.address} [${formatArgs(message.args)}]${message.source ? ` from ${message.source}` : ''}\nMatched rules: ${matchedText}\n\nWould send (${outputs.length}):\n${outputs.map(output => `• ${output.rule}: ${output.address} [${formatArgs(output.args)}] → ${output.destination}`).join('\n') || (matched.length > 0 ? 'Nothing: the transforms dropped the message (threshold gate, or a merge still waiting for its other addresses)' : 'Nothing')}`
+      }]
+    };
   }
 
   async handleWebSocketControl(args) {
@@ -1394,7 +3196,14 @@ class MaxMSPCompatibleMCPServer {
       
       // Use WEBSOCKET_PORT environment variable or default to 8765
       const webSocketPort = parseInt(process.env.WEBSOCKET_PORT || '8765');
-      this.webSocketController = new OSCWebSocketController(webSocketPort);
+      this.webSocketController = new OSCWebSocketController(webSocketPort, this.oscManager, this.destinations, this.streamScheduler);
+      // Streamed values are published by sendStreamMessages as the shared scheduler sends them
+      this.webSocketController.onParameterChange = (parameter) => {
+        if (!parameter.isStreaming) this.publishOSCValue(parameter.address, [parameter.value]);
+      };
+      this.webSocketController.onSequencerCommand = (command) => this.runSequencerCommand(command);
+      this.webSocketController.onRampCommand = (command) => this.runRampCommand(command);
+      this.webSocketController.onModulationCommand = (command) => this.runModulationCommand(command);
       this.webSocketController.start();
       
       console.error(`🌐 WebSocket OSC Controller started on port ${webSocketPort}`);
@@ -1441,8 +3250,8 @@ class MaxMSPCompatibleMCPServer {
         if (!param.name || !param.type) {
           throw new Error('Each parameter must have a name and type');
         }
-        if (!['integer', 'float', 'string', 'boolean', 'blob'].includes(param.type)) {
-          throw new Error('Parameter type must be one of: integer, float, string, boolean, blob');
+        if (!PARAMETER_TYPES.includes(param.type)) {
+          throw new Error(`Parameter type must be one of: ${PARAMETER_TYPES.join(', ')}`);
         }
       }
     }
@@ -1604,9 +3413,14 @@ class MaxMSPCompatibleMCPServer {
     };
   }
 
-  // Enhanced pattern loading with validation and cleanup
+  // Enhanced pattern loading with validation and cleanup. Reloads from disk only when the
+  // dashboard or another process has modified the file; callers get a copy they may edit
   async loadPatterns() {
     try {
+      const { mtimeMs } = await fs.stat(CONFIG.PATTERNS_FILE);
+      if (this.patternsCache && mtimeMs === this.patternsCacheMtime) {
+        return { ...this.patternsCache, patterns: [...this.patternsCache.patterns] };
+      }
       const content = await fs.readFile(CONFIG.PATTERNS_FILE, 'utf8');
       const data = JSON.parse(content);
       
@@ -1632,6 +3446,8 @@ class MaxMSPCompatibleMCPServer {
           lastUpdate: new Date().toISOString(),
           lastValidation: new Date().toISOString()
         };
+        this.patternsCache = { ...data, patterns: [...validPatterns] };
+        this.patternsCacheMtime = mtimeMs;
         
         // Save cleaned data back to file if changes were made
         const originalCount = data.metadata.totalPatterns || 0;
@@ -1677,6 +3493,13 @@ class MaxMSPCompatibleMCPServer {
     await fs.mkdir(path.dirname(CONFIG.PATTERNS_FILE), { recursive: true });
     await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
     await fs.rename(tempFile, CONFIG.PATTERNS_FILE);
+    this.patternsCache = data.patterns ? { ...data, patterns: [...data.patterns] } : null;
+    this.patternsCacheMtime = (await fs.stat(CONFIG.PATTERNS_FILE)).mtimeMs;
+    
+    if (this.oscQueryServer) {
+      this.oscQueryServer.notifyNamespaceChanged('/');
+    }
+    this.notifyPatternResourcesChanged(data.patterns || []);
   }
 
   async start() {
@@ -1684,9 +3507,23 @@ class MaxMSPCompatibleMCPServer {
       // Set up OSC receiver (non-blocking)
       await this.setupOSCReceiver();
       
+      if (CONFIG.OSCQUERY_PORT) {
+        await this.setupOSCQueryServer();
+      }
+      
+      this.scheduler.start();
+      this.bundleQueue.start();
+      
       // Start MCP server
-      const transport = new StdioServerTransport();
-      await this.server.connect(transport);
+      if (CONFIG.MCP_STDIO) {
+        const transport = new StdioServerTransport();
+        await this.server.connect(transport);
+        this.connectedServers.add(this.server);
+      }
+      
+      if (CONFIG.MCP_HTTP_PORT) {
+        await this.setupMCPHttpTransport();
+      }
       
       console.error('✅ MaxMSP-Compatible MCP Server started');
       console.error(`📡 OSC receiving on port ${CONFIG.OSC_RECEIVE_PORT}`);
@@ -1699,19 +3536,75 @@ class MaxMSPCompatibleMCPServer {
     }
   }
 
+  async setupMCPHttpTransport() {
+    try {
+      this.mcpHttpTransport = new MCPHttpTransport(CONFIG.MCP_HTTP_PORT, CONFIG.MCP_HTTP_HOST, {
+        createServer: () => {
+          const server = this.createMCPServer();
+          this.connectedServers.add(server);
+          return server;
+        },
+        onSessionClosed: (server) => {
+          this.connectedServers.delete(server);
+          this.resourceSubscriptions.delete(server);
+        }
+      });
+      await this.mcpHttpTransport.listen();
+      console.error(`🌐 MCP over HTTP on http://${CONFIG.MCP_HTTP_HOST}:${CONFIG.MCP_HTTP_PORT}/sse`);
+    } catch (error) {
+      console.error(`❌ Failed to setup MCP HTTP transport: ${error.message}`);
+      this.mcpHttpTransport = null;
+      // Without stdio there is no other way to reach this instance
+      if (!CONFIG.MCP_STDIO) {
+        throw error;
+      }
+    }
+  }
+
   async cleanup() {
     this.isShuttingDown = true;
     
+    this.transport.close();
+    this.scheduler.stop();
+    this.bundleQueue.stop();
+    this.scenes.stopFade();
+    this.ramps.close();
+    this.streamScheduler.close();
+    
+    // Release query_osc callers still waiting for a reply
+    this.pendingReplies.forEach(waiter => waiter.resolve(null));
+    
+    this.resourceUpdateTimers.forEach(timer => clearTimeout(timer));
+    this.resourceUpdateTimers.clear();
+    
     if (this.oscReceiveSocket) {
       this.oscReceiveSocket.close();
     }
     
+    if (this.oscTCPServer) {
+      await this.oscTCPServer.close();
+    }
+    
     if (this.webSocketController) {
       this.webSocketController.stop();
     }
     
-    // Wait for any pending file writes
-    await Promise.all(this.fileWriteQueue.values());
+    this.oscQueryClients.forEach(client => client.close());
+    this.oscQueryClients.clear();
+    
+    if (this.oscQueryServer) {
+      await this.oscQueryServer.close();
+    }
+    
+    if (this.mcpHttpTransport) {
+      await this.mcpHttpTransport.close();
+    }
+    
+    // Close pooled outbound sockets after every sender has stopped
+    await this.oscManager.close();
+    
+    // Wait for any pending log appends
+    await this.messageLog.flush();
   }
 
   async logOSCMessage(address, args, direction = 'outbound', source = null) {
@@ -1723,7 +3616,7 @@ class MaxMSPCompatibleMCPServer {
       source: source || { address: CONFIG.OSC_HOST, port: CONFIG.OSC_SEND_PORT }
     };
     
-    await this.atomicWriteOSCMessage(message);
+    await this.appendOSCMessage(message);
   }
 }
 
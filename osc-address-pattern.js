@@ -0,0 +1,144 @@
+/**
+ * OSC Address Pattern Matching - OSC 1.0 spec with the OSC 1.1 path-traversal wildcard
+ *
+ *   ?        any single character within a part
+ *   *        zero or more characters within a part (never crosses "/")
+ *   [abc]    any listed character; [a-z] ranges; [!a-z] negation
+ *   {a,bc}   any of the comma-separated strings
+ *   //       OSC 1.1: matches any number of intermediate parts, e.g. //freq
+ */
+
+const compiledPatterns = new Map(); // pattern -> compiled part list
+const MAX_CACHE_SIZE = 500;
+
+const REGEX_SPECIALS = /[.+^$(){}|\\/]/;
+
+function escapeRegexChar(char) {
+  return REGEX_SPECIALS.test(char) || char === '*' || char === '?' || char === '[' || char === ']'
+    ? '\\' + char
+    : char;
+}
+
+// Translate one "/"-delimited pattern part into an anchored RegExp
+function compilePart(part) {
+  let source = '';
+
+  for (let i = 0; i < part.length; i++) {
+    const char = part[i];
+
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const end = part.indexOf(']', i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated '[' in OSC address pattern part '${part}'`);
+      }
+      let body = part.slice(i + 1, end);
+      let negate = false;
+      if (body.startsWith('!')) {
+        negate = true;
+        body = body.slice(1);
+      }
+      // An empty class would compile to [] (never matches) or [^] (matches anything)
+      if (body === '') {
+        throw new Error(`Empty character class '[${negate ? '!' : ''}]' in OSC address pattern part '${part}'`);
+      }
+      // Keep "-" ranges, escape everything else that is special inside a character class
+      const classBody = body.replace(/[\\\]^]/g, '\\$&');
+      source += `[${negate ? '^' : ''}${classBody}]`;
+      i = end;
+    } else if (char === '{') {
+      const end = part.indexOf('}', i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated '{' in OSC address pattern part '${part}'`);
+      }
+      const alternatives = part.slice(i + 1, end).split(',')
+        .map(alternative => Array.from(alternative).map(escapeRegexChar).join(''));
+      source += `(?:${alternatives.join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegexChar(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+// Compile a pattern into a list of part matchers; null entries stand for the "//" wildcard
+export function compileOSCPattern(pattern) {
+  if (compiledPatterns.has(pattern)) {
+    return compiledPatterns.get(pattern);
+  }
+
+  if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+    throw new Error('OSC address pattern must start with "/"');
+  }
+
+  const parts = [];
+  const rawParts = pattern.slice(1).split('/');
+
+  rawParts.forEach((part, index) => {
+    // An empty part between two slashes is the "//" traversal wildcard
+    if (part === '' && index < rawParts.length - 1) {
+      if (parts[parts.length - 1] !== null) {
+        parts.push(null);
+      }
+    } else {
+      parts.push(compilePart(part));
+    }
+  });
+
+  if (compiledPatterns.size >= MAX_CACHE_SIZE) {
+    compiledPatterns.delete(compiledPatterns.keys().next().value);
+  }
+  compiledPatterns.set(pattern, parts);
+  return parts;
+}
+
+function matchParts(patternParts, addressParts, patternIndex, addressIndex) {
+  if (patternIndex === patternParts.length) {
+    return addressIndex === addressParts.length;
+  }
+
+  const matcher = patternParts[patternIndex];
+
+  if (matcher === null) {
+    // "//" consumes zero or more address parts
+    for (let skip = addressIndex; skip <= addressParts.length; skip++) {
+      if (matchParts(patternParts, addressParts, patternIndex + 1, skip)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  return addressIndex < addressParts.length &&
+    matcher.test(addressParts[addressIndex]) &&
+    matchParts(patternParts, addressParts, patternIndex + 1, addressIndex + 1);
+}
+
+// True when the concrete OSC address matches the OSC address pattern
+export function matchOSCAddress(pattern, address) {
+  if (typeof address !== 'string' || !address.startsWith('/')) {
+    return false;
+  }
+  return matchParts(compileOSCPattern(pattern), address.slice(1).split('/'), 0, 0);
+}
+
+export function isOSCPattern(value) {
+  return typeof value === 'string' && /[*?[\]{}]|\/\//.test(value);
+}
+
+// Filter helper shared by tools and REST routes: "/..." patterns use OSC matching, anything else is a substring search
+export function createAddressFilter(pattern) {
+  if (!pattern) {
+    return () => true;
+  }
+  if (pattern.startsWith('/')) {
+    compileOSCPattern(pattern); // Surface syntax errors before filtering
+    return (address) => matchOSCAddress(pattern, address);
+  }
+  return (address) => typeof address === 'string' && address.includes(pattern);
+}
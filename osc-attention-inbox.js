@@ -0,0 +1,172 @@
+/**
+ * OSC Attention Inbox - Inbound messages that ask Claude for something
+ * Messages matching the attention patterns (e.g. a Max button sending /claude/ask "make it darker")
+ * are queued until acknowledged. The inbox is an append-only JSONL event file in logs/ so the
+ * MCP server and the dashboard can both add requests; acknowledgements are appended as events too.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { compileOSCPattern, isOSCPattern, matchOSCAddress } from './osc-address-pattern.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Plain entries match anywhere in the address, ignoring case, e.g. /claude/ask or /max/command/run
+export const DEFAULT_ATTENTION_PATTERNS = ['/claude/', '/query/', '/request/', '/ask/', '/command/', '/ai/', '/process/'];
+
+// "pattern1,pattern2" from OSC_ATTENTION_PATTERNS; entries with wildcards are OSC address
+// patterns, and invalid ones fail fast
+export function parseAttentionPatterns(value) {
+  if (!value) {
+    return DEFAULT_ATTENTION_PATTERNS;
+  }
+  const patterns = value.split(',').map(pattern => pattern.trim()).filter(Boolean);
+  patterns.filter(isOSCPattern).forEach(pattern => compileOSCPattern(pattern));
+  return patterns;
+}
+
+function matchesAttentionPattern(pattern, address) {
+  return isOSCPattern(pattern)
+    ? matchOSCAddress(pattern, address)
+    : address.toLowerCase().includes(pattern.toLowerCase());
+}
+
+// Human-readable summary of what the performer asked for
+export function extractIntent(address, args) {
+  const addressParts = address.split('/').filter(part => part.length > 0);
+  const lastPart = addressParts[addressParts.length - 1];
+
+  if (Array.isArray(args) && args.length > 0) {
+    return `${lastPart} with ${args.length} argument(s): ${args.slice(0, 3).join(', ')}${args.length > 3 ? '...' : ''}`;
+  }
+
+  return lastPart || 'process command';
+}
+
+export class OSCAttentionInbox {
+  constructor(options = {}) {
+    this.file = path.join(options.logsDir || path.join(__dirname, 'logs'), 'osc-attention-inbox.jsonl');
+    this.patterns = options.patterns || parseAttentionPatterns(process.env.OSC_ATTENTION_PATTERNS);
+    this.compactAfter = options.compactAfter || 200; // Acknowledged requests kept before the file is rewritten
+    this.maxPending = options.maxPending || parseInt(process.env.OSC_ATTENTION_MAX_PENDING || '100'); // Beyond this the oldest pending requests are dropped
+    this.writeChain = Promise.resolve();
+  }
+
+  matches(address) {
+    return this.patterns.some(pattern => matchesAttentionPattern(pattern, address));
+  }
+
+  // Queue an inbound message; returns the pending request
+  async add({ address, args, source }) {
+    const request = {
+      id: randomUUID().slice(0, 8),
+      address,
+      args,
+      source,
+      intent: extractIntent(address, args),
+      receivedAt: new Date().toISOString()
+    };
+    await this.appendEvents([{ type: 'request', ...request }]);
+    await this.dropOverflow();
+    return request;
+  }
+
+  // Nobody is answering: acknowledge the oldest pending requests so the inbox stays bounded
+  async dropOverflow() {
+    const { requests } = await this.readState();
+    const pending = requests.filter(request => !request.ackedAt);
+    if (pending.length <= this.maxPending) {
+      return;
+    }
+
+    const dropped = pending.slice(0, pending.length - this.maxPending).map(request => request.id);
+    await this.ack(dropped, `Dropped: more than ${this.maxPending} pending requests`);
+    console.error(`🗑️ Dropped ${dropped.length} unanswered OSC request(s); the inbox keeps ${this.maxPending}`);
+  }
+
+  // Acknowledge pending requests by id; returns { acked, unknown }
+  async ack(ids, note) {
+    const { requests } = await this.readState();
+    const pendingIds = new Set(requests.filter(request => !request.ackedAt).map(request => request.id));
+    const acked = ids.filter(id => pendingIds.has(id));
+    const unknown = ids.filter(id => !pendingIds.has(id));
+
+    const ackedAt = new Date().toISOString();
+    await this.appendEvents(acked.map(id => ({ type: 'ack', id, ackedAt, ...(note ? { note } : {}) })));
+
+    if (requests.length - pendingIds.size + acked.length >= this.compactAfter) {
+      await this.compact();
+    }
+
+    return { acked, unknown };
+  }
+
+  // Pending requests oldest first; acknowledged ones too with includeAcked
+  async list({ includeAcked = false } = {}) {
+    const { requests } = await this.readState();
+    return includeAcked ? requests : requests.filter(request => !request.ackedAt);
+  }
+
+  appendEvents(events) {
+    if (events.length === 0) {
+      return this.writeChain;
+    }
+    const lines = events.map(event => JSON.stringify(event)).join('\n') + '\n';
+    const write = this.writeChain.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.appendFile(this.file, lines);
+    });
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+
+  // Replay events into request records
+  async readState(file = this.file) {
+    await this.writeChain;
+    let content = '';
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      return { requests: [] };
+    }
+
+    const requests = new Map();
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      try {
+        const event = JSON.parse(line);
+        if (event.type === 'request') {
+          requests.set(event.id, { ...event });
+        } else if (event.type === 'ack' && requests.has(event.id)) {
+          Object.assign(requests.get(event.id), { ackedAt: event.ackedAt, note: event.note });
+        }
+      } catch (error) {
+        // Skip a partially written line
+      }
+    }
+
+    const list = Array.from(requests.values(), ({ type, ...request }) => request);
+    return { requests: list.sort((a, b) => a.receivedAt.localeCompare(b.receivedAt)) };
+  }
+
+  // Drop acknowledged requests. The file is renamed away first so requests appended
+  // meanwhile by another process land in a fresh file instead of being overwritten.
+  async compact() {
+    const claimedFile = `${this.file}.compacting-${process.pid}`;
+    await this.writeChain;
+    try {
+      await fs.rename(this.file, claimedFile);
+    } catch (error) {
+      return;
+    }
+
+    try {
+      const { requests } = await this.readState(claimedFile);
+      await this.appendEvents(requests.filter(request => !request.ackedAt).map(request => ({ type: 'request', ...request })));
+    } finally {
+      await fs.rm(claimedFile, { force: true });
+    }
+  }
+}
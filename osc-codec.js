@@ -0,0 +1,481 @@
+/**
+ * OSC Codec - Shared encoder/decoder for OSC messages and bundles
+ * Used by the MCP server, dashboard and WebSocket controller so every
+ * process produces byte-identical packets
+ *
+ * Supports the OSC 1.0 required and optional type tags plus the OSC 1.1 additions:
+ *   i int32, f float32, s string, b blob, h int64, d float64, t timetag,
+ *   S symbol, c char, r RGBA color, m MIDI, T true, F false, N nil,
+ *   I impulse/infinitum, [ ] array
+ */
+
+const BUNDLE_HEADER = Buffer.from('#bundle\0');
+const SECONDS_FROM_1900_TO_1970 = 2208988800;
+
+export const SUPPORTED_TYPE_TAGS = 'ifsbhdtScrmTFNI[]';
+
+// Pad a buffer with zero bytes to the next 4-byte boundary
+export function padTo4Bytes(buffer) {
+  const padding = (4 - (buffer.length % 4)) % 4;
+  return padding === 0 ? buffer : Buffer.concat([buffer, Buffer.alloc(padding)]);
+}
+
+// Infer the OSC type tag for a single JavaScript value
+export function inferTypeTag(value) {
+  if (typeof value === 'number') {
+    // A decoded Infinitum ('I') is Infinity; re-sent with inferred tags it must stay one
+    if (value === Infinity) {
+      return 'I';
+    }
+    if (!Number.isInteger(value)) {
+      return 'f';
+    }
+    // Integers beyond int32 keep their value as int64, or as a double beyond 2^53
+    return value === (value | 0) ? 'i' : Number.isSafeInteger(value) ? 'h' : 'd';
+  } else if (typeof value === 'boolean') {
+    return value ? 'T' : 'F';
+  } else if (typeof value === 'bigint') {
+    return 'h';
+  } else if (value === null) {
+    return 'N';
+  } else if (Array.isArray(value)) {
+    return '[' + inferTypeTags(value) + ']';
+  } else if (value instanceof Uint8Array) {
+    return 'b';
+  } else if (value instanceof Date) {
+    return 't';
+  }
+  return 's';
+}
+
+export function inferTypeTags(values = []) {
+  return values.map(inferTypeTag).join('');
+}
+
+// Parse a type tag string into a tree where arrays become nested lists, e.g. 'i[fs]' -> ['i', ['f', 's']]
+export function parseTypeTags(typeTags) {
+  const root = [];
+  const stack = [root];
+
+  for (const tag of typeTags) {
+    if (tag === '[') {
+      const array = [];
+      stack[stack.length - 1].push(array);
+      stack.push(array);
+    } else if (tag === ']') {
+      if (stack.length === 1) {
+        throw new Error(`Unbalanced ']' in type tags '${typeTags}'`);
+      }
+      stack.pop();
+    } else if (SUPPORTED_TYPE_TAGS.includes(tag)) {
+      stack[stack.length - 1].push(tag);
+    } else {
+      throw new Error(`Unsupported OSC type tag '${tag}'`);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Unbalanced '[' in type tags '${typeTags}'`);
+  }
+
+  return root;
+}
+
+export function isBundle(buffer) {
+  return buffer.length >= 8 && buffer.subarray(0, 8).equals(BUNDLE_HEADER);
+}
+
+function encodeString(value) {
+  return padTo4Bytes(Buffer.from(String(value) + '\0'));
+}
+
+// Accepts a Buffer/Uint8Array, an array of bytes, a serialized Buffer ({ type: 'Buffer', data }) or base64 text
+function toBlobBuffer(value) {
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value);
+  } else if (Array.isArray(value)) {
+    return Buffer.from(value);
+  } else if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+    return Buffer.from(value.data);
+  } else if (typeof value === 'string') {
+    return Buffer.from(value, 'base64');
+  }
+  throw new Error('Blob argument must be a Buffer, byte array or base64 string');
+}
+
+function encodeBlob(value) {
+  const data = toBlobBuffer(value);
+  const size = Buffer.alloc(4);
+  size.writeInt32BE(data.length, 0);
+  return Buffer.concat([size, padTo4Bytes(data)]);
+}
+
+// Accepts a Date, an ISO string, milliseconds since the Unix epoch or a raw { seconds, fraction } NTP pair
+function encodeTimetagArgument(value) {
+  if (value && typeof value === 'object' && !(value instanceof Date) && 'seconds' in value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeUInt32BE(value.seconds >>> 0, 0);
+    buffer.writeUInt32BE((value.fraction || 0) >>> 0, 4);
+    return buffer;
+  }
+  const timestamp = value instanceof Date || typeof value === 'string'
+    ? new Date(value).getTime()
+    : Number(value);
+  if (!Number.isFinite(timestamp)) {
+    throw new Error(`Invalid timetag argument '${value}'`);
+  }
+  return encodeTimetag(timestamp);
+}
+
+// Accepts a single character or its character code
+function encodeChar(value) {
+  const code = typeof value === 'number' ? value : String(value).codePointAt(0);
+  if (!Number.isInteger(code)) {
+    throw new Error(`Invalid char argument '${value}'`);
+  }
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(code, 0);
+  return buffer;
+}
+
+// Accepts { r, g, b, a }, [r, g, b, a] or a packed 0xRRGGBBAA integer
+function encodeColor(value) {
+  const buffer = Buffer.alloc(4);
+  if (typeof value === 'number') {
+    buffer.writeUInt32BE(value >>> 0, 0);
+  } else {
+    const [r, g, b, a = 255] = Array.isArray(value) ? value : [value.r, value.g, value.b, value.a];
+    [r, g, b, a].forEach((component, index) => buffer.writeUInt8(component & 0xFF, index));
+  }
+  return buffer;
+}
+
+// Accepts { port, status, data1, data2 } or [port, status, data1, data2]
+function encodeMidi(value) {
+  const bytes = Array.isArray(value)
+    ? value
+    : [value.port || 0, value.status, value.data1 || 0, value.data2 || 0];
+  const buffer = Buffer.alloc(4);
+  bytes.slice(0, 4).forEach((byte, index) => buffer.writeUInt8(byte & 0xFF, index));
+  return buffer;
+}
+
+// Numbers pass through, numeric strings are parsed; anything else would silently encode as 0 or NaN
+function toFiniteNumber(type, value, parse) {
+  const number = typeof value === 'number' ? value : parse(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`Invalid '${type}' argument '${value}': expected a finite number`);
+  }
+  return number;
+}
+
+// BigInt() rejects fractions and non-numeric strings with a bare SyntaxError; report the argument instead
+function toInt64(value) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  try {
+    return BigInt(typeof value === 'number' ? Math.trunc(toFiniteNumber('h', value, Number)) : String(value).trim());
+  } catch (error) {
+    throw new Error(`Invalid 'h' argument '${value}': expected an integer`);
+  }
+}
+
+function encodeArgument(type, value) {
+  switch (type) {
+    case 'i': {
+      const buffer = Buffer.alloc(4);
+      buffer.writeInt32BE(Math.trunc(toFiniteNumber(type, value, parseInt)), 0);
+      return buffer;
+    }
+    case 'f': {
+      const buffer = Buffer.alloc(4);
+      buffer.writeFloatBE(toFiniteNumber(type, value, parseFloat), 0);
+      return buffer;
+    }
+    case 'h': {
+      const buffer = Buffer.alloc(8);
+      buffer.writeBigInt64BE(toInt64(value), 0);
+      return buffer;
+    }
+    case 'd': {
+      const buffer = Buffer.alloc(8);
+      buffer.writeDoubleBE(toFiniteNumber(type, value, parseFloat), 0);
+      return buffer;
+    }
+    case 's':
+    case 'S':
+      return encodeString(value);
+    case 'b':
+      return encodeBlob(value);
+    case 't':
+      return encodeTimetagArgument(value);
+    case 'c':
+      return encodeChar(value);
+    case 'r':
+      return encodeColor(value);
+    case 'm':
+      return encodeMidi(value);
+    case 'T':
+    case 'F':
+    case 'N':
+    case 'I':
+      return Buffer.alloc(0); // No data for these types
+    default:
+      throw new Error(`Unsupported OSC type tag '${type}'`);
+  }
+}
+
+// Encode values against a parsed type tag tree, recursing into arrays
+function encodeArguments(tagTree, values, buffers) {
+  if (!Array.isArray(values) || tagTree.length !== values.length) {
+    throw new Error(`Type tags count (${tagTree.length}) must match values count (${Array.isArray(values) ? values.length : 0})`);
+  }
+
+  tagTree.forEach((tag, index) => {
+    if (Array.isArray(tag)) {
+      encodeArguments(tag, values[index], buffers);
+    } else {
+      buffers.push(encodeArgument(tag, values[index]));
+    }
+  });
+
+  return buffers;
+}
+
+// Encode an OSC message; type tags are inferred from values when omitted
+export function encodeMessage(address, values = [], typeTags = '') {
+  if (typeof address !== 'string' || !address.startsWith('/')) {
+    throw new Error('OSC address must start with "/"');
+  }
+
+  const tags = typeTags || inferTypeTags(values);
+  const argBuffers = encodeArguments(parseTypeTags(tags), values, []);
+
+  return Buffer.concat([encodeString(address), encodeString(',' + tags), ...argBuffers]);
+}
+
+// Encode an 8-byte NTP timetag from milliseconds since the Unix epoch (0 = immediate)
+export function encodeTimetag(timestamp = 0) {
+  const buffer = Buffer.alloc(8);
+
+  if (!timestamp) {
+    // Immediate execution: special timetag of 1
+    buffer.writeUInt32BE(0, 0);
+    buffer.writeUInt32BE(1, 4);
+  } else {
+    const unixSeconds = Math.floor(timestamp / 1000);
+    const unixFraction = (timestamp % 1000) / 1000;
+
+    buffer.writeUInt32BE(unixSeconds + SECONDS_FROM_1900_TO_1970, 0);
+    buffer.writeUInt32BE(Math.round(unixFraction * 0xFFFFFFFF), 4);
+  }
+
+  return buffer;
+}
+
+// Decode an 8-byte NTP timetag into a JavaScript Date
+export function decodeTimetag(buffer, offset = 0) {
+  const seconds = buffer.readUInt32BE(offset);
+  const fraction = buffer.readUInt32BE(offset + 4);
+
+  const unixSeconds = seconds - SECONDS_FROM_1900_TO_1970;
+  const milliseconds = Math.round((fraction / 0xFFFFFFFF) * 1000);
+
+  return new Date(unixSeconds * 1000 + milliseconds);
+}
+
+// The special timetag 0x0000000000000001 means "immediately" rather than a point in 1900
+export function isImmediateTimetag(buffer, offset = 0) {
+  return buffer.readUInt32BE(offset) === 0 && buffer.readUInt32BE(offset + 4) === 1;
+}
+
+// "immediate" for the special timetag, ISO time otherwise; takes a decoded bundle
+export function formatTimetag({ timetag, immediate }) {
+  return immediate ? 'immediate' : timetag.toISOString();
+}
+
+// Encode a bundle; elements are { address, args, typeTags } messages or nested { timetag, elements } bundles
+export function encodeBundle(elements, timetag = 0) {
+  const elementBuffers = [];
+
+  for (const element of elements) {
+    const packet = Array.isArray(element.elements)
+      ? encodeBundle(element.elements, element.timetag)
+      : encodeMessage(element.address, element.args || [], element.typeTags);
+
+    const sizeBuffer = Buffer.alloc(4);
+    sizeBuffer.writeUInt32BE(packet.length, 0);
+    elementBuffers.push(sizeBuffer, packet);
+  }
+
+  return Buffer.concat([BUNDLE_HEADER, encodeTimetag(timetag), ...elementBuffers]);
+}
+
+function readString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end === -1) {
+    throw new Error(`Unterminated OSC string at offset ${offset}`);
+  }
+  const value = buffer.toString('utf8', offset, end);
+  return { value, offset: (end + 4) & ~3 };
+}
+
+function ensureAvailable(buffer, offset, length, type) {
+  if (length < 0) {
+    throw new Error(`Invalid OSC argument '${type}' size ${length} at offset ${offset}`);
+  }
+  if (offset + length > buffer.length) {
+    throw new Error(`Truncated OSC argument '${type}' at offset ${offset}`);
+  }
+}
+
+// int64 values outside the safe integer range are kept as decimal strings so logs stay JSON-serializable
+function decodeInt64(buffer, offset) {
+  const value = buffer.readBigInt64BE(offset);
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : value.toString();
+}
+
+function decodeArgument(type, buffer, offset) {
+  switch (type) {
+    case 'i':
+      ensureAvailable(buffer, offset, 4, type);
+      return { value: buffer.readInt32BE(offset), offset: offset + 4 };
+    case 'f':
+      ensureAvailable(buffer, offset, 4, type);
+      return { value: buffer.readFloatBE(offset), offset: offset + 4 };
+    case 'h':
+      ensureAvailable(buffer, offset, 8, type);
+      return { value: decodeInt64(buffer, offset), offset: offset + 8 };
+    case 'd':
+      ensureAvailable(buffer, offset, 8, type);
+      return { value: buffer.readDoubleBE(offset), offset: offset + 8 };
+    case 's':
+    case 'S':
+      return readString(buffer, offset);
+    case 'b': {
+      ensureAvailable(buffer, offset, 4, type);
+      const size = buffer.readInt32BE(offset);
+      ensureAvailable(buffer, offset + 4, size, type);
+      const value = Buffer.from(buffer.subarray(offset + 4, offset + 4 + size));
+      return { value, offset: (offset + 4 + size + 3) & ~3 };
+    }
+    case 't':
+      ensureAvailable(buffer, offset, 8, type);
+      return { value: decodeTimetag(buffer, offset), offset: offset + 8 };
+    case 'c':
+      ensureAvailable(buffer, offset, 4, type);
+      return { value: String.fromCodePoint(buffer.readUInt32BE(offset)), offset: offset + 4 };
+    case 'r':
+      ensureAvailable(buffer, offset, 4, type);
+      return {
+        value: { r: buffer[offset], g: buffer[offset + 1], b: buffer[offset + 2], a: buffer[offset + 3] },
+        offset: offset + 4
+      };
+    case 'm':
+      ensureAvailable(buffer, offset, 4, type);
+      return {
+        value: { port: buffer[offset], status: buffer[offset + 1], data1: buffer[offset + 2], data2: buffer[offset + 3] },
+        offset: offset + 4
+      };
+    case 'T':
+      return { value: true, offset };
+    case 'F':
+      return { value: false, offset };
+    case 'N':
+      return { value: null, offset };
+    case 'I':
+      return { value: Infinity, offset };
+    default:
+      throw new Error(`Unsupported OSC type tag '${type}'`);
+  }
+}
+
+// Decode arguments against a parsed type tag tree, recursing into arrays
+function decodeArguments(tagTree, buffer, offset) {
+  const values = [];
+
+  for (const tag of tagTree) {
+    const decoded = Array.isArray(tag)
+      ? decodeArguments(tag, buffer, offset)
+      : decodeArgument(tag, buffer, offset);
+    values.push(decoded.value);
+    offset = decoded.offset;
+  }
+
+  return { value: values, offset };
+}
+
+// Decode a single OSC message into { type, address, typeTags, args }
+export function decodeMessage(buffer) {
+  const address = readString(buffer, 0);
+  let offset = address.offset;
+  let typeTags = '';
+
+  // Messages without a type tag string are legal in OSC 1.0 and carry no args
+  if (offset < buffer.length && buffer[offset] === 44) { // ','
+    const tags = readString(buffer, offset);
+    typeTags = tags.value.slice(1);
+    offset = tags.offset;
+  }
+
+  const args = decodeArguments(parseTypeTags(typeTags), buffer, offset).value;
+
+  return { type: 'message', address: address.value, typeTags, args };
+}
+
+// Decode a bundle into { type, timetag, immediate, elements } with nested packets decoded recursively
+export function decodeBundle(buffer) {
+  if (!isBundle(buffer)) {
+    throw new Error('Invalid bundle: missing #bundle header');
+  }
+  if (buffer.length < 16) {
+    throw new Error('Invalid bundle: insufficient data for timetag');
+  }
+
+  const timetag = decodeTimetag(buffer, 8);
+  const elements = [];
+  let offset = 16;
+
+  while (offset + 4 <= buffer.length) {
+    const size = buffer.readUInt32BE(offset);
+    offset += 4;
+
+    if (size === 0 || offset + size > buffer.length) {
+      throw new Error(`Invalid bundle element size ${size} at offset ${offset}`);
+    }
+
+    elements.push({ ...decodePacket(buffer.subarray(offset, offset + size)), size });
+    offset += size;
+  }
+
+  return { type: 'bundle', timetag, immediate: isImmediateTimetag(buffer, 8), elements };
+}
+
+// Decode either a message or a bundle
+export function decodePacket(buffer) {
+  return isBundle(buffer) ? decodeBundle(buffer) : decodeMessage(buffer);
+}
+
+// Human-readable rendering of a decoded argument for console output and tool results
+export function formatArgument(value) {
+  if (Buffer.isBuffer(value)) {
+    return `<blob ${value.length} bytes>`;
+  } else if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+    return `<blob ${value.data.length} bytes>`; // Blob read back from a JSON log
+  } else if (value instanceof Date) {
+    return value.toISOString();
+  } else if (Array.isArray(value)) {
+    return '[' + value.map(formatArgument).join(', ') + ']';
+  } else if (value === Infinity) {
+    return 'impulse';
+  } else if (value && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+export function formatArgs(args = []) {
+  return args.map(formatArgument).join(', ');
+}
@@ -1,14 +1,30 @@
 /**
  * OSC Command Queue System - Plan 2: Scheduling & Automation
+ * Commands run through the `execute` callback supplied by the owner (the MCP server's
+ * shared OSC sender). Lateness of every execution is recorded for jitter stats.
  */
 
+const LATENESS_WINDOW = 500; // Executions kept for jitter statistics
+const HISTORY_LIMIT = 50;    // Finished commands kept for listing
+
 export class OSCCommandQueue {
-  constructor() {
+  constructor(options = {}) {
     this.queue = [];
     this.scheduledCommands = new Map(); // timestamp -> commands
     this.patterns = new Map(); // patternId -> pattern definition
     this.isRunning = false;
-    this.tickInterval = 10; // 10ms precision
+    this.tickInterval = options.tickInterval || 10; // 10ms precision
+    this.execute = options.execute || null; // async (command) => result
+    // Executions later than this count as late; anything below the tick interval is timer granularity
+    this.lateThresholdMs = options.lateThresholdMs ?? this.tickInterval;
+    this.nextId = 1;
+    this.history = [];
+    this.latenesses = [];
+    this.stats = { executed: 0, failed: 0, late: 0, cancelled: 0 };
+  }
+
+  generateId() {
+    return `cmd-${(this.nextId++).toString(36)}`;
   }
 
   // Add command to queue
@@ -24,19 +40,26 @@ export class OSCCommandQueue {
     return queueItem.id;
   }
 
-  // Schedule command for future execution
+  // Schedule command for an absolute time (epoch ms or Date); returns the command id
   scheduleCommand(command, executeAt) {
-    const timestamp = typeof executeAt === 'number' ? executeAt : Date.now() + executeAt;
+    const timestamp = executeAt instanceof Date ? executeAt.getTime() : executeAt;
+    if (!Number.isFinite(timestamp)) {
+      throw new Error(`Invalid execution time: ${executeAt}`);
+    }
     
     if (!this.scheduledCommands.has(timestamp)) {
       this.scheduledCommands.set(timestamp, []);
     }
     
-    this.scheduledCommands.get(timestamp).push({
+    const scheduled = {
       id: this.generateId(),
       ...command,
-      scheduledFor: timestamp
-    });
+      scheduledFor: timestamp,
+      scheduledAt: Date.now(),
+      status: 'scheduled'
+    };
+    this.scheduledCommands.get(timestamp).push(scheduled);
+    return scheduled.id;
   }
 
   // Create repeating pattern
@@ -67,54 +90,154 @@ export class OSCCommandQueue {
     this.schedulePatternCommands(pattern);
   }
 
+  stopPattern(patternId) {
+    const pattern = this.patterns.get(patternId);
+    if (!pattern) throw new Error(`Pattern ${patternId} not found`);
+    
+    pattern.isActive = false;
+    clearTimeout(pattern.nextLoopTimer);
+    this.list().filter(command => command.patternId === patternId).forEach(command => this.cancel(command.id));
+  }
+
   schedulePatternCommands(pattern) {
     pattern.commands.forEach((command, index) => {
       const executeAt = pattern.startTime + (index * (pattern.interval / pattern.commands.length));
-      this.scheduleCommand(command, executeAt);
+      this.scheduleCommand({ ...command, patternId: pattern.id }, executeAt);
     });
     
     // Schedule next loop if repeating
     if (pattern.repeat === 'infinite' || pattern.currentLoop < pattern.repeat) {
       const nextLoopTime = pattern.startTime + ((pattern.currentLoop + 1) * pattern.interval);
-      setTimeout(() => {
+      pattern.nextLoopTimer = setTimeout(() => {
         if (pattern.isActive) {
           pattern.currentLoop++;
           pattern.startTime = nextLoopTime;
           this.schedulePatternCommands(pattern);
         }
-      }, pattern.interval);
+      }, Math.max(0, nextLoopTime - Date.now()));
+    }
+  }
+
+  // Run one command through the executor and record how late it ran
+  async executeCommand(command) {
+    const startedAt = Date.now();
+    const dueAt = command.scheduledFor ?? command.executeAt ?? command.queuedAt ?? startedAt;
+    const latenessMs = Math.max(0, startedAt - dueAt);
+    
+    this.latenesses.push(latenessMs);
+    if (this.latenesses.length > LATENESS_WINDOW) {
+      this.latenesses.shift();
+    }
+    if (latenessMs > this.lateThresholdMs) {
+      this.stats.late++;
+    }
+    
+    try {
+      if (!this.execute) {
+        throw new Error('No executor configured for the command queue');
+      }
+      await this.execute(command);
+      this.stats.executed++;
+      this.recordHistory(command, { status: 'executed', executedAt: startedAt, latenessMs });
+    } catch (error) {
+      this.stats.failed++;
+      this.recordHistory(command, { status: 'failed', executedAt: startedAt, latenessMs, error: error.message });
+      console.error(`❌ Scheduled command ${command.id} failed: ${error.message}`);
+    }
+  }
+
+  recordHistory(command, outcome) {
+    Object.assign(command, outcome);
+    this.history.push(command);
+    if (this.history.length > HISTORY_LIMIT) {
+      this.history.shift();
     }
   }
 
-  // Process queue and scheduled commands
-  async tick() {
+  // Process queue and scheduled commands. Due commands are dispatched without waiting on each
+  // other, so one slow send (e.g. a TCP connect) does not hold back everything due with it;
+  // each is taken off the queue first, so a later tick never runs it twice.
+  tick() {
     const now = Date.now();
     
     // Process immediate queue
-    const readyCommands = this.queue.filter(cmd => 
+    const readyCommands = this.queue.filter(cmd =>
       cmd.status === 'queued' && (cmd.executeAt || 0) <= now
     );
     
     for (const command of readyCommands) {
-      await this.executeCommand(command);
-      command.status = 'executed';
-      command.executedAt = now;
+      command.status = 'running';
+      this.executeCommand(command);
     }
     
-    // Clean up executed commands
-    this.queue = this.queue.filter(cmd => cmd.status !== 'executed');
+    // Clean up dispatched commands
+    this.queue = this.queue.filter(cmd => cmd.status === 'queued');
     
-    // Process scheduled commands
+    // Process scheduled commands, earliest first
     const scheduledTimes = Array.from(this.scheduledCommands.keys())
-      .filter(time => time <= now);
+      .filter(time => time <= now)
+      .sort((a, b) => a - b);
     
     for (const time of scheduledTimes) {
       const commands = this.scheduledCommands.get(time);
-      for (const command of commands) {
-        await this.executeCommand(command);
-      }
       this.scheduledCommands.delete(time);
+      commands.forEach(command => this.executeCommand(command));
+    }
+  }
+
+  // Pending queued and scheduled commands, soonest first
+  list() {
+    const scheduled = Array.from(this.scheduledCommands.values()).flat();
+    return [...this.queue.filter(cmd => cmd.status === 'queued'), ...scheduled]
+      .sort((a, b) => (a.scheduledFor ?? a.executeAt ?? 0) - (b.scheduledFor ?? b.executeAt ?? 0));
+  }
+
+  getHistory(limit = 10) {
+    return this.history.slice(-limit);
+  }
+
+  // Remove a pending command; returns it, or null when it already ran or never existed
+  cancel(id) {
+    const queued = this.queue.find(cmd => cmd.id === id && cmd.status === 'queued');
+    if (queued) {
+      this.queue = this.queue.filter(cmd => cmd !== queued);
+      this.stats.cancelled++;
+      return { ...queued, status: 'cancelled' };
     }
+    
+    for (const [time, commands] of this.scheduledCommands) {
+      const index = commands.findIndex(cmd => cmd.id === id);
+      if (index === -1) continue;
+      
+      const [cancelled] = commands.splice(index, 1);
+      if (commands.length === 0) {
+        this.scheduledCommands.delete(time);
+      }
+      this.stats.cancelled++;
+      return { ...cancelled, status: 'cancelled' };
+    }
+    
+    return null;
+  }
+
+  // Lateness of recent executions in ms: how far behind their due time commands started
+  getStats() {
+    const sorted = [...this.latenesses].sort((a, b) => a - b);
+    const percentile = (p) => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : 0;
+    
+    return {
+      ...this.stats,
+      pending: this.list().length,
+      lateThresholdMs: this.lateThresholdMs,
+      tickIntervalMs: this.tickInterval,
+      jitter: {
+        samples: sorted.length,
+        meanMs: sorted.length ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : 0,
+        p50Ms: percentile(0.5),
+        p95Ms: percentile(0.95),
+        maxMs: sorted.length ? sorted[sorted.length - 1] : 0
+      }
+    };
   }
 
   // Start processing loop
@@ -138,8 +261,7 @@ export class OSCCommandQueue {
     // Stop all patterns
     this.patterns.forEach(pattern => {
       pattern.isActive = false;
+      clearTimeout(pattern.nextLoopTimer);
     });
   }
 }
-
-export const commandQueue = new OSCCommandQueue();
\ No newline at end of file
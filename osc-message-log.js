@@ -0,0 +1,296 @@
+/**
+ * Append-only OSC Message Log
+ * Newline-delimited JSON segments: appends are O(1), the active segment is sealed
+ * once it reaches OSC_LOG_SEGMENT_BYTES and the oldest sealed segments are deleted
+ * once the log exceeds OSC_LOG_MAX_BYTES. Readers tail segments from the end.
+ *
+ * Layout in logs/ (with OSC_LOG_ROTATION the base name carries the date):
+ *   osc-messages.jsonl                 active segment
+ *   osc-messages.<sealedAtMs>.jsonl    sealed segments
+ * Earlier days' files stay part of the log, so tail() reads across midnight and
+ * compaction deletes old days first.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+export class OSCMessageLog {
+  constructor(options = {}) {
+    this.logsDir = options.logsDir || path.join(__dirname, 'logs');
+    this.baseName = options.baseName || 'osc-messages';
+    this.rotation = options.rotation ?? (process.env.OSC_LOG_ROTATION === 'true' || process.env.OSC_LOG_ROTATION === 'daily');
+    this.segmentBytes = options.segmentBytes || parseInt(process.env.OSC_LOG_SEGMENT_BYTES || String(1024 * 1024));
+    this.maxBytes = options.maxBytes || parseInt(process.env.OSC_LOG_MAX_BYTES || String(8 * 1024 * 1024));
+    this.activeFile = null;
+    this.activeSize = null; // Estimated size of the active segment, refreshed from disk before sealing
+    this.lastSealedAt = 0;
+    this.migrated = new Set();
+    this.writeChain = Promise.resolve();
+  }
+
+  // Base name for the current period: "osc-messages" or "osc-messages-YYYY-MM-DD"
+  getBaseName() {
+    if (this.rotation) {
+      const today = new Date();
+      const dateStr = today.getFullYear() + '-' +
+                      String(today.getMonth() + 1).padStart(2, '0') + '-' +
+                      String(today.getDate()).padStart(2, '0');
+      return `${this.baseName}-${dateStr}`;
+    }
+    return this.baseName;
+  }
+
+  getActiveFileName() {
+    return path.join(this.logsDir, `${this.getBaseName()}.jsonl`);
+  }
+
+  // Append one message; writes are serialized per process so lines never interleave
+  append(message) {
+    const line = JSON.stringify(message) + '\n';
+    const write = this.writeChain.then(() => this.performAppend(line));
+    this.writeChain = write.catch(() => {}); // The caller sees the failure; keep the chain alive
+    return write;
+  }
+
+  async performAppend(line) {
+    const file = this.getActiveFileName();
+
+    if (file !== this.activeFile) {
+      await fs.mkdir(this.logsDir, { recursive: true });
+      await this.migrateLegacyLog();
+      this.activeFile = file;
+      this.activeSize = await this.fileSize(file);
+      // A new day's file: earlier days may now be over the size limit
+      await this.compact();
+    }
+
+    await fs.appendFile(file, line);
+    this.activeSize += Buffer.byteLength(line);
+
+    if (this.activeSize >= this.segmentBytes) {
+      await this.sealActiveSegment(file);
+    }
+  }
+
+  // Wait for pending appends (used on shutdown)
+  flush() {
+    return this.writeChain;
+  }
+
+  async fileSize(file) {
+    try {
+      return (await fs.stat(file)).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  async sealActiveSegment(file) {
+    // Another process sharing the log may already have sealed it
+    const actualSize = await this.fileSize(file);
+    if (actualSize < this.segmentBytes) {
+      this.activeSize = actualSize;
+      return;
+    }
+
+    // Segment names must stay unique and ordered even when sealing twice within a millisecond
+    this.lastSealedAt = Math.max(Date.now(), this.lastSealedAt + 1);
+    const sealedFile = path.join(this.logsDir, `${this.getBaseName()}.${this.lastSealedAt}.jsonl`);
+    try {
+      await fs.rename(file, sealedFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    this.activeSize = 0;
+
+    await this.compact();
+  }
+
+  // Sealed segments, oldest first. With daily rotation this includes earlier days: their sealed
+  // segments and their last active file, which nothing appends to after midnight
+  async listSealedSegments() {
+    const escapedBase = this.baseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const segmentPattern = this.rotation
+      ? new RegExp(`^${escapedBase}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.jsonl$`)
+      : new RegExp(`^${escapedBase}()\\.(\\d+)\\.jsonl$`);
+    const activeName = path.basename(this.getActiveFileName());
+
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.logsDir);
+    } catch (error) {
+      return [];
+    }
+
+    return entries
+      .filter(name => name !== activeName)
+      .map(name => ({ name, match: segmentPattern.exec(name) }))
+      .filter(entry => entry.match)
+      // By day, then by seal time; a day's unsealed file holds its newest messages
+      .map(({ name, match }) => ({ name, day: match[1], sealedAt: match[2] === undefined ? Infinity : Number(match[2]) }))
+      .sort((a, b) => a.day.localeCompare(b.day) || a.sealedAt - b.sealedAt)
+      .map(entry => path.join(this.logsDir, entry.name));
+  }
+
+  // Size-based compaction: drop whole sealed segments, oldest first, until under maxBytes
+  async compact() {
+    const segments = await this.listSealedSegments();
+    const sizes = await Promise.all(segments.map(segment => this.fileSize(segment)));
+    let totalBytes = sizes.reduce((sum, size) => sum + size, 0) + await this.fileSize(this.getActiveFileName());
+
+    for (let i = 0; i < segments.length && totalBytes > this.maxBytes; i++) {
+      await fs.rm(segments[i], { force: true });
+      totalBytes -= sizes[i];
+    }
+  }
+
+  // One-time conversion of the old rewrite-everything JSON array log into a sealed segment
+  async migrateLegacyLog() {
+    const baseName = this.getBaseName();
+    if (this.migrated.has(baseName)) return;
+    this.migrated.add(baseName);
+
+    const legacyFile = path.join(this.logsDir, `${baseName}.json`);
+    const claimedFile = `${legacyFile}.migrating-${process.pid}`;
+
+    try {
+      // Rename first so only one process migrates
+      await fs.rename(legacyFile, claimedFile);
+    } catch (error) {
+      return;
+    }
+
+    try {
+      const { mtimeMs } = await fs.stat(claimedFile);
+      const messages = JSON.parse(await fs.readFile(claimedFile, 'utf8'));
+      if (Array.isArray(messages) && messages.length > 0) {
+        const lines = messages.map(message => JSON.stringify(message)).join('\n') + '\n';
+        await fs.writeFile(path.join(this.logsDir, `${baseName}.${Math.floor(mtimeMs)}.jsonl`), lines);
+      }
+      console.error(`📦 Migrated legacy OSC log ${path.basename(legacyFile)} to JSONL`);
+    } catch (error) {
+      console.error(`Failed to migrate legacy OSC log: ${error.message}`);
+    } finally {
+      await fs.rm(claimedFile, { force: true });
+    }
+  }
+
+  // Read complete lines from the end of a file, newest first, until `wanted` messages matched
+  async readLinesBackward(file, wanted, filter, results) {
+    let handle;
+    try {
+      handle = await fs.open(file, 'r');
+    } catch (error) {
+      return;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      let position = size;
+      let leftover = Buffer.alloc(0);
+
+      while (position > 0 && results.length < wanted) {
+        const readSize = Math.min(TAIL_CHUNK_BYTES, position);
+        position -= readSize;
+
+        const chunk = Buffer.alloc(readSize);
+        await handle.read(chunk, 0, readSize, position);
+        const data = Buffer.concat([chunk, leftover]);
+
+        let end = data.length;
+        // A negative fromIndex would search from the end again, so stop at the buffer start
+        let newline = end > 0 ? data.lastIndexOf(10, end - 1) : -1;
+
+        while (newline !== -1 && results.length < wanted) {
+          this.collectLine(data.subarray(newline + 1, end), filter, results);
+          end = newline;
+          newline = end > 0 ? data.lastIndexOf(10, end - 1) : -1;
+        }
+
+        leftover = data.subarray(0, end);
+      }
+
+      // The first line of the file has no preceding newline
+      if (position === 0 && leftover.length > 0 && results.length < wanted) {
+        this.collectLine(leftover, filter, results);
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  collectLine(lineBuffer, filter, results) {
+    if (lineBuffer.length === 0) return;
+    try {
+      const message = JSON.parse(lineBuffer.toString('utf8'));
+      if (filter(message)) {
+        results.push(message);
+      }
+    } catch (error) {
+      // Skip a partially written trailing line
+    }
+  }
+
+  // Last `limit` messages (optionally filtered), oldest first
+  async tail(limit = 50, filter = () => true) {
+    await this.flush();
+    await this.migrateLegacyLog();
+
+    const results = [];
+    const files = [this.getActiveFileName(), ...(await this.listSealedSegments()).reverse()];
+
+    for (const file of files) {
+      if (results.length >= limit) break;
+      await this.readLinesBackward(file, limit, filter, results);
+    }
+
+    return results.reverse();
+  }
+
+  // Full scan, for occasional status reporting only
+  async countMessages() {
+    await this.flush();
+    const files = [...await this.listSealedSegments(), this.getActiveFileName()];
+    let count = 0;
+
+    for (const file of files) {
+      try {
+        const data = await fs.readFile(file);
+        for (let index = data.indexOf(10); index !== -1; index = data.indexOf(10, index + 1)) {
+          count++;
+        }
+      } catch (error) {
+        // Segment removed by compaction or not created yet
+      }
+    }
+
+    return count;
+  }
+
+  async getStats() {
+    const activeFile = this.getActiveFileName();
+    const segments = await this.listSealedSegments();
+    const sizes = await Promise.all([activeFile, ...segments].map(file => this.fileSize(file)));
+
+    return {
+      activeFile: path.basename(activeFile),
+      sealedSegments: segments.length,
+      totalBytes: sizes.reduce((sum, size) => sum + size, 0),
+      segmentBytes: this.segmentBytes,
+      maxBytes: this.maxBytes,
+      rotation: this.rotation ? 'daily' : 'single'
+    };
+  }
+
+  async clear() {
+    await this.flush();
+    const segments = await this.listSealedSegments();
+    await Promise.all([this.getActiveFileName(), ...segments].map(file => fs.rm(file, { force: true })));
+    this.activeSize = 0;
+  }
+}
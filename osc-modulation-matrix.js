@@ -0,0 +1,382 @@
+/**
+ * Modulation Matrix - LFOs and other modulators routed to live OSC parameters
+ * A modulator (sine, triangle, square, S&H, perlin noise, envelope, random walk) runs at a rate
+ * in Hz or synced to a note value of the transport tempo, and outputs offset + depth * shape,
+ * kept within 0..1. Routes scale that output onto an OSC address or onto another modulator's
+ * rate, depth, phase or offset, so modulators can modulate each other. The owner calls
+ * advance() on every tick and sends the address values it returns.
+ */
+
+import { CURVES } from './osc-ramp-engine.js';
+import { parseNoteValue } from './osc-transport-clock.js';
+
+export const SHAPES = ['sine', 'triangle', 'square', 'sample_hold', 'noise', 'envelope', 'random_walk'];
+export const MODULATOR_PARAMETERS = ['rate', 'depth', 'phase', 'offset'];
+
+const DEFAULT_CLOCK = { bpm: 120, beatsPerBar: 4, beatUnit: 4 };
+const NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const fraction = (value) => value - Math.floor(value);
+
+// Pseudo-random gradient in -1..1 for an integer lattice point
+function gradient(index, seed) {
+  return fraction(Math.sin(index * 127.1 + seed * 311.7) * 43758.5453) * 2 - 1;
+}
+
+// 1D Perlin noise, -0.5..0.5, one lattice cell per cycle
+function perlin(position, seed) {
+  const cell = Math.floor(position);
+  const t = position - cell;
+  const fade = t * t * t * (t * (t * 6 - 15) + 10);
+  const left = gradient(cell, seed) * t;
+  const right = gradient(cell + 1, seed) * (t - 1);
+  return left + (right - left) * fade;
+}
+
+function finiteNumber(value, label) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`${label} must be a number`);
+  }
+  return value;
+}
+
+export class ModulationMatrix {
+  constructor(options = {}) {
+    this.getClock = () => options.getClock?.() || DEFAULT_CLOCK; // { bpm, beatsPerBar, beatUnit } for synced rates
+    this.modulators = new Map();  // name -> modulator
+    this.routes = new Map();      // id -> route
+    this.order = [];              // Modulators sorted so sources run before what they modulate
+    this.nextRouteId = 1;
+    this.time = 0;                // Seconds advanced so far
+  }
+
+  // Create or replace a modulator; a replaced one keeps its phase and routes
+  define({ name, shape = 'sine', rate, sync, depth = 1, phase = 0, offset = 0, width = 0.5, attackMs = 10, decayMs = 100, sustain = 0.7, releaseMs = 300 }) {
+    if (!name || !NAME_PATTERN.test(name)) {
+      throw new Error('Modulator name is required and may only contain letters, digits, "_", "-" and "."');
+    }
+    if (!SHAPES.includes(shape)) {
+      throw new Error(`Unknown shape "${shape}". Use one of: ${SHAPES.join(', ')}`);
+    }
+    if (rate !== undefined && sync !== undefined) {
+      throw new Error('Give a modulator either rate (Hz) or sync (note value), not both');
+    }
+    if (rate !== undefined && !(finiteNumber(rate, 'rate') >= 0)) {
+      throw new Error('rate must be >= 0 Hz');
+    }
+    if (sync !== undefined) {
+      parseNoteValue(sync, this.getClock());
+    }
+    [['depth', depth], ['phase', phase], ['offset', offset], ['sustain', sustain], ['width', width]].forEach(([label, value]) => finiteNumber(value, label));
+    [['attackMs', attackMs], ['decayMs', decayMs], ['releaseMs', releaseMs]].forEach(([label, value]) => {
+      if (!(finiteNumber(value, label) >= 0)) throw new Error(`${label} must be >= 0`);
+    });
+
+    const existing = this.modulators.get(name);
+    const modulator = {
+      name,
+      shape,
+      // Envelopes wait for trigger unless given a rate; everything else defaults to 1 Hz
+      rate: rate ?? (sync !== undefined || shape === 'envelope' ? null : 1),
+      sync: sync !== undefined ? String(sync) : null,
+      depth,
+      phase,
+      offset,
+      width: clamp01(width),
+      envelope: { attackMs, decayMs, sustain: clamp01(sustain), releaseMs },
+      cycles: existing?.cycles ?? 0,
+      held: existing?.held ?? Math.random(),
+      walk: existing?.walk ?? 0.5,
+      gate: existing?.gate ?? null,
+      seed: existing?.seed ?? Math.random() * 1000,
+      value: existing?.value ?? 0,
+      effective: existing?.effective ?? null
+    };
+    this.modulators.set(name, modulator);
+    this.sortModulators();
+    return modulator;
+  }
+
+  get(name) {
+    const modulator = this.modulators.get(name);
+    if (!modulator) {
+      throw new Error(`No modulator named "${name}"${this.modulators.size > 0 ? `; defined: ${Array.from(this.modulators.keys()).join(', ')}` : ''}`);
+    }
+    return modulator;
+  }
+
+  // Removing a modulator removes the routes from and to it
+  remove(name) {
+    const modulator = this.get(name);
+    const removedRoutes = [];
+    for (const route of this.routes.values()) {
+      if (route.source === name || route.modulator === name) {
+        this.routes.delete(route.id);
+        removedRoutes.push(route.id);
+      }
+    }
+    this.modulators.delete(name);
+    this.sortModulators();
+    return { modulator, removedRoutes };
+  }
+
+  // { source, address, destination, range, curve, type } or { source, modulator, parameter, range }
+  route({ source, address, destination = 'default', modulator: target, parameter, range = [0, 1], curve = 'linear', type = 'f' }) {
+    this.get(source);
+    if (!Array.isArray(range) || range.length !== 2) {
+      throw new Error('range must be [min, max]');
+    }
+    range.forEach((value, index) => finiteNumber(value, `range[${index}]`));
+    if (!CURVES[curve]) {
+      throw new Error(`Unknown curve "${curve}". Use one of: ${Object.keys(CURVES).join(', ')}`);
+    }
+    if ((curve === 'exponential' || curve === 'logarithmic') && !(range[0] * range[1] > 0)) {
+      throw new Error(`The ${curve} curve needs a range of the same sign and non-zero (got [${range.join(', ')}])`);
+    }
+
+    const route = { id: `route-${(this.nextRouteId++).toString(36)}`, source, range, curve };
+    if (target !== undefined) {
+      this.get(target);
+      if (!MODULATOR_PARAMETERS.includes(parameter)) {
+        throw new Error(`parameter must be one of: ${MODULATOR_PARAMETERS.join(', ')}`);
+      }
+      if (this.dependsOn(source, target)) {
+        throw new Error(`Routing ${source} into ${target} would make a feedback loop`);
+      }
+      Object.assign(route, { modulator: target, parameter });
+    } else {
+      if (!address || !address.startsWith('/')) {
+        throw new Error('A route needs an OSC address starting with "/", or a modulator and parameter');
+      }
+      if (type !== 'f' && type !== 'i') {
+        throw new Error('type must be "f" or "i"');
+      }
+      Object.assign(route, { address, destination, type });
+    }
+
+    this.routes.set(route.id, route);
+    this.sortModulators();
+    return route;
+  }
+
+  unroute(id) {
+    const route = this.routes.get(id);
+    if (!route) {
+      throw new Error(`No route ${id}`);
+    }
+    this.routes.delete(id);
+    this.sortModulators();
+    return route;
+  }
+
+  // True when `name` (transitively) takes modulation from `other`, or is `other`
+  dependsOn(name, other) {
+    if (name === other) return true;
+    return Array.from(this.routes.values()).some(route => route.modulator === name && this.dependsOn(route.source, other));
+  }
+
+  sortModulators() {
+    const order = [];
+    const visit = (name) => {
+      if (order.includes(name)) return;
+      for (const route of this.routes.values()) {
+        if (route.modulator === name) visit(route.source);
+      }
+      order.push(name);
+    };
+    this.modulators.forEach((modulator, name) => visit(name));
+    this.order = order.map(name => this.modulators.get(name));
+  }
+
+  // Open an envelope's gate; it closes after holdMs, on release, or never for a zero-sustain pluck
+  trigger(name, { holdMs = null } = {}) {
+    const modulator = this.get(name);
+    if (modulator.shape !== 'envelope') {
+      throw new Error(`${name} is a ${modulator.shape}; only envelopes can be triggered`);
+    }
+    modulator.gate = { openedAt: this.time, from: modulator.shapeValue ?? 0, holdSeconds: holdMs !== null ? holdMs / 1000 : null, releasedAt: null };
+    return modulator;
+  }
+
+  release(name) {
+    const modulator = this.get(name);
+    if (modulator.gate && modulator.gate.releasedAt === null) {
+      modulator.gate.releasedAt = this.time;
+      modulator.gate.releaseFrom = modulator.shapeValue ?? 0;
+    }
+    return modulator;
+  }
+
+  baseRate(modulator) {
+    if (modulator.sync === null) return modulator.rate ?? 0;
+    const clock = this.getClock();
+    return clock.bpm / 60 / parseNoteValue(modulator.sync, clock);
+  }
+
+  // Route output (0..1) scaled onto the route's range
+  scale(route, value) {
+    return CURVES[route.curve](route.range[0], route.range[1], value);
+  }
+
+  envelopeLevel(modulator) {
+    const gate = modulator.gate;
+    if (!gate) return 0;
+    const { attackMs, decayMs, sustain, releaseMs } = modulator.envelope;
+
+    if (gate.releasedAt === null && gate.holdSeconds !== null && this.time - gate.openedAt >= gate.holdSeconds) {
+      gate.releasedAt = gate.openedAt + gate.holdSeconds;
+      gate.releaseFrom = this.attackDecayLevel(gate, modulator.envelope, gate.holdSeconds * 1000);
+    }
+    if (gate.releasedAt !== null) {
+      const elapsedMs = (this.time - gate.releasedAt) * 1000;
+      return elapsedMs >= releaseMs ? 0 : gate.releaseFrom * (1 - elapsedMs / releaseMs);
+    }
+    return this.attackDecayLevel(gate, { attackMs, decayMs, sustain }, (this.time - gate.openedAt) * 1000);
+  }
+
+  attackDecayLevel(gate, { attackMs, decayMs, sustain }, elapsedMs) {
+    if (elapsedMs < attackMs) {
+      return gate.from + (1 - gate.from) * elapsedMs / attackMs;
+    }
+    if (elapsedMs < attackMs + decayMs) {
+      return 1 + (sustain - 1) * (elapsedMs - attackMs) / decayMs;
+    }
+    return sustain;
+  }
+
+  // Advance one modulator by `seconds` with its effective (modulated) parameters
+  step(modulator, seconds, effective) {
+    const deltaCycles = Math.max(0, effective.rate) * seconds;
+    const previous = Math.floor(modulator.cycles + effective.phase);
+    modulator.cycles += deltaCycles;
+    const position = modulator.cycles + effective.phase;
+    const wrapped = Math.floor(position) !== previous;
+
+    let shape;
+    switch (modulator.shape) {
+      case 'sine':
+        shape = (Math.sin(position * Math.PI * 2) + 1) / 2;
+        break;
+      case 'triangle':
+        shape = fraction(position) < 0.5 ? fraction(position) * 2 : 2 - fraction(position) * 2;
+        break;
+      case 'square':
+        shape = fraction(position) < modulator.width ? 1 : 0;
+        break;
+      case 'sample_hold':
+        if (wrapped) modulator.held = Math.random();
+        shape = modulator.held;
+        break;
+      case 'noise':
+        shape = clamp01(0.5 + perlin(position, modulator.seed));
+        break;
+      case 'random_walk': {
+        // Wanders about the whole range per cycle; reflected at the edges
+        let walk = modulator.walk + (Math.random() * 2 - 1) * Math.sqrt(deltaCycles);
+        walk = Math.abs(walk) % 2;
+        modulator.walk = walk > 1 ? 2 - walk : walk;
+        shape = modulator.walk;
+        break;
+      }
+      case 'envelope':
+        // With a rate the envelope retriggers every cycle and holds for half of it
+        if (effective.rate > 0 && (wrapped || !modulator.gate)) {
+          this.trigger(modulator.name, { holdMs: 500 / effective.rate });
+        }
+        shape = this.envelopeLevel(modulator);
+        break;
+    }
+
+    modulator.shapeValue = shape;
+    modulator.value = clamp01(effective.offset + effective.depth * shape);
+    modulator.effective = effective;
+    return modulator.value;
+  }
+
+  // Move every modulator on by `seconds`; returns the value of every routed destination + address
+  advance(seconds) {
+    this.time += seconds;
+    const routes = Array.from(this.routes.values());
+
+    for (const modulator of this.order) {
+      const effective = {
+        rate: this.baseRate(modulator),
+        depth: modulator.depth,
+        phase: modulator.phase,
+        offset: modulator.offset
+      };
+      for (const route of routes) {
+        if (route.modulator === modulator.name) {
+          effective[route.parameter] += this.scale(route, this.modulators.get(route.source).value);
+        }
+      }
+      this.step(modulator, seconds, effective);
+    }
+
+    // Routes to the same destination + address add up
+    const outputs = new Map();
+    for (const route of routes) {
+      if (!route.address) continue;
+      const key = `${route.destination} ${route.address}`;
+      const output = outputs.get(key) || { address: route.address, destination: route.destination, value: 0, type: route.type };
+      output.value += this.scale(route, this.modulators.get(route.source).value);
+      if (route.type === 'i') output.type = 'i';
+      outputs.set(key, output);
+    }
+    return Array.from(outputs.values(), output => ({
+      ...output,
+      value: output.type === 'i' ? Math.round(output.value) : output.value
+    }));
+  }
+
+  hasOutputs() {
+    return Array.from(this.routes.values()).some(route => route.address);
+  }
+
+  describe(modulator) {
+    return {
+      name: modulator.name,
+      shape: modulator.shape,
+      rate: modulator.sync !== null ? `${modulator.sync} (${this.baseRate(modulator).toFixed(3)} Hz)` : modulator.rate,
+      depth: modulator.depth,
+      phase: modulator.phase,
+      offset: modulator.offset,
+      ...(modulator.shape === 'square' ? { width: modulator.width } : {}),
+      ...(modulator.shape === 'envelope' ? { envelope: modulator.envelope, gate: modulator.gate ? (modulator.gate.releasedAt === null ? 'open' : 'released') : 'idle' } : {}),
+      value: modulator.value,
+      ...(modulator.effective ? { effective: modulator.effective } : {})
+    };
+  }
+
+  list() {
+    return {
+      modulators: this.order.map(modulator => this.describe(modulator)),
+      routes: Array.from(this.routes.values())
+    };
+  }
+
+  // One entry point for MCP tools and the WebSocket protocol: { action, ... }
+  execute(command) {
+    switch (command.action) {
+      case 'define':
+        return this.describe(this.define(command));
+      case 'delete': {
+        const { modulator, removedRoutes } = this.remove(command.name);
+        return { ...this.describe(modulator), removedRoutes };
+      }
+      case 'route':
+        return this.route(command);
+      case 'unroute':
+        return this.unroute(command.id);
+      case 'trigger':
+        return this.describe(this.trigger(command.name, command));
+      case 'release':
+        return this.describe(this.release(command.name));
+      case 'list':
+        return this.list();
+      default:
+        throw new Error(`Unknown modulation action: ${command.action}`);
+    }
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Semantic parameter resolution - "MaxMSP oscillator frequency" + "440 Hz" -> OSC message
+ * Scores saved patterns by application, parameter name, tags, address and description,
+ * and converts human units (Hz/kHz, ms/s, dB, %, cents/semitones) to the pattern's unit
+ */
+
+import { isOSCPattern } from './osc-address-pattern.js';
+
+// Spelling variants -> canonical unit, with the dimension used for conversion
+const UNITS = {
+  hz: { unit: 'Hz', dimension: 'frequency', scale: 1 },
+  hertz: { unit: 'Hz', dimension: 'frequency', scale: 1 },
+  khz: { unit: 'kHz', dimension: 'frequency', scale: 1000 },
+  ms: { unit: 'ms', dimension: 'time', scale: 0.001 },
+  msec: { unit: 'ms', dimension: 'time', scale: 0.001 },
+  millisecond: { unit: 'ms', dimension: 'time', scale: 0.001 },
+  milliseconds: { unit: 'ms', dimension: 'time', scale: 0.001 },
+  s: { unit: 's', dimension: 'time', scale: 1 },
+  sec: { unit: 's', dimension: 'time', scale: 1 },
+  secs: { unit: 's', dimension: 'time', scale: 1 },
+  second: { unit: 's', dimension: 'time', scale: 1 },
+  seconds: { unit: 's', dimension: 'time', scale: 1 },
+  cent: { unit: 'cents', dimension: 'pitch', scale: 1 },
+  cents: { unit: 'cents', dimension: 'pitch', scale: 1 },
+  st: { unit: 'st', dimension: 'pitch', scale: 100 },
+  semitone: { unit: 'st', dimension: 'pitch', scale: 100 },
+  semitones: { unit: 'st', dimension: 'pitch', scale: 100 },
+  db: { unit: 'dB', dimension: 'gain', scale: 1 },
+  dbfs: { unit: 'dB', dimension: 'gain', scale: 1 },
+  decibel: { unit: 'dB', dimension: 'gain', scale: 1 },
+  decibels: { unit: 'dB', dimension: 'gain', scale: 1 },
+  '%': { unit: '%', dimension: 'ratio', scale: 1 },
+  percent: { unit: '%', dimension: 'ratio', scale: 1 },
+  bpm: { unit: 'bpm', dimension: 'tempo', scale: 1 }
+};
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'to', 'on', 'in', 'for', 'set', 'change', 'parameter', 'param', 'value']);
+
+export function lookupUnit(unit) {
+  return unit ? UNITS[String(unit).trim().toLowerCase()] || null : null;
+}
+
+// "440 Hz" -> { value: 440, unit: 'Hz' }; "-6dB" -> { value: -6, unit: 'dB' }; "play" -> { value: 'play', unit: null }
+export function parseValueWithUnit(input) {
+  if (typeof input === 'number' || typeof input === 'boolean') {
+    return { value: input, unit: null };
+  }
+
+  const text = String(input).trim();
+  const match = /^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*([a-z%]*)$/i.exec(text);
+  if (!match) {
+    return { value: text, unit: null };
+  }
+
+  const value = parseFloat(match[1]);
+  if (!match[2]) {
+    return { value, unit: null };
+  }
+
+  const unit = lookupUnit(match[2]);
+  if (!unit) {
+    throw new Error(`Unknown unit '${match[2]}'. Supported: Hz, kHz, ms, s, cents, semitones, dB, %, bpm`);
+  }
+  return { value, unit: unit.unit };
+}
+
+function isLinearGain(parameter) {
+  const range = parameter.range || {};
+  return range.min === 0 && range.max === 1 && !lookupUnit(parameter.unit);
+}
+
+// Convert a parsed value to the parameter's own unit; returns { value, note }
+export function convertToParameterUnit({ value, unit }, parameter) {
+  if (!unit || typeof value !== 'number') {
+    return { value, note: null };
+  }
+
+  const from = lookupUnit(unit);
+  const to = lookupUnit(parameter.unit);
+  const range = parameter.range || {};
+
+  if (from.unit === '%') {
+    if (to && to.unit === '%') {
+      return { value, note: null };
+    }
+    // Percentages map onto the declared range, or 0..1 without one
+    if (typeof range.min === 'number' && typeof range.max === 'number') {
+      const converted = range.min + (range.max - range.min) * value / 100;
+      return { value: converted, note: `${value}% of ${range.min}..${range.max} = ${converted}` };
+    }
+    return { value: value / 100, note: `${value}% = ${value / 100}` };
+  }
+
+  if (to && from.dimension === to.dimension) {
+    if (from.unit === to.unit) {
+      return { value, note: null };
+    }
+    const converted = value * from.scale / to.scale;
+    return { value: converted, note: `${value} ${from.unit} = ${converted} ${to.unit}` };
+  }
+
+  // Decibels drive a linear 0..1 amplitude
+  if (from.unit === 'dB' && isLinearGain(parameter)) {
+    const converted = Math.pow(10, value / 20);
+    return { value: converted, note: `${value} dB = ${converted.toFixed(4)} linear gain` };
+  }
+
+  throw new Error(`Cannot convert ${from.unit} to ${parameter.unit ? parameter.unit : 'a unitless parameter'} for '${parameter.name}'`);
+}
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(token => token && !STOP_WORDS.has(token));
+}
+
+// A token matches a word when either is a prefix of the other ("osc1" ~ "oscillator", "freq" ~ "frequency")
+function tokenMatches(token, word) {
+  const stem = word.replace(/\d+$/, ''); // "osc1" -> "osc"
+  return token === word ||
+    (token.length >= 3 && word.startsWith(token)) ||
+    (stem.length >= 3 && token.startsWith(stem));
+}
+
+function unitCompatible(valueUnit, parameter) {
+  if (!valueUnit) return null;
+  const from = lookupUnit(valueUnit);
+  const to = lookupUnit(parameter.unit);
+  if (from.unit === '%') return true;
+  if (to) return from.dimension === to.dimension;
+  return from.unit === 'dB' && isLinearGain(parameter);
+}
+
+// Rank every (pattern, parameter) pair for the query; best candidates first
+export function rankParameterCandidates(patterns, query, { application, unit } = {}) {
+  const tokens = tokenize(query);
+  const candidates = [];
+
+  for (const pattern of patterns) {
+    // Wildcard patterns cannot be sent to directly
+    if (pattern.enabled === false || isOSCPattern(pattern.address) || !Array.isArray(pattern.parameters)) continue;
+    if (application && pattern.application.toLowerCase() !== application.toLowerCase()) continue;
+
+    const applicationWords = tokenize(pattern.application);
+    const addressWords = tokenize(pattern.address);
+    const tagWords = (pattern.tags || []).flatMap(tokenize);
+    const descriptionWords = tokenize(pattern.description);
+
+    pattern.parameters.forEach((parameter, index) => {
+      const nameWords = tokenize(parameter.name);
+      const reasons = [];
+      let score = 0;
+
+      for (const token of tokens) {
+        if (nameWords.some(word => tokenMatches(token, word))) {
+          score += 4;
+          reasons.push(`"${token}" matches parameter name '${parameter.name}'`);
+        } else if (addressWords.some(word => tokenMatches(token, word))) {
+          score += 3;
+          reasons.push(`"${token}" matches address ${pattern.address}`);
+        } else if (applicationWords.some(word => tokenMatches(token, word))) {
+          score += 3;
+          reasons.push(`"${token}" matches application ${pattern.application}`);
+        } else if (tagWords.some(word => tokenMatches(token, word))) {
+          score += 2;
+          reasons.push(`"${token}" matches a tag`);
+        } else if (descriptionWords.some(word => tokenMatches(token, word))) {
+          score += 1;
+          reasons.push(`"${token}" appears in the description`);
+        }
+      }
+
+      if (score === 0) return;
+
+      const compatible = unitCompatible(unit, parameter);
+      if (compatible === true) {
+        score += 3;
+        reasons.push(`value unit ${unit} fits ${parameter.unit || 'the range'}`);
+      } else if (compatible === false) {
+        score -= 5;
+        reasons.push(`value unit ${unit} does not fit ${parameter.unit || 'a unitless parameter'}`);
+      }
+
+      if (application) {
+        reasons.push(`restricted to application ${pattern.application}`);
+      }
+
+      candidates.push({ pattern, parameter, index, score, reasons });
+    });
+  }
+
+  return candidates.sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,223 @@
+/**
+ * Pattern-aware sending - Check outgoing arguments against saved pattern parameters
+ * Coerces values to the declared types, fills defaults for missing arguments and
+ * applies the range policy (clamp, reject or warn) to out-of-range values
+ */
+
+import { inferTypeTags } from './osc-codec.js';
+import { isOSCPattern, matchOSCAddress } from './osc-address-pattern.js';
+
+export const RANGE_POLICIES = ['clamp', 'reject', 'warn'];
+
+// Pattern parameter type -> OSC type tag
+const PARAMETER_TYPE_TAGS = {
+  integer: 'i',
+  float: 'f',
+  string: 's',
+  blob: 'b',
+  color: 'r',
+  midi: 'm'
+};
+
+export const PARAMETER_TYPES = ['integer', 'float', 'string', 'boolean', 'blob', 'color', 'midi'];
+
+// OSC type tag -> the parameter type its value is coerced to, for caller-supplied type tags
+const TYPE_TAG_PARAMETER_TYPES = {
+  i: 'integer', h: 'integer',
+  f: 'float', d: 'float',
+  s: 'string', S: 'string', c: 'string',
+  T: 'boolean', F: 'boolean',
+  b: 'blob',
+  r: 'color',
+  m: 'midi'
+};
+
+export function normalizeRangePolicy(policy = 'clamp') {
+  const value = String(policy).toLowerCase();
+  if (!RANGE_POLICIES.includes(value)) {
+    throw new Error(`Unknown range policy '${policy}'. Use one of: ${RANGE_POLICIES.join(', ')}`);
+  }
+  return value;
+}
+
+// Exact address first, then saved wildcard patterns such as "/synth/*/freq"
+export function findMatchingPattern(patterns, address) {
+  const enabled = patterns.filter(pattern => pattern.enabled !== false && Array.isArray(pattern.parameters) && pattern.parameters.length > 0);
+  const exact = enabled.find(pattern => pattern.address === address);
+  if (exact) return exact;
+
+  return enabled.find(pattern => {
+    if (!isOSCPattern(pattern.address)) return false;
+    try {
+      return matchOSCAddress(pattern.address, address);
+    } catch (error) {
+      return false; // Saved pattern with invalid syntax
+    }
+  }) || null;
+}
+
+function coerceValue(value, parameter) {
+  switch (parameter.type) {
+    case 'integer': {
+      const number = Number(value);
+      if (value === '' || value === null || typeof value === 'boolean' || !Number.isFinite(number)) {
+        throw new Error(`'${parameter.name}' expects an integer, got ${JSON.stringify(value)}`);
+      }
+      return Math.round(number);
+    }
+    case 'float': {
+      const number = Number(value);
+      if (value === '' || value === null || typeof value === 'boolean' || !Number.isFinite(number)) {
+        throw new Error(`'${parameter.name}' expects a number, got ${JSON.stringify(value)}`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (value === true || value === 1 || value === 'true' || value === '1') return true;
+      if (value === false || value === 0 || value === 'false' || value === '0') return false;
+      throw new Error(`'${parameter.name}' expects a boolean, got ${JSON.stringify(value)}`);
+    case 'string':
+      if (value !== null && typeof value === 'object') {
+        throw new Error(`'${parameter.name}' expects a string, got ${JSON.stringify(value)}`);
+      }
+      return String(value);
+    // Packed 0xRRGGBBAA, [r, g, b, a?] or { r, g, b, a? } with 0-255 components
+    case 'color': {
+      const components = Array.isArray(value) ? value
+        : value !== null && typeof value === 'object' ? [value.r, value.g, value.b, value.a ?? 255]
+        : null;
+      if (Number.isInteger(value) && value >= 0 && value <= 0xFFFFFFFF) return value;
+      if (!components || components.length < 3 || components.length > 4 || !components.every(isByte)) {
+        throw new Error(`'${parameter.name}' expects an RGBA color, got ${JSON.stringify(value)}`);
+      }
+      return Array.isArray(value) ? value : { r: value.r, g: value.g, b: value.b, a: value.a ?? 255 };
+    }
+    // [port, status, data1, data2] or { port?, status, data1?, data2? }
+    case 'midi': {
+      const bytes = Array.isArray(value) ? value
+        : value !== null && typeof value === 'object' ? [value.port ?? 0, value.status, value.data1 ?? 0, value.data2 ?? 0]
+        : null;
+      if (!bytes || bytes.length !== 4 || !bytes.every(isByte)) {
+        throw new Error(`'${parameter.name}' expects a MIDI message, got ${JSON.stringify(value)}`);
+      }
+      return value;
+    }
+    default:
+      return value;
+  }
+}
+
+function isByte(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 255;
+}
+
+function typeTagFor(parameter, value) {
+  if (parameter.type === 'boolean') {
+    return value ? 'T' : 'F';
+  }
+  // Imported OSCQuery parameters remember their exact tag (e.g. "d" or "h")
+  if (parameter.typeTag && parameter.typeTag !== 'T' && parameter.typeTag !== 'F') {
+    return parameter.typeTag;
+  }
+  return PARAMETER_TYPE_TAGS[parameter.type] || inferTypeTags([value]);
+}
+
+// Returns { args, typeTags, adjustments, warnings, errors }; never throws, the caller decides.
+// Explicit type tags from the caller win over the pattern's, argument by argument
+export function validateArgsAgainstPattern(pattern, args = [], policy = 'clamp', typeTags = '') {
+  const parameters = pattern.parameters;
+  const result = { args: [], typeTags: '', adjustments: [], warnings: [], errors: [] };
+  // Array brackets do not line up with parameters; such tag strings are used as given
+  const nested = /[[\]]/.test(typeTags);
+  const explicitTags = nested ? '' : typeTags;
+
+  parameters.forEach((parameter, index) => {
+    let value = args[index];
+    const explicitTag = value !== undefined ? explicitTags[index] : undefined;
+    if (explicitTag) {
+      parameter = { ...parameter, type: TYPE_TAG_PARAMETER_TYPES[explicitTag] || parameter.type };
+    }
+
+    if (value === undefined) {
+      if (parameter.default === undefined) {
+        result.errors.push(`Missing '${parameter.name}' (argument ${index + 1}) and the pattern has no default`);
+        return;
+      }
+      value = parameter.default;
+      result.adjustments.push(`'${parameter.name}' filled with default ${JSON.stringify(value)}`);
+    }
+
+    let coerced;
+    try {
+      coerced = coerceValue(value, parameter);
+    } catch (error) {
+      result.errors.push(error.message);
+      return;
+    }
+    if (coerced !== value) {
+      result.adjustments.push(`'${parameter.name}' coerced ${JSON.stringify(value)} → ${JSON.stringify(coerced)} (${parameter.type})`);
+    }
+
+    const { min, max } = parameter.range || {};
+    const belowMin = typeof coerced === 'number' && typeof min === 'number' && coerced < min;
+    const aboveMax = typeof coerced === 'number' && typeof max === 'number' && coerced > max;
+    const notAllowed = Array.isArray(parameter.values) && !parameter.values.includes(coerced);
+
+    if (belowMin || aboveMax) {
+      const limit = belowMin ? min : max;
+      const description = `'${parameter.name}' ${coerced}${parameter.unit ? ` ${parameter.unit}` : ''} is outside ${min ?? '-∞'}..${max ?? '∞'}`;
+
+      if (policy === 'reject') {
+        result.errors.push(description);
+        return;
+      }
+      if (policy === 'clamp') {
+        result.adjustments.push(`${description}, clamped to ${limit}`);
+        coerced = limit;
+      } else {
+        result.warnings.push(`${description}, sent unchanged`);
+      }
+    } else if (notAllowed) {
+      const description = `'${parameter.name}' ${JSON.stringify(coerced)} is not one of ${JSON.stringify(parameter.values)}`;
+      if (policy === 'warn') {
+        result.warnings.push(`${description}, sent unchanged`);
+      } else {
+        // There is no sensible value to clamp an enumeration to
+        result.errors.push(description);
+        return;
+      }
+    }
+
+    result.args.push(coerced);
+    result.typeTags += explicitTag && explicitTag !== 'T' && explicitTag !== 'F' ? explicitTag : typeTagFor(parameter, coerced);
+  });
+
+  // Extra arguments are passed through untouched
+  if (args.length > parameters.length) {
+    const extra = args.slice(parameters.length);
+    result.args.push(...extra);
+    const extraTags = explicitTags.slice(parameters.length);
+    result.typeTags += extraTags.length === extra.length ? extraTags : inferTypeTags(extra);
+    result.warnings.push(`${extra.length} argument(s) beyond the ${parameters.length} declared parameter(s) passed through`);
+  }
+  if (nested) {
+    result.typeTags = typeTags;
+  }
+
+  return result;
+}
+
+// One-paragraph summary for tool results
+export function formatValidationReport(address, validation) {
+  if (!validation || !validation.pattern) {
+    return '';
+  }
+
+  const lines = [`🧩 Pattern: ${validation.pattern.address}${validation.pattern.address !== address ? ` (matched ${address})` : ''} [${validation.pattern.application}], policy: ${validation.policy}`];
+  validation.adjustments.forEach(adjustment => lines.push(`  • ${adjustment}`));
+  validation.warnings.forEach(warning => lines.push(`  ⚠️ ${warning}`));
+  if (validation.adjustments.length === 0 && validation.warnings.length === 0) {
+    lines.push('  • Arguments match the pattern');
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,196 @@
+/**
+ * MCP Prompt Templates - Guided creative-coding workflows
+ * Each prompt pulls the relevant saved patterns, destinations and recent inbound
+ * messages into its text so every artist starts from the same context
+ */
+
+// Prompt definitions advertised through prompts/list; MCP prompt arguments are always strings
+export const PROMPTS = [
+  {
+    name: 'map_max_patch',
+    description: 'Design and save the OSC namespace for a new Max patch, following the existing MaxMSP patterns',
+    arguments: [
+      { name: 'patch_name', description: 'Name of the Max patch, e.g. "granular-pad"', required: true },
+      { name: 'controls', description: 'What the patch should expose, in plain words (e.g. "grain size, density, reverb mix")', required: false },
+      { name: 'destination', description: 'Registered destination the patch listens on', required: false }
+    ]
+  },
+  {
+    name: 'build_touchdesigner_cue',
+    description: 'Build a TouchDesigner cue from saved patterns as a single timed OSC bundle',
+    arguments: [
+      { name: 'cue_name', description: 'Name of the cue, e.g. "chorus-blackout"', required: true },
+      { name: 'look', description: 'What the cue should look like, in plain words', required: true },
+      { name: 'destination', description: 'Registered destination for TouchDesigner', required: false }
+    ]
+  },
+  {
+    name: 'diagnose_not_receiving',
+    description: 'Step through why an application (e.g. a synth) is not reacting to OSC',
+    arguments: [
+      { name: 'application', description: 'Application that is not receiving, e.g. "MaxMSP" or "SuperCollider"', required: true },
+      { name: 'address', description: 'OSC address that should have had an effect', required: false },
+      { name: 'destination', description: 'Registered destination the messages were sent to', required: false }
+    ]
+  },
+  {
+    name: 'document_osc_namespace',
+    description: "Write human-readable documentation of one application's OSC namespace",
+    arguments: [
+      { name: 'application', description: 'Application to document, e.g. "SuperCollider"', required: true }
+    ]
+  }
+];
+
+// Context passed in by the server: { patterns, destinations, recentInbound, config }
+export function buildPrompt(name, args = {}, context) {
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}. Available: ${PROMPTS.map(p => p.name).join(', ')}`);
+  }
+
+  const missing = prompt.arguments.filter(argument => argument.required && !args[argument.name]);
+  if (missing.length > 0) {
+    throw new Error(`Prompt ${name} requires: ${missing.map(argument => argument.name).join(', ')}`);
+  }
+
+  return {
+    description: prompt.description,
+    messages: [{
+      role: 'user',
+      content: { type: 'text', text: BUILDERS[name](args, context) }
+    }]
+  };
+}
+
+// Case-insensitive substring match, like get_osc_patterns' application filter
+function patternsFor(patterns, application) {
+  const needle = application.toLowerCase();
+  return patterns.filter(p => p.application.toLowerCase().includes(needle));
+}
+
+function describeParameter(parameter) {
+  const details = [parameter.type];
+  if (parameter.range && (parameter.range.min !== undefined || parameter.range.max !== undefined)) {
+    details.push(`${parameter.range.min ?? '-∞'}..${parameter.range.max ?? '∞'}`);
+  }
+  if (Array.isArray(parameter.values)) details.push(`one of ${JSON.stringify(parameter.values)}`);
+  if (parameter.unit) details.push(parameter.unit);
+  if (parameter.default !== undefined) details.push(`default ${JSON.stringify(parameter.default)}`);
+  return `${parameter.name} (${details.join(', ')})`;
+}
+
+function formatPatterns(patterns) {
+  if (patterns.length === 0) {
+    return '(none saved yet)';
+  }
+  return patterns.map(p => {
+    const parameters = (p.parameters || []).map(describeParameter).join('; ');
+    return `- ${p.address} [${p.application}/${p.category}]${p.enabled === false ? ' (disabled)' : ''}: ${p.description}${parameters ? `\n  args: ${parameters}` : ''}`;
+  }).join('\n');
+}
+
+function formatDestinations(destinations, selected) {
+  return destinations.map(d =>
+    `- ${d.name}: ${d.host}:${d.port} ${d.transport}${d.transport === 'TCP' ? ` (${d.framing})` : ''}${d.name === selected ? '  ← selected' : ''}`
+  ).join('\n');
+}
+
+function formatMessages(messages) {
+  if (messages.length === 0) {
+    return '(no inbound messages logged)';
+  }
+  return messages.map(m =>
+    `- ${m.timestamp} ${m.address} ${JSON.stringify(m.args)} from ${m.source ? `${m.source.address}:${m.source.port}` : 'unknown'}`
+  ).join('\n');
+}
+
+function destinationLine(destination) {
+  return destination
+    ? `Send to the registered destination "${destination}".`
+    : 'Ask which destination to use if the default one is not right.';
+}
+
+const BUILDERS = {
+  map_max_patch({ patch_name, controls, destination }, { patterns, destinations, recentInbound }) {
+    return `I'm building a new Max patch called "${patch_name}" and want to control it over OSC through MCP2OSC.
+${controls ? `\nIt should expose: ${controls}\n` : ''}
+Existing MaxMSP patterns (follow their address style, parameter naming and units):
+${formatPatterns(patternsFor(patterns, 'max'))}
+
+OSC destinations:
+${formatDestinations(destinations, destination)}
+
+Most recent inbound messages (addresses Max already sends back, if any):
+${formatMessages(recentInbound)}
+
+Please:
+1. Propose an address namespace under /${patch_name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}/... with one address per control.
+2. For each address give parameter names, types, ranges, units and sensible defaults.
+3. Save each one with save_osc_pattern (application "MaxMSP", tags including "${patch_name}").
+4. Show the Max objects to receive them: [udpreceive <port>] into [route ...] with one outlet per address.
+5. Send each address once at its default value with send_osc_message to confirm the patch reacts. ${destinationLine(destination)}`;
+  },
+
+  build_touchdesigner_cue({ cue_name, look, destination }, { patterns, destinations, recentInbound }) {
+    return `Build a TouchDesigner cue called "${cue_name}".
+
+The look: ${look}
+
+Saved TouchDesigner patterns (only use these addresses, within their ranges):
+${formatPatterns(patternsFor(patterns, 'touchdesigner'))}
+
+OSC destinations:
+${formatDestinations(destinations, destination)}
+
+Most recent inbound messages (TouchDesigner's current state, if it reports any):
+${formatMessages(recentInbound)}
+
+Please:
+1. Choose the addresses and values that produce the look and explain each choice in one line.
+2. If a needed control has no saved pattern, say so and suggest one to save with save_osc_pattern instead of guessing an address.
+3. Fire the whole cue at once with send_osc_bundle so every change lands on the same frame. ${destinationLine(destination)}
+4. Summarise the cue as a table (address, value, reason) I can paste into our cue sheet.`;
+  },
+
+  diagnose_not_receiving({ application, address, destination }, { patterns, destinations, recentInbound, config }) {
+    return `${application} is not reacting to OSC${address ? ` sent to ${address}` : ''}. Help me find out why, one step at a time.
+
+Saved ${application} patterns:
+${formatPatterns(patternsFor(patterns, application))}
+
+OSC destinations:
+${formatDestinations(destinations, destination)}
+
+MCP2OSC listens for replies on UDP port ${config.receivePort}${config.tcpReceivePort ? ` and TCP port ${config.tcpReceivePort}` : ''}; the default destination is ${config.host}:${config.sendPort}.
+
+Most recent inbound messages:
+${formatMessages(recentInbound)}
+
+Please work through, asking me to confirm each step before moving on:
+1. Address: does ${address || 'the address'} exactly match a saved pattern (case, slashes, wildcards)?
+2. Destination: is ${application} listening on the destination's host, port and transport (UDP vs TCP, SLIP vs length-prefix framing)?
+3. Arguments: do the types and ranges match the pattern (e.g. int vs float)? Resend with send_osc_message and read the validation report.
+4. Round trip: if ${application} can reply, use query_osc to check it answers at all.
+5. Inbound traffic: from the messages above, is anything arriving from ${application}, and from which host and port?
+End with the most likely cause and the exact fix.`;
+  },
+
+  document_osc_namespace({ application }, { patterns, recentInbound }) {
+    const appPatterns = patternsFor(patterns, application);
+    return `Write documentation for ${application}'s OSC namespace for artists who have never used OSC.
+
+Saved patterns (${appPatterns.length}):
+${formatPatterns(appPatterns)}
+
+Most recent inbound messages:
+${formatMessages(recentInbound)}
+
+Please produce Markdown with:
+1. A one-paragraph overview of what can be controlled.
+2. A section per category with a table: address, what it does, arguments (type, range, unit, default).
+3. A copy-paste example for each address using send_osc_message.
+4. A "gaps" list of anything that looks missing or inconsistent (naming, ranges, units, disabled patterns), including inbound addresses above from ${application} that have no saved pattern.
+Do not invent addresses that are not listed above.`;
+  }
+};
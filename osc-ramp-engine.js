@@ -0,0 +1,318 @@
+/**
+ * Ramp Engine - Timed parameter moves with easing and value curves
+ * "Move /filter/cutoff from its current value to 8000 over 4 s with ease-in-out-cubic".
+ * Easing shapes time; the curve shapes the value space (exponential for frequencies, dB
+ * through linear gain). Morphs interpolate between two sets of values by a position 0..1.
+ * Every ramp is an entry on the owner's StreamScheduler, so ramps are bundled with the other
+ * streams to the same destination; a new ramp on an address supersedes the old one.
+ */
+
+import { inferTypeTag } from './osc-codec.js';
+import { monotonicMs } from './osc-stream-scheduler.js';
+
+const MIN_GAIN = 1e-6; // -120 dB floor when fading to silence
+
+// Progress 0..1 -> eased progress 0..1
+export const EASINGS = {
+  'linear': t => t,
+  'ease-in-quad': t => t * t,
+  'ease-out-quad': t => 1 - (1 - t) * (1 - t),
+  'ease-in-out-quad': t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+  'ease-in-cubic': t => t * t * t,
+  'ease-out-cubic': t => 1 - Math.pow(1 - t, 3),
+  'ease-in-out-cubic': t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+  'ease-in-sine': t => 1 - Math.cos(t * Math.PI / 2),
+  'ease-out-sine': t => Math.sin(t * Math.PI / 2),
+  'ease-in-out-sine': t => -(Math.cos(Math.PI * t) - 1) / 2,
+  'ease-in-expo': t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
+  'ease-out-expo': t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+  'ease-in-out-expo': t => t === 0 || t === 1 ? t : t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2
+};
+
+function exponential(from, to, amount) {
+  return from * Math.pow(to / from, amount);
+}
+
+// Value between from and to at amount 0..1
+export const CURVES = {
+  linear: (from, to, amount) => from + (to - from) * amount,
+  // Equal ratios per step: octaves of a frequency sweep take equal time
+  exponential: exponential,
+  // Mirror of exponential: fast at the start, slow into the target
+  logarithmic: (from, to, amount) => from + to - exponential(to, from, amount),
+  // dB values move linearly in gain, so fades sound even and can reach silence
+  db: (from, to, amount) => {
+    const gain = (db) => Math.max(MIN_GAIN, Math.pow(10, db / 20));
+    return 20 * Math.log10(gain(from) + (gain(to) - gain(from)) * amount);
+  }
+};
+
+export function getEasing(name = 'linear') {
+  const easing = EASINGS[name];
+  if (!easing) {
+    throw new Error(`Unknown easing "${name}". Use one of: ${Object.keys(EASINGS).join(', ')}`);
+  }
+  return easing;
+}
+
+function checkCurveName(curve) {
+  if (!CURVES[curve]) {
+    throw new Error(`Unknown curve "${curve}". Use one of: ${Object.keys(CURVES).join(', ')}`);
+  }
+}
+
+function checkCurve(curve, from, to, label) {
+  checkCurveName(curve);
+  if ((curve === 'exponential' || curve === 'logarithmic') && !(from * to > 0)) {
+    throw new Error(`${label}: the ${curve} curve needs from and to of the same sign and non-zero (got ${from} → ${to})`);
+  }
+}
+
+const isIntegerTag = (tag) => tag === 'i' || tag === 'h';
+
+// Interpolate args for ramps, morphs and scene fades; non-numeric args take the nearer side.
+// Without start values (nothing known yet) and at the end the target is sent as given
+export function interpolateValues(from, to, amount, curve = 'linear', typeTags = '') {
+  if (!Array.isArray(from) || amount >= 1) {
+    return to;
+  }
+  return to.map((target, index) => {
+    const start = from[index];
+    if (typeof start !== 'number' || typeof target !== 'number') {
+      return amount < 0.5 && start !== undefined ? start : target;
+    }
+    const value = start === target ? target : CURVES[curve](start, target, amount);
+    return isIntegerTag(typeTags[index]) ? Math.round(value) : value;
+  });
+}
+
+// Type tags for every frame of a ramp, fixed once from both ends so a value that happens to
+// land on a whole number is not sent as an int. Numeric args are floats unless both ends are
+// declared integers; '' when a stepped arg changes type halfway (each frame then infers its own)
+export function rampTypeTags(from, to, fromTags = '', toTags = '') {
+  if (/[[\]]/.test(fromTags + toTags)) {
+    return toTags || fromTags;
+  }
+  const tags = to.map((target, index) => {
+    const start = from[index];
+    const startTag = fromTags[index] || toTags[index];
+    const targetTag = toTags[index] || fromTags[index];
+    if (typeof start === 'number' && typeof target === 'number') {
+      if (isIntegerTag(startTag) && isIntegerTag(targetTag) && Number.isInteger(start) && Number.isInteger(target)) {
+        return targetTag;
+      }
+      return startTag === 'd' || targetTag === 'd' ? 'd' : 'f';
+    }
+    if (targetTag) {
+      return targetTag;
+    }
+    const tag = inferTypeTag(target);
+    return start === undefined || inferTypeTag(start) === tag ? tag : null;
+  });
+  return tags.includes(null) ? '' : tags.join('');
+}
+
+export class RampEngine {
+  constructor(options = {}) {
+    this.resolve = options.resolve;                 // async (destination) => { host, port, transport, framing }
+    this.getCurrentValue = options.getCurrentValue; // (address) => last known args or undefined
+    this.scheduler = options.scheduler;             // StreamScheduler; frames are { address, args, typeTags, destination, final }
+    this.rateHz = options.rateHz || 60;
+    this.ramps = new Map();                         // id -> active ramp
+    this.morphs = new Map();                        // name -> morph definition
+    this.nextId = 1;
+  }
+
+  // Start an animation over `keys` (destination + address); running ones sharing a key are superseded
+  animate({ keys, label, durationMs, easing = 'linear', render }) {
+    if (!Number.isFinite(durationMs) || durationMs < 0) {
+      throw new Error('Duration must be a non-negative number of milliseconds');
+    }
+    const ease = getEasing(easing);
+
+    const superseded = [];
+    for (const ramp of this.ramps.values()) {
+      if (ramp.keys.some(key => keys.includes(key))) {
+        this.removeRamp(ramp.id);
+        superseded.push(ramp.id);
+      }
+    }
+
+    const ramp = {
+      id: `ramp-${(this.nextId++).toString(36)}`,
+      keys,
+      label,
+      durationMs,
+      easing,
+      ease,
+      render,
+      startedAt: monotonicMs()
+    };
+    this.ramps.set(ramp.id, ramp);
+    this.scheduler.add(ramp.id, { rate: this.rateHz, render: (now) => this.step(ramp, now) });
+    return { ramp, superseded };
+  }
+
+  removeRamp(id) {
+    this.scheduler.remove(id);
+    return this.ramps.delete(id);
+  }
+
+  // Frames for `now` (monotonic ms); the last one is marked final
+  step(ramp, now) {
+    const progress = ramp.durationMs === 0 ? 1 : Math.min(1, (now - ramp.startedAt) / ramp.durationMs);
+    const final = progress >= 1;
+    if (final) {
+      this.removeRamp(ramp.id);
+    }
+
+    ramp.progress = progress;
+    return ramp.render(ramp.ease(progress), progress).map(frame => ({ ...frame, final }));
+  }
+
+  // Ramp one address from `from` (default: its current value) to `to`
+  async ramp({ address, destination = 'default', from, to, durationMs, easing = 'linear', curve = 'linear', typeTags = '' }) {
+    if (!address || !address.startsWith('/')) {
+      throw new Error('OSC address must start with "/"');
+    }
+    const target = await this.resolve(destination);
+    const toArgs = Array.isArray(to) ? to : [to];
+    const fromArgs = from !== undefined ? (Array.isArray(from) ? from : [from]) : this.getCurrentValue(address);
+    if (!fromArgs) {
+      throw new Error(`No current value known for ${address}; pass from`);
+    }
+    checkCurveName(curve);
+    toArgs.forEach((value, index) => {
+      if (typeof value === 'number' && typeof fromArgs[index] === 'number') {
+        checkCurve(curve, fromArgs[index], value, address);
+      }
+    });
+
+    const tags = rampTypeTags(fromArgs, toArgs, '', typeTags);
+    const { ramp, superseded } = this.animate({
+      keys: [`${target.host}:${target.port} ${address}`],
+      label: `${address} → [${toArgs.join(', ')}]`,
+      durationMs,
+      easing,
+      render: (amount) => [{ address, args: interpolateValues(fromArgs, toArgs, amount, curve, tags), typeTags: tags, destination }]
+    });
+    return { id: ramp.id, address, from: fromArgs, to: toArgs, typeTags: tags, durationMs, easing, curve, superseded };
+  }
+
+  // Two sets of { address, args, destination } values; addresses in only one set are ignored
+  async defineMorph(name, { a, b, curve = 'linear' }) {
+    if (!name) {
+      throw new Error('Morph name is required');
+    }
+    checkCurveName(curve);
+
+    const keyOf = (value) => `${value.destination || 'default'} ${value.address}`;
+    const bByKey = new Map(b.map(value => [keyOf(value), value]));
+    const pairs = [];
+    for (const value of a) {
+      const other = bByKey.get(keyOf(value));
+      if (!other) continue;
+      value.args.forEach((arg, index) => {
+        if (typeof arg === 'number' && typeof other.args[index] === 'number') {
+          checkCurve(curve, arg, other.args[index], `${name} ${value.address}`);
+        }
+      });
+      pairs.push({
+        address: value.address,
+        typeTags: rampTypeTags(value.args, other.args, value.typeTags, other.typeTags),
+        destination: value.destination || 'default',
+        target: await this.resolve(value.destination || 'default'),
+        a: value.args,
+        b: other.args
+      });
+    }
+    if (pairs.length === 0) {
+      throw new Error(`Morph "${name}": the two sets share no destination + address`);
+    }
+
+    const morph = { name, curve, pairs, position: this.morphs.get(name)?.position ?? 0, ignored: a.length + b.length - 2 * pairs.length };
+    this.morphs.set(name, morph);
+    return morph;
+  }
+
+  // Move a morph to `position` (0 = set a, 1 = set b), instantly or over durationMs
+  morph(name, { position, durationMs = 0, easing = 'linear' }) {
+    const morph = this.morphs.get(name);
+    if (!morph) {
+      throw new Error(`No morph named "${name}"`);
+    }
+    if (!(position >= 0 && position <= 1)) {
+      throw new Error('Morph position must be between 0 and 1');
+    }
+
+    const start = morph.position;
+    const { ramp, superseded } = this.animate({
+      keys: morph.pairs.map(pair => `${pair.target.host}:${pair.target.port} ${pair.address}`),
+      label: `morph ${name} → ${position}`,
+      durationMs,
+      easing,
+      render: (amount) => {
+        morph.position = start + (position - start) * amount;
+        return morph.pairs.map(pair => ({
+          address: pair.address,
+          args: interpolateValues(pair.a, pair.b, morph.position, morph.curve, pair.typeTags),
+          typeTags: pair.typeTags,
+          destination: pair.destination
+        }));
+      }
+    });
+    return { id: ramp.id, morph: name, from: start, to: position, durationMs, easing, superseded };
+  }
+
+  // Stop ramps by id or address where they are; returns the stopped ids
+  stop(idOrAddress) {
+    const stopped = [];
+    for (const ramp of this.ramps.values()) {
+      if (idOrAddress === undefined || ramp.id === idOrAddress || ramp.keys.some(key => key.endsWith(` ${idOrAddress}`))) {
+        this.removeRamp(ramp.id);
+        stopped.push(ramp.id);
+      }
+    }
+    return stopped;
+  }
+
+  list() {
+    return {
+      ramps: Array.from(this.ramps.values(), ramp => ({
+        id: ramp.id,
+        label: ramp.label,
+        durationMs: ramp.durationMs,
+        easing: ramp.easing,
+        progress: ramp.progress ?? 0
+      })),
+      morphs: Array.from(this.morphs.values(), morph => ({
+        name: morph.name,
+        curve: morph.curve,
+        position: morph.position,
+        addresses: morph.pairs.map(pair => pair.address)
+      }))
+    };
+  }
+
+  // One entry point for MCP tools and the WebSocket protocol: { action, ... }
+  async execute(command) {
+    switch (command.action) {
+      case 'ramp':
+        return this.ramp(command);
+      case 'define_morph':
+        return this.defineMorph(command.name, command);
+      case 'morph':
+        return this.morph(command.name, command);
+      case 'stop':
+        return { stopped: this.stop(command.id ?? command.address) };
+      case 'list':
+        return this.list();
+      default:
+        throw new Error(`Unknown ramp action: ${command.action}`);
+    }
+  }
+
+  close() {
+    this.stop();
+  }
+}
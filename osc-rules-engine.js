@@ -0,0 +1,401 @@
+/**
+ * Rules Engine - Map inbound OSC to outbound OSC
+ * "When /fader1 arrives from TouchOSC, scale 0-1 to 20-20000 Hz exponentially and send it to
+ * /maxmsp/synth/osc1/freq on max-main". A rule matches an address pattern and optionally a
+ * source, runs the message through a list of transforms and forwards the result to one or more
+ * destinations. Rules live in osc-rules.json, shared by the MCP server and the dashboard.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { compileOSCPattern, matchOSCAddress } from './osc-address-pattern.js';
+import { inferTypeTag, parseTypeTags } from './osc-codec.js';
+import { CURVES, EASINGS } from './osc-ramp-engine.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_RULES_FILE = path.join(__dirname, 'osc-rules.json');
+
+export const TRANSFORM_TYPES = ['scale', 'invert', 'curve', 'quantize', 'threshold', 'smooth', 'split', 'merge'];
+
+const NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+
+function requireNumber(transform, key, index) {
+  if (typeof transform[key] !== 'number' || !Number.isFinite(transform[key])) {
+    throw new Error(`Transform ${index + 1} (${transform.type}): ${key} must be a number`);
+  }
+}
+
+// Check a transform list when a rule is saved, so processing never meets a bad transform
+export function validateTransforms(transforms) {
+  if (!Array.isArray(transforms)) {
+    throw new Error('transforms must be an array');
+  }
+  transforms.forEach((transform, index) => {
+    if (!TRANSFORM_TYPES.includes(transform?.type)) {
+      throw new Error(`Transform ${index + 1}: type must be one of: ${TRANSFORM_TYPES.join(', ')}`);
+    }
+    if (transform.arg !== undefined && !(Number.isInteger(transform.arg) && transform.arg >= 0)) {
+      throw new Error(`Transform ${index + 1} (${transform.type}): arg must be an argument index (0-based)`);
+    }
+    switch (transform.type) {
+      case 'scale': {
+        const { inMin = 0, inMax = 1, outMin, outMax, curve = 'linear' } = transform;
+        requireNumber(transform, 'outMin', index);
+        requireNumber(transform, 'outMax', index);
+        if (inMin === inMax) {
+          throw new Error(`Transform ${index + 1} (scale): inMin and inMax must differ`);
+        }
+        if (!CURVES[curve]) {
+          throw new Error(`Transform ${index + 1} (scale): curve must be one of: ${Object.keys(CURVES).join(', ')}`);
+        }
+        if ((curve === 'exponential' || curve === 'logarithmic') && !(outMin * outMax > 0)) {
+          throw new Error(`Transform ${index + 1} (scale): the ${curve} curve needs outMin and outMax of the same sign and non-zero`);
+        }
+        break;
+      }
+      case 'curve':
+        if (transform.exponent !== undefined) {
+          requireNumber(transform, 'exponent', index);
+        } else if (!EASINGS[transform.easing]) {
+          throw new Error(`Transform ${index + 1} (curve): give an exponent or an easing (${Object.keys(EASINGS).join(', ')})`);
+        }
+        break;
+      case 'quantize':
+        requireNumber(transform, 'step', index);
+        if (!(transform.step > 0)) {
+          throw new Error(`Transform ${index + 1} (quantize): step must be positive`);
+        }
+        break;
+      case 'threshold':
+        requireNumber(transform, 'threshold', index);
+        if (transform.mode !== undefined && !['gate', 'binary'].includes(transform.mode)) {
+          throw new Error(`Transform ${index + 1} (threshold): mode must be gate or binary`);
+        }
+        break;
+      case 'smooth':
+        requireNumber(transform, 'factor', index);
+        if (!(transform.factor >= 0 && transform.factor < 1)) {
+          throw new Error(`Transform ${index + 1} (smooth): factor must be 0 (none) to below 1 (heavy)`);
+        }
+        break;
+      case 'split':
+        if (transform.addresses !== undefined && !(Array.isArray(transform.addresses) && transform.addresses.every(address => typeof address === 'string' && address.startsWith('/')))) {
+          throw new Error(`Transform ${index + 1} (split): addresses must be OSC addresses, one per argument`);
+        }
+        break;
+      case 'merge':
+        if (!Array.isArray(transform.addresses) || transform.addresses.length < 2 || !transform.addresses.every(address => typeof address === 'string' && address.startsWith('/'))) {
+          throw new Error(`Transform ${index + 1} (merge): addresses must list at least two inbound OSC addresses`);
+        }
+        break;
+    }
+  });
+}
+
+// Apply fn to every numeric argument, or only to argument `arg`
+function mapNumbers(args, arg, fn) {
+  return args.map((value, index) => (arg === undefined || arg === index) && typeof value === 'number' ? fn(value, index) : value);
+}
+
+// One type tag per argument ('i[fs]' -> ['i', '[fs]']), or null when the tags do not fit the args
+function splitTypeTags(typeTags, args) {
+  if (!typeTags) return null;
+  const serialize = node => Array.isArray(node) ? `[${node.map(serialize).join('')}]` : node;
+  try {
+    const tags = parseTypeTags(typeTags).map(serialize);
+    return tags.length === args.length ? tags : null;
+  } catch {
+    return null;
+  }
+}
+
+// Scaled, shaped and smoothed values are continuous, so they go out as floats whatever came in
+function floatTags(args, tags, arg) {
+  return args.map((value, index) => {
+    const tag = tags ? tags[index] : inferTypeTag(value);
+    return (arg === undefined || arg === index) && typeof value === 'number' && tag !== 'd' ? 'f' : tag;
+  });
+}
+
+// Normalized position of value in min..max, clamped to 0..1
+function normalize(value, min, max) {
+  return Math.min(1, Math.max(0, (value - min) / (max - min)));
+}
+
+export class RuleStore {
+  constructor(filePath = DEFAULT_RULES_FILE) {
+    this.filePath = filePath;
+    this.cache = null;
+    this.cacheMtime = 0;
+  }
+
+  // Reload from disk only when another process has modified the file
+  async load() {
+    try {
+      const stats = await fs.stat(this.filePath);
+      if (this.cache && stats.mtimeMs === this.cacheMtime) {
+        return this.cache;
+      }
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.cache = Array.isArray(data.rules) ? data.rules : [];
+      this.cacheMtime = stats.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading rules: ${error.message}`);
+      }
+      this.cache = this.cache || [];
+    }
+    return this.cache;
+  }
+
+  async save(rules) {
+    const data = {
+      rules,
+      metadata: {
+        totalRules: rules.length,
+        enabledRules: rules.filter(rule => rule.enabled).length,
+        lastUpdate: new Date().toISOString()
+      }
+    };
+
+    // Atomic write: temp file + rename
+    const tempFile = this.filePath + '.tmp';
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+    await fs.rename(tempFile, this.filePath);
+
+    this.cache = rules;
+    this.cacheMtime = (await fs.stat(this.filePath)).mtimeMs;
+  }
+
+  async get(name) {
+    const rules = await this.load();
+    return rules.find(rule => rule.name === name) || null;
+  }
+
+  // Add a rule, replacing any existing one with the same name
+  async put(rule) {
+    const { name, match = {}, transforms = [], forward = [], enabled = true, notes = '' } = rule;
+    if (!name || !NAME_PATTERN.test(name)) {
+      throw new Error('Rule name is required and may only contain letters, digits, "_", "-" and "."');
+    }
+    if (!match.address || !match.address.startsWith('/')) {
+      throw new Error('match.address must be an OSC address or address pattern starting with "/"');
+    }
+    compileOSCPattern(match.address);
+    validateTransforms(transforms);
+    if (!Array.isArray(forward) || forward.length === 0) {
+      throw new Error('forward must list at least one { destination, address } target');
+    }
+    forward.forEach((target, index) => {
+      if (!target.destination || typeof target.destination !== 'string') {
+        throw new Error(`Forward target ${index + 1}: destination is required (a registry name or host:port)`);
+      }
+      if (target.address !== undefined && !String(target.address).startsWith('/')) {
+        throw new Error(`Forward target ${index + 1}: address must start with "/"`);
+      }
+    });
+
+    const rules = await this.load();
+    const existing = rules.find(item => item.name === name);
+    const now = new Date().toISOString();
+    const record = {
+      name,
+      enabled: Boolean(enabled),
+      match: { address: match.address, ...(match.source ? { source: String(match.source) } : {}) },
+      transforms,
+      forward: forward.map(({ destination, address, typeTags }) => ({ destination, ...(address ? { address } : {}), ...(typeTags ? { typeTags } : {}) })),
+      notes,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    await this.save(existing ? rules.map(item => item === existing ? record : item) : [...rules, record]);
+    return { rule: record, updated: Boolean(existing) };
+  }
+
+  async setEnabled(name, enabled) {
+    const rules = await this.load();
+    const rule = rules.find(item => item.name === name);
+    if (!rule) {
+      throw new Error(`Unknown rule "${name}". Use list_osc_rules to see saved rules.`);
+    }
+    const record = { ...rule, enabled: Boolean(enabled), updatedAt: new Date().toISOString() };
+    await this.save(rules.map(item => item === rule ? record : item));
+    return record;
+  }
+
+  async remove(name) {
+    const rules = await this.load();
+    const remaining = rules.filter(rule => rule.name !== name);
+    if (remaining.length === rules.length) {
+      return false;
+    }
+    await this.save(remaining);
+    return true;
+  }
+}
+
+export class RulesEngine {
+  constructor(options = {}) {
+    this.store = options.store || new RuleStore();
+    this.destinations = options.destinations; // DestinationRegistry, to match sources by name
+    this.state = new Map();                   // rule name -> { updatedAt, smooth: Map, merge: Map }
+  }
+
+  // Source filter: a registry name (its host, any port), a host, or host:port
+  async matchesSource(source, rinfo) {
+    if (!source) return true;
+    if (!rinfo) return false;
+    if (source === `${rinfo.address}:${rinfo.port}` || source === rinfo.address) return true;
+    const destination = await this.destinations?.get(source);
+    return Boolean(destination) && destination.host === rinfo.address;
+  }
+
+  async matches(rule, address, rinfo) {
+    return matchOSCAddress(rule.match.address, address) && await this.matchesSource(rule.match.source, rinfo);
+  }
+
+  // Smoothing and merge memory; dropped when the rule is edited
+  ruleState(rule) {
+    let state = this.state.get(rule.name);
+    if (!state || state.updatedAt !== rule.updatedAt) {
+      state = { updatedAt: rule.updatedAt, smooth: new Map(), merge: new Map() };
+      this.state.set(rule.name, state);
+    }
+    return state;
+  }
+
+  // Run one message through a rule's transforms; returns the messages to forward ([] when gated)
+  applyTransforms(rule, message, state) {
+    // tags: the inbound type tag per argument, null when unknown (the sender then infers them)
+    let messages = [{ address: message.address, args: [...message.args], tags: splitTypeTags(message.typeTags, message.args) }];
+
+    rule.transforms.forEach((transform, position) => {
+      const { arg } = transform;
+      messages = messages.flatMap(current => {
+        const { address, args, tags } = current;
+        switch (transform.type) {
+          case 'scale': {
+            const { inMin = 0, inMax = 1, outMin, outMax, curve = 'linear' } = transform;
+            return [{ address, args: mapNumbers(args, arg, value => CURVES[curve](outMin, outMax, normalize(value, inMin, inMax))), tags: floatTags(args, tags, arg) }];
+          }
+          case 'invert': {
+            const { min = 0, max = 1 } = transform;
+            return [{ address, args: mapNumbers(args, arg, value => min + max - value), tags }];
+          }
+          case 'curve': {
+            // Shape the value's position within min..max
+            const { min = 0, max = 1, exponent, easing } = transform;
+            const shape = exponent !== undefined ? (t => Math.pow(t, exponent)) : EASINGS[easing];
+            return [{ address, args: mapNumbers(args, arg, value => min + (max - min) * shape(normalize(value, min, max))), tags: floatTags(args, tags, arg) }];
+          }
+          case 'quantize': {
+            const { step, offset = 0 } = transform;
+            return [{ address, args: mapNumbers(args, arg, value => Number((Math.round((value - offset) / step) * step + offset).toFixed(10))), tags }];
+          }
+          case 'threshold': {
+            const { threshold, mode = 'gate', below = 0, above = 1 } = transform;
+            const index = arg ?? args.findIndex(value => typeof value === 'number');
+            if (mode === 'gate') {
+              return typeof args[index] === 'number' && args[index] < threshold ? [] : [current];
+            }
+            return [{ address, args: mapNumbers(args, arg, value => value >= threshold ? above : below), tags }];
+          }
+          case 'smooth': {
+            // One-pole low-pass per argument: each message moves (1 - factor) of the way
+            return [{
+              address,
+              args: mapNumbers(args, arg, (value, index) => {
+                const key = `${position}:${address}:${index}`;
+                const previous = state.smooth.get(key);
+                const smoothed = previous === undefined ? value : previous + (value - previous) * (1 - transform.factor);
+                state.smooth.set(key, smoothed);
+                return smoothed;
+              }),
+              tags: floatTags(args, tags, arg)
+            }];
+          }
+          case 'split':
+            return args.map((value, index) => ({ address: transform.addresses?.[index] || `${address}/${index}`, args: [value], tags: tags ? [tags[index]] : null }));
+          case 'merge': {
+            // Latest args of each listed address, sent together once every address has arrived
+            const stored = state.merge.get(position) || new Map();
+            state.merge.set(position, stored);
+            if (transform.addresses.includes(address)) {
+              stored.set(address, { args, tags });
+            }
+            if (!transform.addresses.every(item => stored.has(item))) {
+              return [];
+            }
+            const parts = transform.addresses.map(item => stored.get(item));
+            return [{
+              address: transform.into || transform.addresses[0],
+              args: parts.flatMap(part => part.args),
+              tags: parts.some(part => part.tags) ? parts.flatMap(part => part.tags || part.args.map(inferTypeTag)) : null
+            }];
+          }
+          default:
+            return [current];
+        }
+      });
+    });
+    return messages;
+  }
+
+  // Outbound messages for an inbound message: [{ rule, destination, address, args, typeTags }]
+  async process(message, rinfo, { rules = null, dryRun = false } = {}) {
+    const outputs = [];
+    for (const rule of rules || await this.store.load()) {
+      if ((!rule.enabled && !rules) || !await this.matches(rule, message.address, rinfo)) continue;
+
+      // A dry run works on a copy of the rule's memory so tests do not disturb live smoothing
+      const live = this.ruleState(rule);
+      const state = dryRun ? { smooth: new Map(live.smooth), merge: new Map(Array.from(live.merge, ([key, stored]) => [key, new Map(stored)])) } : live;
+
+      for (const transformed of this.applyTransforms(rule, message, state)) {
+        for (const target of rule.forward) {
+          outputs.push({
+            rule: rule.name,
+            destination: target.destination,
+            address: target.address || transformed.address,
+            args: transformed.args,
+            typeTags: target.typeTags || transformed.tags?.join('') || ''
+          });
+        }
+      }
+    }
+    return outputs;
+  }
+
+  // What rules would send for a message, without sending or touching live state
+  async test({ address, args = [], source = null, name = null }) {
+    if (!address || !address.startsWith('/')) {
+      throw new Error('Test message address must start with "/"');
+    }
+    const rules = await this.store.load();
+    let candidates = rules;
+    if (name) {
+      const rule = rules.find(item => item.name === name);
+      if (!rule) {
+        throw new Error(`Unknown rule "${name}". Use list_osc_rules to see saved rules.`);
+      }
+      candidates = [rule];
+    } else {
+      candidates = rules.filter(rule => rule.enabled);
+    }
+
+    const [host, port] = source ? String(source).split(':') : [];
+    const rinfo = source ? { address: host, port: port ? parseInt(port) : null } : null;
+    const matched = [];
+    for (const rule of candidates) {
+      if (await this.matches(rule, address, rinfo)) {
+        matched.push(rule.name);
+      }
+    }
+    const outputs = await this.process({ address, args }, rinfo, { rules: candidates, dryRun: true });
+    return { message: { address, args, source }, matched, outputs };
+  }
+}
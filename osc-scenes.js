@@ -0,0 +1,299 @@
+/**
+ * Scenes and Cue List - Save "the state of everything" and recall it for shows
+ * A scene holds the last-sent value of every saved pattern address (outbound history plus
+ * live WebSocket parameters). Recall is instant or a timed crossfade that interpolates numeric
+ * args. Scenes, the cue list and the current cue live in osc-scenes.json, shared by the MCP
+ * server and the dashboard like osc-destinations.json.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findMatchingPattern } from './osc-pattern-validator.js';
+import { createAddressFilter } from './osc-address-pattern.js';
+import { interpolateValues } from './osc-ramp-engine.js';
+import { monotonicMs } from './osc-stream-scheduler.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_SCENES_FILE = path.join(__dirname, 'osc-scenes.json');
+
+const NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_. -]*$/;
+
+// Where an outbound log entry went; MCP entries carry source { address, port }, dashboard entries source + port
+function messageTarget(message) {
+  return typeof message.source === 'object' && message.source !== null
+    ? { host: message.source.address, port: message.source.port }
+    : { host: message.source, port: message.port };
+}
+
+// Latest value per destination + address for every address a saved pattern covers
+export function captureValues({ patterns, messages = [], liveParameters = [], destinations = [], addresses }) {
+  const filter = createAddressFilter(addresses);
+  const destinationName = ({ host, port }) =>
+    destinations.find(destination => destination.host === host && destination.port === port)?.name || `${host}:${port}`;
+
+  const candidates = [
+    ...messages.filter(message => message.direction === 'outbound').map(message => ({
+      address: message.address,
+      args: message.args,
+      typeTags: message.typeTags,
+      destination: destinationName(messageTarget(message)),
+      timestamp: Date.parse(message.timestamp)
+    })),
+    ...liveParameters.map(parameter => ({
+      address: parameter.address,
+      args: [parameter.value],
+      destination: parameter.destination || 'default',
+      timestamp: parameter.lastUpdate
+    }))
+  ];
+
+  const values = new Map();
+  for (const candidate of candidates) {
+    if (!Array.isArray(candidate.args) || !filter(candidate.address) || !findMatchingPattern(patterns, candidate.address)) continue;
+    const key = `${candidate.destination} ${candidate.address}`;
+    if (!values.has(key) || values.get(key).timestamp <= candidate.timestamp) {
+      values.set(key, candidate);
+    }
+  }
+
+  return Array.from(values.values(), ({ timestamp, ...value }) => ({ ...value, sentAt: new Date(timestamp).toISOString() }))
+    .sort((a, b) => a.address.localeCompare(b.address) || a.destination.localeCompare(b.destination));
+}
+
+export class SceneStore {
+  constructor(filePath = DEFAULT_SCENES_FILE) {
+    this.filePath = filePath;
+    this.cache = null;
+    this.cacheMtime = 0;
+  }
+
+  // Reload from disk only when another process has modified the file
+  async load() {
+    try {
+      const stats = await fs.stat(this.filePath);
+      if (this.cache && stats.mtimeMs === this.cacheMtime) {
+        return this.cache;
+      }
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.cache = {
+        scenes: Array.isArray(data.scenes) ? data.scenes : [],
+        cues: Array.isArray(data.cues) ? data.cues : [],
+        currentCue: Number.isInteger(data.currentCue) ? data.currentCue : -1
+      };
+      this.cacheMtime = stats.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading scenes: ${error.message}`);
+      }
+      this.cache = this.cache || { scenes: [], cues: [], currentCue: -1 };
+    }
+    return this.cache;
+  }
+
+  async save(state) {
+    const data = {
+      ...state,
+      metadata: {
+        totalScenes: state.scenes.length,
+        totalCues: state.cues.length,
+        lastUpdate: new Date().toISOString()
+      }
+    };
+
+    // Atomic write: temp file + rename
+    const tempFile = this.filePath + '.tmp';
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+    await fs.rename(tempFile, this.filePath);
+
+    this.cache = state;
+    this.cacheMtime = (await fs.stat(this.filePath)).mtimeMs;
+  }
+
+  async update(changes) {
+    const state = { ...await this.load(), ...changes };
+    await this.save(state);
+    return state;
+  }
+
+  async getScene(name) {
+    const { scenes } = await this.load();
+    return scenes.find(scene => scene.name === name) || null;
+  }
+
+  // Add a scene, replacing any existing one with the same name
+  async putScene(scene) {
+    if (!scene.name || !NAME_PATTERN.test(scene.name)) {
+      throw new Error('Scene name is required and may only contain letters, digits, spaces, "_", "-" and "."');
+    }
+    const { scenes } = await this.load();
+    const existing = scenes.find(item => item.name === scene.name);
+    const now = new Date().toISOString();
+    const record = { ...scene, createdAt: existing?.createdAt || now, updatedAt: now };
+
+    await this.update({ scenes: existing ? scenes.map(item => item === existing ? record : item) : [...scenes, record] });
+    return { scene: record, updated: Boolean(existing) };
+  }
+
+  async removeScene(name) {
+    const { scenes, cues } = await this.load();
+    if (!scenes.some(scene => scene.name === name)) {
+      return false;
+    }
+    if (cues.some(cue => cue.scene === name)) {
+      throw new Error(`Scene "${name}" is used by the cue list; change the cues first`);
+    }
+    await this.update({ scenes: scenes.filter(scene => scene.name !== name) });
+    return true;
+  }
+
+  // Replace the cue list; every cue must name an existing scene
+  async setCues(cues) {
+    const { scenes } = await this.load();
+    const records = cues.map((cue, index) => {
+      if (!scenes.some(scene => scene.name === cue.scene)) {
+        throw new Error(`Cue ${index + 1}: unknown scene "${cue.scene}"`);
+      }
+      const fadeMs = Number(cue.fadeMs ?? 0);
+      if (!Number.isFinite(fadeMs) || fadeMs < 0) {
+        throw new Error(`Cue ${index + 1}: fade must be a non-negative number of milliseconds`);
+      }
+      return { scene: cue.scene, fadeMs, label: cue.label || cue.scene };
+    });
+    return this.update({ cues: records, currentCue: -1 });
+  }
+}
+
+export class SceneController {
+  constructor(options = {}) {
+    this.store = options.store || new SceneStore();
+    this.destinations = options.destinations;   // DestinationRegistry used to resolve scene values
+    this.send = options.send;                   // async (value with resolved target) => void, for instant recalls
+    this.scheduler = options.scheduler;         // StreamScheduler running crossfades; frames are { address, args, typeTags, destination, final }
+    this.readState = options.readState;         // async () => { patterns, messages, liveParameters }
+    this.fadeIntervalMs = options.fadeIntervalMs || 33;
+    this.fade = null;                           // Running crossfade
+  }
+
+  async currentValues(addresses) {
+    const state = await this.readState();
+    return captureValues({ ...state, destinations: await this.destinations.list(), addresses });
+  }
+
+  async capture(name, { notes = '', addresses } = {}) {
+    const values = await this.currentValues(addresses);
+    if (values.length === 0) {
+      throw new Error('Nothing to capture: no pattern address has been sent yet' + (addresses ? ` matching ${addresses}` : ''));
+    }
+    return this.store.putScene({ name, notes, values });
+  }
+
+  // Send a scene's values, optionally crossfading from the current values over fadeMs
+  async recall(name, { fadeMs = 0 } = {}) {
+    const scene = await this.store.getScene(name);
+    if (!scene) {
+      throw new Error(`Unknown scene "${name}". Use list_scenes to see saved scenes.`);
+    }
+    if (!Number.isFinite(fadeMs) || fadeMs < 0) {
+      throw new Error('Fade must be a non-negative number of milliseconds');
+    }
+
+    // A new recall supersedes a running fade
+    this.stopFade();
+
+    const targets = await Promise.all(scene.values.map(async value => ({
+      ...value,
+      target: await this.destinations.resolve(value.destination)
+    })));
+
+    if (fadeMs === 0) {
+      await Promise.all(targets.map(value => this.send(value)));
+      return { scene: scene.name, values: targets.length, fadeMs: 0 };
+    }
+
+    const current = new Map((await this.currentValues()).map(value => [`${value.destination} ${value.address}`, value.args]));
+    const fade = {
+      scene: scene.name,
+      startedAt: monotonicMs(),
+      fadeMs,
+      progress: 0,
+      values: targets.map(value => ({ ...value, from: current.get(`${value.destination} ${value.address}`) }))
+    };
+    this.fade = fade;
+    this.scheduler.add('scene-fade', { rate: 1000 / this.fadeIntervalMs, render: (now) => this.stepFade(fade, now) });
+    return { scene: scene.name, values: targets.length, fadeMs };
+  }
+
+  // Frames for `now` (monotonic ms); the last one is marked final
+  stepFade(fade, now) {
+    fade.progress = Math.min(1, (now - fade.startedAt) / fade.fadeMs);
+    const final = fade.progress >= 1;
+    if (final) {
+      this.stopFade(fade);
+    }
+
+    return fade.values.map(value => ({
+      address: value.address,
+      args: interpolateValues(value.from, value.args, fade.progress, 'linear', value.typeTags),
+      typeTags: value.typeTags,
+      destination: value.destination,
+      final
+    }));
+  }
+
+  stopFade(fade = this.fade) {
+    if (!fade || this.fade !== fade) return false;
+    this.scheduler.remove('scene-fade');
+    this.fade = null;
+    return true;
+  }
+
+  async go() {
+    const { cues, currentCue } = await this.store.load();
+    if (currentCue + 1 >= cues.length) {
+      throw new Error(cues.length === 0 ? 'The cue list is empty' : `Already at the last cue (${cues.length})`);
+    }
+    return this.runCue(currentCue + 1);
+  }
+
+  // Back recalls the previous cue instantly: stepping back is a correction, not a transition
+  async back() {
+    const { currentCue } = await this.store.load();
+    if (currentCue <= 0) {
+      throw new Error('Already at the first cue');
+    }
+    return this.runCue(currentCue - 1, { fadeMs: 0 });
+  }
+
+  // Go to a cue by 1-based number or label
+  async goto(cue) {
+    const { cues } = await this.store.load();
+    const index = /^\d+$/.test(String(cue))
+      ? parseInt(cue) - 1
+      : cues.findIndex(item => item.label === cue);
+    if (!(index >= 0 && index < cues.length)) {
+      throw new Error(`No cue ${cue}; the cue list has ${cues.length} cue(s)`);
+    }
+    return this.runCue(index);
+  }
+
+  async runCue(index, { fadeMs } = {}) {
+    const { cues } = await this.store.load();
+    const cue = cues[index];
+    const result = await this.recall(cue.scene, { fadeMs: fadeMs ?? cue.fadeMs });
+    await this.store.update({ currentCue: index });
+    return { ...result, cue: index + 1, label: cue.label, total: cues.length };
+  }
+
+  async status() {
+    const { scenes, cues, currentCue } = await this.store.load();
+    return {
+      scenes: scenes.map(({ values, ...scene }) => ({ ...scene, values: values.length })),
+      cues: cues.map((cue, index) => ({ number: index + 1, ...cue, current: index === currentCue })),
+      currentCue: currentCue >= 0 ? currentCue + 1 : null,
+      fading: this.fade ? { scene: this.fade.scene, progress: this.fade.progress } : null
+    };
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * Step Sequencer - Named step sequences played by the transport clock
+ * Each sequence has its own length and step value (polymetric: a 16-step hi-hat against a
+ * 12-step clave), a voice message template, and steps with gate, probability, ratchets,
+ * per-step parameter locks and extra messages. Messages are validated when a sequence is
+ * written, so playback only picks what to send.
+ */
+
+import { findMatchingPattern } from './osc-pattern-validator.js';
+import { parseNoteValue } from './osc-transport-clock.js';
+
+const MAX_STEPS = 128;
+const MAX_RATCHET = 8;
+
+// "x..x" grid shorthand: x = hit, . or - = rest, ? = 50% chance, 2-8 = ratchet; spaces and | are ignored
+export function parseStepString(text) {
+  return Array.from(String(text).replace(/[\s|]/g, ''), (char) => {
+    if (char === 'x' || char === 'X') return { on: true };
+    if (char === '.' || char === '-') return { on: false };
+    if (char === '?') return { on: true, probability: 0.5 };
+    if (/[2-8]/.test(char)) return { on: true, ratchet: parseInt(char) };
+    throw new Error(`Unknown step "${char}" in "${text}". Use x (hit), . (rest), ? (50% chance) or 2-8 (ratchet)`);
+  });
+}
+
+export class StepSequencer {
+  constructor(options = {}) {
+    this.clock = options.clock;             // TransportClock that plays the sequences
+    this.prepare = options.prepare;         // async (message args) => prepared OSC message
+    this.getPatterns = options.getPatterns; // async () => saved patterns, for named parameter locks
+    this.sequences = new Map();             // name -> sequence
+  }
+
+  // Create or replace a sequence; a playing sequence keeps playing with the new steps
+  async define({ name, length, stepLength = '1/16', voice = null, steps = [], muted = false }) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Sequence name is required');
+    }
+    const stepBeats = parseNoteValue(stepLength, this.clock);
+    const stepList = typeof steps === 'string' ? parseStepString(steps) : steps;
+    if (!Array.isArray(stepList)) {
+      throw new Error('steps must be a string like "x...x..." or an array of steps');
+    }
+
+    const total = length ?? stepList.length;
+    if (!Number.isInteger(total) || total < 1 || total > MAX_STEPS) {
+      throw new Error(`Sequence length must be 1..${MAX_STEPS} steps`);
+    }
+    if (stepList.length > total) {
+      throw new Error(`${stepList.length} steps given for a ${total}-step sequence`);
+    }
+
+    const parameterNames = voice ? await this.voiceParameterNames(voice.address) : [];
+    const compiled = [];
+    for (let index = 0; index < total; index++) {
+      compiled.push(await this.compileStep(stepList[index], index, voice, parameterNames));
+    }
+
+    const existing = this.sequences.get(name);
+    const sequence = {
+      name,
+      length: total,
+      stepLength: String(stepLength),
+      stepBeats,
+      voice,
+      steps: compiled,
+      muted,
+      eventId: existing?.eventId || null,
+      startBeat: existing?.startBeat ?? null,
+      updatedAt: new Date().toISOString()
+    };
+    this.sequences.set(name, sequence);
+
+    if (existing?.eventId) {
+      // Re-arm so the new step length applies and queued hits of the old steps are taken back
+      this.clock.cancel(existing.eventId);
+      sequence.eventId = null;
+      this.arm(sequence, sequence.startBeat);
+    }
+    return sequence;
+  }
+
+  async voiceParameterNames(address) {
+    if (!address || !address.startsWith('/')) {
+      throw new Error('voice.address must be an OSC address starting with "/"');
+    }
+    const pattern = findMatchingPattern(await this.getPatterns(), address);
+    return pattern ? pattern.parameters.map(parameter => parameter.name) : [];
+  }
+
+  // Resolve a step spec into the prepared messages it sends when it plays
+  async compileStep(spec = { on: false }, index, voice, parameterNames) {
+    const step = spec === null || typeof spec !== 'object' ? { on: Boolean(spec) } : spec;
+    const { on = true, probability = 1, ratchet = 1, args, locks = {}, messages = [] } = step;
+
+    if (!(probability >= 0 && probability <= 1)) {
+      throw new Error(`Step ${index + 1}: probability must be between 0 and 1`);
+    }
+    if (!Number.isInteger(ratchet) || ratchet < 1 || ratchet > MAX_RATCHET) {
+      throw new Error(`Step ${index + 1}: ratchet must be 1..${MAX_RATCHET}`);
+    }
+
+    const compiled = { on: Boolean(on), probability, ratchet, locks, messages: [] };
+    if (!compiled.on) {
+      return compiled;
+    }
+
+    if (voice) {
+      const voiceArgs = [...(args ?? voice.args ?? [])];
+      for (const [key, value] of Object.entries(locks)) {
+        voiceArgs[this.lockIndex(key, parameterNames, index)] = value;
+      }
+      compiled.messages.push(await this.prepare({ ...voice, args: voiceArgs }));
+    }
+    // Extra messages go where the voice goes unless they name their own destination
+    const { address, args: voiceDefaults, ...target } = voice || {};
+    for (const message of messages) {
+      compiled.messages.push(await this.prepare({ ...target, ...message }));
+    }
+
+    const gap = compiled.messages.find(message => message.oscArgs.some(arg => arg === undefined));
+    if (gap) {
+      throw new Error(`Step ${index + 1}: ${gap.address} has missing arguments; locks past the end of args need a saved pattern with defaults`);
+    }
+
+    if (compiled.messages.length === 0) {
+      throw new Error(`Step ${index + 1} is on but has nothing to send; give the sequence a voice or the step messages`);
+    }
+    return compiled;
+  }
+
+  // Locks name a voice argument by pattern parameter name or by index
+  lockIndex(key, parameterNames, stepIndex) {
+    if (/^\d+$/.test(key)) {
+      return parseInt(key);
+    }
+    const index = parameterNames.indexOf(key);
+    if (index === -1) {
+      throw new Error(`Step ${stepIndex + 1}: unknown lock "${key}"${parameterNames.length > 0 ? `; the voice pattern has ${parameterNames.join(', ')}` : '; no saved pattern names the voice arguments, lock by index instead'}`);
+    }
+    return index;
+  }
+
+  // Replace one step (0-based) in place
+  async setStep(name, index, spec) {
+    const sequence = this.get(name);
+    if (!Number.isInteger(index) || index < 0 || index >= sequence.length) {
+      throw new Error(`Step index must be 0..${sequence.length - 1} for "${name}"`);
+    }
+    const parameterNames = sequence.voice ? await this.voiceParameterNames(sequence.voice.address) : [];
+    sequence.steps[index] = await this.compileStep(spec, index, sequence.voice, parameterNames);
+    sequence.updatedAt = new Date().toISOString();
+    this.refresh(sequence);
+    return sequence;
+  }
+
+  get(name) {
+    const sequence = this.sequences.get(name);
+    if (!sequence) {
+      throw new Error(`No sequence named "${name}"${this.sequences.size > 0 ? `; defined: ${Array.from(this.sequences.keys()).join(', ')}` : ''}`);
+    }
+    return sequence;
+  }
+
+  // Start on `beat`, or on the next bar line so sequences started one after another stay aligned
+  start(name, beat = null) {
+    const sequence = this.get(name);
+    if (sequence.eventId) {
+      this.clock.cancel(sequence.eventId);
+      sequence.eventId = null;
+    }
+
+    const barBeats = this.clock.beatsPerBar;
+    this.arm(sequence, beat ?? Math.ceil(this.clock.positionAt() / barBeats - 1e-9) * barBeats);
+    return sequence;
+  }
+
+  arm(sequence, startBeat) {
+    const event = this.clock.scheduleEvent({
+      beat: startBeat,
+      everyBeats: sequence.stepBeats,
+      label: `seq:${sequence.name}`,
+      owner: 'sequencer',
+      render: (index) => this.renderStep(sequence, index)
+    });
+    sequence.eventId = event.id;
+    sequence.startBeat = startBeat;
+  }
+
+  // Hits for the index-th step since the sequence started
+  renderStep(sequence, index) {
+    const step = sequence.steps[index % sequence.length];
+    if (sequence.muted || !step.on || (step.probability < 1 && Math.random() >= step.probability)) {
+      return [];
+    }
+
+    const hits = [];
+    for (let repeat = 0; repeat < step.ratchet; repeat++) {
+      const offset = repeat * sequence.stepBeats / step.ratchet;
+      step.messages.forEach(message => hits.push({ offset, command: { message, sequence: sequence.name, step: index % sequence.length } }));
+    }
+    return hits;
+  }
+
+  stop(name) {
+    const sequence = this.get(name);
+    if (sequence.eventId) {
+      this.clock.cancel(sequence.eventId);
+      sequence.eventId = null;
+    }
+    return sequence;
+  }
+
+  setMuted(name, muted) {
+    const sequence = this.get(name);
+    sequence.muted = muted;
+    this.refresh(sequence);
+    return sequence;
+  }
+
+  remove(name) {
+    const sequence = this.stop(name);
+    this.sequences.delete(name);
+    return sequence;
+  }
+
+  // Steps already handed to the queue were rendered with the old state; take them back
+  refresh(sequence) {
+    if (sequence.eventId) {
+      this.clock.resync();
+      this.clock.pump();
+    }
+  }
+
+  // Step index the playhead is on, or null when the sequence is not armed
+  currentStep(sequence) {
+    if (!sequence.eventId) return null;
+    const elapsed = this.clock.positionAt() - sequence.startBeat;
+    if (elapsed < 0) return null;
+    return Math.floor(elapsed / sequence.stepBeats + 1e-9) % sequence.length;
+  }
+
+  // Plain summary for tool output and WebSocket clients
+  describe(sequence) {
+    return {
+      name: sequence.name,
+      length: sequence.length,
+      stepLength: sequence.stepLength,
+      playing: Boolean(sequence.eventId),
+      muted: sequence.muted,
+      startPosition: sequence.eventId ? this.clock.formatPosition(sequence.startBeat) : null,
+      currentStep: this.currentStep(sequence),
+      voice: sequence.voice?.address || null,
+      grid: sequence.steps.map(step => !step.on ? '.' : step.ratchet > 1 ? String(step.ratchet) : step.probability < 1 ? '?' : 'x').join(''),
+      steps: sequence.steps.map((step, index) => ({
+        index,
+        on: step.on,
+        ...(step.probability < 1 ? { probability: step.probability } : {}),
+        ...(step.ratchet > 1 ? { ratchet: step.ratchet } : {}),
+        ...(Object.keys(step.locks).length > 0 ? { locks: step.locks } : {}),
+        messages: step.messages.map(message => ({ address: message.address, args: message.oscArgs, host: message.host, port: message.port }))
+      }))
+    };
+  }
+
+  list() {
+    return Array.from(this.sequences.values(), sequence => this.describe(sequence));
+  }
+
+  // One entry point for MCP tools and the WebSocket protocol: { action, name, ... }
+  async execute(command) {
+    const { action, name } = command;
+    switch (action) {
+      case 'define':
+        return this.describe(await this.define(command));
+      case 'set_step':
+        return this.describe(await this.setStep(name, command.index, command.step));
+      case 'start': {
+        const beat = command.bar !== undefined ? this.clock.barBeatToBeats(command.bar, command.beat ?? 1) : null;
+        return this.describe(this.start(name, beat));
+      }
+      case 'stop':
+        return this.describe(this.stop(name));
+      case 'mute':
+      case 'unmute':
+        return this.describe(this.setMuted(name, action === 'mute'));
+      case 'delete':
+        return this.describe(this.remove(name));
+      case 'list':
+        return name ? this.describe(this.get(name)) : this.list();
+      default:
+        throw new Error(`Unknown sequencer action: ${action}`);
+    }
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Stream Scheduler - One timer loop for every continuous stream
+ * Each entry has a requested rate and a render(now) callback returning the messages for that
+ * tick. Due times advance on a fixed grid from a monotonic clock, so streams do not drift;
+ * the timer wakes early by its measured lateness, and ticks that fell a whole period behind are
+ * skipped rather than bunched. Messages due together are coalesced into one packet per destination;
+ * entries with the same rate share one grid, so they are always due together.
+ */
+
+const MAX_RATE = 1000;          // Hz
+const TOLERANCE_MS = 1;         // setTimeout resolution: entries due this soon run in the current tick
+const RATE_WINDOW_MS = 1000;    // Achieved rate is measured over windows of this length
+const LATENESS_SMOOTHING = 0.1; // Weight of the newest sample in the lateness averages
+
+// Milliseconds from process.hrtime: immune to wall-clock adjustments
+export function monotonicMs() {
+  return Number(process.hrtime.bigint()) / 1e6;
+}
+
+export class StreamScheduler {
+  constructor(options = {}) {
+    this.send = options.send;     // async (destination, messages) => void
+    this.entries = new Map();     // id -> entry
+    this.timer = null;
+    this.wakeAt = null;           // When the pending timer was meant to fire
+    this.wakeLatenessMs = 0;      // Average timer lateness; the timer is set this much early
+  }
+
+  add(id, { rate, render }) {
+    if (!(rate > 0 && rate <= MAX_RATE)) {
+      throw new Error(`Stream rate must be between 0 and ${MAX_RATE} Hz, got ${rate}`);
+    }
+    const now = monotonicMs();
+    const periodMs = 1000 / rate;
+    // Join the grid of a running entry with the same rate, so equal-rate streams share ticks and bundles
+    const sameRate = Array.from(this.entries.values()).find(entry => entry.periodMs === periodMs && entry.id !== id);
+    const firstDue = sameRate ? sameRate.nextDue : now;
+    this.entries.set(id, {
+      id,
+      rate,
+      periodMs,
+      render,
+      startedAt: firstDue,
+      nextDue: firstDue,
+      sent: 0,
+      skipped: 0,
+      latenessMs: 0,
+      windowStart: firstDue,
+      windowCount: 0,
+      achievedRate: null,
+      lastTickAt: null
+    });
+    this.schedule();
+  }
+
+  remove(id) {
+    const removed = this.entries.delete(id);
+    if (removed && this.entries.size === 0) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    return removed;
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.entries.size === 0) return;
+
+    const earliest = Math.min(...Array.from(this.entries.values(), entry => entry.nextDue));
+    this.wakeAt = earliest - this.wakeLatenessMs;
+    this.timer = setTimeout(() => this.tick(), Math.max(0, this.wakeAt - monotonicMs()));
+  }
+
+  tick() {
+    const now = monotonicMs();
+    this.wakeLatenessMs += (Math.max(0, now - this.wakeAt) - this.wakeLatenessMs) * LATENESS_SMOOTHING;
+
+    const byDestination = new Map();
+    for (const entry of Array.from(this.entries.values())) {
+      if (entry.nextDue > now + TOLERANCE_MS) continue;
+
+      entry.latenessMs += (Math.max(0, now - entry.nextDue) - entry.latenessMs) * LATENESS_SMOOTHING;
+      entry.nextDue += entry.periodMs;
+      if (entry.nextDue <= now) {
+        const missed = Math.floor((now - entry.nextDue) / entry.periodMs) + 1;
+        entry.skipped += missed;
+        entry.nextDue += missed * entry.periodMs;
+      }
+
+      let messages;
+      try {
+        messages = entry.render(now, entry) || [];
+      } catch (error) {
+        console.error(`❌ Stream ${entry.id} failed and was stopped: ${error.message}`);
+        this.entries.delete(entry.id);
+        continue;
+      }
+
+      // The tick that closes a window opens the next one
+      if (now - entry.windowStart >= RATE_WINDOW_MS) {
+        entry.achievedRate = entry.windowCount * 1000 / (now - entry.windowStart);
+        entry.windowStart = now;
+        entry.windowCount = 0;
+      }
+      entry.sent++;
+      entry.windowCount++;
+      entry.lastTickAt = now;
+
+      for (const message of messages) {
+        const destination = message.destination || 'default';
+        if (!byDestination.has(destination)) byDestination.set(destination, []);
+        byDestination.get(destination).push(message);
+      }
+    }
+
+    byDestination.forEach((messages, destination) => {
+      this.send(destination, messages).catch(error => {
+        console.error(`❌ Stream send to ${destination} failed: ${error.message}`);
+      });
+    });
+    this.schedule();
+  }
+
+  // Requested vs achieved rate per stream; achieved is over the last full window, or since start
+  stats() {
+    const sinceStart = (entry) => entry.sent > 1 ? (entry.sent - 1) * 1000 / (entry.lastTickAt - entry.startedAt) : null;
+    return Array.from(this.entries.values(), entry => ({
+      id: entry.id,
+      requestedRate: entry.rate,
+      achievedRate: Number((entry.achievedRate ?? sinceStart(entry) ?? 0).toFixed(2)),
+      sent: entry.sent,
+      skipped: entry.skipped,
+      meanLatenessMs: Number(entry.latenessMs.toFixed(2))
+    }));
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.entries.clear();
+  }
+}
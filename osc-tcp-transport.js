@@ -0,0 +1,257 @@
+/**
+ * OSC over TCP - Stream transport with OSC 1.0 length-prefix and OSC 1.1 SLIP framing
+ */
+
+import net from 'net';
+
+export const TCP_FRAMINGS = ['slip', 'length-prefix'];
+
+// Larger frames are treated as a corrupt or hostile stream rather than buffered
+export const MAX_FRAME_BYTES = 1024 * 1024;
+const CONNECT_TIMEOUT_MS = 3000;
+
+// SLIP special bytes (RFC 1055)
+const SLIP_END = 0xC0;
+const SLIP_ESC = 0xDB;
+const SLIP_ESC_END = 0xDC;
+const SLIP_ESC_ESC = 0xDD;
+
+export function normalizeFraming(framing = 'slip') {
+  const value = String(framing).toLowerCase();
+  if (!TCP_FRAMINGS.includes(value)) {
+    throw new Error(`Unknown TCP framing '${framing}'. Use one of: ${TCP_FRAMINGS.join(', ')}`);
+  }
+  return value;
+}
+
+// OSC 1.0: each packet is preceded by its size as a big-endian int32
+export function frameLengthPrefixed(packet) {
+  const size = Buffer.alloc(4);
+  size.writeUInt32BE(packet.length, 0);
+  return Buffer.concat([size, packet]);
+}
+
+// OSC 1.1: double-ended SLIP, an END byte before and after the escaped packet
+export function frameSLIP(packet) {
+  const bytes = [SLIP_END];
+  for (const byte of packet) {
+    if (byte === SLIP_END) {
+      bytes.push(SLIP_ESC, SLIP_ESC_END);
+    } else if (byte === SLIP_ESC) {
+      bytes.push(SLIP_ESC, SLIP_ESC_ESC);
+    } else {
+      bytes.push(byte);
+    }
+  }
+  bytes.push(SLIP_END);
+  return Buffer.from(bytes);
+}
+
+export function framePacket(packet, framing = 'slip') {
+  return normalizeFraming(framing) === 'slip' ? frameSLIP(packet) : frameLengthPrefixed(packet);
+}
+
+// Incremental stream decoder: feed raw chunks, receive complete OSC packets.
+// push() throws on a frame over maxFrameBytes; the stream cannot resync, so drop the connection
+export class OSCStreamDecoder {
+  constructor(framing = 'slip', onPacket = () => {}, maxFrameBytes = MAX_FRAME_BYTES) {
+    this.framing = normalizeFraming(framing);
+    this.onPacket = onPacket;
+    this.maxFrameBytes = maxFrameBytes;
+    this.pending = Buffer.alloc(0); // length-prefix state
+    this.slipBytes = [];            // SLIP state
+    this.slipEscaped = false;
+  }
+
+  push(chunk) {
+    if (this.framing === 'slip') {
+      this.pushSLIP(chunk);
+    } else {
+      this.pushLengthPrefixed(chunk);
+    }
+  }
+
+  pushSLIP(chunk) {
+    for (const byte of chunk) {
+      if (this.slipEscaped) {
+        this.slipBytes.push(byte === SLIP_ESC_END ? SLIP_END : byte === SLIP_ESC_ESC ? SLIP_ESC : byte);
+        this.slipEscaped = false;
+      } else if (byte === SLIP_ESC) {
+        this.slipEscaped = true;
+      } else if (byte === SLIP_END) {
+        // Empty frames come from the leading END of double-ended SLIP
+        if (this.slipBytes.length > 0) {
+          const packet = Buffer.from(this.slipBytes);
+          this.slipBytes = [];
+          this.onPacket(packet);
+        }
+      } else {
+        this.slipBytes.push(byte);
+      }
+      if (this.slipBytes.length > this.maxFrameBytes) {
+        this.slipBytes = [];
+        throw new Error(`OSC TCP frame exceeds ${this.maxFrameBytes} bytes`);
+      }
+    }
+  }
+
+  pushLengthPrefixed(chunk) {
+    this.pending = this.pending.length ? Buffer.concat([this.pending, chunk]) : chunk;
+
+    while (this.pending.length >= 4) {
+      const size = this.pending.readUInt32BE(0);
+      if (size > this.maxFrameBytes) {
+        this.pending = Buffer.alloc(0);
+        throw new Error(`OSC TCP frame of ${size} bytes exceeds ${this.maxFrameBytes} bytes`);
+      }
+      if (this.pending.length < 4 + size) break;
+
+      const packet = Buffer.from(this.pending.subarray(4, 4 + size));
+      this.pending = this.pending.subarray(4 + size);
+      if (size > 0) {
+        this.onPacket(packet);
+      }
+    }
+  }
+}
+
+// Persistent outbound TCP connection to one OSC destination
+export class OSCTCPClient {
+  constructor(host, port, framing = 'slip', onPacket = null, options = {}) {
+    this.host = host;
+    this.port = port;
+    this.framing = normalizeFraming(framing);
+    this.onPacket = onPacket; // Optional handler for packets the remote end sends back
+    this.connectTimeoutMs = options.connectTimeoutMs || CONNECT_TIMEOUT_MS;
+    this.socket = null;
+    this.connecting = null;
+  }
+
+  connect() {
+    if (this.socket && !this.socket.destroyed && !this.connecting) {
+      return Promise.resolve(this.socket);
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      const decoder = new OSCStreamDecoder(this.framing, (packet) => {
+        if (this.onPacket) {
+          this.onPacket(packet, { address: this.host, port: this.port, transport: 'TCP' });
+        }
+      });
+
+      socket.setNoDelay(true);
+
+      // A filtered port never answers; without a timeout every send would wait on the OS default
+      const connectTimer = setTimeout(() => {
+        socket.destroy(new Error(`OSC TCP connect to ${this.host}:${this.port} timed out after ${this.connectTimeoutMs}ms`));
+      }, this.connectTimeoutMs);
+
+      socket.once('connect', () => {
+        clearTimeout(connectTimer);
+        this.socket = socket;
+        this.connecting = null;
+        resolve(socket);
+      });
+
+      socket.on('data', (chunk) => {
+        try {
+          decoder.push(chunk);
+        } catch (error) {
+          socket.destroy(error);
+        }
+      });
+
+      socket.on('error', (error) => {
+        if (this.connecting) {
+          clearTimeout(connectTimer);
+          this.connecting = null;
+          reject(error);
+        } else {
+          console.error(`❌ OSC TCP connection error for ${this.host}:${this.port}: ${error.message}`);
+        }
+      });
+
+      socket.on('close', () => {
+        if (this.socket === socket) {
+          this.socket = null;
+        }
+      });
+    });
+
+    return this.connecting;
+  }
+
+  async send(packet) {
+    const socket = await this.connect();
+    const frame = framePacket(packet, this.framing);
+
+    await new Promise((resolve, reject) => {
+      socket.write(frame, (error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket = null;
+    }
+  }
+}
+
+// Inbound OSC over TCP: every connection is decoded with the configured framing
+export class OSCTCPServer {
+  constructor(port, host = '0.0.0.0', framing = 'slip', onPacket = () => {}) {
+    this.port = port;
+    this.host = host;
+    this.framing = normalizeFraming(framing);
+    this.onPacket = onPacket;
+    this.connections = new Set();
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+  }
+
+  handleConnection(socket) {
+    const rinfo = { address: socket.remoteAddress, port: socket.remotePort, transport: 'TCP' };
+    const decoder = new OSCStreamDecoder(this.framing, (packet) => this.onPacket(packet, rinfo));
+
+    this.connections.add(socket);
+    console.error(`🔗 OSC TCP client connected: ${rinfo.address}:${rinfo.port}`);
+
+    socket.on('data', (chunk) => {
+      try {
+        decoder.push(chunk);
+      } catch (error) {
+        socket.destroy(error);
+      }
+    });
+    socket.on('error', (error) => {
+      console.error(`OSC TCP client error ${rinfo.address}:${rinfo.port}: ${error.message}`);
+    });
+    socket.on('close', () => {
+      this.connections.delete(socket);
+      console.error(`🔌 OSC TCP client disconnected: ${rinfo.address}:${rinfo.port}`);
+    });
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  close() {
+    this.connections.forEach(socket => socket.destroy());
+    this.connections.clear();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
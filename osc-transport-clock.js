@@ -0,0 +1,300 @@
+/**
+ * Transport Clock - Musical time (BPM, bars, beats, swing) on top of the command queue
+ * Events are placed in beats of the time signature's beat unit. A lookahead pump hands
+ * events that fall due within the next `lookaheadMs` to the queue as timed commands;
+ * tempo changes, locates and stops cancel what was handed over and re-time from the playhead.
+ */
+
+const EPSILON = 1e-9;
+
+// "1/16" -> 0.25 beats in x/4; "1/8T" triplet, "1/8." dotted, "1 bar"/"2 bars", "3" (beats)
+export function parseNoteValue(value, { beatsPerBar = 4, beatUnit = 4 } = {}) {
+  if (typeof value === 'number') {
+    if (!(value > 0 && Number.isFinite(value))) throw new Error(`Note value must be positive, got ${value}`);
+    return value;
+  }
+
+  const text = String(value).trim().toLowerCase();
+  const bars = /^(\d+(?:\.\d+)?)?\s*bars?$/.exec(text);
+  if (bars) {
+    return parseFloat(bars[1] || '1') * beatsPerBar;
+  }
+
+  const note = /^(\d+)\/(\d+)(t|\.)?$/.exec(text);
+  if (note) {
+    const wholeNotes = parseInt(note[1]) / parseInt(note[2]);
+    const modifier = note[3] === 't' ? 2 / 3 : note[3] === '.' ? 1.5 : 1;
+    const beats = wholeNotes * beatUnit * modifier;
+    if (beats > 0 && Number.isFinite(beats)) return beats;
+  }
+
+  const beats = Number(text);
+  if (beats > 0 && Number.isFinite(beats)) return beats;
+
+  throw new Error(`Cannot parse note value "${value}". Use e.g. "1/4", "1/16", "1/8T", "1/8.", "1 bar" or a number of beats`);
+}
+
+export function parseTimeSignature(value) {
+  const match = /^(\d+)\s*\/\s*(1|2|4|8|16|32)$/.exec(String(value).trim());
+  if (!match || parseInt(match[1]) < 1) {
+    throw new Error(`Invalid time signature "${value}". Use e.g. "4/4", "3/4", "7/8"`);
+  }
+  return { beatsPerBar: parseInt(match[1]), beatUnit: parseInt(match[2]) };
+}
+
+export class TransportClock {
+  constructor(options = {}) {
+    this.scheduler = options.scheduler; // OSCCommandQueue that sends the events
+    this.bpm = options.bpm || 120;
+    this.beatsPerBar = options.beatsPerBar || 4;
+    this.beatUnit = options.beatUnit || 4;
+    this.swing = options.swing ?? 50;            // 50 = straight, 66 = triplet feel, 75 = maximum
+    this.swingUnit = options.swingUnit || '1/16';
+    this.lookaheadMs = options.lookaheadMs || 100;
+    this.intervalMs = options.intervalMs || 25;
+    this.now = options.now || Date.now;          // Wall clock in ms; tests drive it by hand
+    this.playing = false;
+    this.anchorBeat = 0;            // Grid position (beats) at anchorTime
+    this.anchorTime = this.now();
+    this.events = new Map();        // id -> musical event
+    this.queued = new Map();        // queue command id -> { event, grid } handed over but not sent yet (grid of its occurrence)
+    this.nextId = 1;
+    this.timer = null;
+    this.swingUnitBeats = parseNoteValue(this.swingUnit, this);
+  }
+
+  // Grid position in beats; advances with wall time while playing
+  positionAt(time = this.now()) {
+    if (!this.playing) return this.anchorBeat;
+    return this.anchorBeat + (time - this.anchorTime) * this.bpm / 60000;
+  }
+
+  timeAtGrid(grid) {
+    return this.anchorTime + (grid - this.anchorBeat) * 60000 / this.bpm;
+  }
+
+  // Swing warps each pair of swing units: the off-beat moves to `swing`% of the pair
+  swingWarp(beat) {
+    const ratio = this.swing / 100;
+    if (Math.abs(ratio - 0.5) < EPSILON) return beat;
+
+    const unit = this.swingUnitBeats;
+    const pair = unit * 2;
+    const start = Math.floor((beat + EPSILON) / pair) * pair;
+    const offset = beat - start;
+    return offset < unit
+      ? start + offset * 2 * ratio
+      : start + pair * ratio + (offset - unit) * 2 * (1 - ratio);
+  }
+
+  // "bar 9, beat 3" -> beats since bar 1 beat 1
+  barBeatToBeats(bar, beat = 1) {
+    if (!(bar >= 1) || !(beat >= 1) || beat >= this.beatsPerBar + 1) {
+      throw new Error(`Position must be bar >= 1 and beat 1..${this.beatsPerBar + 1} (exclusive) in ${this.beatsPerBar}/${this.beatUnit}`);
+    }
+    return (bar - 1) * this.beatsPerBar + (beat - 1);
+  }
+
+  formatPosition(beats) {
+    const bar = Math.floor((beats + EPSILON) / this.beatsPerBar) + 1;
+    const beat = beats - (bar - 1) * this.beatsPerBar + 1;
+    return `bar ${bar}, beat ${Math.max(1, beat).toFixed(2)}`;
+  }
+
+  getState() {
+    const position = this.positionAt();
+    return {
+      playing: this.playing,
+      bpm: this.bpm,
+      timeSignature: `${this.beatsPerBar}/${this.beatUnit}`,
+      swing: this.swing,
+      swingUnit: this.swingUnit,
+      position: { beats: position, label: this.formatPosition(position) },
+      events: this.events.size
+    };
+  }
+
+  start() {
+    if (this.playing) return;
+    this.anchorTime = this.now();
+    this.playing = true;
+    this.resync();
+    this.timer = setInterval(() => this.pump(), this.intervalMs);
+    this.pump();
+  }
+
+  stop() {
+    if (!this.playing) return;
+    this.anchorBeat = this.positionAt();
+    this.anchorTime = this.now();
+    this.playing = false;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.resync();
+  }
+
+  locate(beats) {
+    if (!(beats >= 0)) throw new Error('Locate position must be >= 0 beats');
+    const previous = this.positionAt();
+    this.anchorBeat = beats;
+    this.anchorTime = this.now();
+    // Jumping forward, what was queued between the old and the new playhead must not play either
+    this.resync(Math.min(previous, beats));
+    this.pump();
+  }
+
+  // Tempo changes keep the playhead where it is and re-time everything after it
+  setTempo(bpm) {
+    if (!(bpm >= 1 && bpm <= 999)) throw new Error('BPM must be between 1 and 999');
+    this.anchorBeat = this.positionAt();
+    this.anchorTime = this.now();
+    this.bpm = bpm;
+    this.resync();
+    this.pump();
+  }
+
+  setTimeSignature(value) {
+    const { beatsPerBar, beatUnit } = parseTimeSignature(value);
+    this.beatsPerBar = beatsPerBar;
+    this.beatUnit = beatUnit;
+    this.swingUnitBeats = parseNoteValue(this.swingUnit, this);
+    this.resync();
+    this.pump();
+  }
+
+  setSwing(percent, unit = this.swingUnit) {
+    if (!(percent >= 50 && percent <= 75)) throw new Error('Swing must be between 50 (straight) and 75');
+    this.swingUnitBeats = parseNoteValue(unit, this);
+    this.swing = percent;
+    this.swingUnit = unit;
+    this.resync();
+    this.pump();
+  }
+
+  // One-shot at `beat`, or every `everyBeats` from `beat` (count times, or forever).
+  // `render(index, beat)` may replace `command`: it returns [{ offset, command }] hits for
+  // that occurrence (offset in beats), so an occurrence can send several messages or none.
+  scheduleEvent({ beat, everyBeats = null, count = null, label, command, render = null, owner = null }) {
+    if (!(beat >= 0)) throw new Error('Event position must be >= 0 beats');
+    if (count !== null && !(count >= 1)) throw new Error('count must be at least 1');
+
+    const event = {
+      id: `beat-${(this.nextId++).toString(36)}`,
+      label,
+      beat,
+      everyBeats,
+      count: everyBeats ? count : 1,
+      fired: 0,
+      command,
+      render,
+      owner
+    };
+    event.fired = this.occurrencesBefore(event, this.positionAt());
+    if (!this.hasOccurrence(event, event.fired)) {
+      throw new Error(`${this.formatPosition(beat)} is behind the playhead (${this.formatPosition(this.positionAt())}); locate back first`);
+    }
+    this.events.set(event.id, event);
+    this.pump();
+    return event;
+  }
+
+  occurrenceBeat(event, index) {
+    return event.beat + index * (event.everyBeats || 0);
+  }
+
+  hasOccurrence(event, index) {
+    return event.count === null || index < event.count;
+  }
+
+  // Occurrences whose (swung) grid position lies before `grid`
+  occurrencesBefore(event, grid) {
+    if (!event.everyBeats) {
+      return this.swingWarp(event.beat) < grid - EPSILON ? 1 : 0;
+    }
+    let index = Math.max(0, Math.ceil((grid - event.beat) / event.everyBeats) - 1);
+    while (this.swingWarp(this.occurrenceBeat(event, index)) < grid - EPSILON) index++;
+    return event.count === null ? index : Math.min(index, event.count);
+  }
+
+  // Hand events due before the lookahead horizon to the queue
+  pump() {
+    if (!this.playing) return;
+
+    const horizon = this.positionAt(this.now() + this.lookaheadMs);
+    for (const event of this.events.values()) {
+      while (this.hasOccurrence(event, event.fired)) {
+        const beat = this.occurrenceBeat(event, event.fired);
+        const grid = this.swingWarp(beat);
+        if (grid >= horizon) break;
+
+        const hits = event.render ? event.render(event.fired, beat) : [{ offset: 0, command: event.command }];
+        for (const { offset = 0, command } of hits) {
+          const queueId = this.scheduler.scheduleCommand(
+            { ...command, label: event.label, clockEventId: event.id, beat: beat + offset },
+            Math.round(this.timeAtGrid(offset ? this.swingWarp(beat + offset) : grid))
+          );
+          // Resync takes back whole occurrences, so hits remember their occurrence's grid
+          this.queued.set(queueId, { event, grid });
+        }
+        event.fired++;
+      }
+
+      if (!this.hasOccurrence(event, event.fired)) {
+        this.events.delete(event.id); // Every occurrence is with the queue now
+      }
+    }
+    this.forgetSentCommands();
+  }
+
+  // Take back everything after the playhead (or after `from`) and recompute what each event still owes
+  resync(from = this.positionAt()) {
+    const playhead = this.positionAt();
+    for (const [queueId, entry] of this.queued) {
+      if (entry.grid >= from - EPSILON && this.scheduler.cancel(queueId)) {
+        this.queued.delete(queueId);
+        // A finished event becomes pending again when its last occurrences were taken back
+        this.events.set(entry.event.id, entry.event);
+      }
+    }
+
+    for (const event of this.events.values()) {
+      event.fired = this.occurrencesBefore(event, playhead);
+    }
+    this.forgetSentCommands();
+  }
+
+  forgetSentCommands() {
+    const pending = new Set(this.scheduler.list().map(command => command.id));
+    for (const queueId of this.queued.keys()) {
+      if (!pending.has(queueId)) this.queued.delete(queueId);
+    }
+  }
+
+  // Events of one owner; null lists schedule_osc's own events, not a subsystem's (e.g. 'sequencer')
+  listEvents(owner = null) {
+    return Array.from(this.events.values()).filter(event => event.owner === owner).map(event => {
+      const nextBeat = this.occurrenceBeat(event, event.fired);
+      return { ...event, nextBeat, nextPosition: this.formatPosition(nextBeat) };
+    });
+  }
+
+  // Cancel a musical event and whatever of it the queue still holds
+  cancel(id) {
+    const event = this.events.get(id);
+    let cancelledQueued = 0;
+    for (const [queueId, entry] of this.queued) {
+      if (entry.event.id === id && this.scheduler.cancel(queueId)) {
+        this.queued.delete(queueId);
+        cancelledQueued++;
+      }
+    }
+    this.events.delete(id);
+    return event || cancelledQueued > 0 ? { id, event } : null;
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.playing = false;
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * OSCQuery Client - Discover parameters from TouchDesigner, Max and other OSCQuery hosts
+ * HTTP + JSON namespace walking, and WebSocket LISTEN/IGNORE for value changes
+ * (https://github.com/Vidvox/OSCQueryProposal)
+ */
+
+// OSC type tag -> pattern parameter type
+const PARAMETER_TYPES = {
+  i: 'integer',
+  h: 'integer',
+  f: 'float',
+  d: 'float',
+  s: 'string',
+  S: 'string',
+  c: 'string',
+  T: 'boolean',
+  F: 'boolean',
+  b: 'blob',
+  r: 'color',
+  m: 'midi'
+};
+
+// OSCQuery ACCESS values
+const ACCESS_NAMES = ['none', 'read', 'write', 'readwrite'];
+
+export class OSCQueryClient {
+  constructor(host, port, options = {}) {
+    this.host = host;
+    this.port = parseInt(port);
+    this.timeoutMs = options.timeoutMs || 3000;
+    this.onPacket = options.onPacket || null; // Binary OSC value updates from LISTEN
+    this.hostInfo = null;
+    this.socket = null;
+    this.connecting = null;
+    this.listening = new Set();
+  }
+
+  get baseUrl() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  async request(pathAndQuery) {
+    const url = this.baseUrl + pathAndQuery;
+    let response;
+
+    try {
+      response = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+    } catch (error) {
+      throw new Error(`OSCQuery host ${this.host}:${this.port} unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`OSCQuery host ${this.host}:${this.port} responded ${response.status} for ${pathAndQuery}`);
+    }
+    return response.json();
+  }
+
+  // HOST_INFO is optional in the spec; fall back to an empty description
+  async getHostInfo() {
+    if (!this.hostInfo) {
+      try {
+        this.hostInfo = await this.request('/?HOST_INFO');
+      } catch (error) {
+        this.hostInfo = {};
+      }
+    }
+    return this.hostInfo;
+  }
+
+  async getNamespace(root = '/') {
+    if (!root.startsWith('/')) {
+      throw new Error('OSCQuery root path must start with "/"');
+    }
+    return this.request(encodeURI(root));
+  }
+
+  // Open (or reuse) the WebSocket used for LISTEN; HOST_INFO may point it at another port
+  async connect() {
+    if (this.socket && this.socket.readyState === this.socket.OPEN) {
+      return this.socket;
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    const hostInfo = await this.getHostInfo();
+    if (hostInfo.EXTENSIONS && hostInfo.EXTENSIONS.LISTEN === false) {
+      throw new Error(`OSCQuery host ${this.host}:${this.port} does not support LISTEN`);
+    }
+
+    const wsHost = hostInfo.WS_IP || this.host;
+    const wsPort = hostInfo.WS_PORT || this.port;
+
+    // ws is only needed for LISTEN; namespace imports work without it
+    let WebSocket;
+    try {
+      ({ default: WebSocket } = await import('ws'));
+    } catch (error) {
+      throw new Error('OSCQuery LISTEN needs the ws package. Install with: npm install ws');
+    }
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = new WebSocket(`ws://${wsHost}:${wsPort}`, { handshakeTimeout: this.timeoutMs });
+
+      socket.once('open', () => {
+        this.socket = socket;
+        this.connecting = null;
+        resolve(socket);
+      });
+
+      socket.on('message', (data, isBinary) => this.handleSocketMessage(data, isBinary));
+
+      socket.on('error', (error) => {
+        if (this.connecting) {
+          this.connecting = null;
+          reject(new Error(`OSCQuery WebSocket ${wsHost}:${wsPort} failed: ${error.message}`));
+        } else {
+          console.error(`❌ OSCQuery WebSocket error for ${this.host}:${this.port}: ${error.message}`);
+        }
+      });
+
+      socket.on('close', () => {
+        if (this.socket === socket) {
+          this.socket = null;
+          this.listening.clear();
+        }
+      });
+    });
+
+    return this.connecting;
+  }
+
+  handleSocketMessage(data, isBinary) {
+    if (isBinary) {
+      if (this.onPacket) {
+        this.onPacket(Buffer.from(data), { address: this.host, port: this.port, transport: 'OSCQuery' });
+      }
+      return;
+    }
+
+    // Text frames carry namespace change notifications (PATH_CHANGED, PATH_ADDED, ...)
+    try {
+      const { COMMAND, DATA } = JSON.parse(data.toString());
+      console.error(`🔎 OSCQuery ${this.host}:${this.port}: ${COMMAND} ${typeof DATA === 'string' ? DATA : JSON.stringify(DATA)}`);
+    } catch (error) {
+      // Ignore malformed notifications
+    }
+  }
+
+  async listen(paths) {
+    const socket = await this.connect();
+    for (const path of paths) {
+      socket.send(JSON.stringify({ COMMAND: 'LISTEN', DATA: path }));
+      this.listening.add(path);
+    }
+  }
+
+  ignore(paths = Array.from(this.listening)) {
+    for (const path of paths) {
+      if (this.socket && this.socket.readyState === this.socket.OPEN) {
+        this.socket.send(JSON.stringify({ COMMAND: 'IGNORE', DATA: path }));
+      }
+      this.listening.delete(path);
+    }
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    this.listening.clear();
+  }
+}
+
+// Every node carrying a TYPE, depth first; containers only contribute their CONTENTS
+export function flattenNamespace(node, basePath = '/') {
+  const nodes = [];
+  const fullPath = node.FULL_PATH || basePath;
+
+  if (node.TYPE) {
+    nodes.push({ ...node, FULL_PATH: fullPath });
+  }
+
+  for (const [name, child] of Object.entries(node.CONTENTS || {})) {
+    const childPath = fullPath === '/' ? `/${name}` : `${fullPath}/${name}`;
+    nodes.push(...flattenNamespace(child, childPath));
+  }
+
+  return nodes;
+}
+
+// Convert one OSCQuery node into the pattern shape stored in extracted-osc-patterns.json
+export function nodeToPattern(node, { application, category = 'control', hostName, host, port }) {
+  const typeTags = node.TYPE.replace(/[[\]]/g, ''); // Array brackets flatten into consecutive parameters
+  const name = node.FULL_PATH.split('/').filter(Boolean).pop() || 'value';
+  const asArray = (value) => Array.isArray(value) ? value : value === undefined ? [] : [value];
+  const ranges = asArray(node.RANGE);
+  const units = asArray(node.UNIT);
+  const values = asArray(node.VALUE);
+
+  const parameters = Array.from(typeTags).map((tag, index) => {
+    const parameter = {
+      name: typeTags.length > 1 ? `${name}_${index + 1}` : name,
+      type: PARAMETER_TYPES[tag] || 'string',
+      typeTag: tag
+    };
+
+    const range = ranges[index];
+    if (range && (range.MIN !== undefined || range.MAX !== undefined)) {
+      parameter.range = { min: range.MIN, max: range.MAX };
+    }
+    if (range && Array.isArray(range.VALS)) {
+      parameter.values = range.VALS;
+    }
+    if (values[index] !== undefined && values[index] !== null) {
+      parameter.default = values[index];
+    }
+    if (units[index]) {
+      // OSCQuery units are "category.unit" (e.g. "frequency.Hz", "gain.dB")
+      parameter.unit = String(units[index]).split('.').pop();
+    }
+    return parameter;
+  });
+
+  return {
+    address: node.FULL_PATH,
+    application,
+    category,
+    description: node.DESCRIPTION && node.DESCRIPTION.trim().length >= 5
+      ? node.DESCRIPTION.trim()
+      : `${name} on ${hostName || `${host}:${port}`} (imported via OSCQuery)`,
+    parameters,
+    tags: ['oscquery', ...(hostName ? [hostName] : [])],
+    enabled: true,
+    typeTags: node.TYPE,
+    access: ACCESS_NAMES[node.ACCESS] || 'readwrite',
+    source: { type: 'oscquery', host, port }
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * OSCQuery Server - Publish MCP2OSC's pattern library and live parameters
+ * HTTP serves the JSON namespace; the WebSocket on the same port handles LISTEN/IGNORE
+ * and accepts binary OSC packets from controllers (https://github.com/Vidvox/OSCQueryProposal)
+ */
+
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import { encodeMessage, inferTypeTags } from './osc-codec.js';
+import { isOSCPattern } from './osc-address-pattern.js';
+
+// Pattern parameter type -> OSC type tag
+const TYPE_TAGS = {
+  integer: 'i',
+  float: 'f',
+  string: 's',
+  boolean: 'T',
+  blob: 'b'
+};
+
+const ATTRIBUTES = ['FULL_PATH', 'CONTENTS', 'TYPE', 'VALUE', 'RANGE', 'UNIT', 'ACCESS', 'DESCRIPTION', 'TAGS', 'CLIPMODE'];
+
+export class OSCQueryServer {
+  constructor(port, host = '0.0.0.0', options = {}) {
+    this.port = port;
+    this.host = host;
+    this.name = options.name || 'MCP2OSC';
+    this.oscPort = options.oscPort;           // Where controllers should send OSC
+    this.getPatterns = options.getPatterns || (async () => []);
+    this.getLiveParameters = options.getLiveParameters || (() => []);
+    this.onPacket = options.onPacket || null; // Binary OSC sent by controllers over the WebSocket
+    this.values = new Map();                  // address -> last known args
+    this.listeners = new Map();               // websocket -> Set of listened paths
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+      });
+    });
+    this.wss = new WebSocketServer({ server: this.server });
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+  }
+
+  getHostInfo() {
+    return {
+      NAME: this.name,
+      OSC_PORT: this.oscPort,
+      OSC_TRANSPORT: 'UDP',
+      WS_PORT: this.port,
+      EXTENSIONS: {
+        ACCESS: true,
+        VALUE: true,
+        RANGE: true,
+        DESCRIPTION: true,
+        TAGS: true,
+        UNIT: true,
+        CLIPMODE: true,
+        LISTEN: true,
+        PATH_CHANGED: true
+      }
+    };
+  }
+
+  // Build the namespace tree from saved patterns, then overlay live parameters and last known values
+  async buildNamespace() {
+    const root = { FULL_PATH: '/', ACCESS: 0, CONTENTS: {} };
+    const patterns = await this.getPatterns();
+
+    for (const pattern of patterns) {
+      // Wildcard patterns describe families of addresses, not browsable nodes
+      if (pattern.enabled === false || isOSCPattern(pattern.address)) continue;
+      Object.assign(this.ensureNode(root, pattern.address), this.patternToNode(pattern));
+    }
+
+    for (const parameter of this.getLiveParameters()) {
+      const node = this.ensureNode(root, parameter.address);
+      const args = Array.isArray(parameter.value) ? parameter.value : [parameter.value];
+      node.TYPE = node.TYPE || inferTypeTags(args);
+      node.VALUE = args;
+      node.ACCESS = 3;
+      node.DESCRIPTION = node.DESCRIPTION || `Live parameter ${parameter.id}`;
+    }
+
+    this.values.forEach((args, address) => {
+      const node = this.findNode(root, address);
+      if (node && node.TYPE) {
+        node.VALUE = args;
+      }
+    });
+
+    return root;
+  }
+
+  patternToNode(pattern) {
+    const parameters = pattern.parameters || [];
+    const node = {
+      TYPE: pattern.typeTags || parameters.map(parameter => parameter.typeTag || TYPE_TAGS[parameter.type] || 's').join(''),
+      ACCESS: pattern.access === 'read' ? 1 : pattern.access === 'write' ? 2 : 3,
+      DESCRIPTION: pattern.description,
+      TAGS: [pattern.application, pattern.category, ...(pattern.tags || [])].filter(Boolean)
+    };
+
+    if (parameters.length > 0) {
+      node.RANGE = parameters.map(parameter => {
+        const range = {};
+        if (parameter.range && parameter.range.min !== undefined) range.MIN = parameter.range.min;
+        if (parameter.range && parameter.range.max !== undefined) range.MAX = parameter.range.max;
+        if (Array.isArray(parameter.values)) range.VALS = parameter.values;
+        return range;
+      });
+      node.UNIT = parameters.map(parameter => parameter.unit || 'none');
+      if (parameters.every(parameter => parameter.default !== undefined)) {
+        node.VALUE = parameters.map(parameter => parameter.default);
+      }
+    }
+
+    // A pattern without parameters is a trigger-style message with no arguments
+    if (!node.TYPE) {
+      node.TYPE = 'N';
+    }
+
+    return node;
+  }
+
+  ensureNode(root, address) {
+    let node = root;
+    let fullPath = '';
+
+    for (const part of address.split('/').filter(Boolean)) {
+      fullPath += `/${part}`;
+      node.CONTENTS = node.CONTENTS || {};
+      if (!node.CONTENTS[part]) {
+        node.CONTENTS[part] = { FULL_PATH: fullPath, ACCESS: 0 };
+      }
+      node = node.CONTENTS[part];
+    }
+
+    return node;
+  }
+
+  findNode(root, address) {
+    let node = root;
+    for (const part of address.split('/').filter(Boolean)) {
+      node = node.CONTENTS && node.CONTENTS[part];
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const query = url.search.slice(1);
+
+    if (req.method !== 'GET') {
+      res.writeHead(405, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Only GET is supported' }));
+      return;
+    }
+
+    if (query === 'HOST_INFO') {
+      this.sendJSON(res, this.getHostInfo());
+      return;
+    }
+
+    const root = await this.buildNamespace();
+    const node = this.findNode(root, decodeURIComponent(url.pathname));
+
+    if (!node) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `No OSCQuery node at ${url.pathname}` }));
+      return;
+    }
+
+    if (query) {
+      const attribute = query.toUpperCase();
+      if (!ATTRIBUTES.includes(attribute)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `Unknown OSCQuery attribute ${query}` }));
+        return;
+      }
+      if (node[attribute] === undefined) {
+        // Spec: an attribute the node does not have is "204 No Content"
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      this.sendJSON(res, { [attribute]: node[attribute] });
+      return;
+    }
+
+    this.sendJSON(res, node);
+  }
+
+  sendJSON(res, body) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  handleConnection(ws, req) {
+    const paths = new Set();
+    this.listeners.set(ws, paths);
+    const rinfo = { address: req.socket.remoteAddress, port: req.socket.remotePort, transport: 'OSCQuery' };
+
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        if (this.onPacket) {
+          this.onPacket(Buffer.from(data), rinfo);
+        }
+        return;
+      }
+
+      try {
+        const { COMMAND, DATA } = JSON.parse(data.toString());
+        if (COMMAND === 'LISTEN') {
+          paths.add(DATA);
+        } else if (COMMAND === 'IGNORE') {
+          paths.delete(DATA);
+        }
+      } catch (error) {
+        // Ignore malformed commands
+      }
+    });
+
+    ws.on('close', () => this.listeners.delete(ws));
+    ws.on('error', (error) => {
+      console.error(`OSCQuery WebSocket client error: ${error.message}`);
+    });
+  }
+
+  // Record a value and push it as a binary OSC message to every client listening to the address
+  notifyValue(address, args) {
+    this.values.set(address, args);
+
+    let packet = null;
+    this.listeners.forEach((paths, ws) => {
+      if (!paths.has(address) || ws.readyState !== ws.OPEN) return;
+      try {
+        packet = packet || encodeMessage(address, args);
+        ws.send(packet, { binary: true });
+      } catch (error) {
+        console.error(`OSCQuery LISTEN update failed for ${address}: ${error.message}`);
+      }
+    });
+  }
+
+  // Tell browsers to re-fetch part of the tree (patterns were saved, imported or deleted)
+  notifyNamespaceChanged(path = '/') {
+    const notification = JSON.stringify({ COMMAND: 'PATH_CHANGED', DATA: path });
+    this.listeners.forEach((paths, ws) => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(notification);
+      }
+    });
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  close() {
+    this.wss.clients.forEach(ws => ws.terminate());
+    this.wss.close();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
@@ -7,11 +7,12 @@
 
 import { spawn } from 'child_process';
 import { existsSync, mkdirSync } from 'fs';
-import { writeFile, readFile, appendFile } from 'fs/promises';
+import { writeFile, appendFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
 import { createSocket } from 'dgram';
 import net from 'net';
+import { OSCMessageLog } from './osc-message-log.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -23,7 +24,9 @@ class ServiceManager {
       OSC_RECEIVE_PORT: parseInt(process.env.OSC_RECEIVE_PORT || '9501'),
       OSC_HOST: process.env.OSC_HOST || '127.0.0.1',
       DASHBOARD_PORT: parseInt(process.env.DASHBOARD_PORT || '3001'),
-      MCP_MODE: process.env.MCP_MODE || 'standalone',
+      // The service manager hosts the one MCP instance that owns the OSC receive port;
+      // MCP clients attach over HTTP instead of spawning their own stdio server. 0 skips it.
+      MCP_HTTP_PORT: parseInt(process.env.MCP_HTTP_PORT ?? '3002'),
       // New logging configuration
       MAX_OSC_MESSAGES: parseInt(process.env.MAX_OSC_MESSAGES || '1000'),
       OSC_LOG_ROTATION: process.env.OSC_LOG_ROTATION === 'true' || process.env.OSC_LOG_ROTATION === 'daily',
@@ -38,6 +41,7 @@ class ServiceManager {
     console.log(`   OSC_SEND_PORT: ${this.config.OSC_SEND_PORT}`);
     console.log(`   OSC_RECEIVE_PORT: ${this.config.OSC_RECEIVE_PORT}`);
     console.log(`   DASHBOARD_PORT: ${this.config.DASHBOARD_PORT}`);
+    console.log(`   MCP_HTTP_PORT: ${this.config.MCP_HTTP_PORT || 'disabled'}`);
     console.log(`   MAX_OSC_MESSAGES: ${this.config.MAX_OSC_MESSAGES}`);
     console.log(`   OSC_LOG_ROTATION: ${this.config.OSC_LOG_ROTATION ? 'Daily' : 'Single file'}`);
     console.log('');
@@ -100,7 +104,6 @@ class ServiceManager {
     // Initialize log files
     const logFiles = [
       join(this.config.LOG_DIR, 'mcp2osc.log'),
-      join(this.config.LOG_DIR, 'osc-messages.json'),
       join(this.config.LOG_DIR, 'command-queue.json')
     ];
 
@@ -126,7 +129,8 @@ class ServiceManager {
       { port: this.config.OSC_SEND_PORT, name: 'OSC Send', protocol: 'udp' },
       { port: this.config.OSC_RECEIVE_PORT, name: 'OSC Receive', protocol: 'udp' },
       { port: dashboardOscPort, name: 'Dashboard OSC listener', protocol: 'udp' },
-      { port: this.config.DASHBOARD_PORT, name: 'Dashboard HTTP (TCP)', protocol: 'tcp' }
+      { port: this.config.DASHBOARD_PORT, name: 'Dashboard HTTP (TCP)', protocol: 'tcp' },
+      ...(this.config.MCP_HTTP_PORT ? [{ port: this.config.MCP_HTTP_PORT, name: 'MCP HTTP (TCP)', protocol: 'tcp' }] : [])
     ];
 
     for (const { port, name, protocol } of portsToCheck) {
@@ -325,18 +329,12 @@ class ServiceManager {
       raw: '2f73797374656d2f737461727475700000'
     };
     
-    const oscLogFile = join(this.config.LOG_DIR, 'osc-messages.json');
-    let oscMessages = [];
-    
-    try {
-      const content = await readFile(oscLogFile, 'utf8');
-      oscMessages = JSON.parse(content);
-    } catch (error) {
-      // File doesn't exist or is empty
-    }
-    
-    oscMessages.push(sampleOSCMessage);
-    await writeFile(oscLogFile, JSON.stringify(oscMessages, null, 2));
+    // Append to the JSONL message log shared with the MCP server and dashboard
+    const messageLog = new OSCMessageLog({
+      logsDir: this.config.LOG_DIR,
+      rotation: this.config.OSC_LOG_ROTATION
+    });
+    await messageLog.append(sampleOSCMessage);
     
     console.log('✅ Logging initialized');
   }
@@ -344,8 +342,8 @@ class ServiceManager {
   async startServices() {
     console.log('🎯 Starting services...');
     
-    // Start MCP server first (in standalone mode for OSC functionality)
-    if (this.config.MCP_MODE === 'standalone') {
+    // Start the shared MCP server first; it owns the OSC receive port
+    if (this.config.MCP_HTTP_PORT) {
       await this.startMCPServer();
     }
     
@@ -366,7 +364,8 @@ class ServiceManager {
       cwd: __dirname,
       env: { 
         ...process.env, 
-        STANDALONE: 'true',
+        MCP_STDIO: 'false',
+        MCP_HTTP_PORT: this.config.MCP_HTTP_PORT.toString(),
         OSC_SEND_PORT: this.config.OSC_SEND_PORT.toString(),
         OSC_RECEIVE_PORT: this.config.OSC_RECEIVE_PORT.toString(),
         OSC_HOST: this.config.OSC_HOST
@@ -472,7 +471,7 @@ class ServiceManager {
   printServiceStatus() {
     const mcp = this.services.get('mcp');
     const dash = this.services.get('dashboard');
-    const mcpExpected = this.config.MCP_MODE === 'standalone';
+    const mcpExpected = this.config.MCP_HTTP_PORT > 0;
     const mcpOk = !mcpExpected || this.isChildRunning(mcp);
     const dashOk = this.isChildRunning(dash);
     const allOk = mcpOk && dashOk;
@@ -481,8 +480,8 @@ class ServiceManager {
     console.log('\n📋 Service Status:');
     console.log('==================');
     const mcpLabel = !mcpExpected
-      ? '⏭️  Skipped (set MCP_MODE=standalone to spawn MCP here)'
-      : `${this.isChildRunning(mcp) ? '✅ Running' : '❌ Stopped'} (standalone)`;
+      ? '⏭️  Skipped (set MCP_HTTP_PORT to host MCP here)'
+      : `${this.isChildRunning(mcp) ? '✅ Running' : '❌ Stopped'} (http://localhost:${this.config.MCP_HTTP_PORT}/sse)`;
     console.log(`🔧 MCP Server: ${mcpLabel}`);
     console.log(`📊 Dashboard: ${dashOk ? '✅ Running' : '❌ Stopped'} (http://localhost:${this.config.DASHBOARD_PORT})`);
     console.log(`📡 OSC Send Port: ${this.config.OSC_SEND_PORT}`);
@@ -492,7 +491,11 @@ class ServiceManager {
     console.log(`📝 Patterns File: ${this.config.PATTERNS_FILE}`);
     console.log('\n🎯 Usage:');
     console.log('- Open dashboard: http://localhost:' + this.config.DASHBOARD_PORT);
-    console.log('- Configure Claude Desktop to use: node mcp-server.js (for MCP mode)');
+    if (mcpExpected) {
+      console.log(`- Connect MCP clients to: http://localhost:${this.config.MCP_HTTP_PORT}/sse (SSE transport)`);
+    } else {
+      console.log('- Configure Claude Desktop to use: node mcp-server.js (for MCP mode)');
+    }
     console.log('- Send OSC messages to port ' + this.config.OSC_SEND_PORT);
     console.log('- Receive OSC messages on port ' + this.config.OSC_RECEIVE_PORT);
     console.log('\nPress Ctrl+C to stop all services');
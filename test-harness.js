@@ -0,0 +1,36 @@
+/**
+ * Test Harness - The shared test() / finish() pair for the root-level test-*.js scripts
+ * Synchronous tests report immediately; async ones return a promise the script awaits.
+ * Each script ends with finish(label), which exits 1 when anything failed.
+ */
+
+let failures = 0;
+
+function pass(name) {
+  console.log(`✅ ${name}`);
+}
+
+function fail(name, error) {
+  failures++;
+  console.error(`❌ ${name}: ${error.message}`);
+}
+
+export function test(name, fn) {
+  try {
+    const result = fn();
+    if (result && typeof result.then === 'function') {
+      return result.then(() => pass(name), error => fail(name, error));
+    }
+    pass(name);
+  } catch (error) {
+    fail(name, error);
+  }
+}
+
+export function finish(label) {
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} ${label} test(s) failed`);
+    process.exit(1);
+  }
+  console.log(`\n🎉 All ${label} tests passed`);
+}
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * OSC Address Pattern Conformance Tests - OSC 1.0 matching rules plus the OSC 1.1 "//" wildcard
+ * Each row is [pattern, address, expected match].
+ * Run with: npm run test-address-pattern
+ */
+
+import assert from 'assert';
+import { finish, test } from './test-harness.js';
+import { compileOSCPattern, createAddressFilter, isOSCPattern, matchOSCAddress } from './osc-address-pattern.js';
+
+const CONFORMANCE = {
+  'literal addresses': [
+    ['/synth/freq', '/synth/freq', true],
+    ['/synth/freq', '/synth/fre', false],
+    ['/synth/freq', '/synth/freq/fine', false],
+    ['/synth.1/a+b', '/synth.1/a+b', true],
+    ['/synth.1', '/synthX1', false]
+  ],
+  '* matches within one part': [
+    ['/synth/*', '/synth/freq', true],
+    ['/synth/*', '/synth/', true],
+    ['/synth/*', '/synth/a/b/c', false],
+    ['/synth/*/freq', '/synth/osc1/freq', true],
+    ['/synth/osc*', '/synth/osc12', true],
+    ['/synth/osc*', '/synth/lfo1', false],
+    ['/*/*', '/a/b', true],
+    ['/*', '/a/b', false]
+  ],
+  '? matches one character': [
+    ['/osc?', '/osc1', true],
+    ['/osc?', '/osc', false],
+    ['/osc?', '/osc12', false],
+    ['/osc?/freq', '/osc/freq', false],
+    ['/?', '/.', true]
+  ],
+  '[a-z] character classes': [
+    ['/osc[123]', '/osc2', true],
+    ['/osc[123]', '/osc4', false],
+    ['/osc[a-z]', '/oscq', true],
+    ['/osc[a-z]', '/oscQ', false],
+    ['/osc[0-9][0-9]', '/osc42', true],
+    ['/osc[a-]', '/osc-', true],
+    ['/osc[^]', '/osc^', true],
+    ['/osc[^]', '/osca', false]
+  ],
+  '[!...] negated classes': [
+    ['/osc[!0-9]', '/oscx', true],
+    ['/osc[!0-9]', '/osc5', false],
+    ['/osc[!ab]', '/oscc', true],
+    ['/osc[!ab]', '/osca', false],
+    ['/osc[!ab]', '/osc', false]
+  ],
+  '{a,b} alternation': [
+    ['/{synth,drum}/level', '/synth/level', true],
+    ['/{synth,drum}/level', '/drum/level', true],
+    ['/{synth,drum}/level', '/bass/level', false],
+    ['/{synth,drum}/level', '/synthdrum/level', false],
+    ['/osc{1,10}', '/osc10', true],
+    ['/osc{1,10}', '/osc1', true],
+    ['/{a.b,c}', '/aXb', false],
+    ['/{a.b,c}', '/a.b', true]
+  ],
+  '// path traversal (OSC 1.1)': [
+    ['//freq', '/freq', true],
+    ['//freq', '/synth/freq', true],
+    ['//freq', '/synth/osc1/freq', true],
+    ['//freq', '/synth/osc1/freq/fine', false],
+    ['/synth//freq', '/synth/freq', true],
+    ['/synth//freq', '/synth/a/b/freq', true],
+    ['/synth//freq', '/drum/freq', false],
+    ['//osc[0-9]/*', '/a/b/osc3/level', true],
+    ['/a///b', '/a/x/b', true]
+  ],
+  'combined wildcards': [
+    ['/{synth,drum}/osc?/[!f]*', '/synth/osc1/level', true],
+    ['/{synth,drum}/osc?/[!f]*', '/synth/osc1/freq', false],
+    ['//{cut,res}*', '/filter/cutoff', true],
+    ['//{cut,res}*', '/filter/gain', false]
+  ]
+};
+
+for (const [group, rows] of Object.entries(CONFORMANCE)) {
+  test(group, () => {
+    for (const [pattern, address, expected] of rows) {
+      assert.strictEqual(matchOSCAddress(pattern, address), expected, `${pattern} vs ${address}`);
+    }
+  });
+}
+
+// Syntax errors are reported rather than compiled into a regex that matches something else
+const INVALID = [
+  ['no leading slash', 'synth/*', /must start with/],
+  ['unterminated [', '/osc[12', /Unterminated '\['/],
+  ['unterminated {', '/{a,b', /Unterminated '\{'/],
+  ['empty class []', '/osc[]', /Empty character class '\[\]'/],
+  ['empty negated class [!] (would match any character)', '/osc[!]', /Empty character class '\[!\]'/]
+];
+
+for (const [name, pattern, error] of INVALID) {
+  test(`rejects ${name}`, () => {
+    assert.throws(() => compileOSCPattern(pattern), error);
+  });
+}
+
+test('addresses that are not OSC addresses never match', () => {
+  assert.strictEqual(matchOSCAddress('/*', 'synth'), false);
+  assert.strictEqual(matchOSCAddress('/*', null), false);
+});
+
+test('isOSCPattern tells patterns from plain addresses', () => {
+  for (const pattern of ['/a/*', '/a?', '/a[b]', '/{a,b}', '//a']) {
+    assert.strictEqual(isOSCPattern(pattern), true, pattern);
+  }
+  assert.strictEqual(isOSCPattern('/synth/freq'), false);
+});
+
+test('createAddressFilter matches patterns, or substrings without a leading slash', () => {
+  assert.strictEqual(createAddressFilter('/synth/*')('/synth/freq'), true);
+  assert.strictEqual(createAddressFilter('/synth/*')('/synth/a/b'), false);
+  assert.strictEqual(createAddressFilter('freq')('/synth/osc1/freq'), true);
+  assert.strictEqual(createAddressFilter('')('/anything'), true);
+  assert.throws(() => createAddressFilter('/osc[!]'), /Empty character class/);
+});
+
+finish('address pattern');
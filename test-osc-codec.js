@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * OSC Codec Tests - Round trips for every type tag, nested bundles and malformed input
+ * Every sender and receiver goes through osc-codec.js, so these cover the wire format once.
+ * Run with: npm run test-codec
+ */
+
+import assert from 'assert';
+import { finish, test } from './test-harness.js';
+import {
+  SUPPORTED_TYPE_TAGS,
+  decodeBundle,
+  decodeMessage,
+  decodePacket,
+  encodeBundle,
+  encodeMessage,
+  inferTypeTags
+} from './osc-codec.js';
+
+function roundTrip(address, args, typeTags) {
+  const packet = encodeMessage(address, args, typeTags);
+  assert.strictEqual(packet.length % 4, 0, 'packet length is a multiple of 4');
+  return decodeMessage(packet);
+}
+
+// One case per type tag: value to encode and the value expected back
+const TYPE_CASES = [
+  { tag: 'i', value: -123456, expected: -123456 },
+  { tag: 'f', value: 0.5, expected: 0.5 },
+  { tag: 's', value: 'hello', expected: 'hello' },
+  { tag: 'b', value: Buffer.from([1, 2, 3, 4, 5]), expected: Buffer.from([1, 2, 3, 4, 5]) },
+  { tag: 'h', value: 2 ** 40, expected: 2 ** 40 },
+  { tag: 'd', value: Math.PI, expected: Math.PI },
+  { tag: 't', value: new Date('2024-01-02T03:04:05.678Z'), expected: new Date('2024-01-02T03:04:05.678Z') },
+  { tag: 'S', value: 'symbol', expected: 'symbol' },
+  { tag: 'c', value: 'x', expected: 'x' },
+  { tag: 'r', value: { r: 255, g: 128, b: 0, a: 64 }, expected: { r: 255, g: 128, b: 0, a: 64 } },
+  { tag: 'm', value: { port: 1, status: 0x90, data1: 60, data2: 100 }, expected: { port: 1, status: 0x90, data1: 60, data2: 100 } },
+  { tag: 'T', value: true, expected: true },
+  { tag: 'F', value: false, expected: false },
+  { tag: 'N', value: null, expected: null },
+  { tag: 'I', value: Infinity, expected: Infinity }
+];
+
+test('every supported type tag has a round-trip case', () => {
+  const covered = TYPE_CASES.map(({ tag }) => tag).join('') + '[]';
+  assert.deepStrictEqual([...SUPPORTED_TYPE_TAGS].sort(), [...covered].sort());
+});
+
+for (const { tag, value, expected } of TYPE_CASES) {
+  test(`'${tag}' round-trips`, () => {
+    const decoded = roundTrip('/type/' + tag, [value], tag);
+    assert.strictEqual(decoded.typeTags, tag);
+    assert.deepStrictEqual(decoded.args, [expected]);
+  });
+}
+
+test('all type tags in one message keep their order and alignment', () => {
+  const tags = TYPE_CASES.map(({ tag }) => tag).join('');
+  const decoded = roundTrip('/all', TYPE_CASES.map(({ value }) => value), tags);
+  assert.strictEqual(decoded.typeTags, tags);
+  assert.deepStrictEqual(decoded.args, TYPE_CASES.map(({ expected }) => expected));
+});
+
+test('arrays nest and round-trip', () => {
+  const decoded = roundTrip('/array', [1, [0.25, ['a', true]], 'end'], 'i[f[sT]]s');
+  assert.strictEqual(decoded.typeTags, 'i[f[sT]]s');
+  assert.deepStrictEqual(decoded.args, [1, [0.25, ['a', true]], 'end']);
+});
+
+test('int64 beyond the safe integer range decodes as a decimal string', () => {
+  assert.deepStrictEqual(roundTrip('/big', ['9223372036854775807'], 'h').args, ['9223372036854775807']);
+});
+
+test('blob sizes pad to 4 bytes', () => {
+  for (let size = 0; size <= 5; size++) {
+    const blob = Buffer.alloc(size, 7);
+    assert.deepStrictEqual(roundTrip('/blob', [blob, 1], 'bi').args, [blob, 1]);
+  }
+});
+
+test('numeric strings are parsed for i, f and d', () => {
+  assert.deepStrictEqual(roundTrip('/parse', ['42', '0.5', '2.25'], 'ifd').args, [42, 0.5, 2.25]);
+});
+
+test('type tags are inferred from JavaScript values', () => {
+  assert.strictEqual(inferTypeTags([1, 1.5, 'a', true, false, null, [2], Buffer.alloc(1), new Date(), 10n]), 'ifsTFN[i]bth');
+  assert.strictEqual(inferTypeTags([2 ** 31, -(2 ** 31) - 1, 2 ** 31 - 1, 2 ** 60]), 'hhid');
+  assert.deepStrictEqual(roundTrip('/inferred', [2 ** 31, 2 ** 60]).args, [2 ** 31, 2 ** 60]);
+});
+
+test('a decoded Infinitum re-sends with inferred tags', () => {
+  const decoded = roundTrip('/impulse', [Infinity, 1], 'Ii');
+  assert.strictEqual(inferTypeTags(decoded.args), 'Ii');
+  assert.deepStrictEqual(roundTrip('/impulse', decoded.args), decoded);
+});
+
+test('encodes the OSC 1.0 spec example byte for byte', () => {
+  const expected = Buffer.concat([
+    Buffer.from('/oscillator/4/frequency\0', 'latin1'),
+    Buffer.from(',f\0\0', 'latin1'),
+    Buffer.from([0x43, 0xdc, 0x00, 0x00])
+  ]);
+  assert.ok(encodeMessage('/oscillator/4/frequency', [440], 'f').equals(expected));
+});
+
+test('messages without a type tag string decode with no arguments', () => {
+  assert.deepStrictEqual(decodeMessage(Buffer.from('/ping\0\0\0', 'latin1')), { type: 'message', address: '/ping', typeTags: '', args: [] });
+});
+
+test('nested bundles round-trip with their timetags', () => {
+  const outer = Date.UTC(2030, 0, 1, 12, 0, 0, 250);
+  const inner = outer + 500;
+  const packet = encodeBundle([
+    { address: '/a', args: [1] },
+    { timetag: inner, elements: [{ address: '/b', args: ['x'] }, { timetag: 0, elements: [{ address: '/c', args: [] }] }] }
+  ], outer);
+
+  const decoded = decodePacket(packet);
+  assert.strictEqual(decoded.type, 'bundle');
+  assert.strictEqual(decoded.immediate, false);
+  assert.strictEqual(decoded.timetag.getTime(), outer);
+  assert.strictEqual(decoded.elements.length, 2);
+  assert.deepStrictEqual(decoded.elements[0].args, [1]);
+
+  const nested = decoded.elements[1];
+  assert.strictEqual(nested.type, 'bundle');
+  assert.strictEqual(nested.timetag.getTime(), inner);
+  assert.strictEqual(nested.elements[0].address, '/b');
+  assert.strictEqual(nested.elements[1].immediate, true);
+  assert.strictEqual(nested.elements[1].elements[0].address, '/c');
+});
+
+test('a bundle with timetag 0 is immediate', () => {
+  const decoded = decodeBundle(encodeBundle([{ address: '/now', args: [] }]));
+  assert.strictEqual(decoded.immediate, true);
+});
+
+test('an empty bundle decodes with no elements', () => {
+  assert.deepStrictEqual(decodeBundle(encodeBundle([], Date.UTC(2030, 0, 1))).elements, []);
+});
+
+// Malformed input must throw, never return garbage or loop
+const message = encodeMessage('/x', [1, Buffer.from([1, 2, 3])], 'ib');
+const negativeBlob = Buffer.from(message);
+negativeBlob.writeInt32BE(-8, 12);
+const oversizedBlob = Buffer.from(message);
+oversizedBlob.writeInt32BE(1000, 12);
+const bundle = encodeBundle([{ address: '/x', args: [1] }], Date.UTC(2030, 0, 1));
+const zeroElement = Buffer.from(bundle);
+zeroElement.writeUInt32BE(0, 16);
+const oversizedElement = Buffer.from(bundle);
+oversizedElement.writeUInt32BE(1000, 16);
+
+const MALFORMED = [
+  ['unterminated address', Buffer.from('/abc', 'latin1'), /Unterminated/],
+  ['unterminated type tags', Buffer.from('/abc\0\0\0\0,ii', 'latin1'), /Unterminated/],
+  ['truncated int32', message.subarray(0, 10), /Truncated/],
+  ['unknown type tag', Buffer.from('/x\0\0,q\0\0', 'latin1'), /Unsupported OSC type tag 'q'/],
+  ['unbalanced array open', Buffer.from('/x\0\0,[i\0', 'latin1'), /Unbalanced '\['/],
+  ['unbalanced array close', Buffer.from('/x\0\0,i]\0\0\0\0\0\0\0\0', 'latin1'), /Unbalanced '\]'/],
+  ['negative blob size', negativeBlob, /size -8/],
+  ['blob size beyond the packet', oversizedBlob, /Truncated/],
+  ['bundle without a timetag', Buffer.from('#bundle\0\0\0\0\0', 'latin1'), /insufficient data/],
+  ['bundle element of size 0', zeroElement, /element size 0/],
+  ['bundle element beyond the packet', oversizedElement, /element size 1000/]
+];
+
+for (const [name, buffer, error] of MALFORMED) {
+  test(`rejects ${name}`, () => {
+    assert.throws(() => decodePacket(buffer), error);
+  });
+}
+
+const INVALID_ARGUMENTS = [
+  ['a non-numeric int', ['abc'], 'i', /Invalid 'i' argument/],
+  ['NaN as a float', [NaN], 'f', /Invalid 'f' argument/],
+  ['Infinity as a double', [Infinity], 'd', /Invalid 'd' argument/],
+  ['an int32 out of range', [2 ** 40], 'i', /out of range/],
+  ['a non-numeric int64', ['abc'], 'h', /Invalid 'h' argument 'abc'/],
+  ['a fractional int64 string', ['1.5'], 'h', /Invalid 'h' argument '1.5'/],
+  ['fewer values than type tags', [1], 'ii', /must match/],
+  ['an unknown type tag', [1], 'q', /Unsupported/],
+  ['a non-blob value for b', [42], 'b', /Blob argument/],
+  ['an invalid timetag', ['not a date'], 't', /Invalid timetag/]
+];
+
+for (const [name, args, typeTags, error] of INVALID_ARGUMENTS) {
+  test(`refuses to encode ${name}`, () => {
+    assert.throws(() => encodeMessage('/x', args, typeTags), error);
+  });
+}
+
+test('refuses an address without a leading slash', () => {
+  assert.throws(() => encodeMessage('x', []), /must start with/);
+});
+
+finish('codec');
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * OSC Message Log Tests - Tail reads, segment sealing and compaction of the JSONL log
+ * Every test gets its own temporary logs directory.
+ * Run with: npm run test-message-log
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { finish, test } from './test-harness.js';
+import { OSCMessageLog } from './osc-message-log.js';
+
+const tempDirs = [];
+
+async function createLog(options = {}) {
+  const logsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp2osc-log-'));
+  tempDirs.push(logsDir);
+  return new OSCMessageLog({ logsDir, rotation: false, segmentBytes: 1024 * 1024, maxBytes: 8 * 1024 * 1024, ...options });
+}
+
+function message(i, direction = 'inbound') {
+  return { address: `/m/${i}`, args: [i], direction };
+}
+
+async function appendAll(log, count, direction) {
+  for (let i = 0; i < count; i++) {
+    await log.append(message(i, direction));
+  }
+}
+
+await test('tail returns the last messages, oldest first', async () => {
+  const log = await createLog();
+  await appendAll(log, 10);
+  assert.deepStrictEqual((await log.tail(3)).map(m => m.args[0]), [7, 8, 9]);
+  assert.strictEqual((await log.tail(50)).length, 10);
+});
+
+await test('tail filters before counting', async () => {
+  const log = await createLog();
+  for (let i = 0; i < 10; i++) {
+    await log.append(message(i, i % 2 === 0 ? 'inbound' : 'outbound'));
+  }
+  assert.deepStrictEqual((await log.tail(2, m => m.direction === 'outbound')).map(m => m.args[0]), [7, 9]);
+});
+
+await test('tail of an empty or missing log is empty', async () => {
+  const log = await createLog();
+  assert.deepStrictEqual(await log.tail(5), []);
+  assert.strictEqual(await log.countMessages(), 0);
+});
+
+await test('tail skips a partially written last line', async () => {
+  const log = await createLog();
+  await appendAll(log, 3);
+  await fs.appendFile(log.getActiveFileName(), '{"address":"/half","ar');
+  assert.deepStrictEqual((await log.tail(5)).map(m => m.address), ['/m/0', '/m/1', '/m/2']);
+});
+
+await test('tail reads lines longer than one read chunk', async () => {
+  const log = await createLog();
+  await log.append({ address: '/big', args: ['x'.repeat(200 * 1024)] });
+  await log.append(message(1));
+  const [big, small] = await log.tail(2);
+  assert.strictEqual(big.args[0].length, 200 * 1024);
+  assert.strictEqual(small.address, '/m/1');
+});
+
+await test('concurrent appends never interleave lines', async () => {
+  const log = await createLog();
+  await Promise.all(Array.from({ length: 50 }, (_, i) => log.append(message(i))));
+  assert.deepStrictEqual((await log.tail(50)).map(m => m.args[0]), Array.from({ length: 50 }, (_, i) => i));
+});
+
+await test('a full active segment is sealed and tail reads across segments', async () => {
+  const log = await createLog({ segmentBytes: 200 });
+  await appendAll(log, 20);
+  const stats = await log.getStats();
+  assert.ok(stats.sealedSegments >= 2, `${stats.sealedSegments} sealed segments`);
+  assert.deepStrictEqual((await log.tail(20)).map(m => m.args[0]), Array.from({ length: 20 }, (_, i) => i));
+  assert.strictEqual(await log.countMessages(), 20);
+});
+
+await test('sealed segment names stay ordered when sealing within one millisecond', async () => {
+  const log = await createLog({ segmentBytes: 1 });
+  await appendAll(log, 5);
+  const segments = (await log.listSealedSegments()).map(file => Number(path.basename(file).split('.')[1]));
+  assert.strictEqual(segments.length, 5);
+  assert.deepStrictEqual(segments, [...segments].sort((a, b) => a - b));
+  assert.strictEqual(new Set(segments).size, 5);
+});
+
+await test('compaction drops the oldest sealed segments once over maxBytes', async () => {
+  const log = await createLog({ segmentBytes: 100, maxBytes: 400 });
+  await appendAll(log, 40);
+  const stats = await log.getStats();
+  assert.ok(stats.totalBytes <= 400 + 100, `${stats.totalBytes} bytes kept`);
+  const kept = (await log.tail(100)).map(m => m.args[0]);
+  assert.ok(kept.length > 0 && kept.length < 40);
+  assert.strictEqual(kept[kept.length - 1], 39, 'newest message is kept');
+  assert.deepStrictEqual(kept, Array.from({ length: kept.length }, (_, i) => 40 - kept.length + i), 'a contiguous newest run is kept');
+});
+
+await test('rotation reads and compacts earlier days', async () => {
+  const log = await createLog({ rotation: true, maxBytes: 8 * 1024 * 1024 });
+  const line = (i) => JSON.stringify(message(i)) + '\n';
+  await fs.writeFile(path.join(log.logsDir, 'osc-messages-2020-01-01.1000.jsonl'), line(1));
+  await fs.writeFile(path.join(log.logsDir, 'osc-messages-2020-01-01.jsonl'), line(2));
+  await fs.writeFile(path.join(log.logsDir, 'osc-messages-2020-01-02.jsonl'), line(3));
+  await log.append(message(4));
+  assert.deepStrictEqual((await log.tail(10)).map(m => m.args[0]), [1, 2, 3, 4]);
+
+  const small = new OSCMessageLog({ logsDir: log.logsDir, rotation: true, maxBytes: 100 });
+  await small.append(message(5));
+  const files = await fs.readdir(log.logsDir);
+  assert.ok(!files.some(file => file.startsWith('osc-messages-2020-01-01')), `old day kept: ${files}`);
+});
+
+await test('clear removes every segment', async () => {
+  const log = await createLog({ segmentBytes: 100 });
+  await appendAll(log, 10);
+  await log.clear();
+  assert.deepStrictEqual(await log.tail(10), []);
+  assert.strictEqual((await log.getStats()).totalBytes, 0);
+});
+
+await test('a legacy JSON array log is migrated into a sealed segment', async () => {
+  const log = await createLog();
+  await fs.writeFile(path.join(log.logsDir, 'osc-messages.json'), JSON.stringify([message(1), message(2)]));
+  await log.append(message(3));
+  assert.deepStrictEqual((await log.tail(10)).map(m => m.args[0]), [1, 2, 3]);
+  await assert.rejects(fs.access(path.join(log.logsDir, 'osc-messages.json')));
+});
+
+await Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true })));
+
+finish('message log');
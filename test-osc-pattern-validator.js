@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Pattern Validator Tests - Range policies, coercion, defaults and type tags for pattern-aware sends
+ * Run with: npm run test-pattern-validator
+ */
+
+import assert from 'assert';
+import { finish, test } from './test-harness.js';
+import { findMatchingPattern, formatValidationReport, normalizeRangePolicy, validateArgsAgainstPattern } from './osc-pattern-validator.js';
+
+const cutoff = {
+  address: '/filter/cutoff',
+  application: 'MaxMSP',
+  parameters: [{ name: 'freq', type: 'float', range: { min: 20, max: 20000 }, unit: 'Hz', default: 1000 }]
+};
+
+function validate(parameters, args, policy, typeTags) {
+  return validateArgsAgainstPattern({ parameters }, args, policy, typeTags);
+}
+
+function param(type, extra = {}) {
+  return { name: 'p', type, ...extra };
+}
+
+// Range policies
+
+test('clamp moves out-of-range values to the nearest limit and reports it', () => {
+  const result = validateArgsAgainstPattern(cutoff, [25000], 'clamp');
+  assert.deepStrictEqual(result.args, [20000]);
+  assert.deepStrictEqual(result.errors, []);
+  assert.match(result.adjustments[0], /25000 Hz is outside 20\.\.20000, clamped to 20000/);
+  assert.deepStrictEqual(validateArgsAgainstPattern(cutoff, [1], 'clamp').args, [20]);
+});
+
+test('reject turns out-of-range values into errors', () => {
+  const result = validateArgsAgainstPattern(cutoff, [5], 'reject');
+  assert.deepStrictEqual(result.args, []);
+  assert.match(result.errors[0], /outside 20\.\.20000/);
+});
+
+test('warn sends out-of-range values unchanged', () => {
+  const result = validateArgsAgainstPattern(cutoff, [5], 'warn');
+  assert.deepStrictEqual(result.args, [5]);
+  assert.deepStrictEqual(result.errors, []);
+  assert.match(result.warnings[0], /sent unchanged/);
+});
+
+test('values inside the range pass under every policy', () => {
+  for (const policy of ['clamp', 'reject', 'warn']) {
+    const result = validateArgsAgainstPattern(cutoff, [440], policy);
+    assert.deepStrictEqual([result.args, result.adjustments, result.warnings, result.errors], [[440], [], [], []], policy);
+  }
+});
+
+test('one-sided ranges only limit that side', () => {
+  assert.deepStrictEqual(validate([param('float', { range: { min: 0 } })], [1e9]).args, [1e9]);
+  assert.deepStrictEqual(validate([param('float', { range: { min: 0 } })], [-1]).args, [0]);
+});
+
+test('enumerated values cannot be clamped, only warned about', () => {
+  const mode = [param('string', { values: ['lp', 'hp'] })];
+  assert.match(validate(mode, ['bp'], 'clamp').errors[0], /not one of/);
+  assert.match(validate(mode, ['bp'], 'reject').errors[0], /not one of/);
+  assert.deepStrictEqual(validate(mode, ['bp'], 'warn').args, ['bp']);
+  assert.deepStrictEqual(validate(mode, ['hp'], 'clamp').args, ['hp']);
+});
+
+test('range policies are normalized and unknown ones rejected', () => {
+  assert.strictEqual(normalizeRangePolicy('WARN'), 'warn');
+  assert.strictEqual(normalizeRangePolicy(), 'clamp');
+  assert.throws(() => normalizeRangePolicy('ignore'), /Unknown range policy/);
+});
+
+// Coercion
+
+const COERCIONS = [
+  ['integer', '42', 42, 'i'],
+  ['integer', 2.6, 3, 'i'],
+  ['float', '0.5', 0.5, 'f'],
+  ['float', 3, 3, 'f'],
+  ['string', 12, '12', 's'],
+  ['boolean', 'true', true, 'T'],
+  ['boolean', 0, false, 'F'],
+  ['boolean', '1', true, 'T']
+];
+
+for (const [type, value, expected, tag] of COERCIONS) {
+  test(`${type} coerces ${JSON.stringify(value)} to ${JSON.stringify(expected)}`, () => {
+    const result = validate([param(type)], [value]);
+    assert.deepStrictEqual(result.args, [expected]);
+    assert.strictEqual(result.typeTags, tag);
+    assert.strictEqual(result.adjustments.length, value === expected ? 0 : 1);
+  });
+}
+
+const REJECTED = [
+  ['integer', true],
+  ['integer', false],
+  ['integer', ''],
+  ['integer', null],
+  ['integer', 'abc'],
+  ['integer', Infinity],
+  ['float', true],
+  ['float', ''],
+  ['float', NaN],
+  ['boolean', 'yes'],
+  ['boolean', 2],
+  ['string', { a: 1 }],
+  ['string', [1, 2]]
+];
+
+for (const [type, value] of REJECTED) {
+  test(`${type} rejects ${String(value) === '' ? '""' : String(value)}`, () => {
+    assert.strictEqual(validate([param(type)], [value]).errors.length, 1);
+  });
+}
+
+// Defaults and argument counts
+
+test('missing arguments are filled from defaults', () => {
+  const result = validateArgsAgainstPattern(cutoff, []);
+  assert.deepStrictEqual(result.args, [1000]);
+  assert.match(result.adjustments[0], /filled with default 1000/);
+});
+
+test('missing arguments without a default are errors', () => {
+  assert.match(validate([param('float'), param('float')], [1]).errors[0], /Missing 'p' \(argument 2\)/);
+});
+
+test('extra arguments pass through with inferred tags and a warning', () => {
+  const result = validateArgsAgainstPattern(cutoff, [440, 'x', 2]);
+  assert.deepStrictEqual(result.args, [440, 'x', 2]);
+  assert.strictEqual(result.typeTags, 'fsi');
+  assert.match(result.warnings[0], /2 argument\(s\) beyond/);
+});
+
+// Type tags
+
+test('imported parameters keep their exact tag', () => {
+  assert.strictEqual(validate([param('float', { typeTag: 'd' })], [0.5]).typeTags, 'd');
+  assert.strictEqual(validate([param('integer', { typeTag: 'h' })], [5]).typeTags, 'h');
+});
+
+test("explicit type tags win over the pattern's", () => {
+  const result = validate([param('integer'), param('float', { typeTag: 'f' })], [2.6, 1], 'clamp', 'fd');
+  assert.deepStrictEqual(result.args, [2.6, 1], 'an explicit f is not rounded like the pattern integer');
+  assert.strictEqual(result.typeTags, 'fd');
+});
+
+test('explicit type tags still coerce and range-check', () => {
+  const result = validate([param('float', { range: { max: 10 } })], ['50'], 'clamp', 'd');
+  assert.deepStrictEqual(result.args, [10]);
+  assert.strictEqual(result.typeTags, 'd');
+});
+
+test('explicit type tags cover defaults only where the caller gave a value', () => {
+  const result = validate([param('integer'), param('float', { default: 0.5 })], [2], 'clamp', 'h');
+  assert.deepStrictEqual(result.args, [2, 0.5]);
+  assert.strictEqual(result.typeTags, 'hf');
+});
+
+test('explicit type tags also cover extra arguments', () => {
+  assert.strictEqual(validate([param('integer')], [1, 2], 'clamp', 'ih').typeTags, 'ih');
+});
+
+test('array type tags are used as given', () => {
+  assert.strictEqual(validate([param('float'), param('float')], [1, 2], 'clamp', '[ff]').typeTags, '[ff]');
+});
+
+// Color and MIDI
+
+test('colors accept objects, arrays and packed integers', () => {
+  const color = [param('color', { typeTag: 'r' })];
+  assert.deepStrictEqual(validate(color, [{ r: 255, g: 128, b: 0, a: 10 }]).args, [{ r: 255, g: 128, b: 0, a: 10 }]);
+  assert.deepStrictEqual(validate(color, [{ r: 255, g: 128, b: 0 }]).args, [{ r: 255, g: 128, b: 0, a: 255 }]);
+  assert.deepStrictEqual(validate(color, [[1, 2, 3]]).args, [[1, 2, 3]]);
+  assert.deepStrictEqual(validate(color, [0xFF8000FF]).args, [0xFF8000FF]);
+  assert.strictEqual(validate(color, [[1, 2, 3]]).typeTags, 'r');
+});
+
+test('colors reject strings and out-of-range components', () => {
+  const color = [param('color')];
+  for (const value of ['red', [1, 2], [1, 2, 3, 4, 5], [256, 0, 0], { r: 1, g: 2 }, -1, null]) {
+    assert.match(validate(color, [value]).errors[0] || '', /expects an RGBA color/, JSON.stringify(value));
+  }
+});
+
+test('MIDI accepts four bytes as an array or an object', () => {
+  const midi = [param('midi', { typeTag: 'm' })];
+  assert.deepStrictEqual(validate(midi, [[0, 144, 60, 100]]).args, [[0, 144, 60, 100]]);
+  assert.deepStrictEqual(validate(midi, [{ status: 144, data1: 60 }]).args, [{ status: 144, data1: 60 }]);
+  assert.strictEqual(validate(midi, [[0, 144, 60, 100]]).typeTags, 'm');
+});
+
+test('MIDI rejects wrong lengths and non-bytes', () => {
+  const midi = [param('midi')];
+  for (const value of [[144, 60], [0, 300, 60, 100], { status: 999 }, 'note', 144]) {
+    assert.match(validate(midi, [value]).errors[0] || '', /expects a MIDI message/, JSON.stringify(value));
+  }
+});
+
+// Matching and reporting
+
+test('findMatchingPattern prefers exact addresses, then wildcards, and skips disabled ones', () => {
+  const wildcard = { address: '/filter/*', parameters: [param('float')] };
+  const disabled = { address: '/filter/res', enabled: false, parameters: [param('float')] };
+  const patterns = [wildcard, cutoff, disabled];
+  assert.strictEqual(findMatchingPattern(patterns, '/filter/cutoff'), cutoff);
+  assert.strictEqual(findMatchingPattern(patterns, '/filter/res'), wildcard);
+  assert.strictEqual(findMatchingPattern(patterns, '/other'), null);
+  assert.strictEqual(findMatchingPattern([{ address: '/x[', parameters: [param('float')] }], '/x'), null);
+});
+
+test('the report lists adjustments and warnings', () => {
+  const report = formatValidationReport('/filter/cutoff', { ...validateArgsAgainstPattern(cutoff, [1]), pattern: cutoff, policy: 'clamp' });
+  assert.match(report, /Pattern: \/filter\/cutoff \[MaxMSP\], policy: clamp/);
+  assert.match(report, /clamped to 20/);
+  assert.strictEqual(formatValidationReport('/x', { pattern: null }), '');
+});
+
+finish('pattern validator');
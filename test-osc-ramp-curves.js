@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Ramp Curve Tests - Every value curve starts at `from` and ends at `to`
+ * Ramps, modulation routes and rule scale transforms all share CURVES, so a curve
+ * running backwards inverts all three. Ramps and morphs also fix their type tags per ramp.
+ * Run with: npm run test-ramp-curves
+ */
+
+import assert from 'assert';
+import { finish, test } from './test-harness.js';
+import { CURVES, EASINGS, RampEngine, interpolateValues, rampTypeTags } from './osc-ramp-engine.js';
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * 1e-9 + 1e-9, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// Ranges each curve accepts: exponential and logarithmic need same-sign non-zero ends
+const RANGES = {
+  linear: [[0, 1], [100, 8000], [8000, 100], [-1, 1], [5, -5]],
+  exponential: [[100, 8000], [8000, 100], [-10, -60], [0.001, 1]],
+  logarithmic: [[100, 8000], [8000, 100], [-10, -60], [0.001, 1]],
+  db: [[-60, 0], [0, -60], [-12, 6]]
+};
+
+test('every curve has endpoint cases', () => {
+  assert.deepStrictEqual(Object.keys(CURVES).sort(), Object.keys(RANGES).sort());
+});
+
+for (const [curve, ranges] of Object.entries(RANGES)) {
+  for (const [from, to] of ranges) {
+    test(`${curve} ${from} → ${to} starts at from and ends at to`, () => {
+      assertClose(CURVES[curve](from, to, 0), from, 'amount 0');
+      assertClose(CURVES[curve](from, to, 1), to, 'amount 1');
+    });
+
+    test(`${curve} ${from} → ${to} stays between from and to`, () => {
+      const [low, high] = [Math.min(from, to), Math.max(from, to)];
+      for (let step = 1; step < 10; step++) {
+        const value = CURVES[curve](from, to, step / 10);
+        assert.ok(value > low && value < high, `amount ${step / 10} gave ${value}`);
+      }
+    });
+  }
+}
+
+test('exponential is slow at the start, logarithmic fast', () => {
+  const linear = CURVES.linear(100, 8000, 0.5);
+  assert.ok(CURVES.exponential(100, 8000, 0.5) < linear);
+  assert.ok(CURVES.logarithmic(100, 8000, 0.5) > linear);
+});
+
+test('every easing maps 0 to 0 and 1 to 1', () => {
+  for (const [name, easing] of Object.entries(EASINGS)) {
+    assertClose(easing(0), 0, `${name}(0)`);
+    assertClose(easing(1), 1, `${name}(1)`);
+  }
+});
+
+test('interpolateValues rounds integer type tags and steps non-numeric args', () => {
+  assert.deepStrictEqual(interpolateValues([0, 'a'], [10, 'b'], 0.26, 'linear', 'is'), [3, 'a']);
+  assert.deepStrictEqual(interpolateValues([0, 'a'], [10, 'b'], 1, 'linear', 'is'), [10, 'b']);
+});
+
+test('interpolateValues sends the target as given without start values and at the end', () => {
+  assert.deepStrictEqual(interpolateValues(undefined, [1, 'x'], 0.3), [1, 'x']);
+  assert.deepStrictEqual(interpolateValues([0.1], [0.7], 1), [0.7]);
+  assert.deepStrictEqual(interpolateValues([-60], [-6], 1, 'db'), [-6]);
+});
+
+test('ramp type tags are floats unless both ends are declared integers', () => {
+  assert.strictEqual(rampTypeTags([100], [8000]), 'f');
+  assert.strictEqual(rampTypeTags([100], [8000], '', 'i'), 'i');
+  assert.strictEqual(rampTypeTags([100.5], [8000], '', 'i'), 'f', 'a fractional start cannot be sent as an int');
+  assert.strictEqual(rampTypeTags([0], [10], 'i', 'f'), 'f');
+  assert.strictEqual(rampTypeTags([0], [10], 'h', 'h'), 'h');
+  assert.strictEqual(rampTypeTags([0], [1], '', 'd'), 'd');
+});
+
+test('ramp type tags keep non-numeric args and give up when one changes type', () => {
+  assert.strictEqual(rampTypeTags([0, 'a'], [1, 'b']), 'fs');
+  assert.strictEqual(rampTypeTags([0], [1, 'new']), 'fs');
+  assert.strictEqual(rampTypeTags([0, 'a'], [1, 2]), '');
+  assert.strictEqual(rampTypeTags([0, true], [1, false]), '');
+  assert.strictEqual(rampTypeTags([0, 'a'], [1, 2], '', 'fi'), 'fi');
+});
+
+// Frames are rendered by hand at chosen times instead of by the scheduler's timer
+function createRampEngine() {
+  const entries = new Map();
+  const scheduler = { add: (id, entry) => entries.set(id, entry), remove: id => entries.delete(id) };
+  const engine = new RampEngine({ resolve: async () => ({ host: '127.0.0.1', port: 9000 }), getCurrentValue: () => undefined, scheduler });
+  return { engine, entries };
+}
+
+await test('a 100 → 8000 ramp sends every frame as a float, whole numbers included', async () => {
+  const { engine, entries } = createRampEngine();
+  const ramp = await engine.ramp({ address: '/cutoff', from: 100, to: 8000, durationMs: 1000 });
+  const { render } = entries.get(ramp.id);
+  const { startedAt } = engine.ramps.get(ramp.id);
+  const frames = [0, 250, 500, 750, 1000].flatMap(ms => render(startedAt + ms));
+  assert.deepStrictEqual(frames.map(frame => frame.args[0]), [100, 2075, 4050, 6025, 8000]);
+  assert.deepStrictEqual(frames.map(frame => frame.typeTags), ['f', 'f', 'f', 'f', 'f']);
+  assert.strictEqual(ramp.typeTags, 'f');
+});
+
+await test('a ramp declared as integers rounds and keeps its int tag', async () => {
+  const { engine, entries } = createRampEngine();
+  const ramp = await engine.ramp({ address: '/note', from: 0, to: 10, durationMs: 1000, typeTags: 'i' });
+  const { startedAt } = engine.ramps.get(ramp.id);
+  const [frame] = entries.get(ramp.id).render(startedAt + 333);
+  assert.deepStrictEqual([frame.args, frame.typeTags], [[3], 'i']);
+});
+
+await test('morph tags come from both sets', async () => {
+  const { engine, entries } = createRampEngine();
+  await engine.defineMorph('m', {
+    a: [{ address: '/x', args: [0, 0], typeTags: 'ii' }, { address: '/y', args: [1] }],
+    b: [{ address: '/x', args: [10, 4], typeTags: 'if' }, { address: '/y', args: [3] }]
+  });
+  const result = engine.morph('m', { position: 0.5 });
+  const frames = entries.get(result.id).render(engine.ramps.get(result.id).startedAt);
+  assert.deepStrictEqual(frames.map(frame => [frame.address, frame.args, frame.typeTags]), [['/x', [5, 2], 'if'], ['/y', [2], 'f']]);
+});
+
+finish('ramp curve');
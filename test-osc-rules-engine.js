@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Rules Engine Tests - Transforms and the type tags of forwarded messages
+ * Rules are passed to process() directly, so no rules file is read or written.
+ * Run with: npm run test-rules-engine
+ */
+
+import assert from 'assert';
+import { finish, test } from './test-harness.js';
+import { RuleStore, RulesEngine } from './osc-rules-engine.js';
+import { decodeMessage, encodeMessage } from './osc-codec.js';
+
+const engine = new RulesEngine({ store: new RuleStore('/nonexistent/osc-rules.json') });
+
+function rule(transforms, forward = [{ destination: 'max-main', address: '/out' }], name = 'test') {
+  return { name, enabled: true, match: { address: '/fader1' }, transforms, forward, updatedAt: name };
+}
+
+async function forward(rules, address, args, typeTags) {
+  return engine.process({ address, args, typeTags }, null, { rules: [].concat(rules) });
+}
+
+// Encode and decode what would be sent, as the receiver sees it
+function onTheWire(output) {
+  return decodeMessage(encodeMessage(output.address, output.args, output.typeTags));
+}
+
+const expFreq = rule([{ type: 'scale', outMin: 20, outMax: 20000, curve: 'exponential' }]);
+
+await test('an exponential fader scale sends every value as a float', async () => {
+  const outputs = [];
+  for (const value of [0, 0.5, 1]) {
+    outputs.push(...await forward(expFreq, '/fader1', [value], 'f'));
+  }
+  assert.deepStrictEqual(outputs.map(output => output.typeTags), ['f', 'f', 'f']);
+  const sent = outputs.map(onTheWire);
+  assert.deepStrictEqual(sent.map(message => message.typeTags), ['f', 'f', 'f']);
+  assert.strictEqual(sent[0].args[0], 20);
+  assert.ok(Math.abs(sent[1].args[0] - 632.456) < 0.01, String(sent[1].args[0]));
+  assert.strictEqual(sent[2].args[0], 20000);
+});
+
+await test('scaled values are floats without inbound tags too', async () => {
+  const [output] = await forward(expFreq, '/fader1', [1]);
+  assert.strictEqual(output.typeTags, 'f');
+});
+
+await test("a target's declared tags win", async () => {
+  const [output] = await forward(rule(expFreq.transforms, [{ destination: 'max-main', typeTags: 'i' }]), '/fader1', [1], 'f');
+  assert.strictEqual(output.typeTags, 'i');
+});
+
+await test('only the transformed argument becomes a float', async () => {
+  const [output] = await forward(rule([{ type: 'scale', arg: 1, outMin: 0, outMax: 100 }]), '/fader1', [3, 1, 'x'], 'ihs');
+  assert.deepStrictEqual(output.args, [3, 100, 'x']);
+  assert.strictEqual(output.typeTags, 'ifs');
+});
+
+await test('curve and smooth outputs are floats, doubles stay doubles', async () => {
+  const [curved] = await forward(rule([{ type: 'curve', exponent: 2 }]), '/fader1', [1, 1], 'id');
+  assert.strictEqual(curved.typeTags, 'fd');
+  const [smoothed] = await forward(rule([{ type: 'smooth', factor: 0.5 }], undefined, 'smooth'), '/fader1', [1], 'i');
+  assert.strictEqual(smoothed.typeTags, 'f');
+});
+
+await test('unchanged messages keep the inbound double, int64 and Infinitum tags', async () => {
+  const [output] = await forward(rule([]), '/fader1', [0.5, 7, Infinity], 'dhI');
+  const sent = onTheWire(output);
+  assert.deepStrictEqual([sent.typeTags, sent.args], ['dhI', [0.5, 7, Infinity]]);
+});
+
+await test('quantize and invert keep the inbound tags', async () => {
+  const [output] = await forward(rule([{ type: 'quantize', step: 1 }, { type: 'invert', min: 0, max: 10 }]), '/fader1', [2.4], 'd');
+  assert.deepStrictEqual([output.args, output.typeTags], [[8], 'd']);
+});
+
+await test('split gives each argument its own tag', async () => {
+  const outputs = await forward(rule([{ type: 'split' }], [{ destination: 'max-main' }]), '/fader1', [1, 2.5], 'hd');
+  assert.deepStrictEqual(outputs.map(output => [output.address, output.typeTags]), [['/fader1/0', 'h'], ['/fader1/1', 'd']]);
+});
+
+await test('merge joins the tags of its inputs', async () => {
+  const merge = { ...rule([{ type: 'merge', addresses: ['/x', '/y'], into: '/xy' }], [{ destination: 'max-main' }], 'merge'), match: { address: '/{x,y}' } };
+  assert.deepStrictEqual(await forward(merge, '/x', [1], 'd'), []);
+  const [output] = await forward(merge, '/y', [2]);
+  assert.deepStrictEqual([output.address, output.args, output.typeTags], ['/xy', [1, 2], 'di']);
+});
+
+await test('tags that do not fit the arguments fall back to inference', async () => {
+  const [output] = await forward(rule([]), '/fader1', [1, 2], 'i');
+  assert.strictEqual(output.typeTags, '');
+});
+
+await test('gated messages are not forwarded', async () => {
+  assert.deepStrictEqual(await forward(rule([{ type: 'threshold', threshold: 0.5 }]), '/fader1', [0.2], 'f'), []);
+});
+
+finish('rules engine');
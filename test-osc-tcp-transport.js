@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * OSC TCP Framing Tests - SLIP and length-prefix stream decoding
+ * A TCP stream delivers frames in arbitrary chunks, so every case is also fed byte by byte.
+ * Run with: npm run test-tcp-transport
+ */
+
+import assert from 'assert';
+import { finish, test } from './test-harness.js';
+import { MAX_FRAME_BYTES, OSCStreamDecoder, framePacket, frameSLIP, frameLengthPrefixed } from './osc-tcp-transport.js';
+import { decodeMessage, encodeMessage } from './osc-codec.js';
+
+const SLIP_END = 0xC0;
+const SLIP_ESC = 0xDB;
+
+function decodeChunks(framing, chunks, maxFrameBytes) {
+  const packets = [];
+  const decoder = new OSCStreamDecoder(framing, packet => packets.push(packet), maxFrameBytes);
+  chunks.forEach(chunk => decoder.push(chunk));
+  return packets;
+}
+
+function bytewise(buffer) {
+  return Array.from(buffer, byte => Buffer.from([byte]));
+}
+
+// A blob containing both SLIP special bytes, so escaping is exercised
+const packets = [
+  encodeMessage('/a', [1, 'two'], 'is'),
+  encodeMessage('/blob', [Buffer.from([SLIP_END, 1, SLIP_ESC, SLIP_ESC, SLIP_END])], 'b'),
+  encodeMessage('/empty', [])
+];
+
+for (const framing of ['slip', 'length-prefix']) {
+  const stream = Buffer.concat(packets.map(packet => framePacket(packet, framing)));
+
+  test(`${framing}: several packets in one chunk`, () => {
+    assert.deepStrictEqual(decodeChunks(framing, [stream]), packets);
+  });
+
+  test(`${framing}: packets split across chunks`, () => {
+    assert.deepStrictEqual(decodeChunks(framing, bytewise(stream)), packets);
+    const middle = Math.floor(stream.length / 2);
+    assert.deepStrictEqual(decodeChunks(framing, [stream.subarray(0, middle), stream.subarray(middle)]), packets);
+  });
+
+  test(`${framing}: decoded packets are valid OSC`, () => {
+    const [, blob] = decodeChunks(framing, [stream]);
+    assert.deepStrictEqual(decodeMessage(blob).args, [Buffer.from([SLIP_END, 1, SLIP_ESC, SLIP_ESC, SLIP_END])]);
+  });
+}
+
+test('slip: END and ESC bytes are escaped on the wire', () => {
+  const frame = frameSLIP(Buffer.from([1, SLIP_END, 2, SLIP_ESC, 3]));
+  assert.deepStrictEqual([...frame], [SLIP_END, 1, SLIP_ESC, 0xDC, 2, SLIP_ESC, 0xDD, 3, SLIP_END]);
+  assert.deepStrictEqual(decodeChunks('slip', bytewise(frame)), [Buffer.from([1, SLIP_END, 2, SLIP_ESC, 3])]);
+});
+
+test('slip: an escape split from its escaped byte', () => {
+  const frame = frameSLIP(Buffer.from([SLIP_END]));
+  assert.deepStrictEqual(decodeChunks('slip', [frame.subarray(0, 2), frame.subarray(2)]), [Buffer.from([SLIP_END])]);
+});
+
+test('slip: single-ended frames (no leading END) decode too', () => {
+  assert.deepStrictEqual(decodeChunks('slip', [Buffer.from([1, 2, 3, 4, SLIP_END])]), [Buffer.from([1, 2, 3, 4])]);
+});
+
+test('length-prefix: the size is a big-endian int32 and zero-length frames are skipped', () => {
+  const frame = frameLengthPrefixed(Buffer.from([9, 8, 7, 6]));
+  assert.deepStrictEqual([...frame.subarray(0, 4)], [0, 0, 0, 4]);
+  assert.deepStrictEqual(decodeChunks('length-prefix', [Buffer.alloc(4), frame]), [Buffer.from([9, 8, 7, 6])]);
+});
+
+test('length-prefix: a size over the limit throws before buffering the frame', () => {
+  const size = Buffer.alloc(4);
+  size.writeUInt32BE(MAX_FRAME_BYTES + 1, 0);
+  assert.throws(() => decodeChunks('length-prefix', [size]), /exceeds 1048576 bytes/);
+});
+
+test('length-prefix: a frame at the limit is accepted', () => {
+  assert.strictEqual(decodeChunks('length-prefix', [frameLengthPrefixed(Buffer.alloc(16))], 16)[0].length, 16);
+  assert.throws(() => decodeChunks('length-prefix', [frameLengthPrefixed(Buffer.alloc(17))], 16), /exceeds 16 bytes/);
+});
+
+test('slip: a frame without END over the limit throws', () => {
+  assert.throws(() => decodeChunks('slip', [Buffer.from([SLIP_END]), Buffer.alloc(17, 1)], 16), /exceeds 16 bytes/);
+});
+
+test('the decoder recovers after an oversized frame', () => {
+  const received = [];
+  const decoder = new OSCStreamDecoder('slip', packet => received.push(packet), 4);
+  assert.throws(() => decoder.push(Buffer.alloc(5, 1)), /exceeds/);
+  decoder.push(frameSLIP(Buffer.from([1, 2])));
+  assert.deepStrictEqual(received, [Buffer.from([1, 2])]);
+});
+
+test('unknown framings are rejected', () => {
+  assert.throws(() => new OSCStreamDecoder('cobs'), /Unknown TCP framing/);
+});
+
+finish('TCP transport');
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * Transport Clock Tests - Note values, swing timing, resync and step sequences
+ * The clock runs on a hand-set time and hands its events to a fake queue, so every
+ * scheduled time is exact and no test waits on wall time.
+ * Run with: npm run test-transport-clock
+ */
+
+import assert from 'assert';
+import { finish, test } from './test-harness.js';
+import { TransportClock, parseNoteValue, parseTimeSignature } from './osc-transport-clock.js';
+import { StepSequencer, parseStepString } from './osc-step-sequencer.js';
+
+// The queue side of OSCCommandQueue: commands wait until sendDue() "sends" them
+function createQueue() {
+  const pending = new Map();
+  let nextId = 1;
+  return {
+    scheduleCommand(command, executeAt) {
+      const id = `cmd-${nextId++}`;
+      pending.set(id, { id, ...command, executeAt });
+      return id;
+    },
+    cancel: (id) => pending.delete(id),
+    list: () => Array.from(pending.values()).sort((a, b) => a.executeAt - b.executeAt),
+    sendDue(time) {
+      const due = this.list().filter(command => command.executeAt <= time);
+      due.forEach(command => pending.delete(command.id));
+      return due;
+    }
+  };
+}
+
+const clocks = [];
+
+// 120 BPM: one beat is 500 ms
+function createClock(options = {}) {
+  const time = { now: 0 };
+  const queue = createQueue();
+  const clock = new TransportClock({ scheduler: queue, bpm: 120, now: () => time.now, ...options });
+  clocks.push(clock);
+  return { clock, queue, time };
+}
+
+// Move the hand-set time forward, sending what fell due and pumping like the interval timer would
+function advance({ clock, queue, time }, ms) {
+  time.now += ms;
+  const sent = queue.sendDue(time.now);
+  clock.pump();
+  return sent;
+}
+
+const pendingTimes = (queue) => queue.list().map(command => command.executeAt);
+
+// Note values and time signatures
+
+const NOTE_VALUES = [
+  ['1/4', {}, 1],
+  ['1/16', {}, 0.25],
+  ['1/8T', {}, 1 / 3],
+  ['1/8.', {}, 0.75],
+  ['1/1', {}, 4],
+  ['bar', {}, 4],
+  ['1 bar', { beatsPerBar: 3 }, 3],
+  ['2 bars', { beatsPerBar: 7, beatUnit: 8 }, 14],
+  ['1/8', { beatsPerBar: 6, beatUnit: 8 }, 1],
+  ['1/4', { beatsPerBar: 6, beatUnit: 8 }, 2],
+  [' 1/16T ', {}, 1 / 6],
+  ['3', {}, 3],
+  [1.5, {}, 1.5]
+];
+
+for (const [value, signature, beats] of NOTE_VALUES) {
+  test(`parseNoteValue ${JSON.stringify(value)} in ${signature.beatsPerBar || 4}/${signature.beatUnit || 4} is ${beats} beats`, () => {
+    assert.ok(Math.abs(parseNoteValue(value, signature) - beats) < 1e-12, String(parseNoteValue(value, signature)));
+  });
+}
+
+test('parseNoteValue rejects zero, negative, infinite and unknown values', () => {
+  for (const value of [0, -1, Infinity, '0', '1/0', '0/4', 'Infinity', '1/4x', 'quarter', '']) {
+    assert.throws(() => parseNoteValue(value), /Note value must be positive|Cannot parse note value/, JSON.stringify(value));
+  }
+});
+
+test('parseTimeSignature accepts power-of-two beat units only', () => {
+  assert.deepStrictEqual(parseTimeSignature(' 7 / 8 '), { beatsPerBar: 7, beatUnit: 8 });
+  for (const value of ['4/3', '0/4', '4', 'x/4']) {
+    assert.throws(() => parseTimeSignature(value), /Invalid time signature/, value);
+  }
+});
+
+// Swing
+
+test('straight time leaves the grid alone', () => {
+  const { clock } = createClock();
+  for (const beat of [0, 0.25, 0.5, 0.75, 1.3]) {
+    assert.strictEqual(clock.swingWarp(beat), beat);
+  }
+});
+
+test('swing delays every second swing unit and keeps the pair boundaries', () => {
+  const { clock } = createClock();
+  clock.setSwing(66, '1/16');
+  const warped = [0, 0.125, 0.25, 0.375, 0.5, 0.75].map(beat => Number(clock.swingWarp(beat).toFixed(6)));
+  assert.deepStrictEqual(warped, [0, 0.165, 0.33, 0.415, 0.5, 0.83]);
+});
+
+test('swung events are handed to the queue at their swung times', () => {
+  const context = createClock({ swing: 75, swingUnit: '1/8' });
+  const { clock, queue } = context;
+  clock.scheduleEvent({ beat: 0, everyBeats: 0.5, count: 4, label: 'eighths', command: { address: '/hat' } });
+  clock.start();
+  assert.deepStrictEqual(pendingTimes(queue), [0], 'only the first hit is inside the 100 ms lookahead');
+  advance(context, 300);
+  advance(context, 500);
+  assert.deepStrictEqual(queue.list().map(command => command.beat), [1, 1.5]);
+  assert.deepStrictEqual(pendingTimes(queue), [500, 875]);
+});
+
+test('swing changes re-time what the queue holds', () => {
+  const context = createClock({ lookaheadMs: 2000 });
+  const { clock, queue } = context;
+  clock.scheduleEvent({ beat: 0, everyBeats: 0.5, count: 4, label: 'eighths', command: { address: '/hat' } });
+  clock.start();
+  assert.deepStrictEqual(pendingTimes(queue), [0, 250, 500, 750]);
+  advance(context, 100);
+  clock.setSwing(75, '1/8');
+  assert.deepStrictEqual(pendingTimes(queue), [375, 500, 875]);
+});
+
+// Resync
+
+test('a tempo change keeps the playhead and re-times everything after it', () => {
+  const context = createClock({ lookaheadMs: 1000 });
+  const { clock, queue } = context;
+  clock.scheduleEvent({ beat: 0, everyBeats: 1, label: 'beats', command: { address: '/click' } });
+  clock.start();
+  assert.deepStrictEqual(pendingTimes(queue), [0, 500]);
+
+  assert.strictEqual(advance(context, 250).length, 1);
+  clock.setTempo(60);
+  assert.strictEqual(clock.positionAt(), 0.5);
+  assert.deepStrictEqual(pendingTimes(queue), [750], 'beat 1 is now half a 60 BPM beat (500 ms) away');
+  assert.strictEqual(clock.queued.size, 1);
+});
+
+test('locating forward takes back queued hits and continues from the new position', () => {
+  const context = createClock({ lookaheadMs: 1000 });
+  const { clock, queue } = context;
+  clock.scheduleEvent({ beat: 0, everyBeats: 1, label: 'beats', command: { address: '/click' } });
+  clock.start();
+  advance(context, 100);
+  clock.locate(8);
+  assert.deepStrictEqual(queue.list().map(command => command.beat), [8, 9]);
+  assert.deepStrictEqual(pendingTimes(queue), [100, 600]);
+});
+
+test('a one-shot already handed over is taken back and re-sent after locating before it', () => {
+  const context = createClock({ lookaheadMs: 1000 });
+  const { clock, queue } = context;
+  const event = clock.scheduleEvent({ beat: 1, label: 'once', command: { address: '/go' } });
+  clock.start();
+  advance(context, 400);
+  assert.strictEqual(clock.events.size, 0, 'the queue holds the only occurrence');
+  clock.locate(0);
+  assert.deepStrictEqual(queue.list().map(command => [command.clockEventId, command.executeAt]), [[event.id, 900]]);
+});
+
+test('stopping takes back what was queued and holds the position', () => {
+  const context = createClock({ lookaheadMs: 1000 });
+  const { clock, queue } = context;
+  clock.scheduleEvent({ beat: 0, everyBeats: 1, count: 8, label: 'beats', command: { address: '/click' } });
+  clock.start();
+  advance(context, 750);
+  clock.stop();
+  assert.deepStrictEqual(queue.list(), []);
+  advance(context, 5000);
+  assert.strictEqual(clock.positionAt(), 1.5);
+  assert.deepStrictEqual(queue.list(), [], 'a stopped clock hands nothing over');
+});
+
+test('commands the queue has sent are forgotten, not cancelled on resync', () => {
+  const context = createClock({ lookaheadMs: 1000 });
+  const { clock, queue } = context;
+  clock.scheduleEvent({ beat: 0, everyBeats: 1, count: 2, label: 'beats', command: { address: '/click' } });
+  clock.start();
+  advance(context, 600);
+  assert.strictEqual(clock.queued.size, 0);
+  clock.locate(0);
+  assert.deepStrictEqual(queue.list(), [], 'sent occurrences are not replayed');
+});
+
+test('events behind the playhead are refused', () => {
+  const context = createClock();
+  context.clock.start();
+  advance(context, 1000);
+  assert.throws(() => context.clock.scheduleEvent({ beat: 1, label: 'late', command: {} }), /behind the playhead/);
+});
+
+// Step sequences
+
+function createSequencer(context) {
+  return new StepSequencer({
+    clock: context.clock,
+    prepare: async ({ address, args = [] }) => ({ address, oscArgs: args }),
+    getPatterns: async () => []
+  });
+}
+
+test('step strings parse hits, rests, chances and ratchets', () => {
+  assert.deepStrictEqual(parseStepString('x.| ?3'), [{ on: true }, { on: false }, { on: true, probability: 0.5 }, { on: true, ratchet: 3 }]);
+  assert.throws(() => parseStepString('x9'), /Unknown step "9"/);
+});
+
+await test('a sequence plays its steps and ratchets on the grid', async () => {
+  const context = createClock({ lookaheadMs: 1000 });
+  const sequencer = createSequencer(context);
+  await sequencer.define({ name: 'hat', steps: 'x.2.', voice: { address: '/hat', args: [1] } });
+  context.clock.start();
+  sequencer.start('hat', 0);
+  const hits = context.queue.list().filter(command => command.executeAt < 500);
+  assert.deepStrictEqual(hits.map(command => [command.step, command.executeAt]), [[0, 0], [2, 250], [2, 313]]);
+});
+
+await test('swing moves off-beat steps of a sequence', async () => {
+  const context = createClock({ lookaheadMs: 1000, swing: 75 });
+  const sequencer = createSequencer(context);
+  await sequencer.define({ name: 'hat', steps: 'xxxx', voice: { address: '/hat', args: [1] } });
+  context.clock.start();
+  sequencer.start('hat', 0);
+  assert.deepStrictEqual(pendingTimes(context.queue).slice(0, 4), [0, 188, 250, 438]);
+});
+
+await test('muting a playing sequence takes back its queued hits', async () => {
+  const context = createClock({ lookaheadMs: 1000 });
+  const sequencer = createSequencer(context);
+  await sequencer.define({ name: 'kick', steps: 'x.x.', stepLength: '1/4', voice: { address: '/kick' } });
+  context.clock.start();
+  sequencer.start('kick', 0);
+  advance(context, 100);
+  assert.deepStrictEqual(pendingTimes(context.queue), [1000]);
+  sequencer.setMuted('kick', true);
+  assert.deepStrictEqual(context.queue.list(), []);
+  sequencer.setMuted('kick', false);
+  assert.deepStrictEqual(pendingTimes(context.queue), [1000]);
+  assert.strictEqual(sequencer.currentStep(sequencer.get('kick')), 0);
+});
+
+clocks.forEach(clock => clock.close());
+
+finish('transport clock');
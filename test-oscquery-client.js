@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * OSCQuery Client Tests - Against a local fake OSCQuery host
+ * The fake serves HOST_INFO and a small namespace over HTTP and answers LISTEN on its
+ * WebSocket with a binary OSC value update, like TouchDesigner or Max would.
+ * Run with: npm run test-oscquery-client
+ */
+
+import assert from 'assert';
+import { finish, test } from './test-harness.js';
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import { decodePacket, encodeMessage } from './osc-codec.js';
+import { OSCQueryClient, flattenNamespace, nodeToPattern } from './oscquery-client.js';
+
+const TEST_TIMEOUT_MS = 10000;
+
+const NAMESPACE = {
+  FULL_PATH: '/',
+  CONTENTS: {
+    filter: {
+      FULL_PATH: '/filter',
+      CONTENTS: {
+        cutoff: { FULL_PATH: '/filter/cutoff', TYPE: 'f', RANGE: [{ MIN: 20, MAX: 20000 }], UNIT: ['frequency.Hz'], VALUE: [1200], ACCESS: 3, DESCRIPTION: 'Filter cutoff frequency' },
+        mode: { FULL_PATH: '/filter/mode', TYPE: 's', RANGE: [{ VALS: ['lp', 'hp', 'bp'] }], VALUE: ['lp'], ACCESS: 3 }
+      }
+    },
+    xy: { FULL_PATH: '/xy', TYPE: '[ff]', VALUE: [[0.1, 0.2]], ACCESS: 2 },
+    meter: { FULL_PATH: '/meter', TYPE: 'f', VALUE: [0], ACCESS: 1, DESCRIPTION: 'Out' }
+  }
+};
+
+// Fake OSCQuery host; hostInfo null answers HOST_INFO with 404 (it is optional in the spec)
+function startFakeHost(hostInfo) {
+  const commands = [];
+  const server = http.createServer((request, response) => {
+    response.setHeader('Content-Type', 'application/json');
+    const [pathname, query] = request.url.split('?');
+    if (query === 'HOST_INFO') {
+      response.statusCode = hostInfo ? 200 : 404;
+      return response.end(JSON.stringify(hostInfo || {}));
+    }
+    let node = NAMESPACE;
+    for (const part of pathname.split('/').filter(Boolean)) {
+      node = node?.CONTENTS?.[decodeURIComponent(part)];
+    }
+    response.statusCode = node ? 200 : 404;
+    response.end(JSON.stringify(node || {}));
+  });
+
+  const wss = new WebSocketServer({ server });
+  wss.on('connection', (socket) => {
+    socket.on('message', (data) => {
+      const command = JSON.parse(data.toString());
+      commands.push(command);
+      if (command.COMMAND === 'LISTEN' && command.DATA === '/filter/cutoff') {
+        socket.send(encodeMessage('/filter/cutoff', [880.5], 'f'));
+      }
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    port: server.address().port,
+    commands,
+    close: () => new Promise(done => {
+      wss.clients.forEach(client => client.terminate());
+      wss.close();
+      server.close(done);
+    })
+  })));
+}
+
+function waitFor(predicate, label, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = setInterval(() => {
+      if (predicate()) {
+        clearInterval(poll);
+        resolve();
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(poll);
+        reject(new Error(`Timed out waiting for ${label}`));
+      }
+    }, 10);
+  });
+}
+
+const guard = setTimeout(() => {
+  console.error(`❌ OSCQuery client tests did not finish within ${TEST_TIMEOUT_MS}ms`);
+  process.exit(1);
+}, TEST_TIMEOUT_MS);
+guard.unref();
+
+const host = await startFakeHost({ NAME: 'FakeTD', OSC_PORT: 9000, EXTENSIONS: { LISTEN: true } });
+const options = { application: 'TouchDesigner', hostName: 'FakeTD', host: '127.0.0.1', port: host.port };
+
+await test('reads HOST_INFO', async () => {
+  const client = new OSCQueryClient('127.0.0.1', host.port);
+  assert.strictEqual((await client.getHostInfo()).NAME, 'FakeTD');
+});
+
+await test('flattenNamespace lists every node with a TYPE, depth first', async () => {
+  const client = new OSCQueryClient('127.0.0.1', host.port);
+  const nodes = flattenNamespace(await client.getNamespace('/'));
+  assert.deepStrictEqual(nodes.map(node => node.FULL_PATH), ['/filter/cutoff', '/filter/mode', '/xy', '/meter']);
+});
+
+await test('flattenNamespace builds paths for nodes without FULL_PATH', () => {
+  const nodes = flattenNamespace({ CONTENTS: { a: { CONTENTS: { b: { TYPE: 'i' } } } } });
+  assert.deepStrictEqual(nodes.map(node => node.FULL_PATH), ['/a/b']);
+});
+
+await test('getNamespace walks a sub-tree', async () => {
+  const client = new OSCQueryClient('127.0.0.1', host.port);
+  const nodes = flattenNamespace(await client.getNamespace('/filter'));
+  assert.deepStrictEqual(nodes.map(node => node.FULL_PATH), ['/filter/cutoff', '/filter/mode']);
+});
+
+await test('getNamespace reports unknown paths', async () => {
+  const client = new OSCQueryClient('127.0.0.1', host.port);
+  await assert.rejects(client.getNamespace('/missing'), /responded 404/);
+  await assert.rejects(client.getNamespace('missing'), /must start with/);
+});
+
+await test('nodeToPattern carries type, range, unit, default and access', () => {
+  const pattern = nodeToPattern(NAMESPACE.CONTENTS.filter.CONTENTS.cutoff, options);
+  assert.strictEqual(pattern.address, '/filter/cutoff');
+  assert.strictEqual(pattern.description, 'Filter cutoff frequency');
+  assert.strictEqual(pattern.access, 'readwrite');
+  assert.deepStrictEqual(pattern.tags, ['oscquery', 'FakeTD']);
+  assert.deepStrictEqual(pattern.source, { type: 'oscquery', host: '127.0.0.1', port: host.port });
+  assert.deepStrictEqual(pattern.parameters, [{ name: 'cutoff', type: 'float', typeTag: 'f', range: { min: 20, max: 20000 }, default: 1200, unit: 'Hz' }]);
+});
+
+await test('nodeToPattern keeps enumerated values', () => {
+  const [parameter] = nodeToPattern(NAMESPACE.CONTENTS.filter.CONTENTS.mode, options).parameters;
+  assert.deepStrictEqual(parameter, { name: 'mode', type: 'string', typeTag: 's', values: ['lp', 'hp', 'bp'], default: 'lp' });
+});
+
+await test('nodeToPattern flattens arrays into numbered parameters', () => {
+  const pattern = nodeToPattern(NAMESPACE.CONTENTS.xy, options);
+  assert.strictEqual(pattern.typeTags, '[ff]');
+  assert.strictEqual(pattern.access, 'write');
+  assert.deepStrictEqual(pattern.parameters.map(parameter => parameter.name), ['xy_1', 'xy_2']);
+  assert.strictEqual(pattern.description, 'xy on FakeTD (imported via OSCQuery)');
+});
+
+await test('nodeToPattern replaces descriptions too short to be useful', () => {
+  const pattern = nodeToPattern(NAMESPACE.CONTENTS.meter, { ...options, hostName: undefined });
+  assert.strictEqual(pattern.access, 'read');
+  assert.strictEqual(pattern.description, `meter on 127.0.0.1:${host.port} (imported via OSCQuery)`);
+});
+
+await test('LISTEN delivers binary OSC value updates, IGNORE stops them', async () => {
+  const packets = [];
+  const client = new OSCQueryClient('127.0.0.1', host.port, { onPacket: (packet, rinfo) => packets.push({ packet, rinfo }) });
+  try {
+    await client.listen(['/filter/cutoff']);
+    await waitFor(() => packets.length > 0, 'a LISTEN value update');
+
+    const message = decodePacket(packets[0].packet);
+    assert.strictEqual(message.address, '/filter/cutoff');
+    assert.deepStrictEqual(message.args, [880.5]);
+    assert.strictEqual(packets[0].rinfo.transport, 'OSCQuery');
+    assert.deepStrictEqual(Array.from(client.listening), ['/filter/cutoff']);
+
+    client.ignore();
+    await waitFor(() => host.commands.some(command => command.COMMAND === 'IGNORE'), 'IGNORE');
+    assert.deepStrictEqual(host.commands, [
+      { COMMAND: 'LISTEN', DATA: '/filter/cutoff' },
+      { COMMAND: 'IGNORE', DATA: '/filter/cutoff' }
+    ]);
+    assert.strictEqual(client.listening.size, 0);
+  } finally {
+    client.close();
+  }
+});
+
+await host.close();
+
+await test('a host without HOST_INFO still serves its namespace', async () => {
+  const bareHost = await startFakeHost(null);
+  try {
+    const client = new OSCQueryClient('127.0.0.1', bareHost.port);
+    assert.deepStrictEqual(await client.getHostInfo(), {});
+    assert.strictEqual(flattenNamespace(await client.getNamespace('/')).length, 4);
+  } finally {
+    await bareHost.close();
+  }
+});
+
+await test('LISTEN is refused when HOST_INFO says it is unsupported', async () => {
+  const noListenHost = await startFakeHost({ NAME: 'NoListen', EXTENSIONS: { LISTEN: false } });
+  try {
+    const client = new OSCQueryClient('127.0.0.1', noListenHost.port);
+    await assert.rejects(client.listen(['/filter/cutoff']), /does not support LISTEN/);
+  } finally {
+    await noListenHost.close();
+  }
+});
+
+await test('an unreachable host is reported', async () => {
+  const client = new OSCQueryClient('127.0.0.1', host.port, { timeoutMs: 500 });
+  await assert.rejects(client.getNamespace('/'), /unreachable/);
+});
+
+finish('OSCQuery client');
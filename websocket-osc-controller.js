@@ -18,15 +18,29 @@ try {
   };
 }
 
-import { createSocket } from 'dgram';
+import { encodeBundle, encodeMessage, formatArgs } from './osc-codec.js';
+import { EnhancedOSCManager } from './enhanced-osc-manager.js';
+import { DestinationRegistry } from './destination-registry.js';
+import { StreamScheduler, monotonicMs } from './osc-stream-scheduler.js';
 
 class OSCWebSocketController {
-  constructor(port = 8765) {
+  constructor(port = 8765, oscManager = null, destinations = null, streamScheduler = null) {
     this.wss = new WebSocketServer({ port });
     this.clients = new Map(); // clientId -> websocket
-    this.oscSockets = new Map(); // destination -> socket
+    // Share the caller's socket pool when given one; otherwise own a private pool
+    this.ownsOSCManager = !oscManager;
+    this.oscManager = oscManager || new EnhancedOSCManager();
+    this.destinations = destinations || new DestinationRegistry();
     this.liveParameters = new Map(); // parameterId -> current value
     this.parameterStreams = new Map(); // parameterId -> stream config
+    this.onParameterChange = null; // Optional hook (e.g. OSCQuery LISTEN) called with { address, value }
+    this.onSequencerCommand = null; // Optional hook (the MCP server's step sequencer) called with { action, name, ... }
+    this.onRampCommand = null; // Optional hook (the MCP server's ramp engine) called with { action, ... }
+    this.onModulationCommand = null; // Optional hook (the MCP server's modulation matrix) called with { action, ... }
+    // One loop for parameter streams; each tick sends one packet per destination.
+    // The MCP server passes its own, so ramps, crossfades and modulation share the loop and the bundles
+    this.ownsStreamScheduler = !streamScheduler;
+    this.streamScheduler = streamScheduler || new StreamScheduler({ send: (destination, messages) => this.sendStreamMessages(destination, messages) });
   }
 
   start() {
@@ -83,21 +97,54 @@ class OSCWebSocketController {
         this.sendParameterStatus(clientId);
         break;
         
+      case 'sequencer':
+        await this.forwardToHook(clientId, message, this.onSequencerCommand, 'sequencer_result');
+        break;
+        
+      case 'ramp':
+        await this.forwardToHook(clientId, message, this.onRampCommand, 'ramp_result');
+        break;
+        
+      case 'modulation':
+        await this.forwardToHook(clientId, message, this.onModulationCommand, 'modulation_result');
+        break;
+        
       default:
         throw new Error(`Unknown message type: ${message.type}`);
     }
   }
 
+  // Subsystems take { action, ... } commands:
+  // { type: 'sequencer', action: 'define' | 'set_step' | 'start' | 'stop' | 'mute' | 'unmute' | 'delete' | 'list', name, ... }
+  // { type: 'ramp', action: 'ramp' | 'define_morph' | 'morph' | 'stop' | 'list', ... }
+  // { type: 'modulation', action: 'define' | 'delete' | 'route' | 'unroute' | 'trigger' | 'release' | 'list', ... }
+  async forwardToHook(clientId, message, hook, resultType) {
+    if (!hook) {
+      throw new Error(`${message.type} commands are not available; they run inside the MCP server`);
+    }
+    
+    const { type, ...command } = message;
+    const result = await hook(command);
+    this.sendMessage(this.clients.get(clientId), {
+      type: resultType,
+      action: command.action,
+      result,
+      timestamp: Date.now()
+    });
+  }
+
   // Real-time parameter control
   async updateLiveParameter(parameterId, value, destination = 'default') {
-    this.liveParameters.set(parameterId, {
+    // Extract OSC address from parameter ID
+    const oscAddress = this.parameterIdToOSCAddress(parameterId);
+    
+    this.setLiveParameter(parameterId, {
+      address: oscAddress,
       value,
       lastUpdate: Date.now(),
       destination
     });
     
-    // Extract OSC address from parameter ID
-    const oscAddress = this.parameterIdToOSCAddress(parameterId);
     await this.sendOSCMessage(oscAddress, [value], destination);
     
     // Broadcast to all clients
@@ -109,8 +156,10 @@ class OSCWebSocketController {
     });
   }
 
-  // Start continuous parameter streaming
+  // Start continuous parameter streaming; every stream runs on the shared stream scheduler
   startParameterStream(parameterId, config) {
+    this.stopParameterStream(parameterId);
+    
     const stream = {
       parameterId,
       oscAddress: config.oscAddress,
@@ -118,36 +167,36 @@ class OSCWebSocketController {
       updateRate: config.updateRate || 60, // Hz
       valueFunction: config.valueFunction || 'linear',
       range: config.range || [0, 1],
+      frequency: config.frequency || 1, // Cycles per second when there is no duration
       duration: config.duration || null,
-      startTime: Date.now(),
+      startTime: monotonicMs(),
       isActive: true
     };
     
+    this.streamScheduler.add(`stream:${parameterId}`, {
+      rate: stream.updateRate,
+      render: (now) => this.updateStreamParameter(stream, now)
+    });
     this.parameterStreams.set(parameterId, stream);
     
-    // Start update loop
-    const interval = 1000 / stream.updateRate;
-    stream.intervalId = setInterval(() => {
-      this.updateStreamParameter(stream);
-    }, interval);
-    
     console.error(`🌊 Started parameter stream: ${parameterId} at ${stream.updateRate}Hz`);
   }
 
-  updateStreamParameter(stream) {
-    if (!stream.isActive) return;
+  // Value of a stream at `now` (monotonic ms), as the messages to send this tick
+  updateStreamParameter(stream, now) {
+    if (!stream.isActive) return [];
     
-    const elapsed = Date.now() - stream.startTime;
+    const elapsed = now - stream.startTime;
     
     // Stop if duration reached
     if (stream.duration && elapsed >= stream.duration) {
       this.stopParameterStream(stream.parameterId);
-      return;
+      return [];
     }
     
     // Calculate value based on function
     let value;
-    const progress = stream.duration ? elapsed / stream.duration : elapsed / 1000;
+    const progress = stream.duration ? elapsed / stream.duration : elapsed * stream.frequency / 1000;
     
     switch (stream.valueFunction) {
       case 'sine':
@@ -168,25 +217,30 @@ class OSCWebSocketController {
         value = stream.range[0];
     }
     
-    // Send OSC message
-    this.sendOSCMessage(stream.oscAddress, [value], stream.destination);
-    
     // Update live parameter
-    this.liveParameters.set(stream.parameterId, {
+    this.setLiveParameter(stream.parameterId, {
+      address: stream.oscAddress,
       value,
       lastUpdate: Date.now(),
       destination: stream.destination,
       isStreaming: true
     });
+    
+    return [{ address: stream.oscAddress, args: [value], destination: stream.destination }];
+  }
+
+  setLiveParameter(parameterId, parameter) {
+    this.liveParameters.set(parameterId, parameter);
+    if (this.onParameterChange) {
+      this.onParameterChange(parameter);
+    }
   }
 
   stopParameterStream(parameterId) {
     const stream = this.parameterStreams.get(parameterId);
     if (stream) {
       stream.isActive = false;
-      if (stream.intervalId) {
-        clearInterval(stream.intervalId);
-      }
+      this.streamScheduler.remove(`stream:${parameterId}`);
       this.parameterStreams.delete(parameterId);
       console.error(`🛑 Stopped parameter stream: ${parameterId}`);
     }
@@ -210,6 +264,10 @@ class OSCWebSocketController {
     return '/' + parameterId.replace(/\./g, '/');
   }
 
+  oscAddressToParameterId(address) {
+    return address.slice(1).replace(/\//g, '.');
+  }
+
   sendMessage(ws, message) {
     if (ws.readyState === WebSocket.OPEN) {
       ws.send(JSON.stringify(message));
@@ -237,88 +295,44 @@ class OSCWebSocketController {
         type: 'parameter_status',
         liveParameters: Object.fromEntries(this.liveParameters),
         activeStreams: Array.from(this.parameterStreams.keys()),
+        streamRates: this.getStreamRates(),
         timestamp: Date.now()
       });
     }
   }
 
-  async sendOSCMessage(address, args, destination = 'default') {
-    // Use configured OSC_SEND_PORT or fallback to 9500
-    const oscPort = process.env.OSC_SEND_PORT || '9500';
-    const oscHost = process.env.OSC_HOST || '127.0.0.1';
-    const destinationKey = destination === 'default' ? `${oscHost}:${oscPort}` : destination;
-    
-    if (!this.oscSockets.has(destinationKey)) {
-      const socket = createSocket('udp4');
-      this.oscSockets.set(destinationKey, socket);
-    }
-    
-    const socket = this.oscSockets.get(destinationKey);
-    const [host, port] = destinationKey.split(':');
-    
+  async sendOSCMessage(address, args, destination = 'default', typeTags = '') {
     try {
-      const message = this.createOSCMessage(address, args);
+      // Destination is a registry name ("default" = OSC_HOST:OSC_SEND_PORT) or a literal host:port
+      const { host, port, transport, framing } = await this.destinations.resolve(destination);
+      const message = encodeMessage(address, args, typeTags);
       
-      await new Promise((resolve, reject) => {
-        socket.send(message, parseInt(port), host, (error) => {
-          if (error) reject(error);
-          else resolve();
-        });
-      });
+      await this.oscManager.sendPacket(message, host, port, { transport, framing });
       
-      console.error(`📤 WebSocket OSC sent: ${address} [${args.join(', ')}] → ${host}:${port}`);
+      console.error(`📤 WebSocket OSC sent: ${address} [${formatArgs(args)}] → ${host}:${port}`);
     } catch (error) {
       console.error(`❌ WebSocket OSC send failed: ${error.message}`);
       throw error;
     }
   }
 
-  createOSCMessage(address, args) {
-    // Simple OSC message creation (reuse from existing system)
-    const addressBuffer = Buffer.from(address + '\0');
-    const addressPadded = this.padTo4Bytes(addressBuffer);
-    
-    const typeTagString = ',' + args.map(arg => {
-      if (typeof arg === 'number') {
-        return Number.isInteger(arg) ? 'i' : 'f';
-      } else if (typeof arg === 'boolean') {
-        return arg ? 'T' : 'F';
-      } else {
-        return 's';
-      }
-    }).join('');
-    
-    const typeTagBuffer = this.padTo4Bytes(Buffer.from(typeTagString + '\0'));
-    
-    const argBuffers = args.map(arg => {
-      if (typeof arg === 'number') {
-        if (Number.isInteger(arg)) {
-          const buffer = Buffer.alloc(4);
-          buffer.writeInt32BE(arg, 0);
-          return buffer;
-        } else {
-          const buffer = Buffer.alloc(4);
-          buffer.writeFloatBE(arg, 0);
-          return buffer;
-        }
-      } else if (typeof arg === 'boolean') {
-        return Buffer.alloc(0);
-      } else {
-        return this.padTo4Bytes(Buffer.from(String(arg) + '\0'));
-      }
-    });
-
-    return Buffer.concat([addressPadded, typeTagBuffer, ...argBuffers]);
+  // One stream tick's messages for a destination: a single message, or an immediate bundle.
+  // Not logged per packet; at stream rates that would flood the log
+  async sendStreamMessages(destination, messages) {
+    const { host, port, transport, framing } = await this.destinations.resolve(destination);
+    const packet = messages.length === 1
+      ? encodeMessage(messages[0].address, messages[0].args, messages[0].typeTags)
+      : encodeBundle(messages);
+    await this.oscManager.sendPacket(packet, host, port, { transport, framing });
   }
 
-  padTo4Bytes(buffer) {
-    const padding = (4 - (buffer.length % 4)) % 4;
-    return Buffer.concat([buffer, Buffer.alloc(padding)]);
-  }
-
-  handleSocketError(key, error) {
-    console.error(`❌ Socket error for ${key}: ${error.message}`);
-    this.oscSockets.delete(key);
+  // Requested vs achieved update rate of everything on the scheduler: parameter streams and,
+  // on the MCP server's shared scheduler, the modulation matrix, ramps ("ramp-…") and the scene crossfade
+  getStreamRates() {
+    return this.streamScheduler.stats().map(({ id, ...rates }) => ({
+      ...(id.startsWith('stream:') ? { parameterId: id.slice('stream:'.length) } : id === 'modulation' ? { modulation: true } : { id }),
+      ...rates
+    }));
   }
 
   // Cleanup method
@@ -327,12 +341,14 @@ class OSCWebSocketController {
     this.parameterStreams.forEach((stream, parameterId) => {
       this.stopParameterStream(parameterId);
     });
+    if (this.ownsStreamScheduler) {
+      this.streamScheduler.close();
+    }
     
-    // Close all OSC sockets
-    this.oscSockets.forEach(socket => {
-      socket.close();
-    });
-    this.oscSockets.clear();
+    // Close OSC sockets only when the pool is not shared with the MCP server
+    if (this.ownsOSCManager) {
+      this.oscManager.close();
+    }
     
     // Close WebSocket server
     this.wss.close();
@@ -361,7 +377,10 @@ class OSCWebSocketController {
         return {
           success: true,
           liveParameters: Object.fromEntries(this.liveParameters),
-          activeStreams: Array.from(this.parameterStreams.keys())
+          activeStreams: Array.from(this.parameterStreams.keys()),
+          streamRates: this.getStreamRates(),
+          modulation: this.onModulationCommand ? await this.onModulationCommand({ action: 'list' }) : null,
+          destinations: this.oscManager.getStats()
         };
         
       default: